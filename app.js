@@ -10,7 +10,6 @@ const { App, LogLevel } = bolt;
 import { Client as Notion } from '@notionhq/client';
 import { createLogger } from './lib/logger.js';
 import icons from './lib/ascii-icons.js';
-import pThrottle from 'p-throttle';
 import pTimeout from 'p-timeout';
 import http from 'http';
 import { readFileSync } from 'fs';
@@ -21,12 +20,48 @@ const APP_VERSION = packageJson.version;
 const BUILD_TIME = process.env.BUILD_TIME || 'unknown';
 
 // Import local modules
-import { getConfig, getDatabaseIdForChannel } from './lib/config.js';
+import { getConfig, getDatabaseIdForChannel, getFieldsForDatabase, getDatabaseSettings, getRotationFileForChannel, getSlaPolicy, getBusinessCalendar, getAsapPolicy, getLocaleForChannel } from './lib/config.js';
 import { NOTION_FIELDS, DEFAULTS, API_TIMEOUT, setDefaults, setApiTimeout } from './lib/constants.js';
-import { parseAutoBlock, parseNeededByString, normalizeEmail, stripRichTextFormatting } from './lib/parser.js';
+import { parseAutoBlock } from './lib/parser.js';
+import { getTitleField, buildExampleBlock, issuePriority } from './lib/field-schema.js';
+import { translate } from './lib/i18n.js';
+import {
+  INTAKE_COMMAND,
+  INTAKE_SHORTCUT_ID,
+  INTAKE_VIEW_ID,
+  INTAKE_CHANNEL_ACTION,
+  buildIntakeModal,
+  selectedChannel,
+  submissionToText,
+  submissionErrors,
+  channelError,
+  intakeMessageText
+} from './lib/intake-modal.js';
+import { snapshotPage, diffSnapshots, formatStatusUpdate, reactionForStatus, propertyValue } from './lib/status-sync.js';
 import { missingFields, typeIssues, getTrigger, suffixForTrigger } from './lib/validation.js';
-import { BotMetrics } from './lib/metrics.js';
-import { NotionSchemaCache } from './lib/schema-cache.js';
+import { BotMetrics, classifyError } from './lib/metrics.js';
+import { renderMetrics, negotiateMetricsFormat, PROMETHEUS_CONTENT_TYPE, OPENMETRICS_CONTENT_TYPE } from './lib/prometheus.js';
+import { createStateStore } from './lib/state-store.js';
+import { RetryQueue, isRetryableNotionError } from './lib/retry-queue.js';
+import { createNotionClient, NotionRateLimiter } from './lib/notion-client.js';
+import { createNotionPageService, propertiesByName } from './lib/notion-pages.js';
+import { UserDirectory } from './lib/user-directory.js';
+import { reconcileDatabase, slackRefFromPage } from './lib/reconcile.js';
+import { deletedPageUpdate } from './lib/message-deleted.js';
+import { createThreadMirror } from './lib/thread-mirror.js';
+import { checkSelectOptions } from './lib/select-options.js';
+import { schemaReport, driftSignature, formatDriftAlert } from './lib/schema-drift.js';
+import { shouldEscalate, formatEscalation, formatReping, isAcknowledged, nextEscalationStep } from './lib/escalation.js';
+import { loadRotation, onCallAt } from './lib/rotation.js';
+import { applyPrioritySla, neededByField, slaQueryFilter, nextSlaReminder, formatSlaReminder } from './lib/sla.js';
+import {
+  MAX_BLOCKS,
+  richTextToMrkdwn,
+  blocksToMrkdwn,
+  mentionedPeople,
+  sectionUnderHeading,
+  sectionBlocks
+} from './lib/block-kit.js';
 
 // Load and validate configuration
 const config = getConfig();
@@ -38,13 +73,6 @@ setApiTimeout(config.api.timeout);
 // Initialize structured logger (component child)
 const logger = createLogger('app');
 
-// Rate limiter for Notion API
-const throttle = pThrottle({
-  limit: config.api.rateLimitPerSecond,
-  interval: 1000, // 1 second
-  strict: true
-});
-
 /**
  * Wraps a promise with a timeout to prevent hanging operations
  * @param {Promise} promise - The promise to wrap
@@ -63,11 +91,49 @@ const withTimeout = (promise, ms = config.api.timeout, operation = 'Operation')
 const metrics = new BotMetrics();
 
 // Tracking system for pages awaiting findings check
+// In-memory working copy; every change is written through to pendingStore so restarts can rehydrate
 const pendingChecks = new Map(); // pageId -> { slackChannel, slackTs, databaseId, checkCount, createdAt }
+const pendingStore = createStateStore('pending-checks', { ...config.state, logger });
 const FINDINGS_CHECK_INTERVAL = 30000; // 30 seconds
 const FINDINGS_MAX_CHECKS = 10; // Check for up to 5 minutes (10 checks * 30s)
 let findingsCheckTimer = null;
 
+// Pages whose Status/Assignee/Priority changes are mirrored back to their Slack thread
+const trackedPages = new Map(); // pageId -> { slackChannel, slackTs, databaseId, snapshot, reaction, trackedAt }
+const trackedStore = createStateStore('tracked-pages', { ...config.state, logger });
+const statusCursorStore = createStateStore('status-sync-cursors', { ...config.state, logger }); // databaseId -> { since }
+let statusSyncTimer = null;
+let statusSyncRunning = false;
+
+// Notion writes that failed with a retryable error (timeouts, 429, 5xx), persisted across restarts
+const retryQueue = new RetryQueue({
+  store: createStateStore('notion-retries', { ...config.state, logger }),
+  logger,
+  ...config.retry
+});
+const RETRY_POLL_INTERVAL = 15000; // 15 seconds
+let retryTimer = null;
+let retryRunning = false;
+
+// Scheduled Slack <-> Notion reconciliation (off unless RECONCILE_ENABLED=true)
+let reconcileTimer = null;
+let reconcileRunning = false;
+
+// Escalated issues (per-database "escalation" policy) waiting for a reaction or a Status change
+const pendingEscalations = new Map(); // pageId -> { slackChannel, slackTs, databaseId, status, escalatedAt, lastPingAt, repings }
+const escalationStore = createStateStore('escalations', { ...config.state, logger });
+const ESCALATION_CHECK_INTERVAL = 60000; // 1 minute
+let escalationTimer = null;
+let escalationRunning = false;
+
+// SLA reminders already posted per open page (off unless SLA_ENABLED=true)
+const slaReminders = new Map(); // pageId -> { databaseId, due, sent: [reminder keys] }
+const slaStore = createStateStore('sla-reminders', { ...config.state, logger });
+const slaReports = new Map(); // databaseId -> { databaseId, checkedAt, breached, dueSoon } (served on /sla)
+let slaTimer = null;
+let slaRunning = false;
+let botUserId = null;
+
 const app = new App({
   token: config.slack.botToken,
   signingSecret: config.slack.signingSecret,
@@ -78,63 +144,77 @@ const app = new App({
 
 const notion = new Notion({ auth: config.notion.token });
 
-// Throttled Notion API methods with timeout protection
-const notionThrottled = {
-  databases: {
-    retrieve: throttle(async (params) => {
-      logger.debug({ databaseId: params.database_id }, 'Notion API: databases.retrieve');
-      return await withTimeout(
-        notion.databases.retrieve(params),
-        API_TIMEOUT,
-        'Notion databases.retrieve'
-      );
-    }),
-    query: throttle(async (params) => {
-      logger.debug({ databaseId: params.database_id }, 'Notion API: databases.query');
-      return await withTimeout(
-        notion.databases.query(params),
-        API_TIMEOUT,
-        'Notion databases.query'
-      );
-    })
-  },
-  pages: {
-    create: throttle(async (params) => {
-      logger.debug({ databaseId: params.parent?.database_id }, 'Notion API: pages.create');
-      return await withTimeout(
-        notion.pages.create(params),
-        API_TIMEOUT,
-        'Notion pages.create'
-      );
-    }),
-    update: throttle(async (params) => {
-      logger.debug({ pageId: params.page_id }, 'Notion API: pages.update');
-      return await withTimeout(
-        notion.pages.update(params),
-        API_TIMEOUT,
-        'Notion pages.update'
-      );
-    }),
-    retrieve: throttle(async (params) => {
-      logger.debug({ pageId: params.page_id }, 'Notion API: pages.retrieve');
-      return await withTimeout(
-        notion.pages.retrieve(params),
-        API_TIMEOUT,
-        'Notion pages.retrieve'
-      );
-    })
-  },
-  users: {
-    list: throttle(async (params) => {
-      logger.debug('Notion API: users.list');
-      return await withTimeout(
-        notion.users.list(params),
-        API_TIMEOUT,
-        'Notion users.list'
-      );
-    })
+// Notion API client: one shared rate limiter for every method, per-call timeout,
+// in-place retries for 429/502/503/504 (honouring Retry-After)
+const notionThrottled = createNotionClient({
+  notion,
+  limiter: new NotionRateLimiter({ ratePerSecond: config.api.rateLimitPerSecond }),
+  timeoutMs: config.api.timeout,
+  maxRetries: config.api.maxRetries,
+  metrics,
+  logger
+});
+
+/**
+ * Latest schema drift report per database (served on /schema)
+ * @type {Map<string, Object>}
+ */
+const schemaReports = new Map();
+
+// Notion users by email and Slack users' emails, reloaded in the background (see startUserDirectory())
+const userDirectory = new UserDirectory({
+  notion: notionThrottled,
+  ttl: config.users.directoryTtl,
+  missTtl: config.users.missTtl,
+  overrides: config.users.overrides,
+  logger
+});
+
+// Schema cache, Slack message -> page lookup and page writes (shared with scripts/ops.mjs)
+const notionPages = createNotionPageService({
+  notion: notionThrottled,
+  logger,
+  userDirectory,
+  schemaCacheTtl: parseInt(process.env.SCHEMA_CACHE_TTL || '3600000', 10),
+  timeoutMs: API_TIMEOUT,
+  // Drift is checked on every schema load; the alert is not awaited so writes are not held up
+  onSchemaRefresh: (databaseId, schema, previous) => {
+    recordSchemaReport(databaseId, schemaReport({
+      databaseId,
+      title: schema.dbTitle,
+      byName: schema.byName,
+      fields: getFieldsForDatabase(databaseId),
+      onMessageDeleted: getDatabaseSettings(databaseId).onMessageDeleted,
+      previousByName: previous?.byName
+    }), schema.dbUrl);
   }
-};
+});
+const {
+  getSchema,
+  getSchemaCache,
+  findPageForMessage,
+  createOrUpdateNotionPage,
+  resolveNotionPersonForSlackUser,
+  resolveRotationUser,
+  slackUserTimeZone,
+  slackUserLocale
+} = notionPages;
+
+// Thread replies mirrored into the page body (THREAD_MIRROR_ENABLED); reply -> block mapping survives restarts
+const threadMirror = createThreadMirror({
+  notion: notionThrottled,
+  store: createStateStore('thread-mirror', { ...config.state, logger }),
+  resolveAuthor: async (user) => {
+    const { notionId, name } = await resolveNotionPersonForSlackUser(user, app.client);
+    return { notionId, name };
+  },
+  logger
+});
+
+// Threads found to have no Notion page; replies skip the page lookup until the entry expires
+const untrackedThreads = new Map(); // "channel:threadTs" -> expiresAt
+const UNTRACKED_THREAD_TTL = 600000; // 10 minutes
+const UNTRACKED_THREAD_LIMIT = 1000;
 
 /**
  * Checks if an error is a transient Socket Mode disconnect that can be safely ignored
@@ -163,131 +243,16 @@ process.on('unhandledRejection', (reason) => {
 });
 
 /**
- * Creates a new Notion page or updates an existing one with issue tracking data
- * Always writes Slack message timestamp and permalink for future lookups
- * @param {Object} params - Function parameters
- * @param {Object} params.parsed - Parsed issue data from parseAutoBlock()
- * @param {string} params.permalink - Slack message permalink URL
- * @param {string} params.slackTs - Slack message timestamp (unique identifier)
- * @param {string} params.reporterMention - Slack user mention string
- * @param {string|null} params.reporterNotionId - Notion user ID for reporter (if resolved)
- * @param {string} [params.pageId] - Existing Notion page ID to update (creates new if omitted)
- * @returns {Promise<Object>} Object with id and url of the created/updated Notion page
- * @throws {Error} Throws if Notion API call fails (including permission errors)
- */
-async function createOrUpdateNotionPage({ parsed, permalink, slackTs, reporterMention, reporterNotionId, pageId, databaseId }) {
-  const schema = await getSchema(databaseId);
-
-  const props = {};
-  setProp(props, NOTION_FIELDS.ISSUE, parsed.issue || '(no issue given)', schema);
-  setProp(props, NOTION_FIELDS.PRIORITY, parsed.priority, schema);
-  setProp(props, NOTION_FIELDS.HOW_TO_REPLICATE, parsed.replicate, schema);
-  setProp(props, NOTION_FIELDS.CUSTOMER, parsed.customer, schema);
-  const onepassEmail = normalizeEmail(parsed.onepass);
-  setProp(props, NOTION_FIELDS.ONE_PASSWORD, onepassEmail, schema);
-  setProp(props, NOTION_FIELDS.NEEDED_BY, parsed.needed, schema);
-  // Reported by: respect actual Notion property type; write fallback to "Reported by (text)" when People cannot be set
-  const reportedMeta = schema.byName[NOTION_FIELDS.REPORTED_BY.toLowerCase()];
-  const reportedTextMeta = schema.byName[NOTION_FIELDS.REPORTED_BY_TEXT.toLowerCase()];
-  if (reportedMeta) {
-      if (reportedMeta.type === 'people') {
-      if (reporterNotionId) {
-        props[reportedMeta.name] = { people: [{ id: reporterNotionId }] };
-      } else {
-        // People field exists but we cannot resolve a Notion person. Do not write text here; instead use fallback text column if present.
-        if (reportedTextMeta && reporterMention) {
-          setProp(props, reportedTextMeta.name, reporterMention, schema);
-        } else {
-          logger.warn({ reporterMention }, "'Reported by' is People but reporterNotionId is missing; no 'Reported by (text)' fallback column found");
-        }
-      }
-    } else {
-      // Non-people field: store mention text via type-aware setProp
-      if (reporterMention) {setProp(props, reportedMeta.name, reporterMention, schema);}
-    }
-  } else if (reportedTextMeta && reporterMention) {
-    // If there is no 'Reported by' property but there is a fallback text column, set it
-    setProp(props, reportedTextMeta.name, reporterMention, schema);
-  }
-
-  // Slack Message TS (preferred unique key)
-  if (schema.slackTsProp) {
-    if (schema.slackTsProp.type === 'number') {
-      // Use integer seconds (ts before the dot) to keep it clean, or store full float
-      const num = Number(String(slackTs).replace('.', '')); // full precision as integer
-      props[schema.slackTsProp.name] = { number: Number.isFinite(num) ? num : undefined };
-    } else {
-      props[schema.slackTsProp.name] = { rich_text: [{ type: 'text', text: { content: String(slackTs) } }] };
-    }
-  }
-
-  // Slack Message URL (secondary key)
-  if (schema.slackUrlProp) {
-    if (schema.slackUrlProp.type === 'url') {
-      props[schema.slackUrlProp.name] = { url: permalink };
-    } else {
-      props[schema.slackUrlProp.name] = { rich_text: [{ type: 'text', text: { content: permalink } }] };
-    }
-  }
-
-  // Relevant Links: URL (first) or all links as rich_text
-  if (schema.byName[NOTION_FIELDS.RELEVANT_LINKS.toLowerCase()]) {
-    const meta = schema.byName[NOTION_FIELDS.RELEVANT_LINKS.toLowerCase()];
-    if (meta.type === 'url') {
-      if (parsed.urls?.[0]) {props[NOTION_FIELDS.RELEVANT_LINKS] = { url: parsed.urls[0] };}
-    } else {
-      if (parsed.linksText) {props[NOTION_FIELDS.RELEVANT_LINKS] = { rich_text: [{ type: 'text', text: { content: parsed.linksText } }] };}
-    }
-  }
-
-  try {
-    if (pageId) {
-      const upd = await notionThrottled.pages.update({ page_id: pageId, properties: props });
-      return { id: upd.id, url: upd.url };
-    } else {
-      const created = await notionThrottled.pages.create({ parent: { database_id: databaseId }, properties: props });
-      return { id: created.id, url: created.url };
-    }
-  } catch (err) {
-    // rethrow so caller can decide how to notify
-    throw err;
-  }
-}
-
-/**
- * Finds an existing Notion page for a Slack message
- * Searches first by Slack timestamp (preferred), then by permalink as fallback
+ * Picks the locale of the bot's replies about a reporter's message: the channel's (or its
+ * database's) configured locale, else the reporter's Slack locale, else DEFAULT_LOCALE
  * @param {Object} params - Function parameters
- * @param {string} params.slackTs - Slack message timestamp
- * @param {string} params.permalink - Slack message permalink URL
- * @returns {Promise<Object|null>} Notion page object if found, null otherwise
+ * @param {string} params.channel - Slack channel ID
+ * @param {string} [params.user] - Slack user ID of the reporter
+ * @param {Object} params.client - Slack Web API client
+ * @returns {Promise<string>} Supported locale (see lib/i18n.js)
  */
-async function findPageForMessage({ slackTs, permalink, databaseId }) {
-  const schema = await getSchema(databaseId);
-
-  // 1) Try by TS (exact)
-  if (schema.slackTsProp) {
-    let tsFilter;
-    if (schema.slackTsProp.type === 'number') {
-      const num = Number(String(slackTs).replace('.', ''));
-      tsFilter = { property: schema.slackTsProp.name, number: { equals: num } };
-    } else {
-      tsFilter = { property: schema.slackTsProp.name, rich_text: { equals: String(slackTs) } };
-    }
-    const byTs = await notionThrottled.databases.query({ database_id: databaseId, filter: tsFilter, page_size: 1 });
-    if (byTs.results?.[0]) {return byTs.results[0];}
-  }
-
-  // 2) Fall back to permalink
-  if (schema.slackUrlProp && permalink) {
-    const urlFilter = schema.slackUrlProp.type === 'url'
-      ? { property: schema.slackUrlProp.name, url: { equals: permalink } }
-      : { property: schema.slackUrlProp.name, rich_text: { contains: permalink } };
-    const byUrl = await notionThrottled.databases.query({ database_id: databaseId, filter: urlFilter, page_size: 1 });
-    if (byUrl.results?.[0]) {return byUrl.results[0];}
-  }
-
-  return null;
+async function localeFor({ channel, user, client }) {
+  return getLocaleForChannel(channel) || await slackUserLocale(user, client) || config.i18n.defaultLocale;
 }
 
 /**
@@ -298,27 +263,23 @@ async function findPageForMessage({ slackTs, permalink, databaseId }) {
  * @param {string} params.ts - Message timestamp (for threading)
  * @param {string[]} params.fields - Array of missing field names
  * @param {string} [params.suffix=''] - Optional suffix/emoji to append
+ * @param {string} params.databaseId - Notion database ID (for the example block)
+ * @param {string} [params.locale] - Reply locale (see localeFor())
  * @returns {Promise<void>}
  */
-async function replyMissing({ client, channel, ts, fields, suffix = '' }) {
+async function replyMissing({ client, channel, ts, fields, suffix = '', databaseId, locale = config.i18n.defaultLocale }) {
+  const t = key => translate(locale, key);
   const lines = fields.map(f => `• ${f}`).join('\n');
   const text =
-    `${icons.emojiBang} *Missing Required Fields*\n\n` +
-    `The following fields are required:\n${lines}\n\n` +
-    `*How to fix:* Edit your original message and add the missing fields.\n` +
-    `Keep the trigger at the top (@auto).\n\n` +
-    `Example:\n` +
+    `${icons.emojiBang} *${t('missingTitle')}*\n\n` +
+    `${t('missingIntro')}\n${lines}\n\n` +
+    `${t('missingHowToFix')}\n` +
+    `${t('missingKeepTrigger')}\n\n` +
+    `${t('example')}\n` +
     `\`\`\`\n` +
-    `@auto\n` +
-    `Priority: P1\n` +
-    `Issue: Production API timeout\n` +
-    `How to replicate: Try checking out\n` +
-    `Customer: Acme Corp\n` +
-    `1Password: oncall@company.com\n` +
-    `Needed by: 11/08/2025 5PM\n` +
-    `Relevant Links: https://status.example.com\n` +
+    `${buildExampleBlock(getFieldsForDatabase(databaseId), locale)}\n` +
     `\`\`\`\n` +
-    `I'll automatically detect your edit and create the Notion page!`;
+    t('missingOutro');
   await client.chat.postMessage({ channel, thread_ts: ts, text: text + suffix });
 }
 
@@ -330,11 +291,12 @@ async function replyMissing({ client, channel, ts, fields, suffix = '' }) {
  * @param {string} params.ts - Message timestamp (for threading)
  * @param {string[]} params.issues - Array of validation error messages
  * @param {string} [params.suffix=''] - Optional suffix/emoji to append
+ * @param {string} [params.locale] - Reply locale (see localeFor())
  * @returns {Promise<void>}
  */
-async function replyInvalid({ client, channel, ts, issues, suffix = '' }) {
+async function replyInvalid({ client, channel, ts, issues, suffix = '', locale = config.i18n.defaultLocale }) {
   const text =
-    `${icons.emojiBang} *Format Validation Failed*\n\n` +
+    `${icons.emojiBang} *${translate(locale, 'invalidTitle')}*\n\n` +
     issues.map(issue => {
       // Check if issue already has bullet formatting
       if (issue.includes('\n')) {
@@ -342,10 +304,50 @@ async function replyInvalid({ client, channel, ts, issues, suffix = '' }) {
       }
       return `• ${issue}`;
     }).join('\n\n') +
-    `\n\n*How to fix:* Edit your original message with the correct format. I'll automatically detect the edit and retry! ${icons.emojiReload}`;
+    `\n\n${translate(locale, 'invalidHowToFix')} ${icons.emojiReload}`;
   await client.chat.postMessage({ channel, thread_ts: ts, text: text + suffix });
 }
 
+/**
+ * Checks select/multi-select/status values against the database's options (per-field optionPolicy)
+ * Rejected values get a "Format Validation Failed" reply; closest-match corrections are logged
+ * @param {Object} params - Function parameters
+ * @param {Object} params.client - Slack Web API client
+ * @param {string} params.channel - Slack channel ID
+ * @param {string} params.ts - Message timestamp (for threading)
+ * @param {Object} params.parsed - Parsed message data
+ * @param {Object[]} params.fields - Field definitions for the database
+ * @param {string} params.databaseId - Notion database ID
+ * @param {Object} params.labels - Metric labels
+ * @param {string} [params.suffix=''] - Optional suffix/emoji to append
+ * @param {string} [params.locale] - Reply locale (see localeFor())
+ * @returns {Promise<Object|null>} Parsed data to write, or null when the values were rejected
+ */
+async function applyOptionPolicies({ client, channel, ts, parsed, fields, databaseId, labels, suffix = '', locale = config.i18n.defaultLocale }) {
+  const { parsed: checked, issues, corrections } = checkSelectOptions(parsed, fields, await getSchema(databaseId), locale);
+  for (const correction of corrections) {
+    logger.info({ ...correction, channel, ts, databaseId }, 'Corrected select value to the closest option');
+  }
+  if (issues.length) {
+    metrics.increment('validationErrors', { ...labels, errorKind: 'invalid_option' });
+    logger.warn({ issues: issues.map(i => i.message), channel }, 'Validation failed: unknown select options');
+    await replyInvalid({ client, channel, ts, issues: issues.map(i => i.message), suffix, locale });
+    return null;
+  }
+  return checked;
+}
+
+/**
+ * Gets the display title of a parsed issue (the value of the database's title field)
+ * @param {Object} parsed - Parsed message data
+ * @param {string} databaseId - Notion database ID (for field definitions)
+ * @returns {string} Issue title, or a generic label when empty
+ */
+function pageTitleFor(parsed, databaseId) {
+  const titleField = getTitleField(getFieldsForDatabase(databaseId));
+  return (titleField && parsed?.[titleField.key]) || 'Notion Page';
+}
+
 /**
  * Posts a success message when a new Notion page is created
  * @param {Object} params - Function parameters
@@ -356,13 +358,17 @@ async function replyInvalid({ client, channel, ts, issues, suffix = '' }) {
  * @param {Object} params.parsed - Parsed message data (for issue title)
  * @param {string} [params.suffix=''] - Optional suffix/emoji to append
  * @param {string} params.databaseId - Notion database ID (for schema lookup)
+ * @param {string|null} [params.assignee] - Mention of the on-call (set as Assignee when the database has one)
+ * @param {string} [params.locale] - Reply locale (see localeFor())
  * @returns {Promise<void>}
  */
-async function replyCreated({ client, channel, ts, pageUrl, parsed, suffix = '', databaseId }) {
+async function replyCreated({ client, channel, ts, pageUrl, parsed, suffix = '', databaseId, assignee = null, locale = config.i18n.defaultLocale }) {
+  const t = (key, params) => translate(locale, key, params);
   const schema = getSchemaCache(databaseId).getCurrent();
-  const dbPart = schema?.dbUrl ? `<${schema.dbUrl}|${schema.dbTitle || DEFAULTS.DB_TITLE}>` : 'Notion DB';
-  const pagePart = `<${pageUrl}|${parsed?.issue || 'Notion Page'}>`;
-  const text = `${icons.emojiOk} Tracked: ${dbPart} › ${pagePart}` + suffix;
+  const dbPart = schema?.dbUrl ? `<${schema.dbUrl}|${schema.dbTitle || DEFAULTS.DB_TITLE}>` : t('replyDatabase');
+  const pagePart = `<${pageUrl}|${pageTitleFor(parsed, databaseId)}>`;
+  const assigneePart = assignee ? ` · ${t('replyOnCall', { user: assignee })}` : '';
+  const text = `${icons.emojiOk} ${t('replyTracked', { database: dbPart, page: pagePart })}${assigneePart}` + suffix;
   await client.chat.postMessage({ channel, thread_ts: ts, text });
 }
 
@@ -376,13 +382,15 @@ async function replyCreated({ client, channel, ts, pageUrl, parsed, suffix = '',
  * @param {Object} params.parsed - Parsed message data (for issue title)
  * @param {string} [params.suffix=''] - Optional suffix/emoji to append
  * @param {string} params.databaseId - Notion database ID (for schema lookup)
+ * @param {string} [params.locale] - Reply locale (see localeFor())
  * @returns {Promise<void>}
  */
-async function replyUpdated({ client, channel, ts, pageUrl, parsed, suffix = '', databaseId }) {
+async function replyUpdated({ client, channel, ts, pageUrl, parsed, suffix = '', databaseId, locale = config.i18n.defaultLocale }) {
+  const t = (key, params) => translate(locale, key, params);
   const schema = getSchemaCache(databaseId).getCurrent();
-  const dbPart = schema?.dbUrl ? `<${schema.dbUrl}|${schema.dbTitle || DEFAULTS.DB_TITLE}>` : 'Notion DB';
-  const pagePart = `<${pageUrl}|${parsed?.issue || 'Notion Page'}>`;
-  const text = `${icons.emojiReload} Updated: ${dbPart} › ${pagePart}` + suffix;
+  const dbPart = schema?.dbUrl ? `<${schema.dbUrl}|${schema.dbTitle || DEFAULTS.DB_TITLE}>` : t('replyDatabase');
+  const pagePart = `<${pageUrl}|${pageTitleFor(parsed, databaseId)}>`;
+  const text = `${icons.emojiReload} ${t('replyUpdated', { database: dbPart, page: pagePart })}` + suffix;
   await client.chat.postMessage({ channel, thread_ts: ts, text });
 }
 
@@ -413,16 +421,18 @@ function isNotionPermError(err) {
  * @param {string} params.ts - Message timestamp (for threading)
  * @param {string} [params.suffix=''] - Optional suffix/emoji to append
  * @param {string} params.databaseId - Notion database ID (for schema lookup)
+ * @param {string} [params.locale] - Reply locale (see localeFor())
  * @returns {Promise<void>}
  */
-async function notifyNotionPerms({ client, channel, ts, suffix = '', databaseId }) {
+async function notifyNotionPerms({ client, channel, ts, suffix = '', databaseId, locale = config.i18n.defaultLocale }) {
+  const t = (key, params) => translate(locale, key, params);
   const schema = getSchemaCache(databaseId).getCurrent();
-  const dbPart = schema?.dbUrl ? `<${schema.dbUrl}|${schema.dbTitle || DEFAULTS.DB_TITLE}>` : 'the Notion database';
+  const dbPart = schema?.dbUrl ? `<${schema.dbUrl}|${schema.dbTitle || DEFAULTS.DB_TITLE}>` : t('permsDatabase');
   const text =
-    `${icons.emojiBang} I couldn't write to Notion due to *insufficient permissions*.\n` +
-    `Please make sure your Notion integration is connected to ${dbPart} with *Can edit* access:\n` +
-    `- In Notion, open the database as a full page → *Share* → *Add connection* → select this integration → *Allow*.\n` +
-    `- Then try your message again (or edit the same message).` + suffix;
+    `${icons.emojiBang} ${t('permsTitle')}\n` +
+    `${t('permsConnect', { database: dbPart })}\n` +
+    `${t('permsShare')}\n` +
+    t('permsRetry') + suffix;
   try {
     await client.chat.postMessage({ channel, thread_ts: ts, text });
   } catch {
@@ -456,9 +466,9 @@ app.event('message', async ({ event, client }) => {
       hasInnerMessage: !!event.message
     }, 'Inbound Slack event');
 
-    // Ignore most non-user-generated subtypes; allow edits, thread broadcasts, and thread replies
+    // Ignore most non-user-generated subtypes; allow edits, deletions, thread broadcasts, thread replies and file uploads
     if (event.subtype) {
-      const allowed = new Set(['message_changed', 'thread_broadcast', 'message_replied']);
+      const allowed = new Set(['message_changed', 'message_deleted', 'thread_broadcast', 'message_replied', 'file_share']);
       if (!allowed.has(event.subtype)) {
         logger.info({ subtype: event.subtype, channel: event.channel }, 'Skipping unsupported message subtype');
         return;
@@ -472,11 +482,15 @@ app.event('message', async ({ event, client }) => {
       return;
     }
 
-    // Handle edits (message_changed) separately
+    // Handle edits (message_changed) and deletions (message_deleted) separately
     if (event.subtype === 'message_changed') {
       await handleEdit({ event, client, databaseId });
       return;
     }
+    if (event.subtype === 'message_deleted') {
+      await handleDelete({ channel: event.channel, ts: event.deleted_ts, previous: event.previous_message, databaseId });
+      return;
+    }
 
     // Normalize message fields for fresh message path (supports message_replied)
     const effective = event.subtype === 'message_replied' && event.message ? event.message : event;
@@ -487,7 +501,13 @@ app.event('message', async ({ event, client }) => {
 
     // Fresh message path
     const trigger = getTrigger(text);
-    if (!trigger) { return; }
+    if (!trigger) {
+      // Plain replies in a tracked thread go to the page body when mirroring is on
+      if (config.threadMirror.enabled && thread_ts && thread_ts !== ts && !effective.bot_id) {
+        await mirrorThreadReply({ channel: event.channel, threadTs: thread_ts, message: { ...effective, ts, thread_ts, user }, databaseId });
+      }
+      return;
+    }
     const suffix = suffixForTrigger(trigger);
     const isTop = !(thread_ts && thread_ts !== ts);
     if (!config.slack.allowThreads && !isTop) {
@@ -495,7 +515,8 @@ app.event('message', async ({ event, client }) => {
       return;
     }
 
-    metrics.increment('messagesProcessed');
+    const labels = { channel: event.channel, databaseId, trigger };
+    metrics.increment('messagesProcessed', labels);
     logger.info({ 
       trigger, 
       channel: event.channel, 
@@ -503,9 +524,17 @@ app.event('message', async ({ event, client }) => {
       metricsTotal: metrics.get('messagesProcessed')
     }, 'Processing message');
 
-    const parsed = parseAutoBlock(text || '');
-    const miss = missingFields(parsed);
-    const issues = typeIssues(parsed);
+    const fields = getFieldsForDatabase(databaseId);
+    // Dates without a zone ("tomorrow 3pm") are read in the reporter's Slack time zone
+    const timeZone = await slackUserTimeZone(user, client);
+    const parsed = parseAutoBlock(text || '', fields, {
+      timeZone,
+      calendar: getBusinessCalendar(databaseId),
+      asap: getAsapPolicy(databaseId)
+    });
+    const locale = await localeFor({ channel: event.channel, user, client });
+    const miss = missingFields(parsed, fields, locale);
+    const issues = typeIssues(parsed, fields, locale, { asap: getAsapPolicy(databaseId) });
 
     const { permalink = '' } = await withTimeout(
       client.chat.getPermalink({
@@ -517,84 +546,29 @@ app.event('message', async ({ event, client }) => {
     );
 
     if (miss.length) {
-      metrics.increment('validationErrors');
+      metrics.increment('validationErrors', { ...labels, errorKind: 'missing_fields' });
       logger.warn({ missingFields: miss, channel: event.channel }, 'Validation failed: missing fields');
-      await replyMissing({ client, channel: event.channel, ts, fields: miss, suffix });
+      await replyMissing({ client, channel: event.channel, ts, fields: miss, suffix, databaseId, locale });
       return;
     }
 
     if (issues.length) {
-      metrics.increment('validationErrors');
+      metrics.increment('validationErrors', { ...labels, errorKind: 'invalid_fields' });
       logger.warn({ issues, channel: event.channel }, 'Validation failed: type issues');
-      await replyInvalid({ client, channel: event.channel, ts, issues, suffix });
+      await replyInvalid({ client, channel: event.channel, ts, issues, suffix, locale });
       return;
     }
 
-    const { mention: reporterMention, notionId: reporterNotionId } = await resolveNotionPersonForSlackUser(user, client);
+    const checked = await applyOptionPolicies({ client, channel: event.channel, ts, parsed, fields, databaseId, labels, suffix, locale });
+    if (!checked) {return;}
 
-    // Use TS-based lookup to avoid duplicates, then upsert (write TS + permalink)
-    const existing = await findPageForMessage({ slackTs: ts, permalink, databaseId });
-    const isUpdate = !!existing;
-    
-    try {
-      const { id: pageId, url } = await createOrUpdateNotionPage({
-        parsed,
-        permalink,
-        slackTs: ts,
-        reporterMention,
-        reporterNotionId,
-        pageId: existing?.id,
-        databaseId
-      });
-      
-      const processingTime = Date.now() - startTime;
-      if (isUpdate) {
-        metrics.increment('messagesUpdated');
-        logger.info({ 
-          pageUrl: url, 
-          processingTime,
-          metricsUpdated: metrics.get('messagesUpdated')
-        }, 'Notion page updated');
-      } else {
-        metrics.increment('messagesCreated');
-        logger.info({ 
-          pageUrl: url, 
-          processingTime,
-          metricsCreated: metrics.get('messagesCreated')
-        }, 'Notion page created');
-        
-        // Schedule findings check for new pages
-        if (pageId) {
-          scheduleColumnCheck(pageId, event.channel, ts, databaseId);
-        }
-      }
-      
-      await replyCreated({ client, channel: event.channel, ts, pageUrl: url, parsed, suffix, databaseId });
-    } catch (err) {
-      if (isNotionPermError(err)) {
-        await notifyNotionPerms({ client, channel: event.channel, ts, suffix, databaseId });
-        return;
-      }
-      if (err.name === 'TimeoutError') {
-        metrics.increment('apiTimeouts');
-        metrics.increment('messagesFailed');
-        logger.error({ 
-          error: err.message, 
-          channel: event.channel, 
-          ts,
-          metricsTimeouts: metrics.get('apiTimeouts')
-        }, 'API timeout');
-        await client.chat.postMessage({
-          channel: event.channel,
-          thread_ts: ts,
-          text: `${icons.emojiWarn} Request timed out. Please try again in a moment.${suffix}`
-        }).catch(() => {}); // Ignore errors in error handler
-        return;
-      }
-      throw err; // let outer handler log other errors
-    }
+    await syncIssueToNotion({ client, channel: event.channel, ts, user, parsed: checked, permalink, databaseId, trigger, suffix, startTime, locale });
   } catch (err) {
-    metrics.increment('messagesFailed');
+    metrics.increment('messagesFailed', {
+      channel: event.channel,
+      databaseId: event.channel ? getDatabaseIdForChannel(event.channel) : null,
+      errorKind: classifyError(err)
+    });
     logger.error({ 
       error: err.message, 
       stack: err.stack,
@@ -605,6 +579,154 @@ app.event('message', async ({ event, client }) => {
   }
 });
 
+/**
+ * Upserts a validated issue into Notion and confirms in the Slack thread
+ * Shared by @auto messages and the intake modal; looks the page up by Slack TS first
+ * so re-processing the same message updates instead of duplicating
+ * @param {Object} params - Function parameters
+ * @param {Object} params.client - Slack Web API client
+ * @param {string} params.channel - Slack channel ID
+ * @param {string} params.ts - Tracked Slack message timestamp
+ * @param {string} params.user - Slack user ID of the reporter
+ * @param {Object} params.parsed - Parsed and validated issue data
+ * @param {string} params.permalink - Slack message permalink URL
+ * @param {string} params.databaseId - Notion database ID
+ * @param {string} params.trigger - What filed the issue (auto/cat/peepo/modal), used as a metric label
+ * @param {string} [params.suffix=''] - Optional suffix/emoji to append to replies
+ * @param {number} params.startTime - Processing start (ms) for latency logging
+ * @param {string} [params.locale] - Reply locale (see localeFor())
+ * @returns {Promise<void>}
+ * @throws {Error} Rethrows Notion errors other than permission errors and timeouts
+ */
+async function syncIssueToNotion({ client, channel, ts, user, parsed, permalink, databaseId, trigger, suffix = '', startTime, locale = config.i18n.defaultLocale }) {
+  const labels = { channel, databaseId, trigger };
+  try {
+    const { url, isUpdate, assignee } = await writeIssueToNotion({ client, channel, ts, user, parsed, permalink, databaseId, locale });
+    
+    const processingTime = Date.now() - startTime;
+    metrics.observe('processingDurationSeconds', processingTime / 1000, {
+      channel,
+      databaseId,
+      operation: isUpdate ? 'update' : 'create'
+    });
+    if (isUpdate) {
+      metrics.increment('messagesUpdated', labels);
+      logger.info({ 
+        pageUrl: url, 
+        processingTime,
+        metricsUpdated: metrics.get('messagesUpdated')
+      }, 'Notion page updated');
+    } else {
+      metrics.increment('messagesCreated', labels);
+      logger.info({ 
+        pageUrl: url, 
+        processingTime,
+        metricsCreated: metrics.get('messagesCreated')
+      }, 'Notion page created');
+    }
+    
+    await replyCreated({ client, channel, ts, pageUrl: url, parsed, suffix, databaseId, assignee, locale });
+  } catch (err) {
+    if (isNotionPermError(err)) {
+      await notifyNotionPerms({ client, channel, ts, suffix, databaseId, locale });
+      return;
+    }
+    if (isRetryableNotionError(err)) {
+      await queueNotionRetry({ client, err, job: { channel, ts, user, parsed, permalink, databaseId, trigger, suffix, edit: false, locale } });
+      return;
+    }
+    throw err; // let outer handler log other errors
+  }
+}
+
+/**
+ * Writes an issue to Notion: resolves the reporter, finds the page for the Slack message
+ * (TS first, so re-processing updates instead of duplicating) and creates or updates it
+ * Shared by new messages, edits, the intake modal and the retry queue
+ * @param {Object} params - Function parameters
+ * @param {Object} params.client - Slack Web API client
+ * @param {string} params.channel - Slack channel ID
+ * @param {string} params.ts - Tracked Slack message timestamp
+ * @param {string} params.user - Slack user ID of the reporter
+ * @param {Object} params.parsed - Parsed and validated issue data
+ * @param {string} params.permalink - Slack message permalink URL
+ * @param {string} params.databaseId - Notion database ID
+ * @param {string} [params.locale] - Locale of the findings reply (see localeFor())
+ * @returns {Promise<Object>} { pageId, url, isUpdate, assignee } - assignee is the on-call mention set on a new page
+ * @throws {Error} Notion and timeout errors, for the caller to classify
+ */
+async function writeIssueToNotion({ client, channel, ts, user, parsed, permalink, databaseId, locale = config.i18n.defaultLocale }) {
+  const { mention: reporterMention, notionId: reporterNotionId } = await resolveNotionPersonForSlackUser(user, client);
+  const existing = await findPageForMessage({ slackTs: ts, permalink, databaseId });
+  // Without a Needed by, the priority's SLA counts from when the message was posted (working time with a business calendar)
+  parsed = applyPrioritySla(parsed, getFieldsForDatabase(databaseId), getSlaPolicy(databaseId), new Date(Number(ts) * 1000), {
+    calendar: getBusinessCalendar(databaseId),
+    timeZone: await slackUserTimeZone(user, client)
+  });
+  // New pages go to whoever was on call for the channel when the message was posted
+  const assignee = existing
+    ? null
+    : await onCallFor({ rotationFile: getRotationFileForChannel(channel), when: new Date(Number(ts) * 1000), client });
+  const { id: pageId, url, page } = await createOrUpdateNotionPage({
+    parsed,
+    permalink,
+    slackTs: ts,
+    reporterMention,
+    reporterNotionId,
+    pageId: existing?.id,
+    databaseId,
+    assignee,
+    client
+  });
+  // Refresh the snapshot so our own write is not echoed back as a Notion-side change
+  trackPageStatus({ page, slackChannel: channel, slackTs: ts, databaseId });
+  untrackedThreads.delete(`${channel}:${ts}`);
+
+  // Schedule findings check for new pages; high priorities are escalated without holding up the reply
+  if (!existing && pageId) {
+    scheduleColumnCheck(pageId, channel, ts, databaseId, locale);
+    escalateIssue({ page, channel, ts, parsed, permalink, databaseId }).catch(err => {
+      logger.error({ error: err.message, pageId, channel, ts }, 'Failed to escalate issue');
+    });
+  }
+  return { pageId, url, isUpdate: !!existing, assignee: assignee?.mention || null };
+}
+
+/**
+ * Queues a failed Notion write for automatic retry and tells the thread
+ * @param {Object} params - Function parameters
+ * @param {Object} params.client - Slack Web API client
+ * @param {Error} params.err - Retryable error from the first attempt
+ * @param {Object} params.job - Everything needed to redo the write and reply (JSON-serializable)
+ * @returns {Promise<void>}
+ */
+async function queueNotionRetry({ client, err, job }) {
+  const labels = { channel: job.channel, databaseId: job.databaseId, trigger: job.trigger };
+  const errorKind = classifyError(err);
+  if (errorKind === 'timeout') {
+    metrics.increment('apiTimeouts', { ...labels, errorKind });
+  }
+  metrics.increment('notionWritesQueued', { ...labels, errorKind });
+
+  const entry = retryQueue.enqueue(`${job.databaseId}:${job.ts}`, job, err);
+  startRetryProcessing();
+  logger.warn({ 
+    error: err.message, 
+    errorKind,
+    channel: job.channel, 
+    ts: job.ts,
+    nextAttemptAt: new Date(entry.nextAttemptAt).toISOString(),
+    queueSize: retryQueue.size
+  }, 'Notion write failed, queued for retry');
+
+  const notice = errorKind === 'timeout' ? 'retryTimeout' : errorKind === 'rate_limited' ? 'retryRateLimited' : 'retryTrouble';
+  await client.chat.postMessage({
+    channel: job.channel,
+    thread_ts: job.ts,
+    text: `${icons.emojiWarn} ${translate(job.locale || config.i18n.defaultLocale, notice)}${job.suffix || ''}`
+  }).catch(() => {}); // Ignore errors in error handler
+}
+
 /**
  * Handles edits to previously posted messages
  * Updates the corresponding Notion page when a tracked message is edited
@@ -625,6 +747,22 @@ async function handleEdit({ event, client, databaseId }) {
   const channel = event.channel;
   const origTs = orig.ts || newMsg.ts; // fallback
 
+  // Deleting a message that has replies leaves a tombstone, delivered as an edit
+  if (newMsg.subtype === 'tombstone') {
+    await handleDelete({ channel, ts: origTs, previous: orig, databaseId });
+    return;
+  }
+
+  // Edits to mirrored thread replies rewrite their block in the page body
+  if (threadMirror.has(channel, origTs) && !getTrigger(newMsg.text)) {
+    try {
+      await threadMirror.update({ channel, message: { ...newMsg, ts: origTs } });
+    } catch (err) {
+      logger.warn({ error: err.message, channel, ts: origTs }, 'Failed to update mirrored thread reply');
+    }
+    return;
+  }
+
   // Optional: enforce top-level only (ignore thread replies)
   if (!config.slack.allowThreads && newMsg.thread_ts && newMsg.thread_ts !== newMsg.ts) { 
     return; 
@@ -635,7 +773,8 @@ async function handleEdit({ event, client, databaseId }) {
   }
   const suffix = suffixForTrigger(trigger);
 
-  metrics.increment('messagesProcessed');
+  const labels = { channel, databaseId, trigger };
+  metrics.increment('messagesProcessed', labels);
   logger.info({ 
     trigger, 
     channel, 
@@ -643,9 +782,16 @@ async function handleEdit({ event, client, databaseId }) {
     metricsTotal: metrics.get('messagesProcessed')
   }, 'Processing message edit');
 
-  const parsed = parseAutoBlock(newMsg.text || '');
-  const miss = missingFields(parsed);
-  const issues = typeIssues(parsed);
+  const fields = getFieldsForDatabase(databaseId);
+  const timeZone = await slackUserTimeZone(newMsg.user, client);
+  const parsed = parseAutoBlock(newMsg.text || '', fields, {
+    timeZone,
+    calendar: getBusinessCalendar(databaseId),
+    asap: getAsapPolicy(databaseId)
+  });
+  const locale = await localeFor({ channel, user: newMsg.user, client });
+  const miss = missingFields(parsed, fields, locale);
+  const issues = typeIssues(parsed, fields, locale, { asap: getAsapPolicy(databaseId) });
 
   const { permalink = '' } = await withTimeout(
     client.chat.getPermalink({
@@ -657,35 +803,26 @@ async function handleEdit({ event, client, databaseId }) {
   );
 
   if (miss.length) {
-    metrics.increment('validationErrors');
+    metrics.increment('validationErrors', { ...labels, errorKind: 'missing_fields' });
     logger.warn({ missingFields: miss, channel }, 'Edit validation failed: missing fields');
-    await replyMissing({ client, channel, ts: origTs, fields: miss, suffix });
+    await replyMissing({ client, channel, ts: origTs, fields: miss, suffix, databaseId, locale });
     return;
   }
 
   if (issues.length) {
-    metrics.increment('validationErrors');
+    metrics.increment('validationErrors', { ...labels, errorKind: 'invalid_fields' });
     logger.warn({ issues, channel }, 'Edit validation failed: type issues');
-    await replyInvalid({ client, channel, ts: origTs, issues, suffix });
+    await replyInvalid({ client, channel, ts: origTs, issues, suffix, locale });
     return;
   }
-  const { mention: reporterMention, notionId: reporterNotionId } = await resolveNotionPersonForSlackUser(newMsg.user, client);
-
-  // Find by Slack TS first (canonical key), fall back to permalink
-  const existing = await findPageForMessage({ slackTs: origTs, permalink, databaseId });
+  const checked = await applyOptionPolicies({ client, channel, ts: origTs, parsed, fields, databaseId, labels, suffix, locale });
+  if (!checked) {return;}
   try {
-    const { url } = await createOrUpdateNotionPage({
-      parsed,
-      permalink,
-      slackTs: origTs,
-      reporterMention,
-      reporterNotionId,
-      pageId: existing?.id,
-      databaseId
-    });
+    const { url } = await writeIssueToNotion({ client, channel, ts: origTs, user: newMsg.user, parsed: checked, permalink, databaseId, locale });
     
     const processingTime = Date.now() - startTime;
-    metrics.increment('messagesUpdated');
+    metrics.observe('processingDurationSeconds', processingTime / 1000, { channel, databaseId, operation: 'edit' });
+    metrics.increment('messagesUpdated', labels);
     logger.info({ 
       pageUrl: url, 
       processingTime,
@@ -693,270 +830,386 @@ async function handleEdit({ event, client, databaseId }) {
       metricsUpdated: metrics.get('messagesUpdated')
     }, 'Notion page updated from edit');
     
-    await replyUpdated({ client, channel, ts: origTs, pageUrl: url, parsed, suffix, databaseId });
+    await replyUpdated({ client, channel, ts: origTs, pageUrl: url, parsed: checked, suffix, databaseId, locale });
   } catch (err) {
     if (isNotionPermError(err)) {
-      await notifyNotionPerms({ client, channel, ts: origTs, suffix, databaseId });
+      await notifyNotionPerms({ client, channel, ts: origTs, suffix, databaseId, locale });
       return;
     }
-    if (err.name === 'TimeoutError') {
-      metrics.increment('apiTimeouts');
-      metrics.increment('messagesFailed');
-      logger.error({ 
-        error: err.message, 
-        channel, 
-        ts: origTs,
-        type: 'edit',
-        metricsTimeouts: metrics.get('apiTimeouts')
-      }, 'API timeout on edit');
-      await client.chat.postMessage({
-        channel,
-        thread_ts: origTs,
-        text: `${icons.emojiWarn} Request timed out. Please try editing again in a moment.${suffix}`
-      }).catch(() => {}); // Ignore errors in error handler
+    if (isRetryableNotionError(err)) {
+      await queueNotionRetry({
+        client,
+        err,
+        job: { channel, ts: origTs, user: newMsg.user, parsed: checked, permalink, databaseId, trigger, suffix, edit: true, locale }
+      });
       return;
     }
     throw err;
   }
 }
 
-/** 
- * Cached Notion database schema information
- * Map of database ID to schema cache
- * @type {Map<string, NotionSchemaCache>}
- */
-const schemaCaches = new Map();
-const SCHEMA_CACHE_TTL = parseInt(process.env.SCHEMA_CACHE_TTL || '3600000', 10);
-
 /**
- * Gets or creates a schema cache for a specific database
- * @param {string} databaseId - Notion database ID
- * @returns {NotionSchemaCache} Schema cache instance for the database
+ * Applies the database's deletion policy when a tracked message is deleted in Slack
+ * (archive the page, flag it through a property, or ignore) and stops following the page
+ * @param {Object} params - Function parameters
+ * @param {string} params.channel - Slack channel ID
+ * @param {string} params.ts - Timestamp of the deleted message
+ * @param {Object} [params.previous] - The message as it was before deletion, when Slack sends it
+ * @param {string} params.databaseId - Notion database ID for this channel
+ * @returns {Promise<void>}
  */
-function getSchemaCache(databaseId) {
-  if (!schemaCaches.has(databaseId)) {
-    schemaCaches.set(databaseId, new NotionSchemaCache({ 
-      ttl: SCHEMA_CACHE_TTL, 
-      logger 
-    }));
+async function handleDelete({ channel, ts, previous, databaseId }) {
+  // Deleted thread replies disappear from the page body too
+  if (threadMirror.has(channel, ts)) {
+    try {
+      await threadMirror.remove({ channel, ts });
+      logger.info({ channel, ts, databaseId }, 'Removed deleted thread reply from Notion page');
+    } catch (err) {
+      logger.warn({ error: err.message, channel, ts }, 'Failed to remove mirrored thread reply');
+    }
+    return;
   }
-  return schemaCaches.get(databaseId);
-}
 
-/**
- * Loads the Notion database schema for a specific database
- * Discovers property types and identifies Slack message tracking columns
- * @param {string} databaseId - Notion database ID
- * @returns {Promise<Object>} Schema object with property mappings and database metadata
- * @throws {Error} If required tracking columns (Slack Message URL or Slack Message TS) are not found
- */
-async function loadSchemaFromNotion(databaseId) {
-  const db = await notionThrottled.databases.retrieve({ database_id: databaseId });
-  const byName = {};
-  for (const [name, def] of Object.entries(db.properties || {})) {
-    byName[name.toLowerCase()] = { id: def.id, name, type: def.type, options: def.select?.options || [] };
-  }
-
-  // Find Slack permalink property by common names (URL or Text)
-  const permalinkCandidates = [
-    'slack message url',
-    'slack url',
-    'slack message link',
-    'slack permalink',
-    'message url'
-  ];
-  let slackUrlProp = null;
-  for (const n of permalinkCandidates) {if (byName[n]) { slackUrlProp = byName[n]; break; }}
-
-  // Find Slack TS by common names (Text or Number)
-  const tsCandidates = [
-    'slack message ts',
-    'slack ts',
-    'message ts'
-  ];
-  let slackTsProp = null;
-  for (const n of tsCandidates) {if (byName[n]) { slackTsProp = byName[n]; break; }}
-
-  if (!slackUrlProp && !slackTsProp) {
-    throw new Error(
-      `Notion DB: add a permalink column (URL or Text) named "${NOTION_FIELDS.SLACK_MESSAGE_URL}" ` +
-      `or a TS column (Text or Number) named "${NOTION_FIELDS.SLACK_MESSAGE_TS}".`
-    );
+  // Only @auto messages have pages; skip the Notion lookup for everything else
+  if (previous && !getTrigger(previous.text || '')) {
+    return;
+  }
+  const policy = getDatabaseSettings(databaseId).onMessageDeleted;
+  if (policy.action === 'ignore') {
+    logger.info({ channel, ts, databaseId }, 'Tracked message deleted; leaving Notion page as is (onMessageDeleted=ignore)');
+    return;
   }
 
-  const dbTitle = (db.title && db.title[0] && db.title[0].plain_text) ? db.title[0].plain_text : DEFAULTS.DB_TITLE;
-  return { byName, slackUrlProp, slackTsProp, dbUrl: db.url, dbTitle };
+  const page = await findPageForMessage({ slackTs: ts, permalink: '', databaseId });
+  if (!page) {
+    logger.info({ channel, ts, databaseId }, 'Deleted message has no Notion page');
+    return;
+  }
+  const update = deletedPageUpdate(policy, await getSchema(databaseId));
+  await notionThrottled.pages.update({ page_id: page.id, ...update });
+
+  // The thread is gone: nothing left to post findings or status changes to
+  untrackPage(page.id);
+  removePendingCheck(page.id);
+  removeEscalation(page.id);
+  removeSlaReminders(page.id);
+  threadMirror.forgetPage(page.id);
+  metrics.increment(policy.action === 'archive' ? 'pagesArchived' : 'pagesFlagged', { channel, databaseId });
+  logger.warn({
+    channel,
+    ts,
+    databaseId,
+    pageId: page.id,
+    pageUrl: page.url,
+    action: policy.action,
+    property: policy.property
+  }, policy.action === 'flag' ? 'Slack message deleted; flagged Notion page' : 'Slack message deleted; archived Notion page');
 }
 
 /**
- * Gets the current schema for a database, loading or refreshing if necessary
- * Uses NotionSchemaCache for automatic TTL-based refresh
- * @param {string} databaseId - Notion database ID
- * @returns {Promise<Object>} Current schema object
+ * Remembers a thread without a Notion page, dropping expired entries once the cache grows
+ * @param {string} threadKey - "channel:threadTs"
  */
-async function getSchema(databaseId) {
-  const cache = getSchemaCache(databaseId);
-  try {
-    return await cache.get(() => loadSchemaFromNotion(databaseId));
-  } catch (err) {
-    logger.error({ error: err.message, databaseId }, 'Failed to load schema');
-    // If we have a cached version (even if expired), return it
-    const cached = cache.getCurrent();
-    if (cached) {
-      logger.warn({ databaseId }, 'Using stale cached schema due to load failure');
-      return cached;
+function rememberUntrackedThread(threadKey) {
+  const now = Date.now();
+  if (untrackedThreads.size >= UNTRACKED_THREAD_LIMIT) {
+    for (const [key, expiresAt] of untrackedThreads) {
+      if (expiresAt <= now) {untrackedThreads.delete(key);}
     }
-    throw err;
   }
+  untrackedThreads.set(threadKey, now + UNTRACKED_THREAD_TTL);
 }
 
 /**
- * Finds a Notion user ID by email address
- * Iterates through all Notion workspace users to find a matching email
- * @param {string} email - Email address to search for
- * @returns {Promise<string|null>} Notion user ID if found, null otherwise
+ * Appends a thread reply to the Notion page of the thread's parent message
+ * Threads without a page (parent was not an @auto message) are ignored and remembered for
+ * UNTRACKED_THREAD_TTL, so chatty threads do not query Notion on every reply; failures are
+ * logged, never replied to, so a Notion hiccup does not add noise to the thread
+ * @param {Object} params - Function parameters
+ * @param {string} params.channel - Slack channel ID
+ * @param {string} params.threadTs - Parent message timestamp
+ * @param {Object} params.message - Slack reply ({ ts, thread_ts, user, text, files })
+ * @param {string} params.databaseId - Notion database ID for this channel
+ * @returns {Promise<void>}
  */
-async function findNotionUserIdByEmail(email) {
-  if (!email) {return null;}
-  let cursor;
-  while (true) {
-    const res = await notionThrottled.users.list(cursor ? { start_cursor: cursor } : {});
-    for (const u of res.results || []) {
-      if (u.type === 'person' && u.person?.email && u.person.email.toLowerCase() === email.toLowerCase()) {
-        return u.id;
-      }
+async function mirrorThreadReply({ channel, threadTs, message, databaseId }) {
+  try {
+    let pageId = threadMirror.pageForThread(channel, threadTs);
+    for (const [trackedId, entry] of trackedPages) {
+      if (pageId) {break;}
+      if (entry.slackChannel === channel && entry.slackTs === threadTs) {pageId = trackedId;}
+    }
+    const threadKey = `${channel}:${threadTs}`;
+    if (!pageId && untrackedThreads.get(threadKey) > Date.now()) {return;}
+    if (!pageId) {
+      pageId = (await findPageForMessage({ slackTs: threadTs, permalink: '', databaseId }))?.id || null;
+    }
+    if (!pageId) {
+      rememberUntrackedThread(threadKey);
+      return;
     }
-    if (!res.has_more) {break;}
-    cursor = res.next_cursor;
+    untrackedThreads.delete(threadKey);
+
+    await threadMirror.append({ pageId, databaseId, channel, message });
+    metrics.increment('repliesMirrored', { channel, databaseId });
+    logger.info({ channel, ts: message.ts, threadTs, pageId }, 'Mirrored thread reply to Notion page');
+  } catch (err) {
+    logger.warn({ error: err.message, channel, ts: message.ts, threadTs }, 'Failed to mirror thread reply');
   }
-  return null;
 }
 
 /**
- * Resolves a Slack user to a Notion user ID and mention string
- * Looks up the Slack user's email and finds the corresponding Notion user
- * @param {string} slackUserId - Slack user ID
- * @param {Object} client - Slack Web API client
- * @returns {Promise<Object>} Object with mention string and notionId
- * @returns {string} returns.mention - Slack mention format (<@USER_ID>)
- * @returns {string|null} returns.notionId - Notion user ID if resolved, null otherwise
+ * Builds the intake modal for a channel, loading that channel's field definitions
+ * @param {string|null} channelId - Preselected channel (null or unmonitored shows a notice)
+ * @returns {Object} Slack modal view payload
  */
-async function resolveNotionPersonForSlackUser(slackUserId, client) {
-  try {
-    if (!slackUserId) {return { mention: '', notionId: null };}
-    const info = await withTimeout(
-      client.users.info({ user: slackUserId }),
-      API_TIMEOUT,
-      'Slack users.info'
-    );
-    const email = info?.user?.profile?.email || null;
-    const mention = `<@${slackUserId}>`;
-    if (!email) {
-      return { mention, notionId: null };
-    } // requires users:read.email; fallback to mention text
-    const notionId = await findNotionUserIdByEmail(email);
-    return { mention, notionId };
-  } catch {
-    // On any failure, return mention only
-    return { mention: slackUserId ? `<@${slackUserId}>` : '', notionId: null };
+function intakeModalFor(channelId) {
+  const databaseId = channelId ? getDatabaseIdForChannel(channelId) : null;
+  if (!databaseId) {
+    return buildIntakeModal({
+      fields: [],
+      channelId,
+      notice: channelId
+        ? `${icons.emojiWarn} <#${channelId}> is not connected to a Notion database. Pick an on-call channel.`
+        : 'Pick the on-call channel to load its intake form.'
+    });
   }
+  return buildIntakeModal({ fields: getFieldsForDatabase(databaseId), channelId });
 }
 
 /**
- * Sets a property on a Notion page properties object
- * Automatically converts values to the appropriate format for each property type
- * Strips rich text formatting (* and _) from all fields except "Reported by (text)"
- * @param {Object} props - Properties object to modify
- * @param {string} name - Property name
- * @param {*} value - Value to set (will be converted based on property type)
- * @param {Object} schema - The schema object containing property metadata
- * @returns {void}
+ * Opens the intake modal from the /oncall slash command
+ * Preselects the channel the command was run in
  */
-function setProp(props, name, value, schema) {
-  if (value === undefined || value === null) {return;}
-  const meta = schema?.byName[name.toLowerCase()];
-  if (!meta) {return;}
+app.command(INTAKE_COMMAND, async ({ ack, command, client }) => {
+  await ack();
+  lastActivityTime = Date.now();
+  try {
+    await client.views.open({ trigger_id: command.trigger_id, view: intakeModalFor(command.channel_id) });
+  } catch (err) {
+    logger.error({ error: err.message, channel: command.channel_id }, 'Failed to open intake modal');
+  }
+});
 
-  const toStr = (v) => (v instanceof Date ? v.toISOString() : String(v));
-  
-  // Strip rich text formatting for all fields except "Reported by (text)"
-  const shouldStripFormatting = name.toLowerCase() !== NOTION_FIELDS.REPORTED_BY_TEXT.toLowerCase();
-  const processValue = (v) => {
-    const str = toStr(v);
-    return shouldStripFormatting ? stripRichTextFormatting(str) : str;
-  };
+/**
+ * Opens the intake modal from the global shortcut (no channel context)
+ */
+app.shortcut(INTAKE_SHORTCUT_ID, async ({ ack, shortcut, client }) => {
+  await ack();
+  lastActivityTime = Date.now();
+  try {
+    await client.views.open({ trigger_id: shortcut.trigger_id, view: intakeModalFor(null) });
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to open intake modal from shortcut');
+  }
+});
 
-  switch (meta.type) {
-    case 'title':
-      props[name] = { title: [{ type: 'text', text: { content: processValue(value) } }] };
-      break;
-    case 'rich_text':
-      props[name] = { rich_text: [{ type: 'text', text: { content: processValue(value) } }] };
-      break;
-    case 'select':
-      props[name] = { select: { name: processValue(value) } };
-      break;
-    case 'date': {
-      let dt = null;
-      if (value instanceof Date && !isNaN(value)) {
-        dt = value;
-      } else if (typeof value === 'string') {
-        dt = parseNeededByString(value);
-        if (!dt || isNaN(dt)) {dt = new Date(value);}
-      }
-      if (dt && !isNaN(dt)) {
-        props[name] = { date: { start: dt.toISOString() } };
-      }
-      // If parsing failed, skip setting this property to avoid crashes.
-      break;
-    }
-    case 'url':
-      props[name] = { url: processValue(value) };
-      break;
-    case 'number':
-      props[name] = { number: typeof value === 'number' ? value : Number(value) };
-      break;
-    case 'email':
-      props[name] = { email: processValue(value) };
-      break;
-    default:
-      // Fallback to rich_text
-      props[name] = { rich_text: [{ type: 'text', text: { content: processValue(value) } }] };
+/**
+ * Reloads the intake form when the channel picker changes (the database may use other fields)
+ */
+app.action(INTAKE_CHANNEL_ACTION, async ({ ack, body, client }) => {
+  await ack();
+  const channelId = body.actions?.[0]?.selected_conversation || null;
+  try {
+    await client.views.update({ view_id: body.view.id, hash: body.view.hash, view: intakeModalFor(channelId) });
+  } catch (err) {
+    logger.warn({ error: err.message, channel: channelId }, 'Failed to refresh intake modal');
   }
-}
+});
 
 /**
- * Schedules a column check for a newly created Notion page
- * Polls the page for up to 5 minutes to check if findings are populated
- * @param {string} pageId - Notion page ID to monitor
- * @param {string} slackChannel - Slack channel ID for response
- * @param {string} slackTs - Slack message timestamp for threading
- * @param {string} databaseId - Notion database ID
- * @returns {void}
+ * Handles intake modal submissions
+ * Validates inline (errors shown on the offending inputs), then posts the issue
+ * to the mapped channel and syncs it through the same path as @auto messages.
+ * Select options are checked inline only when the schema is cached; otherwise they are
+ * checked after the ack and rejected values are reported to the submitter ephemerally
  */
-function scheduleColumnCheck(pageId, slackChannel, slackTs, databaseId) {
-  if (!pageId || !slackChannel || !slackTs || !databaseId) {
-    logger.warn({ pageId, slackChannel, slackTs, databaseId }, 'Missing required params for scheduleColumnCheck');
+app.view(INTAKE_VIEW_ID, async ({ ack, body, view, client }) => {
+  const startTime = Date.now();
+  lastActivityTime = Date.now();
+  const user = body.user?.id;
+  const channel = selectedChannel(view);
+  const databaseId = channel ? getDatabaseIdForChannel(channel) : null;
+
+  if (!databaseId) {
+    await ack({ response_action: 'errors', errors: channelError('This channel is not connected to a Notion database') });
     return;
   }
 
-  pendingChecks.set(pageId, {
-    slackChannel,
-    slackTs,
-    databaseId,
-    checkCount: 0,
+  const fields = getFieldsForDatabase(databaseId);
+  const text = submissionToText(view, fields);
+  const parseOptions = { calendar: getBusinessCalendar(databaseId), asap: getAsapPolicy(databaseId) };
+  // Inline checks use only cached data: loading the schema or the reporter's time zone here
+  // could miss Slack's 3-second ack window (modal dates are exact, so the zone cannot fail them)
+  const schema = getSchemaCache(databaseId).getCurrent();
+  const submitted = parseAutoBlock(text, fields, parseOptions);
+  const errors = submissionErrors(submitted, fields, schema ? checkSelectOptions(submitted, fields, schema).issues : []);
+  const labels = { channel, databaseId, trigger: 'modal' };
+  if (Object.keys(errors).length > 0) {
+    metrics.increment('validationErrors', { ...labels, errorKind: 'invalid_fields' });
+    await ack({ response_action: 'errors', errors });
+    return;
+  }
+  await ack();
+
+  metrics.increment('messagesProcessed', labels);
+  logger.info({ channel, user, source: 'modal', metricsTotal: metrics.get('messagesProcessed') }, 'Processing intake modal submission');
+  const locale = await localeFor({ channel, user, client });
+
+  try {
+    // Re-read in the reporter's time zone (ASAP and the default Needed by) and check options against the loaded schema
+    const timeZone = await slackUserTimeZone(user, client);
+    const { parsed, issues, corrections } = checkSelectOptions(
+      parseAutoBlock(text, fields, { ...parseOptions, timeZone }),
+      fields,
+      await getSchema(databaseId),
+      locale
+    );
+    for (const correction of corrections) {
+      logger.info({ ...correction, channel, databaseId }, 'Corrected select value to the closest option');
+    }
+    if (issues.length) {
+      metrics.increment('validationErrors', { ...labels, errorKind: 'invalid_option' });
+      logger.warn({ issues: issues.map(i => i.message), channel, user }, 'Validation failed: unknown select options');
+      await client.chat.postEphemeral({
+        channel,
+        user,
+        text: `${icons.emojiBang} *${translate(locale, 'invalidTitle')}*\n\n` +
+          issues.map(i => i.message).join('\n\n') +
+          `\n\n${translate(locale, 'modalResubmit')}`
+      });
+      return;
+    }
+
+    // The bot's channel post becomes the tracked Slack message for this issue
+    const posted = await client.chat.postMessage({
+      channel,
+      text: intakeMessageText({ userId: user, parsed, fields, text }),
+      unfurl_links: false,
+      unfurl_media: false
+    });
+    const ts = posted.ts;
+    const { permalink = '' } = await withTimeout(
+      client.chat.getPermalink({ channel, message_ts: ts }).then(r => r || {}),
+      API_TIMEOUT,
+      'Slack getPermalink'
+    );
+    await syncIssueToNotion({ client, channel, ts, user, parsed, permalink, databaseId, trigger: 'modal', startTime, locale });
+  } catch (err) {
+    metrics.increment('messagesFailed', { ...labels, errorKind: classifyError(err) });
+    logger.error({ error: err.message, stack: err.stack, channel, user }, 'Intake modal handler error');
+    if (user) {
+      await client.chat.postEphemeral({
+        channel,
+        user,
+        text: `${icons.emojiBang} ${translate(locale, 'modalFailed', { error: err.message })}`
+      }).catch(() => {}); // Ignore errors in error handler
+    }
+  }
+});
+
+/**
+ * Schedules a column check for a newly created Notion page
+ * Polls the page for up to 5 minutes to check if findings are populated
+ * @param {string} pageId - Notion page ID to monitor
+ * @param {string} slackChannel - Slack channel ID for response
+ * @param {string} slackTs - Slack message timestamp for threading
+ * @param {string} databaseId - Notion database ID
+ * @param {string} [locale] - Locale of the findings reply
+ * @returns {void}
+ */
+function scheduleColumnCheck(pageId, slackChannel, slackTs, databaseId, locale = config.i18n.defaultLocale) {
+  if (!pageId || !slackChannel || !slackTs || !databaseId) {
+    logger.warn({ pageId, slackChannel, slackTs, databaseId }, 'Missing required params for scheduleColumnCheck');
+    return;
+  }
+
+  const entry = {
+    slackChannel,
+    slackTs,
+    databaseId,
+    locale,
+    checkCount: 0,
     createdAt: Date.now()
-  });
+  };
+  pendingChecks.set(pageId, entry);
+  persistPendingCheck(pageId, entry);
 
   logger.info({ pageId, slackChannel, slackTs }, 'Scheduled findings check for page');
 
-  // Start the polling timer if not already running
+  startFindingsPolling();
+}
+
+/**
+ * Starts the findings polling timer if it is not already running
+ * @returns {void}
+ */
+function startFindingsPolling() {
   if (!findingsCheckTimer) {
     findingsCheckTimer = setInterval(checkPendingPages, FINDINGS_CHECK_INTERVAL);
     logger.info({ intervalMs: FINDINGS_CHECK_INTERVAL }, 'Started findings check polling');
   }
 }
 
+/**
+ * Writes a pending check entry to the durable store
+ * Persistence failures are logged but never interrupt message handling
+ * @param {string} pageId - Notion page ID
+ * @param {Object} entry - Pending check entry
+ * @returns {void}
+ */
+function persistPendingCheck(pageId, entry) {
+  pendingStore.set(pageId, entry).catch(err => {
+    logger.error({ error: err.message, pageId }, 'Failed to persist pending findings check');
+  });
+}
+
+/**
+ * Removes a pending check from memory and from the durable store
+ * @param {string} pageId - Notion page ID
+ * @returns {void}
+ */
+function removePendingCheck(pageId) {
+  pendingChecks.delete(pageId);
+  pendingStore.delete(pageId).catch(err => {
+    logger.error({ error: err.message, pageId }, 'Failed to remove persisted findings check');
+  });
+}
+
+/**
+ * Restores pending findings checks saved before the last shutdown
+ * Entries keep their checkCount and createdAt, so the polling budget carries over;
+ * entries whose budget already elapsed while the bot was down are dropped
+ * @returns {Promise<void>}
+ */
+async function rehydratePendingChecks() {
+  let saved;
+  try {
+    saved = await pendingStore.load();
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to load persisted findings checks');
+    return;
+  }
+
+  const budgetMs = FINDINGS_MAX_CHECKS * FINDINGS_CHECK_INTERVAL;
+  let restored = 0;
+  for (const [pageId, entry] of Object.entries(saved)) {
+    const expired = entry.checkCount >= FINDINGS_MAX_CHECKS || (Date.now() - entry.createdAt) > budgetMs;
+    if (expired) {
+      removePendingCheck(pageId);
+      metrics.increment('findingsTimeout', { channel: entry.slackChannel, databaseId: entry.databaseId });
+      continue;
+    }
+    pendingChecks.set(pageId, entry);
+    restored++;
+  }
+
+  if (restored > 0) {
+    logger.info({ restored }, 'Restored pending findings checks');
+    startFindingsPolling();
+  }
+}
+
 /**
  * Checks all pending pages for populated findings column
  * Posts to Slack thread when findings are found, or removes after timeout
@@ -985,79 +1238,1052 @@ async function checkPendingPages() {
       const schema = await getSchema(info.databaseId);
       const findingsMeta = schema.byName[NOTION_FIELDS.ONCALL_CAT_FINDINGS.toLowerCase()];
 
-      if (!findingsMeta) {
-        logger.warn({ pageId, databaseId: info.databaseId }, 'Findings column not found in schema');
-        pendingChecks.delete(pageId);
-        continue;
+      // Findings live in the column, or (databases without one) under a "Findings" heading in the page body
+      let findingsSource;
+      if (findingsMeta) {
+        findingsSource = page.properties[findingsMeta.name]?.rich_text || [];
+      } else {
+        const body = await listPageBlocks(pageId);
+        findingsSource = sectionUnderHeading(body, NOTION_FIELDS.ONCALL_CAT_FINDINGS) ?? sectionUnderHeading(body, 'Findings');
+        if (!findingsSource) {
+          logger.warn({ pageId, databaseId: info.databaseId }, 'Findings column not found in schema and no Findings heading in the page');
+          removePendingCheck(pageId);
+          continue;
+        }
       }
 
-      // Check if findings column has content
-      const findingsProp = page.properties[findingsMeta.name];
-      let hasContent = false;
-      let findingsText = '';
-
-      if (findingsProp?.rich_text && Array.isArray(findingsProp.rich_text)) {
-        // Convert Notion rich text to Slack markdown
-        findingsText = findingsProp.rich_text.map(block => {
-          let text = block.plain_text || '';
-          const annotations = block.annotations || {};
-          
-          // Apply Slack formatting based on Notion annotations
-          if (annotations.bold) {
-            text = `*${text}*`;
-          }
-          if (annotations.italic) {
-            text = `_${text}_`;
-          }
-          if (annotations.strikethrough) {
-            text = `~${text}~`;
-          }
-          if (annotations.code) {
-            text = `\`${text}\``;
-          }
-          
-          // Handle links
-          if (block.href) {
-            text = `<${block.href}|${text}>`;
-          }
-          
-          return text;
-        }).join('').trim();
-        hasContent = findingsText.length > 0;
-      }
+      const slackMentions = await slackMentionsForPeople(await withNotionEmails(mentionedPeople(findingsSource)));
+      const findingsText = findingsMeta
+        ? richTextToMrkdwn(findingsSource, { slackMentions }).trim()
+        : blocksToMrkdwn(findingsSource, { slackMentions });
+      const hasContent = findingsText.length > 0;
 
       if (hasContent) {
         // Findings populated! Respond to user
         logger.info({ pageId, checkCount: info.checkCount, elapsedMinutes }, 'Findings populated, notifying user');
         
-        const learningMessage = `\n\n*I’m always sharpening my claws and getting smarter. Share the resolution here and feel free to correct me; every hint helps me become a flawless hunter!* ${icons.emojiFindings}`;
+        // Checks persisted before replies were localized have no locale
+        const t = (key, params) => translate(info.locale || config.i18n.defaultLocale, key, params);
+        // With thread mirroring on, replies here land in the page body
+        const shareHint = t(config.threadMirror.enabled ? 'findingsShareMirrored' : 'findingsShare');
+        const learningMessage = `${t('findingsLearning', { share: shareHint })} ${icons.emojiFindings}`;
+        const section = (text) => ({ type: 'section', text: { type: 'mrkdwn', text } });
         
         await app.client.chat.postMessage({
           channel: info.slackChannel,
           thread_ts: info.slackTs,
-          text: `${icons.emojiFindings} *Findings*\n\n${findingsText}${learningMessage}`,
+          // Notification/fallback text; the findings themselves are in the blocks
+          text: `${icons.emojiFindings} ${t('findingsReady')}`,
+          blocks: [
+            section(`${icons.emojiFindings} *${t('findingsTitle')}*`),
+            ...sectionBlocks(findingsText, {
+              maxSections: MAX_BLOCKS - 2,
+              truncatedNote: t('findingsTruncated', { url: page.url })
+            }),
+            section(learningMessage)
+          ],
           unfurl_links: false,
           unfurl_media: false
         });
 
         // Remove from pending checks
-        pendingChecks.delete(pageId);
-        metrics.increment('findingsDelivered');
+        removePendingCheck(pageId);
+        metrics.increment('findingsDelivered', { channel: info.slackChannel, databaseId: info.databaseId });
       } else if (info.checkCount >= FINDINGS_MAX_CHECKS) {
         // Timeout reached, stop checking
         logger.info({ pageId, checkCount: info.checkCount, elapsedMinutes }, 'Findings check timeout reached');
-        pendingChecks.delete(pageId);
-        metrics.increment('findingsTimeout');
+        removePendingCheck(pageId);
+        metrics.increment('findingsTimeout', { channel: info.slackChannel, databaseId: info.databaseId });
       } else {
         logger.debug({ pageId, checkCount: info.checkCount, elapsedMinutes }, 'Findings not yet populated, will retry');
+        persistPendingCheck(pageId, info);
       }
     } catch (err) {
       logger.error({ error: err.message, pageId }, 'Error checking page for findings');
       // Remove from tracking on persistent errors
       if (info.checkCount >= 3) {
-        pendingChecks.delete(pageId);
+        removePendingCheck(pageId);
+      } else {
+        persistPendingCheck(pageId, info);
+      }
+    }
+  }
+}
+
+/**
+ * Starts tracking a page for Notion -> Slack status sync, or refreshes its snapshot
+ * Called after every write the bot makes, so its own changes are never reported back
+ * @param {Object} params - Function parameters
+ * @param {Object} params.page - Notion page object returned by create/update
+ * @param {string} params.slackChannel - Slack channel of the original message
+ * @param {string} params.slackTs - Timestamp of the original message (thread parent)
+ * @param {string} params.databaseId - Notion database ID
+ * @returns {void}
+ */
+function trackPageStatus({ page, slackChannel, slackTs, databaseId }) {
+  if (!config.statusSync.enabled || !page?.id) {return;}
+
+  getSchema(databaseId)
+    .then(schema => {
+      const previous = trackedPages.get(page.id);
+      const entry = {
+        slackChannel,
+        slackTs,
+        databaseId,
+        snapshot: snapshotPage(page, watchedPropertyNames(schema)),
+        reaction: previous?.reaction || null,
+        trackedAt: previous?.trackedAt || Date.now()
+      };
+      trackedPages.set(page.id, entry);
+      persistTrackedPage(page.id, entry);
+      startStatusSync();
+    })
+    .catch(err => {
+      logger.warn({ error: err.message, pageId: page.id }, 'Failed to track page for status sync');
+    });
+}
+
+/**
+ * Resolves the configured watched properties to the exact names present in a database
+ * @param {Object} schema - Database schema from getSchema()
+ * @returns {string[]} Exact Notion property names
+ */
+function watchedPropertyNames(schema) {
+  return config.statusSync.properties
+    .map(name => schema.byName[name.toLowerCase()]?.name)
+    .filter(Boolean);
+}
+
+/**
+ * Starts the status sync timer if it is not already running
+ * @returns {void}
+ */
+function startStatusSync() {
+  if (config.statusSync.enabled && !statusSyncTimer) {
+    statusSyncTimer = setInterval(pollStatusChanges, config.statusSync.intervalMs);
+    logger.info({ intervalMs: config.statusSync.intervalMs }, 'Started Notion status sync polling');
+  }
+}
+
+/**
+ * Writes a tracked page entry to the durable store
+ * @param {string} pageId - Notion page ID
+ * @param {Object} entry - Tracked page entry
+ * @returns {void}
+ */
+function persistTrackedPage(pageId, entry) {
+  trackedStore.set(pageId, entry).catch(err => {
+    logger.error({ error: err.message, pageId }, 'Failed to persist tracked page');
+  });
+}
+
+/**
+ * Stops tracking a page
+ * @param {string} pageId - Notion page ID
+ * @returns {void}
+ */
+function untrackPage(pageId) {
+  trackedPages.delete(pageId);
+  trackedStore.delete(pageId).catch(err => {
+    logger.error({ error: err.message, pageId }, 'Failed to remove tracked page');
+  });
+}
+
+/**
+ * Restores tracked pages saved before the last shutdown
+ * @returns {Promise<void>}
+ */
+async function rehydrateTrackedPages() {
+  if (!config.statusSync.enabled) {return;}
+  try {
+    const saved = await trackedStore.load();
+    for (const [pageId, entry] of Object.entries(saved)) {
+      trackedPages.set(pageId, entry);
+    }
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to load tracked pages');
+    return;
+  }
+  if (trackedPages.size > 0) {
+    logger.info({ tracked: trackedPages.size }, 'Restored pages tracked for status sync');
+    startStatusSync();
+  }
+}
+
+/**
+ * Polls Notion for edits to tracked pages and mirrors changes into their Slack threads
+ * Queries each database once for pages edited since the last poll instead of fetching pages one by one
+ * @returns {Promise<void>}
+ */
+async function pollStatusChanges() {
+  if (statusSyncRunning) {return;}
+  statusSyncRunning = true;
+  try {
+    // Stop following pages once they are older than the retention window
+    const maxAgeMs = config.statusSync.maxAgeDays * 24 * 60 * 60 * 1000;
+    for (const [pageId, entry] of trackedPages.entries()) {
+      if (Date.now() - entry.trackedAt > maxAgeMs) {untrackPage(pageId);}
+    }
+
+    if (trackedPages.size === 0) {
+      if (statusSyncTimer) {
+        clearInterval(statusSyncTimer);
+        statusSyncTimer = null;
+        logger.info('Stopped Notion status sync polling (no tracked pages)');
       }
+      return;
+    }
+
+    const cursors = await statusCursorStore.load().catch(() => ({}));
+    const databaseIds = new Set([...trackedPages.values()].map(entry => entry.databaseId));
+    for (const databaseId of databaseIds) {
+      const pollStartedAt = Date.now();
+      const since = cursors[databaseId]?.since ?? pollStartedAt - config.statusSync.intervalMs;
+      try {
+        await syncDatabaseStatus(databaseId, since);
+        await statusCursorStore.set(databaseId, { since: pollStartedAt });
+      } catch (err) {
+        logger.error({ error: err.message, databaseId }, 'Error polling Notion for status changes');
+      }
+    }
+  } finally {
+    statusSyncRunning = false;
+  }
+}
+
+/**
+ * Diffs tracked pages of one database that were edited since a point in time
+ * @param {string} databaseId - Notion database ID
+ * @param {number} since - Epoch ms of the previous successful poll
+ * @returns {Promise<void>}
+ */
+async function syncDatabaseStatus(databaseId, since) {
+  const schema = await getSchema(databaseId);
+  const names = watchedPropertyNames(schema);
+  if (names.length === 0) {return;}
+
+  // last_edited_time is rounded to the minute; look back one extra minute (unchanged pages diff to nothing)
+  const editedAfter = new Date(since - 60000).toISOString();
+  let cursor;
+  do {
+    const res = await notionThrottled.databases.query({
+      database_id: databaseId,
+      filter: { timestamp: 'last_edited_time', last_edited_time: { on_or_after: editedAfter } },
+      page_size: 100,
+      ...(cursor ? { start_cursor: cursor } : {})
+    });
+    for (const page of res.results || []) {
+      const entry = trackedPages.get(page.id);
+      if (entry) {
+        await applyStatusChanges(page.id, entry, page, names);
+      }
+    }
+    cursor = res.has_more ? res.next_cursor : undefined;
+  } while (cursor);
+}
+
+/**
+ * Posts a thread update (and swaps the status reaction) for one changed page
+ * @param {string} pageId - Notion page ID
+ * @param {Object} entry - Tracked page entry (updated in place)
+ * @param {Object} page - Current Notion page object
+ * @param {string[]} names - Watched property names
+ * @returns {Promise<void>}
+ */
+async function applyStatusChanges(pageId, entry, page, names) {
+  const snapshot = snapshotPage(page, names);
+  const changes = diffSnapshots(entry.snapshot, snapshot);
+  entry.snapshot = snapshot;
+
+  if (changes.length > 0) {
+    const mentions = await slackMentionsForPeople(changes.flatMap(c => (Array.isArray(c.to) ? c.to : [])));
+    const text = formatStatusUpdate(changes, { mentionFor: (person) => mentions.get(person.id) || person.name || 'someone' });
+    try {
+      await withTimeout(
+        app.client.chat.postMessage({
+          channel: entry.slackChannel,
+          thread_ts: entry.slackTs,
+          text: `${icons.emojiReload} ${text}`,
+          unfurl_links: false,
+          unfurl_media: false
+        }),
+        API_TIMEOUT,
+        'Slack chat.postMessage'
+      );
+      metrics.increment('statusUpdatesPosted', { channel: entry.slackChannel, databaseId: entry.databaseId });
+      logger.info({ pageId, changed: changes.map(c => c.name) }, 'Posted Notion status update to Slack thread');
+    } catch (err) {
+      logger.error({ error: err.message, pageId, channel: entry.slackChannel }, 'Failed to post status update');
+    }
+
+    const statusName = names.find(name => name.toLowerCase() === NOTION_FIELDS.STATUS.toLowerCase());
+    if (statusName && changes.some(c => c.name === statusName)) {
+      await updateStatusReaction(entry, snapshot[statusName]);
+    }
+  }
+
+  persistTrackedPage(pageId, entry);
+}
+
+/**
+ * Who is on call in a rotation file at a moment, as Slack and Notion users
+ * A missing or invalid rotation file is logged and treated as nobody on call
+ * @param {Object} params - Function parameters
+ * @param {string|null} params.rotationFile - Path to the rotation file
+ * @param {Date} [params.when=new Date()] - Moment to look up (e.g. when the Slack message was posted)
+ * @param {Object} [params.client=app.client] - Slack Web API client
+ * @returns {Promise<Object|null>} { slackId, mention, notionId }, or null when nobody is on call
+ */
+async function onCallFor({ rotationFile, when = new Date(), client = app.client }) {
+  if (!rotationFile) {return null;}
+  let shift;
+  try {
+    shift = onCallAt(loadRotation(rotationFile), when);
+  } catch (err) {
+    logger.warn({ error: err.message, rotationFile }, 'Could not read on-call rotation');
+    return null;
+  }
+  return shift ? resolveRotationUser(shift.user, client) : null;
+}
+
+/**
+ * Slack user on call for an escalation: the policy's rotation file, else the channel's
+ * @param {Object} policy - Escalation policy
+ * @param {string} channel - Slack channel the issue was filed in
+ * @returns {Promise<string|null>} Slack user ID
+ */
+async function currentOnCall(policy, channel) {
+  const onCall = await onCallFor({ rotationFile: policy.rotationFile || getRotationFileForChannel(channel) });
+  return onCall?.slackId || null;
+}
+
+/**
+ * Reads a page's Status value
+ * @param {Object} page - Notion page object
+ * @param {Object} schema - Database schema from getSchema()
+ * @returns {string|null} Status (select or status option name), null when the database has none
+ */
+function pageStatus(page, schema) {
+  const name = schema.byName[NOTION_FIELDS.STATUS.toLowerCase()]?.name;
+  return name ? snapshotPage(page, [name])[name] ?? null : null;
+}
+
+/**
+ * Escalates a new issue when its priority matches the database's escalation policy:
+ * mentions the on-call group in the thread, cross-posts to the incidents channel and DMs
+ * the current on-call, then waits for an acknowledgement before re-pinging
+ * Each post fails on its own, so a missing incidents channel does not stop the DM
+ * @param {Object} params - Function parameters
+ * @param {Object} params.page - Created Notion page
+ * @param {string} params.channel - Slack channel ID
+ * @param {string} params.ts - Slack message timestamp
+ * @param {Object} params.parsed - Parsed issue data
+ * @param {string} params.permalink - Slack message permalink
+ * @param {string} params.databaseId - Notion database ID
+ * @returns {Promise<void>}
+ */
+async function escalateIssue({ page, channel, ts, parsed, permalink, databaseId }) {
+  const { escalation: policy, fields } = getDatabaseSettings(databaseId);
+  const priority = issuePriority(parsed, fields);
+  if (!shouldEscalate(policy, priority)) {return;}
+
+  const onCallUser = await currentOnCall(policy, channel);
+  const messages = formatEscalation({
+    policy,
+    priority,
+    title: pageTitleFor(parsed, databaseId),
+    pageUrl: page.url,
+    channel,
+    permalink,
+    onCallUser
+  });
+  const posts = [
+    { channel, thread_ts: ts, text: messages.thread },
+    messages.incident && { channel: policy.incidentChannel, text: messages.incident, unfurl_links: false },
+    messages.dm && { channel: onCallUser, text: messages.dm, unfurl_links: false }
+  ].filter(Boolean);
+  for (const post of posts) {
+    await withTimeout(app.client.chat.postMessage(post), API_TIMEOUT, 'Slack chat.postMessage').catch(err => {
+      logger.error({ error: err.message, channel: post.channel, pageId: page.id }, 'Failed to post escalation');
+    });
+  }
+  metrics.increment('escalations', { channel, databaseId });
+  logger.warn({ pageId: page.id, channel, ts, priority, onCallUser, incidentChannel: policy.incidentChannel }, 'Escalated issue');
+
+  const now = Date.now();
+  const entry = {
+    slackChannel: channel,
+    slackTs: ts,
+    databaseId,
+    status: pageStatus(page, await getSchema(databaseId)),
+    escalatedAt: now,
+    lastPingAt: now,
+    repings: 0
+  };
+  if (nextEscalationStep(entry, policy, now) === 'done') {return;}
+  pendingEscalations.set(page.id, entry);
+  persistEscalation(page.id, entry);
+  startEscalationPolling();
+}
+
+/**
+ * Starts the escalation timer if it is not already running
+ * @returns {void}
+ */
+function startEscalationPolling() {
+  if (!escalationTimer) {
+    escalationTimer = setInterval(checkEscalations, ESCALATION_CHECK_INTERVAL);
+    logger.info({ intervalMs: ESCALATION_CHECK_INTERVAL }, 'Started escalation polling');
+  }
+}
+
+/**
+ * Writes a pending escalation to the durable store
+ * @param {string} pageId - Notion page ID
+ * @param {Object} entry - Pending escalation entry
+ * @returns {void}
+ */
+function persistEscalation(pageId, entry) {
+  escalationStore.set(pageId, entry).catch(err => {
+    logger.error({ error: err.message, pageId }, 'Failed to persist escalation');
+  });
+}
+
+/**
+ * Stops following an escalation
+ * @param {string} pageId - Notion page ID
+ * @returns {void}
+ */
+function removeEscalation(pageId) {
+  if (!pendingEscalations.delete(pageId)) {return;}
+  escalationStore.delete(pageId).catch(err => {
+    logger.error({ error: err.message, pageId }, 'Failed to remove escalation');
+  });
+}
+
+/**
+ * Restores escalations saved before the last shutdown (a re-ping that fell due meanwhile goes out on the next poll)
+ * @returns {Promise<void>}
+ */
+async function rehydrateEscalations() {
+  try {
+    const saved = await escalationStore.load();
+    for (const [pageId, entry] of Object.entries(saved)) {
+      pendingEscalations.set(pageId, entry);
     }
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to load escalations');
+    return;
+  }
+  if (pendingEscalations.size > 0) {
+    logger.info({ pending: pendingEscalations.size }, 'Restored pending escalations');
+    startEscalationPolling();
+  }
+}
+
+/**
+ * Re-pings escalations that are due, unless someone reacted to the message or changed the page's Status
+ * @returns {Promise<void>}
+ */
+async function checkEscalations() {
+  if (escalationRunning) {return;}
+  escalationRunning = true;
+  try {
+    for (const [pageId, entry] of pendingEscalations) {
+      const policy = getDatabaseSettings(entry.databaseId).escalation;
+      const step = policy ? nextEscalationStep(entry, policy) : 'done';
+      if (step === 'done') {
+        removeEscalation(pageId);
+        continue;
+      }
+      if (step === 'wait') {continue;}
+      try {
+        await repingEscalation(pageId, entry, policy);
+      } catch (err) {
+        logger.error({ error: err.message, pageId }, 'Error checking escalation');
+      }
+    }
+    if (pendingEscalations.size === 0 && escalationTimer) {
+      clearInterval(escalationTimer);
+      escalationTimer = null;
+      logger.info('Stopped escalation polling (no pending escalations)');
+    }
+  } finally {
+    escalationRunning = false;
+  }
+}
+
+/**
+ * Checks one due escalation for an acknowledgement and re-pings the thread and the on-call otherwise
+ * @param {string} pageId - Notion page ID
+ * @param {Object} entry - Pending escalation entry (updated in place)
+ * @param {Object} policy - Escalation policy
+ * @returns {Promise<void>}
+ */
+async function repingEscalation(pageId, entry, policy) {
+  const labels = { channel: entry.slackChannel, databaseId: entry.databaseId };
+  botUserId = botUserId || (await withTimeout(app.client.auth.test(), API_TIMEOUT, 'Slack auth.test')).user_id;
+  const [reactions, page] = await Promise.all([
+    withTimeout(
+      app.client.reactions.get({ channel: entry.slackChannel, timestamp: entry.slackTs, full: true }),
+      API_TIMEOUT,
+      'Slack reactions.get'
+    ),
+    notionThrottled.pages.retrieve({ page_id: pageId })
+  ]);
+  const acknowledged = page.archived || isAcknowledged({
+    reactions: reactions.message?.reactions,
+    botUserId,
+    statusAtEscalation: entry.status,
+    status: pageStatus(page, await getSchema(entry.databaseId))
+  });
+  if (acknowledged) {
+    removeEscalation(pageId);
+    metrics.increment('escalationsAcknowledged', labels);
+    logger.info({ pageId, minutes: Math.round((Date.now() - entry.escalatedAt) / 60000) }, 'Escalation acknowledged');
+    return;
+  }
+
+  entry.repings++;
+  entry.lastPingAt = Date.now();
+  const onCallUser = await currentOnCall(policy, entry.slackChannel);
+  const text = formatReping({
+    policy,
+    minutes: Math.round((entry.lastPingAt - entry.escalatedAt) / 60000),
+    onCallUser,
+    last: entry.repings >= policy.maxRepings
+  });
+  await withTimeout(
+    app.client.chat.postMessage({ channel: entry.slackChannel, thread_ts: entry.slackTs, text }),
+    API_TIMEOUT,
+    'Slack chat.postMessage'
+  );
+  if (onCallUser) {
+    await withTimeout(
+      app.client.chat.postMessage({ channel: onCallUser, text: `${text}
+${page.url}`, unfurl_links: false }),
+      API_TIMEOUT,
+      'Slack chat.postMessage'
+    ).catch(err => {
+      logger.error({ error: err.message, pageId }, 'Failed to DM on-call');
+    });
+  }
+  metrics.increment('escalationRepings', labels);
+  logger.warn({ pageId, repings: entry.repings, onCallUser }, 'Escalation not acknowledged; pinged again');
+  persistEscalation(pageId, entry);
+}
+
+/**
+ * Starts the SLA monitor when SLA_ENABLED=true
+ * @returns {void}
+ */
+function startSlaMonitor() {
+  if (config.sla.enabled && !slaTimer) {
+    slaTimer = setInterval(checkSlas, config.sla.intervalMs);
+    logger.info({ intervalMs: config.sla.intervalMs, lookbackDays: config.sla.lookbackDays }, 'Started SLA monitor');
+    checkSlas();
+  }
+}
+
+/**
+ * Writes a page's posted SLA reminders to the durable store
+ * @param {string} pageId - Notion page ID
+ * @param {Object} entry - Reminder entry
+ * @returns {void}
+ */
+function persistSlaReminders(pageId, entry) {
+  slaStore.set(pageId, entry).catch(err => {
+    logger.error({ error: err.message, pageId }, 'Failed to persist SLA reminders');
+  });
+}
+
+/**
+ * Forgets the SLA reminders of a page (done, deleted, or no longer due soon)
+ * @param {string} pageId - Notion page ID
+ * @returns {void}
+ */
+function removeSlaReminders(pageId) {
+  if (!slaReminders.delete(pageId)) {return;}
+  slaStore.delete(pageId).catch(err => {
+    logger.error({ error: err.message, pageId }, 'Failed to remove SLA reminders');
+  });
+}
+
+/**
+ * Restores the reminders posted before the last shutdown, so they are not posted twice
+ * @returns {Promise<void>}
+ */
+async function rehydrateSlaReminders() {
+  try {
+    for (const [pageId, entry] of Object.entries(await slaStore.load())) {
+      slaReminders.set(pageId, entry);
+    }
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to load SLA reminders');
+  }
+}
+
+/**
+ * Checks every mapped database with SLA tracking on
+ * @returns {Promise<void>}
+ */
+async function checkSlas() {
+  if (slaRunning) {return;}
+  slaRunning = true;
+  try {
+    for (const [databaseId, channels] of Object.entries(config.notion.dbToChannels || {})) {
+      const policy = getSlaPolicy(databaseId);
+      if (!policy) {continue;}
+      try {
+        await checkDatabaseSla(databaseId, channels, policy);
+      } catch (err) {
+        logger.error({ error: err.message, databaseId }, 'SLA check failed');
+      }
+    }
+  } finally {
+    slaRunning = false;
+  }
+}
+
+/**
+ * Posts the reminders that are due for one database's open pages and refreshes its /sla report
+ * Only pages created within SLA_LOOKBACK_DAYS and due within the largest reminder threshold are queried
+ * @param {string} databaseId - Notion database ID
+ * @param {string[]} channels - Slack channels mapped to the database
+ * @param {Object} policy - SLA policy
+ * @returns {Promise<void>}
+ */
+async function checkDatabaseSla(databaseId, channels, policy) {
+  const schema = await getSchema(databaseId);
+  const field = neededByField(getFieldsForDatabase(databaseId));
+  const neededBy = field && schema.byName[field.property.toLowerCase()];
+  if (neededBy?.type !== 'date') {
+    logger.warn({ databaseId }, 'SLA tracking needs a date property for Needed by; skipping database');
+    return;
+  }
+  const status = schema.byName[NOTION_FIELDS.STATUS.toLowerCase()] || null;
+  const assignee = schema.byName[NOTION_FIELDS.ASSIGNEE.toLowerCase()];
+  const now = Date.now();
+  const filter = slaQueryFilter({ neededBy, status, policy, now, createdAfter: now - config.sla.lookbackDays * 24 * 60 * 60 * 1000 });
+
+  const report = { databaseId, title: schema.dbTitle, checkedAt: new Date(now).toISOString(), breached: [], dueSoon: [] };
+  const seen = new Set();
+  let cursor;
+  do {
+    const res = await notionThrottled.databases.query({
+      database_id: databaseId,
+      filter,
+      page_size: 100,
+      ...(cursor ? { start_cursor: cursor } : {})
+    });
+    for (const page of res.results || []) {
+      const due = Date.parse(page.properties?.[neededBy.name]?.date?.start);
+      const ref = slackRefFromPage(page, schema);
+      // Pages with only a TS column still resolve when the database has a single channel
+      const channel = ref?.channel || (channels.length === 1 ? channels[0] : null);
+      if (Number.isNaN(due) || !ref || !channel) {continue;}
+      seen.add(page.id);
+      (due <= now ? report.breached : report.dueSoon).push({ pageId: page.id, url: page.url, neededBy: new Date(due).toISOString(), channel });
+
+      let entry = slaReminders.get(page.id);
+      if (!entry || entry.due !== due) {
+        entry = { databaseId, due, sent: [] };
+      }
+      const reminder = nextSlaReminder({ due, now, policy, sent: entry.sent });
+      if (!reminder) {continue;}
+      const people = assignee?.type === 'people' ? propertyValue(page.properties[assignee.name]) || [] : [];
+      const mentions = await slackMentionsForPeople(people);
+      const labels = { channel, databaseId };
+      try {
+        await withTimeout(
+          app.client.chat.postMessage({
+            channel,
+            thread_ts: ref.threadTs || ref.ts,
+            text: formatSlaReminder({ reminder, due, pageUrl: page.url, mentions: people.map(p => mentions.get(p.id)).filter(Boolean).join(' ') }),
+            unfurl_links: false,
+            unfurl_media: false
+          }),
+          API_TIMEOUT,
+          'Slack chat.postMessage'
+        );
+      } catch (err) {
+        logger.error({ error: err.message, pageId: page.id, channel }, 'Failed to post SLA reminder');
+        continue;
+      }
+      entry.sent.push(reminder.key);
+      slaReminders.set(page.id, entry);
+      persistSlaReminders(page.id, entry);
+      metrics.increment('slaReminders', labels);
+      if (reminder.firstBreach) {
+        metrics.increment('slaBreaches', labels);
+        logger.warn({ pageId: page.id, databaseId, neededBy: new Date(due).toISOString() }, 'SLA breached');
+      }
+    }
+    cursor = res.has_more ? res.next_cursor : undefined;
+  } while (cursor);
+
+  // Pages that were closed or moved out of the window start over if they come back
+  for (const [pageId, entry] of slaReminders) {
+    if (entry.databaseId === databaseId && !seen.has(pageId)) {removeSlaReminders(pageId);}
+  }
+  slaReports.set(databaseId, report);
+}
+
+/**
+ * Stores a database's schema report; logs drift and posts it to SCHEMA_ALERT_CHANNEL when the problems change
+ * @param {string} databaseId - Notion database ID
+ * @param {Object} report - Output of schemaReport()
+ * @param {string} [dbUrl] - Database link for the alert
+ * @returns {Promise<void>}
+ */
+async function recordSchemaReport(databaseId, report, dbUrl) {
+  const changed = driftSignature(report) !== driftSignature(schemaReports.get(databaseId));
+  schemaReports.set(databaseId, report);
+  if (report.ok || !changed) {return;}
+
+  logger.warn({ databaseId, problems: report.problems.map(p => p.message) }, 'Notion schema drift detected');
+  if (!config.schemaDrift.alertChannel) {return;}
+  try {
+    await withTimeout(
+      app.client.chat.postMessage({ channel: config.schemaDrift.alertChannel, text: `${icons.emojiWarn} ${formatDriftAlert(report, dbUrl)}`, unfurl_links: false }),
+      API_TIMEOUT,
+      'Slack chat.postMessage'
+    );
+  } catch (err) {
+    logger.error({ error: err.message, channel: config.schemaDrift.alertChannel }, 'Failed to post schema drift alert');
+  }
+}
+
+/**
+ * Reports a database whose schema could not be loaded (e.g. no Slack tracking columns)
+ * @param {string} databaseId - Notion database ID
+ * @param {Error} err - Load error
+ * @returns {Promise<void>}
+ */
+async function reportSchemaLoadFailure(databaseId, err) {
+  try {
+    const db = await notionThrottled.databases.retrieve({ database_id: databaseId });
+    await recordSchemaReport(databaseId, schemaReport({
+      databaseId,
+      title: db.title?.[0]?.plain_text || null,
+      byName: propertiesByName(db),
+      fields: getFieldsForDatabase(databaseId),
+      onMessageDeleted: getDatabaseSettings(databaseId).onMessageDeleted
+    }), db.url);
+  } catch (retrieveErr) {
+    // No access at all: the report carries the error instead of properties
+    schemaReports.set(databaseId, {
+      databaseId,
+      title: null,
+      ok: false,
+      problems: [{ kind: 'unreachable', property: null, message: retrieveErr.message || err.message }],
+      checkedAt: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Lists the top-level blocks of a page body
+ * @param {string} pageId - Notion page ID
+ * @returns {Promise<Object[]>} Blocks in page order
+ */
+async function listPageBlocks(pageId) {
+  const blocks = [];
+  let cursor;
+  do {
+    const res = await notionThrottled.blocks.children.list({ block_id: pageId, start_cursor: cursor, page_size: 100 });
+    blocks.push(...res.results);
+    cursor = res.has_more ? res.next_cursor : undefined;
+  } while (cursor);
+  return blocks;
+}
+
+/**
+ * Fills in emails Notion left out of mentions (mentions may carry only the user ID)
+ * @param {Object[]} people - People as { id, name, email }
+ * @returns {Promise<Object[]>} The same people, with email where Notion has one
+ */
+async function withNotionEmails(people) {
+  for (const person of people) {
+    if (person.email) {continue;}
+    try {
+      // Guests are not listed in the directory: ask Notion for them
+      const known = await userDirectory.notionUser(person.id);
+      const user = known || await notionThrottled.users.retrieve({ user_id: person.id });
+      person.email = known ? known.email : user?.person?.email || null;
+      person.name = person.name || user?.name || null;
+    } catch (err) {
+      logger.debug({ error: err.message, notionUserId: person.id }, 'Could not retrieve Notion user');
+    }
+  }
+  return people;
+}
+
+/**
+ * Maps Notion people to Slack mentions via their email (requires users:read.email)
+ * People that cannot be matched are left out; callers fall back to the Notion name
+ * @param {Object[]} people - People as { id, name, email }
+ * @returns {Promise<Map<string, string>>} Notion user id -> "<@SLACK_ID>"
+ */
+async function slackMentionsForPeople(people) {
+  const mentions = new Map();
+  for (const person of people) {
+    if (!person.email || mentions.has(person.id)) {continue;}
+    try {
+      const res = await withTimeout(
+        app.client.users.lookupByEmail({ email: person.email }),
+        API_TIMEOUT,
+        'Slack users.lookupByEmail'
+      );
+      if (res?.user?.id) {mentions.set(person.id, `<@${res.user.id}>`);}
+    } catch (err) {
+      logger.debug({ error: err.message, notionUserId: person.id }, 'No Slack user for Notion person');
+    }
+  }
+  return mentions;
+}
+
+/**
+ * Replaces the status reaction on the original Slack message
+ * @param {Object} entry - Tracked page entry (reaction is updated in place)
+ * @param {string|null} status - New Status value
+ * @returns {Promise<void>}
+ */
+async function updateStatusReaction(entry, status) {
+  const next = reactionForStatus(status, getDatabaseSettings(entry.databaseId).statusReactions);
+  if (next === entry.reaction) {return;}
+  const target = { channel: entry.slackChannel, timestamp: entry.slackTs };
+
+  if (entry.reaction) {
+    await withTimeout(
+      app.client.reactions.remove({ ...target, name: entry.reaction }),
+      API_TIMEOUT,
+      'Slack reactions.remove'
+    ).catch(err => {
+      if (err.data?.error !== 'no_reaction') {
+        logger.warn({ error: err.message, reaction: entry.reaction }, 'Failed to remove status reaction');
+      }
+    });
+  }
+  if (next) {
+    await withTimeout(
+      app.client.reactions.add({ ...target, name: next }),
+      API_TIMEOUT,
+      'Slack reactions.add'
+    ).catch(err => {
+      if (err.data?.error !== 'already_reacted') {
+        logger.warn({ error: err.message, reaction: next }, 'Failed to add status reaction');
+      }
+    });
+  }
+  entry.reaction = next;
+}
+
+/**
+ * Starts the retry timer if it is not already running
+ * @returns {void}
+ */
+function startRetryProcessing() {
+  if (!retryTimer) {
+    retryTimer = setInterval(processRetryQueue, RETRY_POLL_INTERVAL);
+    logger.info({ intervalMs: RETRY_POLL_INTERVAL }, 'Started Notion retry processing');
+  }
+}
+
+/**
+ * Restores queued Notion writes saved before the last shutdown
+ * @returns {Promise<void>}
+ */
+async function rehydrateRetryQueue() {
+  try {
+    const restored = await retryQueue.load();
+    if (restored > 0) {
+      logger.info({ restored }, 'Restored queued Notion writes');
+      startRetryProcessing();
+    }
+  } catch (err) {
+    logger.error({ error: err.message }, 'Failed to load queued Notion writes');
+  }
+}
+
+/**
+ * Retries queued Notion writes that are due
+ * Success replies in the original thread; permission errors and exhausted retries end the job
+ * @returns {Promise<void>}
+ */
+async function processRetryQueue() {
+  if (retryRunning) {return;}
+  retryRunning = true;
+  try {
+    if (retryQueue.size === 0) {
+      if (retryTimer) {
+        clearInterval(retryTimer);
+        retryTimer = null;
+        logger.info('Stopped Notion retry processing (queue empty)');
+      }
+      return;
+    }
+
+    for (const job of retryQueue.due()) {
+      const { payload } = job;
+      const labels = { channel: payload.channel, databaseId: payload.databaseId, trigger: payload.trigger };
+      try {
+        const { url, isUpdate, assignee } = await writeIssueToNotion({ client: app.client, ...payload });
+        retryQueue.complete(job.id);
+        metrics.increment(isUpdate || payload.edit ? 'messagesUpdated' : 'messagesCreated', labels);
+        metrics.increment('notionWritesRecovered', labels);
+        logger.info({ pageUrl: url, attempts: job.attempts + 1, channel: payload.channel, ts: payload.ts }, 'Queued Notion write succeeded');
+
+        const reply = payload.edit ? replyUpdated : replyCreated;
+        await reply({
+          client: app.client,
+          channel: payload.channel,
+          ts: payload.ts,
+          pageUrl: url,
+          parsed: payload.parsed,
+          suffix: payload.suffix,
+          databaseId: payload.databaseId,
+          assignee,
+          locale: payload.locale
+        });
+      } catch (err) {
+        await handleRetryFailure(job, err, labels);
+      }
+    }
+  } finally {
+    retryRunning = false;
+  }
+}
+
+/**
+ * Reschedules or abandons a job after a failed retry
+ * @param {Object} job - Retry queue entry
+ * @param {Error} err - Error from the attempt
+ * @param {Object} labels - Metric labels for the job
+ * @returns {Promise<void>}
+ */
+async function handleRetryFailure(job, err, labels) {
+  const { payload } = job;
+  const errorKind = classifyError(err);
+  if (errorKind === 'timeout') {
+    metrics.increment('apiTimeouts', { ...labels, errorKind });
+  }
+
+  if (isNotionPermError(err)) {
+    retryQueue.complete(job.id);
+    metrics.increment('messagesFailed', { ...labels, errorKind });
+    await notifyNotionPerms({ client: app.client, channel: payload.channel, ts: payload.ts, suffix: payload.suffix, databaseId: payload.databaseId, locale: payload.locale });
+    return;
+  }
+
+  let gaveUp = true;
+  let attempts = job.attempts + 1;
+  let nextAttemptAt = null;
+  if (isRetryableNotionError(err)) {
+    const result = retryQueue.recordFailure(job.id, err);
+    gaveUp = result.gaveUp;
+    attempts = result.entry?.attempts ?? attempts;
+    nextAttemptAt = result.entry?.nextAttemptAt;
+  } else {
+    retryQueue.complete(job.id);
+  }
+
+  if (!gaveUp) {
+    logger.warn({ 
+      error: err.message, 
+      attempts,
+      nextAttemptAt: new Date(nextAttemptAt).toISOString(),
+      channel: payload.channel,
+      ts: payload.ts
+    }, 'Queued Notion write failed again, will retry');
+    return;
+  }
+
+  metrics.increment('messagesFailed', { ...labels, errorKind });
+  metrics.increment('notionWritesAbandoned', { ...labels, errorKind });
+  logger.error({ error: err.message, attempts, channel: payload.channel, ts: payload.ts }, 'Giving up on queued Notion write');
+  await app.client.chat.postMessage({
+    channel: payload.channel,
+    thread_ts: payload.ts,
+    text: `${icons.emojiBang} ${translate(payload.locale || config.i18n.defaultLocale, 'retryGaveUp', { attempts, error: err.message })}${payload.suffix || ''}`
+  }).catch(() => {}); // Ignore errors in error handler
+}
+
+/**
+ * Starts the scheduled reconciliation timer when RECONCILE_ENABLED=true
+ * @returns {void}
+ */
+function startReconcile() {
+  if (config.reconcile.enabled && !reconcileTimer) {
+    reconcileTimer = setInterval(runScheduledReconcile, config.reconcile.intervalMs);
+    logger.info({ ...config.reconcile }, 'Started scheduled Slack/Notion reconciliation');
+  }
+}
+
+/**
+ * Reconciles every mapped database over the lookback window
+ * Orphans are logged and counted; RECONCILE_FIX decides which direction(s) get repaired.
+ * Imported messages go through writeIssueToNotion() so they are tracked like live ones
+ * @returns {Promise<void>}
+ */
+async function runScheduledReconcile() {
+  if (reconcileRunning) {return;}
+  reconcileRunning = true;
+  const since = new Date(Date.now() - config.reconcile.lookbackDays * 24 * 60 * 60 * 1000);
+  try {
+    for (const [databaseId, channels] of Object.entries(config.notion.dbToChannels || {})) {
+      try {
+        const report = await reconcileDatabase({
+          slack: app.client,
+          notion: notionThrottled,
+          pages: notionPages,
+          databaseId,
+          channels,
+          fields: getFieldsForDatabase(databaseId),
+          since,
+          calendar: getBusinessCalendar(databaseId),
+          asap: getAsapPolicy(databaseId),
+          includeThreads: config.slack.allowThreads,
+          fix: config.reconcile.fix,
+          onDeleted: getDatabaseSettings(databaseId).onMessageDeleted,
+          write: async ({ channel, message, parsed, permalink }) => writeIssueToNotion({
+            client: app.client, channel, ts: message.ts, user: message.user, parsed, permalink, databaseId,
+            locale: await localeFor({ channel, user: message.user, client: app.client })
+          }),
+          logger
+        });
+        for (const orphan of report.orphans) {
+          const labels = { channel: orphan.channel, databaseId };
+          metrics.increment(orphan.direction === 'notion' ? 'orphanedPages' : 'missingPages', labels);
+          if (orphan.action === 'archived' || orphan.action === 'flagged') {
+            untrackPage(orphan.pageId);
+            removePendingCheck(orphan.pageId);
+            removeEscalation(orphan.pageId);
+            removeSlaReminders(orphan.pageId);
+            threadMirror.forgetPage(orphan.pageId);
+            metrics.increment(orphan.action === 'archived' ? 'pagesArchived' : 'pagesFlagged', labels);
+          }
+          if (orphan.action === 'imported') {
+            metrics.increment('messagesCreated', { ...labels, trigger: 'reconcile' });
+          }
+        }
+        const summary = {
+          databaseId,
+          checkedPages: report.checkedPages,
+          checkedMessages: report.checkedMessages,
+          orphans: report.orphans
+        };
+        if (report.orphans.length) {
+          logger.warn(summary, 'Reconciliation found orphans');
+        } else {
+          logger.info(summary, 'Reconciliation found no orphans');
+        }
+      } catch (err) {
+        logger.error({ error: err.message, databaseId }, 'Reconciliation failed');
+      }
+    }
+  } finally {
+    reconcileRunning = false;
   }
 }
 
@@ -1081,6 +2307,44 @@ async function gracefulShutdown(signal) {
       logger.info('Findings check timer cleared');
     }
     
+    // Stop retry timer (queued writes stay on disk and resume on next start)
+    if (retryTimer) {
+      clearInterval(retryTimer);
+      retryTimer = null;
+      logger.info('Retry timer cleared');
+    }
+    
+    // Stop status sync timer
+    if (statusSyncTimer) {
+      clearInterval(statusSyncTimer);
+      statusSyncTimer = null;
+      logger.info('Status sync timer cleared');
+    }
+    
+    // Stop escalation re-pings (pending escalations stay on disk and resume on next start)
+    if (escalationTimer) {
+      clearInterval(escalationTimer);
+      escalationTimer = null;
+      logger.info('Escalation timer cleared');
+    }
+    
+    // Stop SLA checks (posted reminders stay on disk so they are not repeated after a restart)
+    if (slaTimer) {
+      clearInterval(slaTimer);
+      slaTimer = null;
+      logger.info('SLA monitor timer cleared');
+    }
+    
+    // Stop scheduled reconciliation
+    if (reconcileTimer) {
+      clearInterval(reconcileTimer);
+      reconcileTimer = null;
+      logger.info('Reconcile timer cleared');
+    }
+    
+    // Stop user directory refresh
+    userDirectory.stop();
+    
     // Stop health check server
     healthServer.close(() => {
       logger.info('Health check server closed');
@@ -1112,6 +2376,14 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 let isHealthy = false;
 let lastActivityTime = Date.now();
 
+/**
+ * Open pages past their Needed by across databases, as of the last SLA check
+ * @returns {number} Breached page count
+ */
+function slaBreachedCount() {
+  return Array.from(slaReports.values()).reduce((sum, report) => sum + report.breached.length, 0);
+}
+
 /**
  * Simple HTTP health check endpoint
  * Returns 200 if the bot is connected and healthy, 503 otherwise
@@ -1146,10 +2418,35 @@ const healthServer = http.createServer((req, res) => {
         metrics: metrics.toJSON()
       }));
     }
-  } else if (req.url === '/metrics') {
-    // Dedicated metrics endpoint
+  } else if (req.url === '/metrics' || req.url.startsWith('/metrics?')) {
+    // Dedicated metrics endpoint: JSON by default, Prometheus/OpenMetrics text for scrapers
+    const format = negotiateMetricsFormat(req);
+    if (format === 'json') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(metrics.toJSON(), null, 2));
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': format === 'openmetrics' ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE });
+    res.end(renderMetrics(metrics, {
+      format,
+      info: { version: APP_VERSION, buildTime: BUILD_TIME },
+      gauges: {
+        pendingFindingsChecks: { help: 'Pages waiting for the findings column to be filled', value: pendingChecks.size },
+        trackedPages: { help: 'Pages tracked for Notion -> Slack status sync', value: trackedPages.size },
+        retryQueueSize: { help: 'Notion writes waiting to be retried', value: retryQueue.size },
+        slaBreachedPages: { help: 'Open pages past their Needed by, as of the last SLA check', value: slaBreachedCount() }
+      }
+    }));
+  } else if (req.url === '/schema') {
+    // Schema drift per database, as of the last schema load (startup or cache refresh)
+    const databases = Array.from(schemaReports.values());
     res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(metrics.toJSON(), null, 2));
+    res.end(JSON.stringify({ status: databases.every(r => r.ok) ? 'ok' : 'drift', databases }, null, 2));
+  } else if (req.url === '/sla') {
+    // Open pages past or near their Needed by, as of the last SLA check per database
+    const databases = Array.from(slaReports.values());
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ status: slaBreachedCount() > 0 ? 'breached' : 'ok', enabled: config.sla.enabled, databases }, null, 2));
   } else {
     res.writeHead(404, { 'Content-Type': 'text/plain' });
     res.end('Not Found');
@@ -1177,6 +2474,31 @@ const healthServer = http.createServer((req, res) => {
         databaseId: mapping.databaseId,
         channelId: mapping.channelId
       }, 'Failed to load Notion schema');
+      await reportSchemaLoadFailure(mapping.databaseId, e);
+    }
+  }
+  
+  // Resume findings checks that were pending before the last restart
+  await rehydratePendingChecks();
+  
+  // Resume Notion writes that were queued for retry before the last restart
+  await rehydrateRetryQueue();
+  
+  // Resume Notion -> Slack status sync for pages tracked before the last restart
+  await rehydrateTrackedPages();
+  
+  // Resume re-pings for escalations nobody had acknowledged before the last restart
+  await rehydrateEscalations();
+  
+  // Remember which SLA reminders went out before the last restart
+  await rehydrateSlaReminders();
+  
+  // Restore the thread reply -> block mapping so edits and deletions keep syncing
+  if (config.threadMirror.enabled) {
+    try {
+      logger.info({ restored: await threadMirror.load() }, 'Restored mirrored thread replies');
+    } catch (err) {
+      logger.error({ error: err.message }, 'Failed to load mirrored thread replies');
     }
   }
   
@@ -1184,6 +2506,16 @@ const healthServer = http.createServer((req, res) => {
   isHealthy = true; // Mark as healthy after successful Slack connection
   logger.info({ port: config.server.port, mode: 'Socket Mode' }, `${icons.emojiLightning} On-Call Cat running`);
   
+  // Periodic Slack <-> Notion reconciliation (opt-in)
+  startReconcile();
+  
+  // Needed by reminders in issue threads (opt-in)
+  startSlaMonitor();
+  
+  // Notion user directory: loaded now so the first message does not wait for users.list
+  userDirectory.refresh().catch(err => logger.warn({ error: err.message }, 'Failed to load Notion user directory; retrying on first lookup'));
+  userDirectory.start();
+  
   // Start health check server
   healthServer.listen(config.server.healthPort, () => {
     logger.info({ healthPort: config.server.healthPort }, 'Health check endpoint available at /health');
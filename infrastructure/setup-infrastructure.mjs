@@ -24,6 +24,8 @@ import _fs from 'fs/promises';
 const STATIC = {
   serviceName: 'oncall-cat',
   repositoryId: 'oncall-cat',
+  // Cloud Storage bucket mounted as STATE_DIR in service.yaml (<project>-oncall-cat-state)
+  stateBucketSuffix: 'oncall-cat-state',
   requiredApis: [
     'run.googleapis.com',
     'artifactregistry.googleapis.com',
@@ -498,6 +500,42 @@ async function setupIAMPermissions(cli, config) {
     }
   }
 
+  // Helper: ensure the bot state bucket exists and the runtime SA can read and write it
+  async function ensureStateBucket(config, computeSa) {
+    const bucketName = `${config.projectId}-${STATIC.stateBucketSuffix}`;
+
+    logger.info(`Checking state bucket gs://${bucketName}/...`);
+
+    try {
+      const { execSync } = await import('child_process');
+      try {
+        execSync(`gsutil ls -b gs://${bucketName}/ > /dev/null 2>&1`, { encoding: 'utf8' });
+        logger.success(`✓ State bucket gs://${bucketName}/ already exists`);
+      } catch {
+        logger.info(`Creating state bucket gs://${bucketName}/...`);
+        execSync(`gsutil mb -l ${config.region} -b on gs://${bucketName}/`, { encoding: 'utf8', stdio: 'inherit' });
+        logger.success(`✓ Created state bucket gs://${bucketName}/`);
+      }
+
+      const currentPolicy = execSync(`gsutil iam get gs://${bucketName}/`, { encoding: 'utf8' });
+      if (!currentPolicy.includes(computeSa)) {
+        logger.info('Granting Compute SA storage.objectAdmin on state bucket...');
+        execSync(
+          `gsutil iam ch serviceAccount:${computeSa}:roles/storage.objectAdmin gs://${bucketName}/`,
+          { encoding: 'utf8', stdio: 'inherit' }
+        );
+        logger.success(`✓ Granted Compute SA access to gs://${bucketName}/`);
+      } else {
+        logger.success(`✓ Compute SA already has access to state bucket`);
+      }
+    } catch (error) {
+      logger.warn(`⚠ Could not configure state bucket: ${error.message}`);
+      logger.info('  You can create it manually later with:');
+      logger.info(`  gsutil mb -l ${config.region} -b on gs://${bucketName}/`);
+      logger.info(`  gsutil iam ch serviceAccount:${computeSa}:roles/storage.objectAdmin gs://${bucketName}/`);
+    }
+  }
+
   // Compute principal emails
   const projectId = config.projectId;
   const projectNumber = await getProjectNumber(projectId);
@@ -542,6 +580,9 @@ async function setupIAMPermissions(cli, config) {
   // Ensure Cloud Deploy, Cloud Build, and Compute SAs have access to artifacts bucket
   await ensureArtifactsBucketAccess(config, cloudBuildSa, computeSa, cloudDeployServiceAgent);
 
+  // Ensure the bucket behind STATE_DIR exists and the runtime SA can write to it
+  await ensureStateBucket(config, computeSa);
+
   // Optional pruning of runtime SA elevated roles
   if (process.env.PRUNE_RUNTIME_ROLES === '1') {
     const pruneRoles = new Set([
@@ -581,6 +622,7 @@ function displaySummary(config) {
   logger.success('✓ Secrets configured');
   logger.success('✓ Cloud Build ready');
   logger.success('✓ Cloud Deploy ready');
+  logger.success(`✓ State bucket gs://${config.projectId}-${STATIC.stateBucketSuffix}/ ready`);
   
   logger.info('\nNext steps:');
   logger.info('1. Create clouddeploy.yaml and skaffold.yaml configuration files');
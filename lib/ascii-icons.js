@@ -10,6 +10,7 @@ export const icons = {
   cloudDeploy: '[CD]',
   cloudBuild: '[CB]',
   git: '[GIT]',
+  schema: '[DB]',
   link: '->',
   ok: '[OK]',
   warn: '[WARN]',
@@ -36,6 +37,7 @@ export const icons = {
   emojiWarn: '⚠️',
   emojiCat: '🐅',
   emojiFindings: '🐾',
+  emojiAlarm: ':alarm_clock:',
   emojiPeepoYessir: ':peepo-yessir:'
 };
 
@@ -0,0 +1,286 @@
+/**
+ * Backfill of historical trigger messages
+ * Pages through a channel's history (and optionally thread replies), validates every
+ * @auto block and upserts it through the page service, so re-running is safe:
+ * messages that already have a page are updated (or skipped), never duplicated
+ */
+
+import { parseAutoBlock } from './parser.js';
+import { missingFields, typeIssues, getTrigger } from './validation.js';
+import { checkSelectOptions } from './select-options.js';
+import { retryAfterMs } from './notion-client.js';
+
+// Message subtypes that are real user posts; joins, bot posts, tombstones etc. are ignored
+const USER_SUBTYPES = new Set([undefined, 'thread_broadcast', 'file_share']);
+
+const sleepFor = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Converts a --since/--until value to a Slack timestamp
+ * @param {string} value - ISO date or date-time (e.g. 2025-01-01, 2025-01-01T09:00:00Z)
+ * @param {string} [flag='since'] - Flag name, for the error message
+ * @returns {string} Slack ts (seconds since epoch)
+ * @throws {Error} If the value is not a valid date
+ */
+export function slackTsFromDate(value, flag = 'since') {
+  const ms = Date.parse(String(value));
+  if (!value || value === true || Number.isNaN(ms)) {
+    throw new Error(`--${flag} must be a date like 2025-01-01 (got "${value === true ? '' : value ?? ''}")`);
+  }
+  return (ms / 1000).toFixed(6);
+}
+
+/**
+ * Minimal Slack Web API client over fetch (scripts run without a Bolt app)
+ * Waits out HTTP 429 responses using Slack's Retry-After header
+ * @param {Object} options - Configuration options
+ * @param {string} options.token - Bot token (xoxb-...)
+ * @param {Function} [options.fetch=globalThis.fetch] - fetch implementation (tests)
+ * @param {number} [options.maxRetries=3] - Retries after a 429
+ * @param {Function} [options.sleep] - Delay function (tests)
+ * @returns {Object} Client exposing the methods the backfill uses, plus call(method, params)
+ */
+export function createSlackApiClient({ token, fetch = globalThis.fetch, maxRetries = 3, sleep = sleepFor }) {
+  const call = async (method, params = {}) => {
+    const body = new globalThis.URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) {body.set(key, String(value));}
+    }
+    for (let attempt = 0; ; attempt++) {
+      const res = await fetch(`https://slack.com/api/${method}`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+        body
+      });
+      if (res.status === 429 && attempt < maxRetries) {
+        await sleep(retryAfterMs({ headers: res.headers }) ?? 1000 * 2 ** attempt);
+        continue;
+      }
+      const data = await res.json();
+      if (!data.ok) {
+        throw Object.assign(new Error(`Slack ${method} failed: ${data.error || `HTTP ${res.status}`}`), { data });
+      }
+      return data;
+    }
+  };
+
+  return {
+    call,
+    conversations: {
+      history: (params) => call('conversations.history', params),
+      replies: (params) => call('conversations.replies', params)
+    },
+    chat: { getPermalink: (params) => call('chat.getPermalink', params) },
+    users: { info: (params) => call('users.info', params) }
+  };
+}
+
+/**
+ * Checks whether a history message is a user-posted trigger message
+ * @param {Object} message - Message from conversations.history/replies
+ * @returns {string|null} 'trigger' for @auto messages, 'bot' for trigger text posted by a bot, null otherwise
+ */
+export function classifyMessage(message) {
+  if (!getTrigger(message?.text || '')) {return null;}
+  // The bot's own replies quote the @auto example block; never file those
+  if (message.bot_id || !USER_SUBTYPES.has(message.subtype)) {return 'bot';}
+  return 'trigger';
+}
+
+/**
+ * Collects trigger messages in a time window, oldest first
+ * @param {Object} slack - Slack client (conversations.history/replies)
+ * @param {Object} options - Collection options
+ * @param {string} options.channel - Slack channel ID
+ * @param {string} options.oldest - Oldest Slack ts to include
+ * @param {string} [options.latest] - Newest Slack ts to include
+ * @param {boolean} [options.includeThreads=false] - Also scan thread replies
+ * @returns {Promise<Object>} { scanned, messages, seen } - scanned counts every message read,
+ * seen holds the ts of every message that still exists (deleted-message tombstones excluded)
+ */
+export async function collectTriggerMessages(slack, { channel, oldest, latest, includeThreads = false }) {
+  const byTs = new Map();
+  const seen = new Set();
+  let scanned = 0;
+  const consider = (message) => {
+    scanned++;
+    if (message.subtype !== 'tombstone') {seen.add(message.ts);}
+    if (classifyMessage(message)) {byTs.set(message.ts, message);}
+  };
+
+  const threads = [];
+  let cursor;
+  do {
+    const page = await slack.conversations.history({ channel, oldest, latest, limit: 200, inclusive: true, cursor });
+    for (const message of page.messages || []) {
+      consider(message);
+      if (includeThreads && message.reply_count && message.thread_ts === message.ts) {threads.push(message.ts);}
+    }
+    cursor = page.response_metadata?.next_cursor || undefined;
+  } while (cursor);
+
+  for (const threadTs of threads) {
+    let replyCursor;
+    do {
+      const page = await slack.conversations.replies({ channel, ts: threadTs, limit: 200, cursor: replyCursor });
+      // The parent comes back as the first message of every page; it was already counted
+      for (const message of page.messages || []) {
+        if (message.ts !== threadTs) {consider(message);}
+      }
+      replyCursor = page.response_metadata?.next_cursor || undefined;
+    } while (replyCursor);
+  }
+
+  const messages = Array.from(byTs.values()).sort((a, b) => Number(a.ts) - Number(b.ts));
+  return { scanned, messages, seen };
+}
+
+/**
+ * Validates one trigger message and upserts its Notion page
+ * @param {Object} options - Import options
+ * @param {Object} options.slack - Slack client (chat.getPermalink, users.info)
+ * @param {Object} options.pages - Page service from createNotionPageService() (getSchema, findPageForMessage)
+ * @param {string} options.channel - Slack channel ID
+ * @param {string} options.databaseId - Notion database ID
+ * @param {Object[]} options.fields - Field definitions for the database
+ * @param {Object} options.message - Message from conversations.history/replies
+ * @param {Object|null} [options.calendar=null] - Business calendar for ASAP and the default Needed by
+ * @param {Object|null} [options.asap=null] - ASAP policy (see getAsapPolicy())
+ * @param {boolean} [options.skipExisting=false] - Leave the page untouched when one exists
+ * @param {boolean} [options.dryRun=false] - Look the page up but do not write
+ * @param {Function} [options.write] - Custom write ({ channel, message, parsed, permalink, existing }) -> { url };
+ *   defaults to resolving the reporter and calling pages.createOrUpdateNotionPage()
+ * @returns {Promise<Object>} { outcome, ...detail } - outcome is created, updated, skipped or invalid
+ * @throws {Error} Slack and Notion errors
+ */
+export async function importMessage({ slack, pages, channel, databaseId, fields, message, calendar = null, asap = null, skipExisting = false, dryRun = false, write }) {
+  if (classifyMessage(message) === 'bot') {
+    return { outcome: 'skipped', reason: 'bot message' };
+  }
+
+  // ASAP and the default Needed-by date are relative to when the message was posted,
+  // and dates without a zone are read in the reporter's Slack time zone
+  const timeZone = await pages.slackUserTimeZone(message.user, slack);
+  let parsed = parseAutoBlock(message.text || '', fields, { now: new Date(Number(message.ts) * 1000), timeZone, calendar, asap });
+  const problems = [
+    ...missingFields(parsed, fields).map(f => `missing ${f}`),
+    ...typeIssues(parsed, fields).map(issue => issue.split('\n')[0])
+  ];
+  if (problems.length) {
+    return { outcome: 'invalid', problems };
+  }
+  // Select option policies, as for live messages (closest-match corrections are applied silently)
+  const options = checkSelectOptions(parsed, fields, await pages.getSchema(databaseId));
+  if (options.issues.length) {
+    return { outcome: 'invalid', problems: options.issues.map(issue => issue.message.split('\n').slice(0, 2).join(' ')) };
+  }
+  parsed = options.parsed;
+
+  const { permalink = '' } = await slack.chat.getPermalink({ channel, message_ts: message.ts });
+  const existing = await pages.findPageForMessage({ slackTs: message.ts, permalink, databaseId });
+  if (existing && skipExisting) {
+    return { outcome: 'skipped', reason: 'already in Notion', url: existing.url };
+  }
+  let url = existing?.url || null;
+  if (!dryRun) {
+    ({ url } = write
+      ? await write({ channel, message, parsed, permalink, existing })
+      : await writeMessagePage({ slack, pages, databaseId, message, parsed, permalink, existing }));
+  }
+  return { outcome: existing ? 'updated' : 'created', url };
+}
+
+/**
+ * Default write for importMessage(): resolves the reporter and creates or updates the page
+ * @param {Object} params - Function parameters
+ * @returns {Promise<Object>} { id, url, page }
+ */
+async function writeMessagePage({ slack, pages, databaseId, message, parsed, permalink, existing }) {
+  const { mention, notionId } = await pages.resolveNotionPersonForSlackUser(message.user, slack);
+  return pages.createOrUpdateNotionPage({
+    parsed,
+    permalink,
+    slackTs: message.ts,
+    reporterMention: mention,
+    reporterNotionId: notionId,
+    pageId: existing?.id,
+    databaseId,
+    client: slack
+  });
+}
+
+/**
+ * Imports historical trigger messages from one channel into its Notion database
+ * Nothing is posted to Slack: old threads stay quiet
+ * @param {Object} options - Backfill options
+ * @param {Object} options.slack - Slack client (conversations.*, chat.getPermalink, users.info)
+ * @param {Object} options.pages - Page service from createNotionPageService()
+ * @param {string} options.channel - Slack channel ID
+ * @param {string} options.databaseId - Notion database ID for the channel
+ * @param {Object[]} options.fields - Field definitions for the database
+ * @param {string} options.oldest - Oldest Slack ts to include
+ * @param {string} [options.latest] - Newest Slack ts to include
+ * @param {Object|null} [options.calendar=null] - Business calendar for ASAP and the default Needed by
+ * @param {Object|null} [options.asap=null] - ASAP policy (see getAsapPolicy())
+ * @param {boolean} [options.includeThreads=false] - Also import thread replies
+ * @param {boolean} [options.skipExisting=false] - Leave messages that already have a page untouched
+ * @param {boolean} [options.dryRun=false] - Look up pages but do not write
+ * @param {Object} [options.logger] - Logger instance
+ * @returns {Promise<Object>} Summary { scanned, created, updated, skipped, invalid, failed, results }
+ */
+export async function runBackfill({
+  slack,
+  pages,
+  channel,
+  databaseId,
+  fields,
+  oldest,
+  latest,
+  calendar = null,
+  asap = null,
+  includeThreads = false,
+  skipExisting = false,
+  dryRun = false,
+  logger
+}) {
+  const { scanned, messages } = await collectTriggerMessages(slack, { channel, oldest, latest, includeThreads });
+  const summary = { scanned, created: 0, updated: 0, skipped: 0, invalid: 0, failed: 0, results: [] };
+  const record = ({ outcome, ...detail }, message) => {
+    summary[outcome]++;
+    summary.results.push({ outcome, ts: message.ts, ...detail });
+  };
+
+  for (const message of messages) {
+    try {
+      record(await importMessage({ slack, pages, channel, databaseId, fields, message, calendar, asap, skipExisting, dryRun }), message);
+    } catch (err) {
+      logger?.error({ error: err.message, channel, ts: message.ts }, 'Backfill failed for message');
+      record({ outcome: 'failed', error: err.message }, message);
+    }
+  }
+  return summary;
+}
+
+/**
+ * Formats a backfill summary for the terminal
+ * @param {Object} summary - Output of runBackfill()
+ * @param {Object} [options] - Formatting options
+ * @param {boolean} [options.dryRun=false] - Label counts as "would be" created/updated
+ * @returns {string[]} Output lines
+ */
+export function formatBackfillSummary(summary, { dryRun = false } = {}) {
+  const verb = dryRun ? 'would be ' : '';
+  const lines = [];
+  for (const result of summary.results) {
+    if (result.outcome === 'invalid') {
+      lines.push(`  [invalid] ${result.ts}: ${result.problems.join('; ')}`);
+    } else if (result.outcome === 'failed') {
+      lines.push(`  [failed]  ${result.ts}: ${result.error}`);
+    }
+  }
+  lines.push(
+    `Scanned ${summary.scanned} message(s): ${summary.created} ${verb}created, ${summary.updated} ${verb}updated, ` +
+    `${summary.skipped} skipped, ${summary.invalid} invalid, ${summary.failed} failed`
+  );
+  return lines;
+}
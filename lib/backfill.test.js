@@ -0,0 +1,240 @@
+/**
+ * Unit tests for the channel backfill
+ * Run with: node lib/backfill.test.js
+ */
+import { strict as assert } from 'assert';
+import {
+  slackTsFromDate,
+  createSlackApiClient,
+  classifyMessage,
+  collectTriggerMessages,
+  runBackfill,
+  formatBackfillSummary
+} from './backfill.js';
+import { DEFAULT_FIELDS } from './field-schema.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = async (name, fn) => {
+  total++;
+  try { await fn(); passed++; console.log(`  ✓ ${name}`); }
+  catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`); }
+};
+const suite = async (name, fn) => { console.log(`\n${name}:`); await fn(); };
+
+const silent = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+const valid = (issue) => `@auto\nPriority: P1\nIssue: ${issue}\nHow to replicate: click\nCustomer: Acme\n1Password: ops@acme.com`;
+
+/**
+ * Fake Slack client: history is served in pages of two (newest first, like Slack)
+ */
+function fakeSlack({ history, replies = {} }) {
+  const calls = [];
+  const pageOf = (list, cursor) => {
+    const start = Number(cursor || 0);
+    const next = start + 2 < list.length ? String(start + 2) : '';
+    return { ok: true, messages: list.slice(start, start + 2), response_metadata: { next_cursor: next } };
+  };
+  return {
+    calls,
+    conversations: {
+      history: async (params) => { calls.push(['history', params]); return pageOf([...history].reverse(), params.cursor); },
+      replies: async (params) => { calls.push(['replies', params]); return pageOf(replies[params.ts] || [], params.cursor); }
+    },
+    chat: { getPermalink: async ({ message_ts }) => ({ ok: true, permalink: `https://x.slack.com/p${message_ts}` }) },
+    users: { info: async () => ({ ok: true, user: { profile: {} } }) }
+  };
+}
+
+/**
+ * Fake page service backed by a map of Slack ts -> page
+ */
+function fakePages(existing = {}, schema = { byName: {} }) {
+  const writes = [];
+  return {
+    writes,
+    getSchema: async () => schema,
+    findPageForMessage: async ({ slackTs }) => existing[slackTs] || null,
+    resolveNotionPersonForSlackUser: async (user) => ({ mention: `<@${user}>`, notionId: null }),
+    slackUserTimeZone: async () => null,
+    createOrUpdateNotionPage: async (params) => {
+      writes.push(params);
+      return { id: params.pageId || `page-${params.slackTs}`, url: `https://notion.so/${params.slackTs}` };
+    }
+  };
+}
+
+const options = (slack, pages, extra = {}) => ({
+  slack, pages, channel: 'C1', databaseId: 'db-1', fields: DEFAULT_FIELDS, oldest: '0', logger: silent, ...extra
+});
+
+await suite('slackTsFromDate', async () => {
+  await test('converts dates to Slack timestamps', async () => {
+    assert.equal(slackTsFromDate('2025-01-01T00:00:00Z'), '1735689600.000000');
+  });
+
+  await test('rejects missing and invalid dates', async () => {
+    assert.throws(() => slackTsFromDate(undefined), /--since must be a date/);
+    assert.throws(() => slackTsFromDate(true, 'until'), /--until must be a date/);
+    assert.throws(() => slackTsFromDate('last week'), /got "last week"/);
+  });
+});
+
+await suite('classifyMessage', async () => {
+  await test('recognises user trigger messages', async () => {
+    assert.equal(classifyMessage({ text: '@auto\nIssue: x' }), 'trigger');
+    assert.equal(classifyMessage({ text: '@auto\nIssue: x', subtype: 'thread_broadcast' }), 'trigger');
+    assert.equal(classifyMessage({ text: 'hello' }), null);
+  });
+
+  await test('flags trigger text posted by bots', async () => {
+    assert.equal(classifyMessage({ text: 'Example:\n@auto\nIssue: ...', bot_id: 'B1' }), null);
+    assert.equal(classifyMessage({ text: '@auto\nIssue: ...', bot_id: 'B1' }), 'bot');
+    assert.equal(classifyMessage({ text: '@auto\nIssue: ...', subtype: 'channel_join' }), 'bot');
+  });
+});
+
+await suite('createSlackApiClient', async () => {
+  await test('posts form-encoded params and waits out 429s', async () => {
+    const requests = [];
+    const responses = [
+      { status: 429, headers: new Map([['retry-after', '2']]), json: async () => ({ ok: false, error: 'ratelimited' }) },
+      { status: 200, headers: new Map(), json: async () => ({ ok: true, messages: [] }) }
+    ];
+    const slept = [];
+    const slack = createSlackApiClient({
+      token: 'xoxb-1',
+      fetch: async (url, init) => { requests.push({ url, init }); return responses.shift(); },
+      sleep: async (ms) => { slept.push(ms); }
+    });
+    const res = await slack.conversations.history({ channel: 'C1', cursor: undefined });
+    assert.equal(res.ok, true);
+    assert.deepEqual(slept, [2000]);
+    assert.equal(requests[1].url, 'https://slack.com/api/conversations.history');
+    assert.equal(requests[1].init.body.toString(), 'channel=C1');
+    assert.equal(requests[1].init.headers.Authorization, 'Bearer xoxb-1');
+  });
+
+  await test('throws Slack API errors with the response data', async () => {
+    const slack = createSlackApiClient({ token: 't', fetch: async () => ({ status: 200, headers: new Map(), json: async () => ({ ok: false, error: 'not_in_channel' }) }) });
+    await assert.rejects(slack.conversations.history({ channel: 'C1' }), (err) => /not_in_channel/.test(err.message) && err.data.error === 'not_in_channel');
+  });
+});
+
+await suite('collectTriggerMessages', async () => {
+  await test('pages through history and returns triggers oldest first', async () => {
+    const slack = fakeSlack({ history: [
+      { ts: '1.0', text: valid('one') },
+      { ts: '2.0', text: 'chatter' },
+      { ts: '3.0', text: valid('three') }
+    ] });
+    const { scanned, messages } = await collectTriggerMessages(slack, { channel: 'C1', oldest: '0' });
+    assert.equal(scanned, 3);
+    assert.deepEqual(messages.map(m => m.ts), ['1.0', '3.0']);
+    assert.equal(slack.calls.filter(([m]) => m === 'history').length, 2);
+  });
+
+  await test('includes thread replies only when asked, without duplicating broadcasts', async () => {
+    const parent = { ts: '1.0', thread_ts: '1.0', reply_count: 2, text: 'status thread' };
+    const broadcast = { ts: '1.5', thread_ts: '1.0', subtype: 'thread_broadcast', text: valid('broadcast') };
+    const slack = fakeSlack({
+      history: [parent, broadcast],
+      replies: { '1.0': [parent, { ts: '1.2', thread_ts: '1.0', text: valid('reply') }, broadcast] }
+    });
+    const without = await collectTriggerMessages(slack, { channel: 'C1', oldest: '0' });
+    assert.deepEqual(without.messages.map(m => m.ts), ['1.5']);
+    const withThreads = await collectTriggerMessages(slack, { channel: 'C1', oldest: '0', includeThreads: true });
+    assert.deepEqual(withThreads.messages.map(m => m.ts), ['1.2', '1.5']);
+  });
+});
+
+await suite('runBackfill', async () => {
+  const history = [
+    { ts: '1700000000.000100', user: 'U1', text: valid('new one') },
+    { ts: '1700000000.000200', user: 'U2', text: valid('tracked already') },
+    { ts: '1700000000.000300', user: 'U3', text: '@auto\nPriority: P1' },
+    { ts: '1700000000.000400', bot_id: 'B1', text: '@auto\nIssue: ...' }
+  ];
+  const existing = { '1700000000.000200': { id: 'page-old', url: 'https://notion.so/old' } };
+
+  await test('creates, updates and reports invalid and skipped messages', async () => {
+    const pages = fakePages(existing);
+    const summary = await runBackfill(options(fakeSlack({ history }), pages));
+    assert.deepEqual(
+      { created: summary.created, updated: summary.updated, skipped: summary.skipped, invalid: summary.invalid, failed: summary.failed },
+      { created: 1, updated: 1, skipped: 1, invalid: 1, failed: 0 }
+    );
+    assert.equal(pages.writes.length, 2);
+    assert.equal(pages.writes[1].pageId, 'page-old');
+    assert.equal(pages.writes[0].reporterMention, '<@U1>');
+    assert.equal(pages.writes[0].permalink, 'https://x.slack.com/p1700000000.000100');
+    assert.match(summary.results.find(r => r.outcome === 'invalid').problems.join(' '), /missing Issue/);
+  });
+
+  await test('resolves ASAP against the post time', async () => {
+    const pages = fakePages();
+    await runBackfill(options(fakeSlack({ history: [{ ts: '1700000000.000100', user: 'U1', text: `${valid('x')}\nNeeded by: ASAP` }] }), pages));
+    assert.equal(pages.writes[0].parsed.needed.toISOString(), new Date((1700000000 + 20 * 60) * 1000).toISOString());
+  });
+
+  await test('dry run looks pages up without writing', async () => {
+    const pages = fakePages(existing);
+    const summary = await runBackfill(options(fakeSlack({ history }), pages, { dryRun: true }));
+    assert.equal(pages.writes.length, 0);
+    assert.equal(summary.created, 1);
+    assert.equal(summary.updated, 1);
+  });
+
+  await test('skipExisting leaves tracked messages alone', async () => {
+    const pages = fakePages(existing);
+    const summary = await runBackfill(options(fakeSlack({ history }), pages, { skipExisting: true }));
+    assert.equal(summary.updated, 0);
+    assert.equal(summary.skipped, 2);
+    assert.equal(pages.writes.length, 1);
+  });
+
+  await test('applies select option policies', async () => {
+    const schema = { byName: { customer: { name: 'Customer', type: 'select', options: [{ name: 'Acme Corp' }] } } };
+    const fields = DEFAULT_FIELDS.map(f => (f.key === 'customer' ? { ...f, optionPolicy: 'closest' } : f));
+    const messages = [
+      { ts: '1700000000.000100', user: 'U1', text: valid('typo').replace('Customer: Acme', 'Customer: Acme Crop') },
+      { ts: '1700000000.000200', user: 'U1', text: valid('unknown').replace('Customer: Acme', 'Customer: Globex') }
+    ];
+    const pages = fakePages({}, schema);
+    const summary = await runBackfill(options(fakeSlack({ history: messages }), pages, { fields }));
+    assert.equal(pages.writes[0].parsed.customer, 'Acme Corp');
+    assert.deepEqual(summary.results[1].problems, ['Customer must be one of the existing options. Got: "Globex"']);
+  });
+
+  await test('keeps going after a failed write', async () => {
+    const pages = fakePages();
+    let first = true;
+    pages.createOrUpdateNotionPage = async ({ slackTs }) => {
+      if (first) { first = false; throw new Error('Notion is down'); }
+      return { id: 'p', url: `https://notion.so/${slackTs}` };
+    };
+    const summary = await runBackfill(options(fakeSlack({ history: history.slice(0, 2) }), pages));
+    assert.equal(summary.failed, 1);
+    assert.equal(summary.created, 1);
+    const lines = formatBackfillSummary(summary);
+    assert.match(lines[0], /\[failed\] {2}1700000000\.000100: Notion is down/);
+    assert.match(lines[lines.length - 1], /1 created, 0 updated, 0 skipped, 0 invalid, 1 failed/);
+  });
+});
+
+await suite('formatBackfillSummary', async () => {
+  await test('labels dry-run counts', async () => {
+    const summary = { scanned: 5, created: 2, updated: 1, skipped: 0, invalid: 1, failed: 0, results: [{ outcome: 'invalid', ts: '1.0', problems: ['missing Issue'] }] };
+    assert.deepEqual(formatBackfillSummary(summary, { dryRun: true }), [
+      '  [invalid] 1.0: missing Issue',
+      'Scanned 5 message(s): 2 would be created, 1 would be updated, 0 skipped, 1 invalid, 0 failed'
+    ]);
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,226 @@
+/**
+ * Notion -> Slack Block Kit renderer
+ * Turns Notion rich text (and page body blocks) into Slack mrkdwn with proper escaping,
+ * then into section blocks that respect Slack's 3000-character section limit.
+ * Used to post findings back to the Slack thread
+ */
+
+/**
+ * Slack limits: characters per section text and blocks per message
+ */
+export const SECTION_TEXT_LIMIT = 3000;
+export const MAX_BLOCKS = 50;
+
+/**
+ * Escapes the three characters Slack treats as control characters in mrkdwn
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeMrkdwn(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Wraps text in a formatting marker, keeping surrounding whitespace outside
+ * (Slack ignores "*bold *" because the closing marker follows a space)
+ * @param {string} text - Escaped text
+ * @param {string} marker - '*', '_' or '~'
+ * @returns {string} Formatted text
+ */
+function wrap(text, marker) {
+  const m = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+  return m[2] ? `${m[1]}${marker}${m[2]}${marker}${m[3]}` : text;
+}
+
+/**
+ * Renders one Notion rich text item as mrkdwn
+ * @param {Object} item - Notion rich text item (text, mention or equation)
+ * @param {Map<string, string>} slackMentions - Notion user ID -> "<@U123>"
+ * @returns {string} mrkdwn
+ */
+function renderItem(item, slackMentions) {
+  const annotations = item.annotations || {};
+  const plain = item.plain_text ?? item.text?.content ?? '';
+
+  if (item.type === 'mention') {
+    const mention = item.mention || {};
+    if (mention.type === 'user' || mention.user) {
+      return slackMentions.get(mention.user?.id) || escapeMrkdwn(plain || `@${mention.user?.name || 'someone'}`);
+    }
+    if (mention.type === 'date' || mention.date) {
+      const start = Date.parse(mention.date?.start);
+      // Slack renders the date in each reader's time zone; the fallback is the Notion text
+      return Number.isNaN(start)
+        ? escapeMrkdwn(plain)
+        : `<!date^${Math.floor(start / 1000)}^{date_short_pretty}|${escapeMrkdwn(plain || mention.date.start).replace(/\|/g, '/')}>`;
+    }
+  }
+  if (item.type === 'equation') {
+    return `\`${escapeMrkdwn(item.equation?.expression || plain)}\``;
+  }
+
+  let text = escapeMrkdwn(plain);
+  if (!text) {return '';}
+  if (annotations.code) {
+    // Nothing is formatted inside code; backticks would end the span
+    text = `\`${text.replace(/`/g, "'")}\``;
+  } else {
+    // Slack has no colors: highlighted (background) text is made bold so it still stands out
+    if (annotations.bold || String(annotations.color || '').endsWith('_background')) {text = wrap(text, '*');}
+    if (annotations.italic) {text = wrap(text, '_');}
+    if (annotations.strikethrough) {text = wrap(text, '~');}
+  }
+  const href = item.href || item.text?.link?.url;
+  if (href) {
+    // "|" ends the URL part of a Slack link
+    text = `<${href.replace(/\|/g, '%7C')}|${text.replace(/\|/g, '/')}>`;
+  }
+  return text;
+}
+
+/**
+ * Converts Notion rich text to Slack mrkdwn
+ * @param {Object[]} richText - Notion rich text items
+ * @param {Object} [options] - Rendering options
+ * @param {Map<string, string>} [options.slackMentions] - Notion user ID -> Slack mention ("<@U123>");
+ *   unresolved people are shown by name
+ * @returns {string} mrkdwn
+ */
+export function richTextToMrkdwn(richText, { slackMentions = new Map() } = {}) {
+  return (richText || []).map(item => renderItem(item, slackMentions)).join('');
+}
+
+/**
+ * Notion people mentioned in rich text or blocks, for resolving to Slack users first
+ * @param {Object[]} richTextOrBlocks - Rich text items, or page blocks
+ * @returns {Object[]} Unique { id, name, email } (email only when Notion includes it)
+ */
+export function mentionedPeople(richTextOrBlocks) {
+  const people = new Map();
+  const visit = (items) => {
+    for (const item of items || []) {
+      const user = item.type === 'mention' ? item.mention?.user : null;
+      if (user?.id && !people.has(user.id)) {
+        people.set(user.id, { id: user.id, name: user.name || null, email: user.person?.email || null });
+      }
+    }
+  };
+  for (const entry of richTextOrBlocks || []) {
+    if (entry?.object === 'block') {visit(entry[entry.type]?.rich_text);}
+    else {visit([entry]);}
+  }
+  return Array.from(people.values());
+}
+
+/**
+ * Converts Notion page blocks (top level) to Slack mrkdwn, one line or paragraph per block
+ * @param {Object[]} blocks - Blocks from blocks.children.list
+ * @param {Object} [options] - See richTextToMrkdwn()
+ * @returns {string} mrkdwn
+ */
+export function blocksToMrkdwn(blocks, options = {}) {
+  const lines = [];
+  let number = 0;
+  for (const block of blocks || []) {
+    const data = block[block.type] || {};
+    const text = richTextToMrkdwn(data.rich_text, options);
+    number = block.type === 'numbered_list_item' ? number + 1 : 0;
+    switch (block.type) {
+      case 'heading_1':
+      case 'heading_2':
+      case 'heading_3':
+        lines.push(text ? `*${text}*` : '');
+        break;
+      case 'bulleted_list_item':
+        lines.push(`• ${text}`);
+        break;
+      case 'numbered_list_item':
+        lines.push(`${number}. ${text}`);
+        break;
+      case 'to_do':
+        lines.push(`${data.checked ? '[x]' : '[ ]'} ${text}`);
+        break;
+      case 'quote':
+      case 'callout':
+        lines.push(text.split('\n').map(l => `> ${l}`).join('\n'));
+        break;
+      case 'code':
+        lines.push(`\`\`\`${(data.rich_text || []).map(t => escapeMrkdwn(t.plain_text ?? t.text?.content ?? '')).join('')}\`\`\``);
+        break;
+      case 'equation':
+        lines.push(`\`${escapeMrkdwn(data.expression || '')}\``);
+        break;
+      case 'divider':
+        lines.push('');
+        break;
+      default:
+        // paragraph, toggle and anything else with text
+        if (text) {lines.push(text);}
+    }
+  }
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Picks the blocks under a heading (until the next heading of the same or a higher level)
+ * @param {Object[]} blocks - Page blocks
+ * @param {string} heading - Heading text, matched case-insensitively (e.g. "On-call Cat Findings")
+ * @returns {Object[]|null} Blocks of the section, or null when the page has no such heading
+ */
+export function sectionUnderHeading(blocks, heading) {
+  const wanted = String(heading).trim().toLowerCase();
+  const level = (block) => (/^heading_(\d)$/.exec(block?.type || '') || [])[1];
+  const start = (blocks || []).findIndex(b => level(b)
+    && (b[b.type].rich_text || []).map(t => t.plain_text ?? t.text?.content ?? '').join('').trim().toLowerCase() === wanted);
+  if (start === -1) {return null;}
+  const section = [];
+  for (const block of blocks.slice(start + 1)) {
+    if (level(block) && level(block) <= level(blocks[start])) {break;}
+    section.push(block);
+  }
+  return section;
+}
+
+/**
+ * Splits mrkdwn into chunks of at most `limit` characters
+ * Prefers paragraph breaks, then line breaks, then spaces; never splits an escape sequence or a link
+ * @param {string} text - mrkdwn
+ * @param {number} [limit=SECTION_TEXT_LIMIT] - Maximum chunk length
+ * @returns {string[]} Chunks
+ */
+export function splitMrkdwn(text, limit = SECTION_TEXT_LIMIT) {
+  const chunks = [];
+  let rest = String(text || '').trim();
+  while (rest.length > limit) {
+    const window = rest.slice(0, limit + 1);
+    let cut = window.lastIndexOf('\n\n');
+    if (cut < limit / 2) {cut = window.lastIndexOf('\n');}
+    if (cut < limit / 2) {cut = window.lastIndexOf(' ');}
+    if (cut <= 0) {cut = limit;}
+    // Do not cut inside <...> or an &amp;-style escape
+    const open = rest.lastIndexOf('<', cut - 1);
+    if (open > rest.lastIndexOf('>', cut - 1) && open > 0) {cut = open;}
+    const amp = rest.lastIndexOf('&', cut - 1);
+    if (amp > cut - 5 && amp > 0 && !rest.slice(amp, cut).includes(';')) {cut = amp;}
+    chunks.push(rest.slice(0, cut).trimEnd());
+    rest = rest.slice(cut).trimStart();
+  }
+  if (rest) {chunks.push(rest);}
+  return chunks;
+}
+
+/**
+ * Builds mrkdwn section blocks, capped so the message stays within MAX_BLOCKS
+ * @param {string} text - mrkdwn
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxSections=MAX_BLOCKS] - Maximum number of sections
+ * @param {string} [options.truncatedNote] - mrkdwn appended as the last section when text was cut
+ * @returns {Object[]} Section blocks
+ */
+export function sectionBlocks(text, { maxSections = MAX_BLOCKS, truncatedNote } = {}) {
+  const section = (t) => ({ type: 'section', text: { type: 'mrkdwn', text: t } });
+  const chunks = splitMrkdwn(text);
+  if (chunks.length <= maxSections) {return chunks.map(section);}
+  const kept = chunks.slice(0, maxSections - (truncatedNote ? 1 : 0)).map(section);
+  return truncatedNote ? [...kept, section(truncatedNote)] : kept;
+}
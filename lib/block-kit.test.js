@@ -0,0 +1,132 @@
+/**
+ * Unit tests for the Notion -> Slack Block Kit renderer
+ * Run with: node lib/block-kit.test.js
+ */
+import { strict as assert } from 'assert';
+import {
+  SECTION_TEXT_LIMIT,
+  escapeMrkdwn,
+  richTextToMrkdwn,
+  mentionedPeople,
+  blocksToMrkdwn,
+  sectionUnderHeading,
+  splitMrkdwn,
+  sectionBlocks
+} from './block-kit.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = (name, fn) => { total++; try { fn(); passed++; console.log(`  ✓ ${name}`); } catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`);} };
+const suite = (name, fn) => { console.log(`\n${name}:`); fn(); };
+
+const text = (content, annotations = {}, href = null) => ({ type: 'text', plain_text: content, href, annotations, text: { content } });
+const block = (type, content, extra = {}) => ({ object: 'block', type, [type]: { rich_text: [text(content)], ...extra } });
+
+suite('richTextToMrkdwn', () => {
+  test('escapes Slack control characters', () => {
+    assert.equal(escapeMrkdwn('a < b && c > d'), 'a &lt; b &amp;&amp; c &gt; d');
+    assert.equal(richTextToMrkdwn([text('<!channel> & co')]), '&lt;!channel&gt; &amp; co');
+  });
+
+  test('applies annotations outside surrounding whitespace', () => {
+    assert.equal(
+      richTextToMrkdwn([text('Root cause: '), text('disk full ', { bold: true }), text('on', { italic: true, strikethrough: true })]),
+      'Root cause: *disk full* ~_on_~'
+    );
+  });
+
+  test('renders code and equations verbatim', () => {
+    assert.equal(richTextToMrkdwn([text('rm *_tmp', { code: true, bold: true })]), '`rm *_tmp`');
+    assert.equal(richTextToMrkdwn([{ type: 'equation', plain_text: 'x<2', equation: { expression: 'x<2' } }]), '`x&lt;2`');
+  });
+
+  test('bolds highlighted text and ignores plain colors', () => {
+    assert.equal(richTextToMrkdwn([text('P0', { color: 'red_background' }), text(' ok', { color: 'gray' })]), '*P0* ok');
+  });
+
+  test('renders links and keeps the separator out of labels', () => {
+    assert.equal(richTextToMrkdwn([text('a|b', {}, 'https://x.io/?q=a|b')]), '<https://x.io/?q=a%7Cb|a/b>');
+  });
+
+  test('maps resolved people to Slack mentions and the rest to names', () => {
+    const mention = (id, name) => ({ type: 'mention', plain_text: `@${name}`, mention: { type: 'user', user: { id, name } } });
+    const slackMentions = new Map([['n-1', '<@U1>']]);
+    assert.equal(richTextToMrkdwn([mention('n-1', 'Ana'), text(' and '), mention('n-2', 'Bo')], { slackMentions }), '<@U1> and @Bo');
+  });
+
+  test('renders date mentions in the reader time zone with a fallback', () => {
+    const date = { type: 'mention', plain_text: 'November 14, 2023', mention: { type: 'date', date: { start: '2023-11-14T22:13:20.000Z' } } };
+    assert.equal(richTextToMrkdwn([date]), '<!date^1700000000^{date_short_pretty}|November 14, 2023>');
+  });
+
+  test('lists mentioned people once, from rich text or blocks', () => {
+    const mention = { type: 'mention', mention: { type: 'user', user: { id: 'n-1', name: 'Ana', person: { email: 'ana@acme.io' } } } };
+    assert.deepEqual(mentionedPeople([mention, mention]), [{ id: 'n-1', name: 'Ana', email: 'ana@acme.io' }]);
+    assert.deepEqual(mentionedPeople([{ object: 'block', type: 'paragraph', paragraph: { rich_text: [mention] } }]).map(p => p.id), ['n-1']);
+  });
+});
+
+suite('blocksToMrkdwn', () => {
+  test('renders lists, to-dos, quotes and code', () => {
+    const blocks = [
+      block('heading_3', 'Cause'),
+      block('paragraph', 'Cache eviction'),
+      block('numbered_list_item', 'restart'),
+      block('numbered_list_item', 'verify'),
+      block('bulleted_list_item', 'owner: infra'),
+      block('to_do', 'postmortem', { checked: true }),
+      block('quote', 'from the logs'),
+      block('code', 'if (a < b) *x*')
+    ];
+    assert.equal(blocksToMrkdwn(blocks), [
+      '*Cause*', 'Cache eviction', '1. restart', '2. verify', '• owner: infra', '[x] postmortem',
+      '> from the logs', '```if (a &lt; b) *x*```'
+    ].join('\n'));
+  });
+
+  test('picks the blocks under a heading', () => {
+    const blocks = [
+      block('heading_2', 'Context'), block('paragraph', 'ignored'),
+      block('heading_2', 'On-call Cat Findings'), block('paragraph', 'found it'), block('heading_3', 'Detail'), block('paragraph', 'more'),
+      block('heading_2', 'Next'), block('paragraph', 'ignored')
+    ];
+    assert.deepEqual(sectionUnderHeading(blocks, 'on-call cat findings').map(b => b.paragraph?.rich_text[0].plain_text ?? 'Detail'), ['found it', 'Detail', 'more']);
+    assert.equal(sectionUnderHeading(blocks, 'Findings'), null);
+  });
+});
+
+suite('sections', () => {
+  test('keeps short text in one section', () => {
+    assert.deepEqual(sectionBlocks('hello'), [{ type: 'section', text: { type: 'mrkdwn', text: 'hello' } }]);
+    assert.deepEqual(sectionBlocks(''), []);
+  });
+
+  test('splits at paragraph breaks within the section limit', () => {
+    const first = 'a'.repeat(2000);
+    const chunks = splitMrkdwn(`${first}\n\n${'b'.repeat(2000)}`);
+    assert.deepEqual(chunks.map(c => c.length), [2000, 2000]);
+    assert.equal(chunks[0], first);
+  });
+
+  test('never cuts inside links or escapes', () => {
+    const link = '<https://example.com/page|page>';
+    const chunks = splitMrkdwn(`${'x'.repeat(SECTION_TEXT_LIMIT - 10)}${link}`);
+    assert.equal(chunks[1], link);
+    const escaped = splitMrkdwn(`${'x'.repeat(SECTION_TEXT_LIMIT - 2)}&amp;`);
+    assert.equal(escaped[1], '&amp;');
+    assert.ok(chunks.every(c => c.length <= SECTION_TEXT_LIMIT));
+  });
+
+  test('caps the number of sections with a note', () => {
+    const sections = sectionBlocks(Array(5).fill('y'.repeat(SECTION_TEXT_LIMIT)).join('\n\n'), { maxSections: 3, truncatedNote: '_more in Notion_' });
+    assert.equal(sections.length, 3);
+    assert.equal(sections[2].text.text, '_more in Notion_');
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
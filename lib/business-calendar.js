@@ -0,0 +1,269 @@
+/**
+ * Business calendar
+ * Working days, working hours and holidays of a team, so that ASAP and the default Needed by
+ * land in working time instead of on a Saturday, overnight or on a holiday.
+ * ASAP offsets (how far ahead "ASAP" is, optionally per priority) live here too.
+ * Defaults come from BUSINESS_* and ASAP_* environment variables; "businessCalendar" and "asap"
+ * in channel-mappings.json override them per database
+ */
+
+import { isValidTimeZone, localTimeZone, zonedParts, zonedTimeToUtc } from './time-zone.js';
+import { parseDuration } from './duration.js';
+
+/**
+ * Values used for keys a calendar leaves out
+ */
+export const CALENDAR_DEFAULTS = Object.freeze({
+  timeZone: null,
+  workDays: 'Mon-Fri',
+  hours: '09:00-17:00',
+  holidays: []
+});
+
+/**
+ * Values used for keys an ASAP policy leaves out (durations as written in configuration)
+ */
+export const ASAP_DEFAULTS = Object.freeze({
+  offset: '20m',
+  priorityOffsets: {}
+});
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Days searched for a working window before giving up (a calendar made only of holidays)
+const MAX_DAYS_AHEAD = 1000;
+
+/**
+ * Reads working days: names and ranges such as "Mon-Fri", "Sun-Thu" or ["Mon", "Wed", "Fri"]
+ * @param {string|string[]} value - Days
+ * @param {string} context - Prefix for error messages
+ * @returns {number[]} Weekdays (0 = Sunday), sorted
+ * @throws {Error} If a day cannot be read or no day is left
+ */
+function parseWorkDays(value, context) {
+  const items = (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map(item => String(item).trim().toLowerCase())
+    .filter(Boolean);
+  const index = (name) => {
+    const i = DAY_NAMES.indexOf(name.slice(0, 3));
+    if (i === -1 || name.length < 3) {
+      throw new Error(`${context} workDays must be day names or ranges like "Mon-Fri" (got "${name}")`);
+    }
+    return i;
+  };
+  const days = new Set();
+  for (const item of items) {
+    const [from, to] = item.split('-').map(s => s.trim());
+    const start = index(from);
+    const end = to === undefined ? start : index(to);
+    for (let d = start; ; d = (d + 1) % 7) {
+      days.add(d);
+      if (d === end) {break;}
+    }
+  }
+  if (!days.size) {
+    throw new Error(`${context} workDays must name at least one day`);
+  }
+  return [...days].sort((a, b) => a - b);
+}
+
+/**
+ * Reads working hours such as "09:00-17:00" or "9-17:30"
+ * @param {string} value - Hours
+ * @param {string} context - Prefix for error messages
+ * @returns {Object} { start, end } in minutes after midnight
+ * @throws {Error} If the hours cannot be read or end before they start
+ */
+function parseHours(value, context) {
+  const m = String(value ?? '').trim().match(/^(\d{1,2})(?::(\d{2}))?\s*-\s*(\d{1,2})(?::(\d{2}))?$/);
+  const start = m ? Number(m[1]) * 60 + Number(m[2] || 0) : NaN;
+  const end = m ? Number(m[3]) * 60 + Number(m[4] || 0) : NaN;
+  if (!(start >= 0 && end <= 24 * 60 && start < end && Number(m[2] || 0) < 60 && Number(m[4] || 0) < 60)) {
+    throw new Error(`${context} hours must look like "09:00-17:00" (got ${JSON.stringify(value)})`);
+  }
+  return { start, end };
+}
+
+/**
+ * Validates a business calendar
+ * Keys missing from `raw` are taken from `base`; with an empty base only the keys given are returned,
+ * which is how per-database overrides are kept until they are merged onto the environment defaults
+ * @param {Object} [raw] - e.g. { "timeZone": "Europe/Berlin", "workDays": "Mon-Fri", "hours": "09:00-17:30",
+ *   "holidays": ["2025-12-25", "01-01"] } (holidays as YYYY-MM-DD, or MM-DD for every year)
+ * @param {string} [context='businessCalendar'] - Prefix for error messages
+ * @param {Object} [base=CALENDAR_DEFAULTS] - Values for keys `raw` leaves out
+ * @returns {Object} { timeZone (null: the reporter's zone), workDays (0 = Sunday), start, end (minutes), holidays }
+ * @throws {Error} If a key has the wrong type or cannot be read
+ */
+export function normalizeBusinessCalendar(raw = {}, context = 'businessCalendar', base = CALENDAR_DEFAULTS) {
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    throw new Error(`${context} must be an object`);
+  }
+  const source = { ...base, ...raw };
+  const calendar = {};
+
+  if (source.timeZone !== undefined) {
+    if (source.timeZone !== null && !isValidTimeZone(source.timeZone)) {
+      throw new Error(`${context} has an unknown timeZone "${source.timeZone}"`);
+    }
+    calendar.timeZone = source.timeZone;
+  }
+  if (source.workDays !== undefined) {
+    calendar.workDays = parseWorkDays(source.workDays, context);
+  }
+  if (source.hours !== undefined) {
+    Object.assign(calendar, parseHours(source.hours, context));
+  }
+  if (source.holidays !== undefined) {
+    const valid = Array.isArray(source.holidays) && source.holidays.every(h => typeof h === 'string' && /^(\d{4}-)?\d{2}-\d{2}$/.test(h.trim()));
+    if (!valid) {
+      throw new Error(`${context} holidays must be a list of dates like "2025-12-25" (or "12-25" for every year)`);
+    }
+    calendar.holidays = [...new Set(source.holidays.map(h => h.trim()))].sort();
+  }
+  return calendar;
+}
+
+/**
+ * Validates an ASAP policy
+ * @param {Object} [raw] - e.g. { "offset": "20m", "priorityOffsets": { "P0": "10m", "P2": "4h" } }
+ * @param {string} [context='asap'] - Prefix for error messages
+ * @param {Object} [base=ASAP_DEFAULTS] - Values for keys `raw` leaves out (empty: only the keys given)
+ * @returns {Object} { offset (ms), priorityOffsets ({ priority: ms }) }
+ * @throws {Error} If a duration cannot be read
+ */
+export function normalizeAsapPolicy(raw = {}, context = 'asap', base = ASAP_DEFAULTS) {
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    throw new Error(`${context} must be an object`);
+  }
+  const source = { ...base, ...raw };
+  const duration = (value, key) => {
+    const ms = parseDuration(value);
+    if (Number.isNaN(ms)) {
+      throw new Error(`${context} ${key} must be a duration like "20m", "1h" or "1d" (got ${JSON.stringify(value)})`);
+    }
+    return ms;
+  };
+  const policy = {};
+
+  if (source.offset !== undefined) {
+    policy.offset = duration(source.offset, 'offset');
+  }
+  if (source.priorityOffsets !== undefined) {
+    if (typeof source.priorityOffsets !== 'object' || source.priorityOffsets === null || Array.isArray(source.priorityOffsets)) {
+      throw new Error(`${context} priorityOffsets must be an object of priority -> duration`);
+    }
+    policy.priorityOffsets = {};
+    for (const [priority, value] of Object.entries(source.priorityOffsets)) {
+      policy.priorityOffsets[priority.trim()] = duration(value, `priorityOffsets.${priority}`);
+    }
+  }
+  return policy;
+}
+
+/**
+ * How far ahead ASAP is for a priority (case-insensitive), else the policy's offset
+ * @param {Object|null} policy - ASAP policy (null: the 20-minute default)
+ * @param {string|null} priority - Issue priority
+ * @returns {number} Milliseconds
+ */
+export function asapOffset(policy, priority) {
+  const fallback = policy?.offset ?? parseDuration(ASAP_DEFAULTS.offset);
+  if (!priority) {return fallback;}
+  const match = Object.entries(policy?.priorityOffsets || {}).find(([p]) => p.toLowerCase() === priority.toLowerCase());
+  return match ? match[1] : fallback;
+}
+
+/**
+ * Time zone a calendar is read in: its own, else the reporter's, else the server's
+ * @param {Object} calendar - Business calendar
+ * @param {string|null} [timeZone] - Reporter's IANA time zone
+ * @returns {string} IANA time zone
+ */
+export function calendarTimeZone(calendar, timeZone = null) {
+  return calendar.timeZone || timeZone || localTimeZone();
+}
+
+/**
+ * Calendar date a number of days after a date
+ * @param {Object} date - { year, month, day }
+ * @param {number} days - Days to add
+ * @returns {Object} { year, month, day, weekday }
+ */
+function plusDays({ year, month, day }, days) {
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), weekday: d.getUTCDay() };
+}
+
+/**
+ * Whether a date is a working day: one of the work days and not a holiday
+ * @param {Object} date - { year, month, day }
+ * @param {Object} calendar - Business calendar
+ * @returns {boolean} True for working days
+ */
+export function isWorkingDay(date, calendar) {
+  const { year, month, day, weekday } = plusDays(date, 0);
+  const monthDay = `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  return calendar.workDays.includes(weekday)
+    && !calendar.holidays.includes(`${year}-${monthDay}`)
+    && !calendar.holidays.includes(monthDay);
+}
+
+/**
+ * Working windows from the day of an instant on, as [start, end] epoch ms
+ * @param {number} epochMs - Instant
+ * @param {Object} calendar - Business calendar
+ * @param {string} timeZone - IANA time zone of the calendar
+ * @yields {number[]} [start, end]
+ */
+function* workingWindows(epochMs, calendar, timeZone) {
+  const today = zonedParts(epochMs, timeZone);
+  for (let i = 0; i < MAX_DAYS_AHEAD; i++) {
+    const date = plusDays(today, i);
+    if (!isWorkingDay(date, calendar)) {continue;}
+    const at = minutes => zonedTimeToUtc({ ...date, hour: Math.floor(minutes / 60), minute: minutes % 60 }, timeZone);
+    yield [at(calendar.start), at(calendar.end)];
+  }
+}
+
+/**
+ * Adds working time to an instant, skipping nights, non-working days and holidays
+ * With 0 this moves an instant outside working hours to the start of the next working window
+ * @param {Date|number} when - Start
+ * @param {number} ms - Working time to add
+ * @param {Object} calendar - Business calendar
+ * @param {string} timeZone - IANA time zone of the calendar (see calendarTimeZone())
+ * @returns {Date} End (the start plus `ms` when the calendar has no working time left)
+ * @example
+ * // Friday 16:50 plus 20 minutes with hours 09:00-17:00 is Monday 09:10
+ */
+export function addWorkingTime(when, ms, calendar, timeZone) {
+  const start = new Date(when).getTime();
+  let cursor = start;
+  let left = ms;
+  for (const [from, to] of workingWindows(start, calendar, timeZone)) {
+    if (to < cursor) {continue;}
+    cursor = Math.max(from, cursor);
+    if (left <= to - cursor) {return new Date(cursor + left);}
+    left -= to - cursor;
+  }
+  return new Date(start + ms);
+}
+
+/**
+ * A wall-clock time on the first working day on or after a date, kept within its working hours
+ * (used for the default Needed by: 30 days out at 17:00 becomes the next working day at 17:00)
+ * @param {Object} date - { year, month, day }
+ * @param {number} hour - Hour of the day
+ * @param {Object} calendar - Business calendar
+ * @param {string} timeZone - IANA time zone of the calendar
+ * @returns {Date} Instant
+ */
+export function workingDayAt(date, hour, calendar, timeZone) {
+  let day = plusDays(date, 0);
+  for (let i = 0; i < MAX_DAYS_AHEAD && !isWorkingDay(day, calendar); i++) {
+    day = plusDays(day, 1);
+  }
+  const minutes = Math.min(Math.max(hour * 60, calendar.start), calendar.end);
+  return new Date(zonedTimeToUtc({ ...day, hour: Math.floor(minutes / 60), minute: minutes % 60 }, timeZone));
+}
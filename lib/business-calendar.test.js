@@ -0,0 +1,86 @@
+/**
+ * Unit tests for the business calendar
+ * Run with: node lib/business-calendar.test.js
+ */
+import { strict as assert } from 'assert';
+import {
+  normalizeBusinessCalendar,
+  normalizeAsapPolicy,
+  asapOffset,
+  isWorkingDay,
+  addWorkingTime,
+  workingDayAt
+} from './business-calendar.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = (name, fn) => { total++; try { fn(); passed++; console.log(`  ✓ ${name}`); } catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`);} };
+const suite = (name, fn) => { console.log(`\n${name}:`); fn(); };
+
+const M = 60000;
+const zone = 'America/New_York';
+const calendar = normalizeBusinessCalendar({ holidays: ['2025-11-27', '12-25'] });
+const add = (iso, ms, cal = calendar) => addWorkingTime(new Date(iso), ms, cal, zone).toISOString();
+
+suite('normalizeBusinessCalendar', () => {
+  test('reads days, ranges, hours and holidays, keeping overrides partial with an empty base', () => {
+    assert.deepEqual(calendar, { timeZone: null, workDays: [1, 2, 3, 4, 5], start: 540, end: 1020, holidays: ['12-25', '2025-11-27'] });
+    assert.deepEqual(normalizeBusinessCalendar({ workDays: 'Sun-Thu', hours: '8:30-17:30' }, 'cal', {}), { workDays: [0, 1, 2, 3, 4], start: 510, end: 1050 });
+    assert.deepEqual(normalizeBusinessCalendar({ workDays: ['Fri-Mon'] }, 'cal', {}).workDays, [0, 1, 5, 6]);
+  });
+
+  test('rejects invalid calendars and ASAP policies', () => {
+    assert.throws(() => normalizeBusinessCalendar({ workDays: 'weekdays' }, 'Database "db" businessCalendar'), /^Error: Database "db" businessCalendar workDays must be day names/);
+    assert.throws(() => normalizeBusinessCalendar({ workDays: [] }), /at least one day/);
+    assert.throws(() => normalizeBusinessCalendar({ hours: '17:00-09:00' }), /hours must look like "09:00-17:00"/);
+    assert.throws(() => normalizeBusinessCalendar({ holidays: ['Dec 25'] }), /holidays must be a list of dates/);
+    assert.throws(() => normalizeBusinessCalendar({ timeZone: 'Eastern' }), /unknown timeZone "Eastern"/);
+    assert.throws(() => normalizeAsapPolicy({ offset: 'soon' }), /asap offset must be a duration/);
+  });
+});
+
+suite('ASAP offsets', () => {
+  test('uses the priority offset, else the default offset', () => {
+    const policy = normalizeAsapPolicy({ priorityOffsets: { P0: '10m', P2: '4h' } });
+    assert.equal(asapOffset(policy, 'p0'), 10 * M);
+    assert.equal(asapOffset(policy, 'P1'), 20 * M);
+    assert.equal(asapOffset(policy, null), 20 * M);
+    assert.equal(asapOffset(null, 'P0'), 20 * M);
+    assert.deepEqual(normalizeAsapPolicy({ offset: '1h' }, 'asap', {}), { offset: 60 * M });
+  });
+});
+
+suite('working time', () => {
+  test('knows weekends and holidays, including yearly ones', () => {
+    assert.equal(isWorkingDay({ year: 2025, month: 11, day: 3 }, calendar), true);
+    assert.equal(isWorkingDay({ year: 2025, month: 11, day: 8 }, calendar), false);
+    assert.equal(isWorkingDay({ year: 2025, month: 11, day: 27 }, calendar), false);
+    assert.equal(isWorkingDay({ year: 2026, month: 12, day: 25 }, calendar), false);
+  });
+
+  test('adds working time across nights, weekends and holidays', () => {
+    // Monday 10:00 EST
+    assert.equal(add('2025-11-03T15:00:00Z', 20 * M), '2025-11-03T15:20:00.000Z');
+    // Friday 16:50 EST: 10 minutes left, then Monday 09:10
+    assert.equal(add('2025-11-07T21:50:00Z', 20 * M), '2025-11-10T14:10:00.000Z');
+    // Wednesday 18:00, before Thanksgiving: Friday 09:20
+    assert.equal(add('2025-11-26T23:00:00Z', 20 * M), '2025-11-28T14:20:00.000Z');
+    // Saturday with no offset: the start of Monday
+    assert.equal(add('2025-11-08T15:00:00Z', 0), '2025-11-10T14:00:00.000Z');
+    // More than a day's hours carries over
+    assert.equal(add('2025-11-03T15:00:00Z', 9 * 60 * M), '2025-11-04T16:00:00.000Z');
+  });
+
+  test('moves a day off to the next working day, within working hours', () => {
+    assert.equal(workingDayAt({ year: 2025, month: 11, day: 8 }, 17, calendar, zone).toISOString(), '2025-11-10T22:00:00.000Z');
+    assert.equal(workingDayAt({ year: 2025, month: 11, day: 4 }, 20, calendar, zone).toISOString(), '2025-11-04T22:00:00.000Z');
+    assert.equal(workingDayAt({ year: 2025, month: 11, day: 27 }, 7, calendar, zone).toISOString(), '2025-11-28T14:00:00.000Z');
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
@@ -6,14 +6,120 @@
 import { createLogger } from './logger.js';
 import { readFileSync, existsSync } from 'fs';
 import { join } from 'path';
+import { DEFAULT_FIELDS, normalizeFieldDefinitions } from './field-schema.js';
+import { DEFAULT_STATUS_REACTIONS, DEFAULT_WATCHED_PROPERTIES } from './status-sync.js';
+import { FIX_MODES } from './reconcile.js';
+import { DEFAULT_DELETE_POLICY, normalizeDeletePolicy } from './message-deleted.js';
+import { parseUserOverrides } from './user-directory.js';
+import { normalizeEscalationPolicy } from './escalation.js';
+import { normalizeSlaPolicy, parsePriorityDurations } from './sla.js';
+import { normalizeBusinessCalendar, normalizeAsapPolicy } from './business-calendar.js';
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE, normalizeLocale } from './i18n.js';
 
 // Initialize logger for config validation
 const logger = createLogger('config');
 
+/**
+ * Validates a database's Status -> reaction map
+ * @param {Object} db - Database entry from the mappings JSON
+ * @returns {Object} Reaction map (DEFAULT_STATUS_REACTIONS when not configured)
+ * @throws {Error} If statusReactions is not an object of strings
+ */
+function loadStatusReactions(db) {
+  if (db.statusReactions === undefined) {
+    return DEFAULT_STATUS_REACTIONS;
+  }
+  const reactions = db.statusReactions;
+  if (!reactions || typeof reactions !== 'object' || Array.isArray(reactions)
+    || Object.values(reactions).some(v => typeof v !== 'string')) {
+    throw new Error(`Database "${db.databaseId}" statusReactions must map Status values to reaction names`);
+  }
+  return reactions;
+}
+
+/**
+ * Reads the on-call rotation files of a database and its channels
+ * The files themselves are read when needed (see lib/rotation.js), so they can change without a restart
+ * @param {Object} db - Database entry from the mappings JSON
+ * @returns {Object} { rotationFile, channelRotationFiles: { channelId: path } }
+ * @throws {Error} If a rotationFile is not a non-empty string
+ */
+function loadRotationFiles(db) {
+  const check = (value, where) => {
+    if (value !== undefined && (typeof value !== 'string' || !value.trim())) {
+      throw new Error(`${where} rotationFile must be a path to a .yaml, .json or .ics file`);
+    }
+    return value?.trim() || null;
+  };
+  const channelRotationFiles = {};
+  for (const channel of db.channels || []) {
+    const file = check(channel.rotationFile, `Channel "${channel.channelId}"`);
+    if (file) {channelRotationFiles[channel.channelId] = file;}
+  }
+  return { rotationFile: check(db.rotationFile, `Database "${db.databaseId}"`), channelRotationFiles };
+}
+
+/**
+ * Reads the reply locales of a database and its channels
+ * @param {Object} db - Database entry from the mappings JSON
+ * @returns {Object} { locale, channelLocales: { channelId: locale } }
+ * @throws {Error} If a locale has no message catalog
+ */
+function loadLocales(db) {
+  const check = (value, where) => {
+    if (value === undefined) {return null;}
+    const locale = normalizeLocale(value);
+    if (!locale) {
+      throw new Error(`${where} locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`);
+    }
+    return locale;
+  };
+  const channelLocales = {};
+  for (const channel of db.channels || []) {
+    const locale = check(channel.locale, `Channel "${channel.channelId}"`);
+    if (locale) {channelLocales[channel.channelId] = locale;}
+  }
+  return { locale: check(db.locale, `Database "${db.databaseId}"`), channelLocales };
+}
+
+/**
+ * Builds per-database settings (field definitions, etc.) from a mappings entry
+ * @param {Object} db - Database entry from the mappings JSON
+ * @returns {Object} Settings object with databaseId, description, fields, statusReactions, onMessageDeleted,
+ *   escalation, rotationFile, channelRotationFiles, sla, businessCalendar, asap, locale and channelLocales
+ * @throws {Error} If the field definitions, status reactions, deletion, escalation, SLA or ASAP policy,
+ *   business calendar, rotation files or locales are invalid
+ */
+function loadDatabaseSettings(db) {
+  return {
+    databaseId: db.databaseId,
+    description: db.description || '',
+    fields: db.fields
+      ? normalizeFieldDefinitions(db.fields, `Database "${db.databaseId}" fields`)
+      : DEFAULT_FIELDS,
+    statusReactions: loadStatusReactions(db),
+    onMessageDeleted: normalizeDeletePolicy(db.onMessageDeleted, `Database "${db.databaseId}" onMessageDeleted`),
+    escalation: normalizeEscalationPolicy(db.escalation, `Database "${db.databaseId}" escalation`),
+    ...loadRotationFiles(db),
+    ...loadLocales(db),
+    // Only the keys given here; getSlaPolicy() merges them onto the SLA_* defaults (false turns SLA tracking off)
+    sla: db.sla === undefined || db.sla === false
+      ? (db.sla ?? null)
+      : normalizeSlaPolicy(db.sla, `Database "${db.databaseId}" sla`, {}),
+    // Same for the BUSINESS_* calendar (false turns it off) and the ASAP_* offsets
+    businessCalendar: db.businessCalendar === undefined || db.businessCalendar === false
+      ? (db.businessCalendar ?? null)
+      : normalizeBusinessCalendar(db.businessCalendar, `Database "${db.databaseId}" businessCalendar`, {}),
+    asap: db.asap === undefined
+      ? null
+      : normalizeAsapPolicy(db.asap, `Database "${db.databaseId}" asap`, {})
+  };
+}
+
 /**
  * Loads channel-to-database mappings from JSON file
  * @param {string} filePath - Path to the mappings file
- * @returns {Object} Mappings object with databaseId as keys, array of channelIds as values
+ * @returns {Object} Object with `mappings` ({databaseId: [channelIds]}) and `settings` ({databaseId: settings})
  * @throws {Error} If file doesn't exist or is invalid JSON
  */
 function loadChannelMappingsFromFile(filePath) {
@@ -31,6 +137,7 @@ function loadChannelMappingsFromFile(filePath) {
     }
     
     const mappings = {};
+    const settings = {};
     
     for (const db of json.databases) {
       if (!db.databaseId) {
@@ -54,15 +161,17 @@ function loadChannelMappingsFromFile(filePath) {
       }
       
       mappings[db.databaseId] = channelIds;
+      settings[db.databaseId] = loadDatabaseSettings(db);
       
       logger.debug({ 
         databaseId: db.databaseId,
         description: db.description,
-        channelCount: channelIds.length
+        channelCount: channelIds.length,
+        customFields: !!db.fields
       }, 'Loaded database mapping');
     }
     
-    return mappings;
+    return { mappings, settings };
   } catch (err) {
     if (err.name === 'SyntaxError') {
       throw new Error(`Invalid JSON in mappings file: ${err.message}`);
@@ -100,6 +209,7 @@ export function loadConfig() {
   
   let channelMappings = [];
   let dbToChannels = {};
+  let databaseSettings = {};
   
   if (useMultiChannel) {
     // Load mappings from environment variable or JSON file
@@ -130,6 +240,7 @@ export function loadConfig() {
           }
           
           dbToChannels[db.databaseId] = channelIds;
+          databaseSettings[db.databaseId] = loadDatabaseSettings(db);
         }
         
         channelMappings = convertToChannelMappings(dbToChannels);
@@ -146,7 +257,7 @@ export function loadConfig() {
     } else {
       // Fallback to file
       const mappingsPath = process.env.CHANNEL_DB_MAPPINGS_FILE || join(process.cwd(), 'channel-mappings.json');
-      dbToChannels = loadChannelMappingsFromFile(mappingsPath);
+      ({ mappings: dbToChannels, settings: databaseSettings } = loadChannelMappingsFromFile(mappingsPath));
       channelMappings = convertToChannelMappings(dbToChannels);
       
       logger.info({ 
@@ -180,6 +291,7 @@ export function loadConfig() {
       databaseId: legacyDatabaseId, // Kept for backward compatibility
       channelMappings: channelMappings, // Array of {channelId, databaseId} objects
       dbToChannels: dbToChannels, // Object of {databaseId: [channelIds]}
+      databases: databaseSettings, // Object of {databaseId: {description, fields, statusReactions}}
       multiChannelMode: useMultiChannel
     },
     
@@ -193,7 +305,92 @@ export function loadConfig() {
     // API configuration
     api: {
       timeout: parseInt(process.env.API_TIMEOUT || '10000', 10),
-      rateLimitPerSecond: 3 // Notion API limit
+      rateLimitPerSecond: 3, // Notion API limit
+      maxRetries: parseInt(process.env.NOTION_MAX_RETRIES || '3', 10) // In-place retries for 429/502/503/504
+    },
+    
+    // Durable state (pending findings checks, etc.)
+    state: {
+      driver: (process.env.STATE_STORE || 'file').toLowerCase(),
+      dir: process.env.STATE_DIR || join(process.cwd(), 'data')
+    },
+    
+    // Retry queue for Notion writes that failed with timeouts, 429s or 5xx
+    retry: {
+      maxAttempts: parseInt(process.env.NOTION_RETRY_MAX_ATTEMPTS || '6', 10),
+      baseDelayMs: parseInt(process.env.NOTION_RETRY_BASE_DELAY_MS || '30000', 10),
+      maxDelayMs: parseInt(process.env.NOTION_RETRY_MAX_DELAY_MS || '1800000', 10)
+    },
+    
+    // Notion -> Slack status sync (off unless STATUS_SYNC_ENABLED=true)
+    statusSync: {
+      enabled: String(process.env.STATUS_SYNC_ENABLED || 'false').toLowerCase() === 'true',
+      intervalMs: parseInt(process.env.STATUS_SYNC_INTERVAL_MS || '60000', 10),
+      properties: process.env.STATUS_SYNC_PROPERTIES
+        ? process.env.STATUS_SYNC_PROPERTIES.split(',').map(s => s.trim()).filter(Boolean)
+        : DEFAULT_WATCHED_PROPERTIES,
+      maxAgeDays: parseInt(process.env.STATUS_SYNC_MAX_AGE_DAYS || '30', 10)
+    },
+    
+    // Thread replies appended to the page body of the tracked message (opt-in)
+    threadMirror: {
+      enabled: String(process.env.THREAD_MIRROR_ENABLED || 'false').toLowerCase() === 'true'
+    },
+    
+    // Scheduled Slack <-> Notion reconciliation (`ops reconcile` runs it on demand)
+    reconcile: {
+      enabled: String(process.env.RECONCILE_ENABLED || 'false').toLowerCase() === 'true',
+      intervalMs: parseInt(process.env.RECONCILE_INTERVAL_MS || '21600000', 10),
+      lookbackDays: parseInt(process.env.RECONCILE_LOOKBACK_DAYS || '7', 10),
+      fix: (process.env.RECONCILE_FIX || 'none').toLowerCase()
+    },
+    
+    // Notion user directory (email -> Notion user) and Slack user email cache
+    users: {
+      directoryTtl: parseInt(process.env.USER_DIRECTORY_TTL || '3600000', 10),
+      missTtl: parseInt(process.env.USER_DIRECTORY_MISS_TTL || '600000', 10),
+      overrides: parseUserOverrides(process.env.NOTION_USER_OVERRIDES)
+    },
+    
+    // Schema drift warnings (always logged and served on /schema; posted here when set)
+    schemaDrift: {
+      alertChannel: process.env.SCHEMA_ALERT_CHANNEL || null
+    },
+    
+    // SLA reminders in issue threads, from Needed by (off unless SLA_ENABLED=true)
+    sla: {
+      enabled: String(process.env.SLA_ENABLED || 'false').toLowerCase() === 'true',
+      intervalMs: parseInt(process.env.SLA_CHECK_INTERVAL_MS || '300000', 10),
+      lookbackDays: parseInt(process.env.SLA_LOOKBACK_DAYS || '30', 10),
+      policy: normalizeSlaPolicy({
+        remindBefore: (process.env.SLA_REMIND_BEFORE ?? '1h').split(',').map(s => s.trim()).filter(Boolean),
+        repeatAfterBreach: (process.env.SLA_REPEAT_AFTER_BREACH || '4h').trim(),
+        priorityDefaults: parsePriorityDurations(process.env.SLA_PRIORITY_DEFAULTS ?? 'P0=4h,P1=1d,P2=3d'),
+        doneStatuses: (process.env.SLA_DONE_STATUSES || 'Done,Resolved,Closed,Won\'t fix').split(',').map(s => s.trim()).filter(Boolean)
+      }, 'SLA_* settings')
+    },
+    
+    // Working days, hours and holidays for ASAP and the default Needed by (off unless
+    // BUSINESS_CALENDAR_ENABLED=true or a database sets "businessCalendar")
+    businessCalendar: {
+      enabled: String(process.env.BUSINESS_CALENDAR_ENABLED || 'false').toLowerCase() === 'true',
+      calendar: normalizeBusinessCalendar({
+        timeZone: process.env.BUSINESS_TIME_ZONE || null,
+        workDays: process.env.BUSINESS_DAYS || 'Mon-Fri',
+        hours: process.env.BUSINESS_HOURS || '09:00-17:00',
+        holidays: (process.env.BUSINESS_HOLIDAYS || '').split(',').map(s => s.trim()).filter(Boolean)
+      }, 'BUSINESS_* settings')
+    },
+    
+    // How far ahead "ASAP" is, overall and per priority
+    asap: normalizeAsapPolicy({
+      offset: (process.env.ASAP_OFFSET || '20m').trim(),
+      priorityOffsets: parsePriorityDurations(process.env.ASAP_PRIORITY_OFFSETS, 'ASAP_PRIORITY_OFFSETS')
+    }, 'ASAP_* settings'),
+    
+    // Language of thread replies when neither the channel nor the reporter's Slack locale picks one
+    i18n: {
+      defaultLocale: (process.env.DEFAULT_LOCALE || DEFAULT_LOCALE).trim()
     },
     
     // Server configuration
@@ -282,6 +479,106 @@ export function loadConfig() {
     config.defaults.neededByHour = 17;
   }
 
+  if (!['file', 'memory'].includes(config.state.driver)) {
+    logger.warn({ 
+      value: config.state.driver 
+    }, 'STATE_STORE must be "file" or "memory", using file');
+    config.state.driver = 'file';
+  }
+
+  if (!(config.api.maxRetries >= 0 && config.api.maxRetries <= 10)) {
+    logger.warn({ 
+      value: config.api.maxRetries 
+    }, 'NOTION_MAX_RETRIES out of range (0-10), using 3');
+    config.api.maxRetries = 3;
+  }
+
+  if (!(config.retry.maxAttempts >= 2 && config.retry.maxAttempts <= 20)) {
+    logger.warn({ 
+      value: config.retry.maxAttempts 
+    }, 'NOTION_RETRY_MAX_ATTEMPTS out of range (2-20), using 6');
+    config.retry.maxAttempts = 6;
+  }
+
+  if (!(config.retry.baseDelayMs >= 1000) || !(config.retry.maxDelayMs >= config.retry.baseDelayMs)) {
+    logger.warn({ 
+      baseDelayMs: config.retry.baseDelayMs,
+      maxDelayMs: config.retry.maxDelayMs
+    }, 'NOTION_RETRY_BASE_DELAY_MS must be >= 1000 and <= NOTION_RETRY_MAX_DELAY_MS, using 30000/1800000');
+    config.retry.baseDelayMs = 30000;
+    config.retry.maxDelayMs = 1800000;
+  }
+
+  if (!(config.statusSync.intervalMs >= 10000)) {
+    logger.warn({ 
+      value: config.statusSync.intervalMs 
+    }, 'STATUS_SYNC_INTERVAL_MS must be at least 10000, using 60000');
+    config.statusSync.intervalMs = 60000;
+  }
+
+  if (!(config.statusSync.maxAgeDays >= 1)) {
+    logger.warn({ 
+      value: config.statusSync.maxAgeDays 
+    }, 'STATUS_SYNC_MAX_AGE_DAYS must be at least 1, using 30');
+    config.statusSync.maxAgeDays = 30;
+  }
+
+  if (!(config.reconcile.intervalMs >= 300000)) {
+    logger.warn({ 
+      value: config.reconcile.intervalMs 
+    }, 'RECONCILE_INTERVAL_MS must be at least 300000 (5 min), using 21600000');
+    config.reconcile.intervalMs = 21600000;
+  }
+
+  if (!(config.reconcile.lookbackDays >= 1)) {
+    logger.warn({ 
+      value: config.reconcile.lookbackDays 
+    }, 'RECONCILE_LOOKBACK_DAYS must be at least 1, using 7');
+    config.reconcile.lookbackDays = 7;
+  }
+
+  if (!(config.users.directoryTtl >= 60000)) {
+    logger.warn({ 
+      value: config.users.directoryTtl 
+    }, 'USER_DIRECTORY_TTL must be at least 60000, using 3600000');
+    config.users.directoryTtl = 3600000;
+  }
+
+  if (!(config.users.missTtl >= 0)) {
+    logger.warn({ 
+      value: config.users.missTtl 
+    }, 'USER_DIRECTORY_MISS_TTL must be a non-negative number, using 600000');
+    config.users.missTtl = 600000;
+  }
+
+  if (!(config.sla.intervalMs >= 60000)) {
+    logger.warn({ 
+      value: config.sla.intervalMs 
+    }, 'SLA_CHECK_INTERVAL_MS must be at least 60000, using 300000');
+    config.sla.intervalMs = 300000;
+  }
+
+  if (!(config.sla.lookbackDays >= 1)) {
+    logger.warn({ 
+      value: config.sla.lookbackDays 
+    }, 'SLA_LOOKBACK_DAYS must be at least 1, using 30');
+    config.sla.lookbackDays = 30;
+  }
+
+  if (!FIX_MODES.includes(config.reconcile.fix)) {
+    logger.warn({ 
+      value: config.reconcile.fix 
+    }, `RECONCILE_FIX must be one of ${FIX_MODES.join(', ')}, using none`);
+    config.reconcile.fix = 'none';
+  }
+
+  if (!normalizeLocale(config.i18n.defaultLocale)) {
+    logger.warn({ 
+      value: config.i18n.defaultLocale 
+    }, `DEFAULT_LOCALE must be one of ${SUPPORTED_LOCALES.join(', ')}, using ${DEFAULT_LOCALE}`);
+  }
+  config.i18n.defaultLocale = normalizeLocale(config.i18n.defaultLocale) || DEFAULT_LOCALE;
+
   // Log configuration (without sensitive data)
   logger.info({
     slack: {
@@ -291,12 +588,27 @@ export function loadConfig() {
     defaults: config.defaults,
     api: {
       timeout: `${config.api.timeout}ms`,
-      rateLimit: `${config.api.rateLimitPerSecond} requests/second`
+      rateLimit: `${config.api.rateLimitPerSecond} requests/second`,
+      maxRetries: config.api.maxRetries
     },
     server: {
       port: config.server.port,
       healthPort: config.server.healthPort
     },
+    state: config.state,
+    retry: config.retry,
+    statusSync: config.statusSync,
+    threadMirror: config.threadMirror,
+    reconcile: config.reconcile,
+    users: {
+      directoryTtl: config.users.directoryTtl,
+      missTtl: config.users.missTtl,
+      overrides: config.users.overrides.size
+    },
+    sla: config.sla,
+    businessCalendar: config.businessCalendar,
+    asap: config.asap,
+    i18n: config.i18n,
     env: config.env
   }, 'Configuration loaded and validated');
 
@@ -343,6 +655,100 @@ export function getDatabaseIdForChannel(channelId) {
   return null;
 }
 
+/**
+ * Gets per-database settings (field definitions, etc.)
+ * Databases without an entry in the mappings (e.g. legacy single-channel mode) get defaults
+ * @param {string} databaseId - Notion database ID
+ * @returns {Object} Settings object with databaseId, description, fields, statusReactions, onMessageDeleted,
+ *   escalation, rotationFile, channelRotationFiles, sla, businessCalendar, asap, locale and channelLocales
+ */
+export function getDatabaseSettings(databaseId) {
+  const config = getConfig();
+  return config.notion.databases?.[databaseId] || {
+    databaseId,
+    description: '',
+    fields: DEFAULT_FIELDS,
+    statusReactions: DEFAULT_STATUS_REACTIONS,
+    onMessageDeleted: DEFAULT_DELETE_POLICY,
+    escalation: null,
+    rotationFile: null,
+    channelRotationFiles: {},
+    sla: null,
+    businessCalendar: null,
+    asap: null,
+    locale: null,
+    channelLocales: {}
+  };
+}
+
+/**
+ * Gets the intake field definitions for a database
+ * @param {string} databaseId - Notion database ID
+ * @returns {Object[]} Field definitions (DEFAULT_FIELDS unless the mappings file overrides them)
+ */
+export function getFieldsForDatabase(databaseId) {
+  return getDatabaseSettings(databaseId).fields;
+}
+
+/**
+ * Gets the SLA policy for a database: the SLA_* defaults with the database's "sla" overrides
+ * @param {string} databaseId - Notion database ID
+ * @returns {Object|null} Policy from normalizeSlaPolicy(), or null when SLA tracking is off for the database
+ */
+export function getSlaPolicy(databaseId) {
+  const config = getConfig();
+  const { sla } = getDatabaseSettings(databaseId);
+  if (!config.sla.enabled || sla === false) {return null;}
+  return { ...config.sla.policy, ...(sla || {}) };
+}
+
+/**
+ * Gets the business calendar for a database: the BUSINESS_* defaults with the database's "businessCalendar" overrides
+ * @param {string} databaseId - Notion database ID
+ * @returns {Object|null} Calendar from normalizeBusinessCalendar(), or null when deadlines ignore working hours
+ */
+export function getBusinessCalendar(databaseId) {
+  const config = getConfig();
+  const { businessCalendar } = getDatabaseSettings(databaseId);
+  if (businessCalendar === false || (!config.businessCalendar.enabled && !businessCalendar)) {return null;}
+  return { ...config.businessCalendar.calendar, ...(businessCalendar || {}) };
+}
+
+/**
+ * Gets the ASAP policy for a database: the ASAP_* defaults with the database's "asap" overrides
+ * @param {string} databaseId - Notion database ID
+ * @returns {Object} Policy from normalizeAsapPolicy()
+ */
+export function getAsapPolicy(databaseId) {
+  const config = getConfig();
+  const { asap } = getDatabaseSettings(databaseId);
+  return { ...config.asap, ...(asap || {}) };
+}
+
+/**
+ * Gets the on-call rotation file for a channel: the channel's own, else its database's
+ * @param {string} channelId - Slack channel ID
+ * @returns {string|null} Path to the rotation file, or null when none is configured
+ */
+export function getRotationFileForChannel(channelId) {
+  const databaseId = getDatabaseIdForChannel(channelId);
+  if (!databaseId) {return null;}
+  const { rotationFile, channelRotationFiles } = getDatabaseSettings(databaseId);
+  return channelRotationFiles[channelId] || rotationFile;
+}
+
+/**
+ * Gets the reply locale configured for a channel: the channel's own, else its database's
+ * @param {string} channelId - Slack channel ID
+ * @returns {string|null} Locale, or null when replies follow the reporter's Slack locale
+ */
+export function getLocaleForChannel(channelId) {
+  const databaseId = getDatabaseIdForChannel(channelId);
+  if (!databaseId) {return null;}
+  const { locale, channelLocales } = getDatabaseSettings(databaseId);
+  return channelLocales[channelId] || locale;
+}
+
 /**
  * Checks if a channel is monitored by the bot
  * @param {string} channelId - Slack channel ID
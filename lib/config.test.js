@@ -69,6 +69,214 @@ suite('config.loadConfig', () => {
       assert.equal(cfg.notion.dbToChannels['db1'].length, 2);
     });
   });
+
+  test('per-database field definitions are loaded and validated', () => {
+    const mappings = {
+      databases: [
+        { databaseId: 'db1', channels: [ { channelId: 'C1' } ], fields: [ { label: 'Summary', required: true, title: true } ] },
+        { databaseId: 'db2', channels: [ { channelId: 'C2' } ] }
+      ]
+    };
+    withEnv({
+      SLACK_BOT_TOKEN: 'xoxb-test',
+      SLACK_APP_LEVEL_TOKEN: 'xapp-test',
+      NOTION_TOKEN: 'secret_test',
+      CHANNEL_DB_MAPPINGS: 'true',
+      CHANNEL_MAPPINGS_JSON: JSON.stringify(mappings)
+    }, () => {
+      const cfg = loadConfig();
+      assert.equal(cfg.notion.databases['db1'].fields.length, 1);
+      assert.equal(cfg.notion.databases['db1'].fields[0].key, 'summary');
+      assert.equal(cfg.notion.databases['db2'].fields.length, 7);
+    });
+  });
+
+  test('invalid field definitions throw', () => {
+    const mappings = {
+      databases: [ { databaseId: 'db1', channels: [ { channelId: 'C1' } ], fields: [ { label: 'X', type: 'color' } ] } ]
+    };
+    withEnv({
+      SLACK_BOT_TOKEN: 'xoxb-test',
+      SLACK_APP_LEVEL_TOKEN: 'xapp-test',
+      NOTION_TOKEN: 'secret_test',
+      CHANNEL_DB_MAPPINGS: 'true',
+      CHANNEL_MAPPINGS_JSON: JSON.stringify(mappings)
+    }, () => {
+      assert.throws(() => loadConfig(), /unknown type "color"/);
+    });
+  });
+
+  test('loads status sync settings and per-database status reactions', () => {
+    const mappings = {
+      databases: [
+        {
+          databaseId: 'db1',
+          channels: [ { channelId: 'C1' } ],
+          statusReactions: { Shipped: 'rocket' },
+          onMessageDeleted: { action: 'flag', property: 'Status', value: 'Withdrawn' },
+          escalation: { mentionGroup: 'S0ONCALL', maxRepings: 1 },
+          rotationFile: 'rotations/main.yaml',
+          sla: { remindBefore: ['1h', '4h'] },
+          businessCalendar: { hours: '08:00-16:00' },
+          asap: { priorityOffsets: { P0: '5m' } },
+          locale: 'es-LA'
+        },
+        { databaseId: 'db2', channels: [ { channelId: 'C2', rotationFile: 'rotations/c2.ics', locale: 'pt' } ], onMessageDeleted: 'ignore', sla: false, businessCalendar: false }
+      ]
+    };
+    withEnv({
+      SLACK_BOT_TOKEN: 'xoxb-test',
+      SLACK_APP_LEVEL_TOKEN: 'xapp-test',
+      NOTION_TOKEN: 'secret_test',
+      CHANNEL_DB_MAPPINGS: 'true',
+      CHANNEL_MAPPINGS_JSON: JSON.stringify(mappings),
+      STATUS_SYNC_PROPERTIES: 'Status, Owner',
+      STATUS_SYNC_INTERVAL_MS: '500',
+      RECONCILE_ENABLED: 'true',
+      RECONCILE_INTERVAL_MS: '1000',
+      RECONCILE_FIX: 'everything',
+      USER_DIRECTORY_TTL: '1000',
+      NOTION_USER_OVERRIDES: 'ana@slack.com=ana@notion.so',
+      SLA_ENABLED: 'true',
+      SLA_CHECK_INTERVAL_MS: '1000',
+      SLA_PRIORITY_DEFAULTS: 'P0=2h',
+      BUSINESS_HOLIDAYS: '12-25, 2025-11-27',
+      ASAP_PRIORITY_OFFSETS: 'P0=10m,P1=30m',
+      DEFAULT_LOCALE: 'fr'
+    }, () => {
+      const cfg = loadConfig();
+      assert.equal(cfg.reconcile.enabled, true);
+      assert.equal(cfg.threadMirror.enabled, false);
+      assert.equal(cfg.reconcile.intervalMs, 21600000); // clamped
+      assert.equal(cfg.reconcile.fix, 'none'); // unknown mode
+      assert.equal(cfg.reconcile.lookbackDays, 7);
+      assert.equal(cfg.users.directoryTtl, 3600000); // clamped
+      assert.equal(cfg.users.missTtl, 600000);
+      assert.equal(cfg.users.overrides.get('ana@slack.com'), 'ana@notion.so');
+      assert.deepEqual(cfg.statusSync.properties, ['Status', 'Owner']);
+      assert.equal(cfg.statusSync.intervalMs, 60000); // clamped
+      assert.equal(cfg.statusSync.enabled, false); // opt-in
+      assert.deepEqual(cfg.notion.databases['db1'].statusReactions, { Shipped: 'rocket' });
+      assert.equal(cfg.notion.databases['db2'].statusReactions['in progress'], 'eyes');
+      assert.deepEqual(cfg.notion.databases['db1'].onMessageDeleted, { action: 'flag', property: 'Status', value: 'Withdrawn' });
+      assert.equal(cfg.notion.databases['db2'].onMessageDeleted.action, 'ignore');
+      assert.equal(cfg.notion.databases['db1'].escalation.mentionGroup, 'S0ONCALL');
+      assert.deepEqual(cfg.notion.databases['db1'].escalation.priorities, ['P0']);
+      assert.equal(cfg.notion.databases['db2'].escalation, null);
+      assert.equal(cfg.notion.databases['db1'].rotationFile, 'rotations/main.yaml');
+      assert.deepEqual(cfg.notion.databases['db2'].channelRotationFiles, { C2: 'rotations/c2.ics' });
+      assert.equal(cfg.sla.enabled, true);
+      assert.equal(cfg.sla.intervalMs, 300000); // clamped
+      assert.deepEqual(cfg.sla.policy.priorityDefaults, { P0: 7200000 });
+      assert.equal(cfg.sla.policy.repeatAfterBreach, 14400000);
+      assert.deepEqual(cfg.notion.databases['db1'].sla, { remindBefore: [14400000, 3600000] });
+      assert.equal(cfg.notion.databases['db2'].sla, false);
+      assert.equal(cfg.businessCalendar.enabled, false);
+      assert.deepEqual(cfg.businessCalendar.calendar.holidays, ['12-25', '2025-11-27']);
+      assert.deepEqual(cfg.notion.databases['db1'].businessCalendar, { start: 480, end: 960 });
+      assert.equal(cfg.notion.databases['db2'].businessCalendar, false);
+      assert.deepEqual(cfg.asap, { offset: 1200000, priorityOffsets: { P0: 600000, P1: 1800000 } });
+      assert.deepEqual(cfg.notion.databases['db1'].asap, { priorityOffsets: { P0: 300000 } });
+      assert.equal(cfg.i18n.defaultLocale, 'en'); // no catalog for "fr"
+      assert.equal(cfg.notion.databases['db1'].locale, 'es');
+      assert.deepEqual(cfg.notion.databases['db2'].channelLocales, { C2: 'pt' });
+      assert.equal(cfg.notion.databases['db2'].locale, null);
+    });
+  });
+
+  test('invalid business calendars and ASAP offsets throw', () => {
+    withEnv({
+      SLACK_BOT_TOKEN: 'xoxb-test',
+      SLACK_APP_LEVEL_TOKEN: 'xapp-test',
+      NOTION_TOKEN: 'secret_test',
+      BUSINESS_HOURS: '9 to 5'
+    }, () => {
+      assert.throws(() => loadConfig(), /BUSINESS_\* settings hours must look like "09:00-17:00"/);
+    });
+    withEnv({
+      SLACK_BOT_TOKEN: 'xoxb-test',
+      SLACK_APP_LEVEL_TOKEN: 'xapp-test',
+      NOTION_TOKEN: 'secret_test',
+      ASAP_PRIORITY_OFFSETS: 'P0:10m'
+    }, () => {
+      assert.throws(() => loadConfig(), /ASAP_PRIORITY_OFFSETS: expected "priority=duration" pairs/);
+    });
+  });
+
+  test('locales without a message catalog throw', () => {
+    const mappings = {
+      databases: [ { databaseId: 'db1', channels: [ { channelId: 'C1', locale: 'de' } ] } ]
+    };
+    withEnv({
+      SLACK_BOT_TOKEN: 'xoxb-test',
+      SLACK_APP_LEVEL_TOKEN: 'xapp-test',
+      NOTION_TOKEN: 'secret_test',
+      CHANNEL_DB_MAPPINGS: 'true',
+      CHANNEL_MAPPINGS_JSON: JSON.stringify(mappings)
+    }, () => {
+      assert.throws(() => loadConfig(), /Channel "C1" locale must be one of: en, es, pt/);
+    });
+  });
+
+  test('invalid SLA durations throw', () => {
+    const mappings = {
+      databases: [ { databaseId: 'db1', channels: [ { channelId: 'C1' } ], sla: { repeatAfterBreach: 'daily' } } ]
+    };
+    withEnv({
+      SLACK_BOT_TOKEN: 'xoxb-test',
+      SLACK_APP_LEVEL_TOKEN: 'xapp-test',
+      NOTION_TOKEN: 'secret_test',
+      CHANNEL_DB_MAPPINGS: 'true',
+      CHANNEL_MAPPINGS_JSON: JSON.stringify(mappings)
+    }, () => {
+      assert.throws(() => loadConfig(), /Database "db1" sla repeatAfterBreach must be a duration/);
+    });
+  });
+
+  test('escalation policy without anyone to notify throws', () => {
+    const mappings = {
+      databases: [ { databaseId: 'db1', channels: [ { channelId: 'C1' } ], escalation: { priorities: ['P0', 'P1'] } } ]
+    };
+    withEnv({
+      SLACK_BOT_TOKEN: 'xoxb-test',
+      SLACK_APP_LEVEL_TOKEN: 'xapp-test',
+      NOTION_TOKEN: 'secret_test',
+      CHANNEL_DB_MAPPINGS: 'true',
+      CHANNEL_MAPPINGS_JSON: JSON.stringify(mappings)
+    }, () => {
+      assert.throws(() => loadConfig(), /Database "db1" escalation needs at least one of/);
+    });
+  });
+
+  test('unknown deletion policy throws', () => {
+    const mappings = {
+      databases: [ { databaseId: 'db1', channels: [ { channelId: 'C1' } ], onMessageDeleted: 'delete' } ]
+    };
+    withEnv({
+      SLACK_BOT_TOKEN: 'xoxb-test',
+      SLACK_APP_LEVEL_TOKEN: 'xapp-test',
+      NOTION_TOKEN: 'secret_test',
+      CHANNEL_DB_MAPPINGS: 'true',
+      CHANNEL_MAPPINGS_JSON: JSON.stringify(mappings)
+    }, () => {
+      assert.throws(() => loadConfig(), /Database "db1" onMessageDeleted must be one of archive, flag, ignore/);
+    });
+  });
+
+  test('invalid status reactions throw', () => {
+    const mappings = {
+      databases: [ { databaseId: 'db1', channels: [ { channelId: 'C1' } ], statusReactions: ['eyes'] } ]
+    };
+    withEnv({
+      SLACK_BOT_TOKEN: 'xoxb-test',
+      SLACK_APP_LEVEL_TOKEN: 'xapp-test',
+      NOTION_TOKEN: 'secret_test',
+      CHANNEL_DB_MAPPINGS: 'true',
+      CHANNEL_MAPPINGS_JSON: JSON.stringify(mappings)
+    }, () => {
+      assert.throws(() => loadConfig(), /statusReactions must map/);
+    });
+  });
 });
 
 console.log(`\n${'='.repeat(60)}`);
@@ -17,7 +17,9 @@ export const NOTION_FIELDS = {
   RELEVANT_LINKS: 'Relevant Links',
   SLACK_MESSAGE_TS: 'Slack Message TS',
   SLACK_MESSAGE_URL: 'Slack Message URL',
-  ONCALL_CAT_FINDINGS: 'On-call Cat Findings'
+  ONCALL_CAT_FINDINGS: 'On-call Cat Findings',
+  STATUS: 'Status',
+  ASSIGNEE: 'Assignee'
 };
 
 // Priority levels
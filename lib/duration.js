@@ -0,0 +1,35 @@
+/**
+ * Durations as written in configuration ("30m", "4h", "1d", "1h30m")
+ * Shared by SLA policies and business-calendar ASAP offsets
+ */
+
+const UNIT_MS = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+/**
+ * Parses a duration such as "30m", "4h", "1d" or "1h30m"
+ * @param {string|number} value - Duration text; 0 (or "0") means none
+ * @returns {number} Milliseconds, or NaN when the value cannot be read
+ */
+export function parseDuration(value) {
+  if (value === 0 || value === '0') {return 0;}
+  const s = String(value ?? '').trim().toLowerCase().replace(/\s+/g, '');
+  if (!/^(\d+[mhdw])+$/.test(s)) {return NaN;}
+  let ms = 0;
+  for (const [, amount, unit] of s.matchAll(/(\d+)([mhdw])/g)) {
+    ms += Number(amount) * UNIT_MS[unit];
+  }
+  return ms;
+}
+
+/**
+ * Formats a duration for people, with its two largest units
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. "45m", "4h", "1d 6h"
+ */
+export function formatDuration(ms) {
+  const minutes = Math.max(0, Math.round(ms / 60000));
+  const parts = [[Math.floor(minutes / 1440), 'd'], [Math.floor(minutes / 60) % 24, 'h'], [minutes % 60, 'm']];
+  const first = parts.findIndex(([n]) => n > 0);
+  if (first === -1) {return '0m';}
+  return parts.slice(first, first + 2).filter(([n]) => n > 0).map(([n, unit]) => `${n}${unit}`).join(' ');
+}
@@ -0,0 +1,35 @@
+/**
+ * Unit tests for configuration durations
+ * Run with: node lib/duration.test.js
+ */
+import { strict as assert } from 'assert';
+import { parseDuration, formatDuration } from './duration.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = (name, fn) => { total++; try { fn(); passed++; console.log(`  ✓ ${name}`); } catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`);} };
+const suite = (name, fn) => { console.log(`\n${name}:`); fn(); };
+
+const H = 3600000;
+
+suite('durations', () => {
+  test('reads and prints minutes, hours, days and weeks', () => {
+    assert.equal(parseDuration('90m'), 90 * 60000);
+    assert.equal(parseDuration('1h 30m'), 90 * 60000);
+    assert.equal(parseDuration('2w'), 14 * 24 * H);
+    assert.equal(parseDuration(0), 0);
+    assert.ok(Number.isNaN(parseDuration('4 hours')));
+    assert.ok(Number.isNaN(parseDuration(30)));
+    assert.equal(formatDuration(26 * H + 5 * 60000), '1d 2h');
+    assert.equal(formatDuration(2 * H + 30 * 60000), '2h 30m');
+    assert.equal(formatDuration(24 * H + 30 * 60000), '1d');
+    assert.equal(formatDuration(10000), '0m');
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
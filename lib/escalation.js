@@ -0,0 +1,162 @@
+/**
+ * Priority escalation
+ * High-priority issues (P0 by default) get more than the thread confirmation: an on-call
+ * user group is mentioned, the issue is cross-posted to an incidents channel, the current
+ * on-call (from the rotation file) gets a DM, and everyone is pinged again while nobody
+ * has reacted to the message or changed the page's Status.
+ * Configured per database with "escalation" in channel-mappings.json
+ */
+
+import icons from './ascii-icons.js';
+
+/**
+ * Values used for keys an escalation policy leaves out
+ */
+export const ESCALATION_DEFAULTS = Object.freeze({
+  priorities: ['P0'],
+  mentionGroup: null,
+  incidentChannel: null,
+  rotationFile: null,
+  repingAfterMinutes: 15,
+  maxRepings: 3
+});
+
+/**
+ * Validates an "escalation" mappings value
+ * @param {Object} [raw] - Value from channel-mappings.json, e.g.
+ *   { "priorities": ["P0"], "mentionGroup": "S0123ABC", "incidentChannel": "C0INCIDENT",
+ *     "rotationFile": "rotations/payments.json", "repingAfterMinutes": 15, "maxRepings": 3 }
+ * @param {string} [context='escalation'] - Prefix for error messages
+ * @returns {Object|null} Policy with every key set, or null when escalation is not configured
+ * @throws {Error} If a key has the wrong type or the policy would notify nobody
+ */
+export function normalizeEscalationPolicy(raw, context = 'escalation') {
+  if (raw === undefined || raw === null || raw === false) {
+    return null;
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${context} must be an object`);
+  }
+  const policy = { ...ESCALATION_DEFAULTS, ...raw };
+
+  if (!Array.isArray(policy.priorities) || !policy.priorities.length || policy.priorities.some(p => typeof p !== 'string' || !p.trim())) {
+    throw new Error(`${context} priorities must be a non-empty list of priority values`);
+  }
+  for (const key of ['mentionGroup', 'incidentChannel', 'rotationFile']) {
+    if (policy[key] !== null && (typeof policy[key] !== 'string' || !policy[key].trim())) {
+      throw new Error(`${context} ${key} must be a non-empty string`);
+    }
+  }
+  if (policy.mentionGroup && !/^S[A-Z0-9]+$/.test(policy.mentionGroup)) {
+    throw new Error(`${context} mentionGroup must be a Slack user group ID (e.g. S0123ABC)`);
+  }
+  for (const key of ['repingAfterMinutes', 'maxRepings']) {
+    if (!Number.isInteger(policy[key]) || policy[key] < 0) {
+      throw new Error(`${context} ${key} must be a whole number >= 0`);
+    }
+  }
+  if (!policy.mentionGroup && !policy.incidentChannel && !policy.rotationFile) {
+    throw new Error(`${context} needs at least one of mentionGroup, incidentChannel or rotationFile`);
+  }
+
+  return {
+    priorities: policy.priorities.map(p => p.trim()),
+    mentionGroup: policy.mentionGroup,
+    incidentChannel: policy.incidentChannel,
+    rotationFile: policy.rotationFile,
+    repingAfterMinutes: policy.repingAfterMinutes,
+    maxRepings: policy.maxRepings
+  };
+}
+
+/**
+ * Whether an issue's priority is escalated by a policy (case-insensitive)
+ * @param {Object|null} policy - Policy from normalizeEscalationPolicy()
+ * @param {string|null} priority - Issue priority
+ * @returns {boolean} True when the issue should be escalated
+ */
+export function shouldEscalate(policy, priority) {
+  return Boolean(policy && priority && policy.priorities.some(p => p.toLowerCase() === priority.toLowerCase()));
+}
+
+/**
+ * Mentions for the people being paged
+ * @param {Object} policy - Escalation policy
+ * @param {string|null} onCallUser - Slack user ID of the current on-call
+ * @returns {string} e.g. "<!subteam^S0123> <@U0456>" ('' when there is nobody to mention)
+ */
+export function pageMentions(policy, onCallUser) {
+  return [policy.mentionGroup ? `<!subteam^${policy.mentionGroup}>` : null, onCallUser ? `<@${onCallUser}>` : null]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Formats the first escalation messages
+ * @param {Object} params - Function parameters
+ * @param {Object} params.policy - Escalation policy
+ * @param {string} params.priority - Issue priority
+ * @param {string} params.title - Issue title
+ * @param {string} params.pageUrl - Notion page URL
+ * @param {string} params.channel - Slack channel the issue was filed in
+ * @param {string} [params.permalink] - Link to the Slack message
+ * @param {string|null} [params.onCallUser] - Slack user ID of the current on-call
+ * @returns {Object} { thread, incident, dm } mrkdwn texts (incident/dm null when not configured)
+ */
+export function formatEscalation({ policy, priority, title, pageUrl, channel, permalink, onCallUser = null }) {
+  const issue = `*${priority}* <${pageUrl}|${title}>`;
+  const thread = permalink ? `<${permalink}|thread>` : 'thread';
+  const mentions = pageMentions(policy, onCallUser);
+  const ack = policy.repingAfterMinutes && policy.maxRepings
+    ? ` React to the message or change its Status in Notion to acknowledge; otherwise I'll ping again in ${policy.repingAfterMinutes} min.`
+    : '';
+  return {
+    thread: `${icons.emojiBang} *${priority} escalation*${mentions ? `: ${mentions}` : ''} please take a look.${ack}`,
+    incident: policy.incidentChannel ? `${icons.emojiBang} ${issue} reported in <#${channel}> (${thread})${mentions ? ` ${mentions}` : ''}` : null,
+    dm: onCallUser ? `${icons.emojiBang} You're on call: ${issue} was reported in <#${channel}> (${thread}).${ack}` : null
+  };
+}
+
+/**
+ * Formats a re-ping for an unacknowledged escalation
+ * @param {Object} params - Function parameters
+ * @param {Object} params.policy - Escalation policy
+ * @param {number} params.minutes - Minutes since the escalation
+ * @param {string|null} [params.onCallUser] - Slack user ID of the current on-call
+ * @param {boolean} [params.last=false] - Whether this is the last re-ping
+ * @returns {string} mrkdwn text
+ */
+export function formatReping({ policy, minutes, onCallUser = null, last = false }) {
+  const mentions = pageMentions(policy, onCallUser);
+  return `${icons.emojiBang} Still unacknowledged after ${minutes} min${mentions ? `: ${mentions}` : ''}. ` +
+    'React to the message or change its Status in Notion.' +
+    (last ? ' This is the last reminder.' : '');
+}
+
+/**
+ * Whether someone has picked up an escalated issue
+ * @param {Object} params - Function parameters
+ * @param {Object[]} [params.reactions] - reactions.get message.reactions ([{ name, users }])
+ * @param {string} [params.botUserId] - The bot's own user ID (its status reactions do not count)
+ * @param {string|null} params.statusAtEscalation - Page Status when the issue was escalated
+ * @param {string|null} params.status - Current page Status
+ * @returns {boolean} True when a person reacted or the Status changed
+ */
+export function isAcknowledged({ reactions = [], botUserId, statusAtEscalation, status }) {
+  const reacted = reactions.some(r => (r.users || []).some(user => user !== botUserId));
+  return reacted || (status ?? null) !== (statusAtEscalation ?? null);
+}
+
+/**
+ * Decides what to do with a pending escalation
+ * @param {Object} entry - { escalatedAt, repings, lastPingAt }
+ * @param {Object} policy - Escalation policy
+ * @param {number} [now=Date.now()] - Current time (epoch ms)
+ * @returns {string} "wait", "reping" or "done" (re-pings exhausted or disabled)
+ */
+export function nextEscalationStep(entry, policy, now = Date.now()) {
+  if (!policy.repingAfterMinutes || entry.repings >= policy.maxRepings) {
+    return 'done';
+  }
+  return now - entry.lastPingAt >= policy.repingAfterMinutes * 60000 ? 'reping' : 'wait';
+}
@@ -0,0 +1,97 @@
+/**
+ * Unit tests for priority escalation
+ * Run with: node lib/escalation.test.js
+ */
+import { strict as assert } from 'assert';
+import {
+  normalizeEscalationPolicy,
+  shouldEscalate,
+  formatEscalation,
+  formatReping,
+  isAcknowledged,
+  nextEscalationStep
+} from './escalation.js';
+import { DEFAULT_FIELDS, issuePriority } from './field-schema.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = (name, fn) => { total++; try { fn(); passed++; console.log(`  ✓ ${name}`); } catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`);} };
+const suite = (name, fn) => { console.log(`\n${name}:`); fn(); };
+
+const policy = normalizeEscalationPolicy({ mentionGroup: 'S0ONCALL', incidentChannel: 'C0INCIDENT', rotationFile: 'rotation.json' });
+
+suite('normalizeEscalationPolicy', () => {
+  test('fills in defaults', () => {
+    assert.equal(normalizeEscalationPolicy(undefined), null);
+    assert.deepEqual(policy, {
+      priorities: ['P0'],
+      mentionGroup: 'S0ONCALL',
+      incidentChannel: 'C0INCIDENT',
+      rotationFile: 'rotation.json',
+      repingAfterMinutes: 15,
+      maxRepings: 3
+    });
+  });
+
+  test('rejects invalid policies', () => {
+    assert.throws(() => normalizeEscalationPolicy({}, 'Database "db" escalation'), /^Error: Database "db" escalation needs at least one of/);
+    assert.throws(() => normalizeEscalationPolicy({ mentionGroup: '@oncall' }), /user group ID/);
+    assert.throws(() => normalizeEscalationPolicy({ incidentChannel: 'C1', priorities: [] }), /priorities/);
+    assert.throws(() => normalizeEscalationPolicy({ incidentChannel: 'C1', repingAfterMinutes: '15' }), /repingAfterMinutes must be a whole number/);
+  });
+});
+
+suite('shouldEscalate', () => {
+  test('matches the priority field case-insensitively', () => {
+    assert.equal(issuePriority({ priority: ' p0 ' }, DEFAULT_FIELDS), 'p0');
+    assert.equal(shouldEscalate(policy, 'p0'), true);
+    assert.equal(shouldEscalate(policy, 'P1'), false);
+    assert.equal(shouldEscalate(null, 'P0'), false);
+    assert.equal(issuePriority({ issue: 'x' }, [{ key: 'issue', property: 'Issue' }]), null);
+  });
+});
+
+suite('messages', () => {
+  test('mentions the group and the on-call and links the page', () => {
+    const messages = formatEscalation({
+      policy, priority: 'P0', title: 'API down', pageUrl: 'https://notion.so/p', channel: 'C1', permalink: 'https://slack.com/m', onCallUser: 'U9'
+    });
+    assert.match(messages.thread, /\*P0 escalation\*: <!subteam\^S0ONCALL> <@U9> please take a look\. React .* ping again in 15 min\.$/);
+    assert.match(messages.incident, /\*P0\* <https:\/\/notion\.so\/p\|API down> reported in <#C1> \(<https:\/\/slack\.com\/m\|thread>\) <!subteam\^S0ONCALL> <@U9>$/);
+    assert.match(messages.dm, /^.+ You're on call: \*P0\*/);
+  });
+
+  test('leaves out what is not configured', () => {
+    const messages = formatEscalation({
+      policy: normalizeEscalationPolicy({ mentionGroup: 'S0ONCALL', repingAfterMinutes: 0 }), priority: 'P0', title: 't', pageUrl: 'u', channel: 'C1'
+    });
+    assert.deepEqual([messages.incident, messages.dm], [null, null]);
+    assert.match(messages.thread, /please take a look\.$/);
+    assert.match(formatReping({ policy, minutes: 45, last: true }), /after 45 min: <!subteam\^S0ONCALL>\. .* This is the last reminder\.$/);
+  });
+});
+
+suite('acknowledgement', () => {
+  test('counts reactions from people and Status changes', () => {
+    const base = { botUserId: 'UBOT', statusAtEscalation: 'Triage', status: 'Triage' };
+    assert.equal(isAcknowledged({ ...base, reactions: [{ name: 'mag', users: ['UBOT'] }] }), false);
+    assert.equal(isAcknowledged({ ...base, reactions: [{ name: 'eyes', users: ['U1'] }] }), true);
+    assert.equal(isAcknowledged({ ...base, status: 'In progress' }), true);
+    assert.equal(isAcknowledged({ botUserId: 'UBOT', statusAtEscalation: null, status: undefined }), false);
+  });
+
+  test('re-pings after the delay until the limit', () => {
+    const t = 1_000_000;
+    assert.equal(nextEscalationStep({ repings: 0, lastPingAt: t }, policy, t + 14 * 60000), 'wait');
+    assert.equal(nextEscalationStep({ repings: 0, lastPingAt: t }, policy, t + 15 * 60000), 'reping');
+    assert.equal(nextEscalationStep({ repings: 3, lastPingAt: t }, policy, t + 60 * 60000), 'done');
+    assert.equal(nextEscalationStep({ repings: 0, lastPingAt: t }, { ...policy, repingAfterMinutes: 0 }, t), 'done');
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
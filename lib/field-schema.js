@@ -0,0 +1,248 @@
+/**
+ * Intake field definitions
+ * Describes which labels a trigger message may contain, how each value is parsed
+ * and validated, and which Notion property it is written to.
+ * Databases can override the default set via "fields" in channel-mappings.json.
+ */
+
+import { NOTION_FIELDS, PRIORITIES } from './constants.js';
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE, translate } from './i18n.js';
+
+/**
+ * Supported field value types
+ * - text:   free text, written as-is
+ * - select: one of `options` (matched case/format-insensitively)
+ * - email:  must contain a valid email address
+ * - date:   parsed with parseNeededByString(), defaults when omitted
+ * - links:  free text; URLs are also collected into parsed.urls
+ */
+export const FIELD_TYPES = ['text', 'select', 'email', 'date', 'links'];
+
+/**
+ * What to do with values a Notion select/multi-select/status column has no option for
+ * (see lib/select-options.js): create the option, reject the value, or fix obvious typos
+ */
+export const OPTION_POLICIES = ['create', 'strict', 'closest'];
+export const DEFAULT_OPTION_POLICY = 'create';
+
+/**
+ * Default on-call intake form, used when a database does not define its own fields
+ * Keys match the historical parseAutoBlock() output shape. `labels` holds the labels of other
+ * locales: the first is shown in that locale's replies, and all of them are accepted when parsing
+ */
+export const DEFAULT_FIELDS = Object.freeze([
+  {
+    key: 'priority',
+    label: 'Priority',
+    aliases: [],
+    labels: { es: ['Prioridad'], pt: ['Prioridade'] },
+    property: NOTION_FIELDS.PRIORITY,
+    required: true,
+    type: 'select',
+    options: [PRIORITIES.P0, PRIORITIES.P1, PRIORITIES.P2],
+    example: 'P1'
+  },
+  {
+    key: 'issue',
+    label: 'Issue',
+    aliases: [],
+    labels: { es: ['Problema', 'Incidencia'], pt: ['Problema', 'Incidente'] },
+    property: NOTION_FIELDS.ISSUE,
+    required: true,
+    type: 'text',
+    title: true,
+    example: 'Production API timeout'
+  },
+  {
+    key: 'replicate',
+    label: 'How to replicate',
+    aliases: [],
+    labels: { es: ['Cómo reproducir', 'Como reproducir', 'Pasos para reproducir'], pt: ['Como reproduzir', 'Passos para reproduzir'] },
+    property: NOTION_FIELDS.HOW_TO_REPLICATE,
+    required: true,
+    type: 'text',
+    example: 'Try checking out'
+  },
+  {
+    key: 'customer',
+    label: 'Customer',
+    aliases: [],
+    labels: { es: ['Cliente'], pt: ['Cliente'] },
+    property: NOTION_FIELDS.CUSTOMER,
+    required: true,
+    type: 'text',
+    example: 'Acme Corp'
+  },
+  {
+    key: 'onepass',
+    label: '1Password',
+    aliases: ['1 Password'],
+    property: NOTION_FIELDS.ONE_PASSWORD,
+    required: true,
+    type: 'email',
+    example: 'oncall@company.com'
+  },
+  {
+    key: 'needed',
+    label: 'Needed by',
+    aliases: ['Needed by date/time', 'Needed by datetime', 'Needed by date'],
+    labels: { es: ['Necesario para', 'Fecha límite', 'Fecha limite'], pt: ['Necessário até', 'Necessario ate', 'Prazo'] },
+    property: NOTION_FIELDS.NEEDED_BY,
+    required: false,
+    type: 'date',
+    example: '11/08/2025 5PM'
+  },
+  {
+    key: 'linksText',
+    label: 'Relevant Links',
+    aliases: ['Relevant Link'],
+    labels: { es: ['Enlaces relevantes', 'Enlaces'], pt: ['Links relevantes', 'Links'] },
+    property: NOTION_FIELDS.RELEVANT_LINKS,
+    required: false,
+    type: 'links',
+    example: 'https://status.example.com'
+  }
+].map(field => Object.freeze(field)));
+
+/**
+ * Derives a parsed-object key from a label ("How to replicate" -> "howToReplicate")
+ * @param {string} label - Field label
+ * @returns {string} camelCase key
+ */
+export function keyFromLabel(label) {
+  const words = String(label).replace(/[^A-Za-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+  return words
+    .map((w, i) => (i === 0 ? w.toLowerCase() : w[0].toUpperCase() + w.slice(1).toLowerCase()))
+    .join('');
+}
+
+/**
+ * Validates and normalizes a field definition list from configuration
+ * @param {Object[]} fields - Raw field definitions
+ * @param {string} [context='fields'] - Description used in error messages
+ * @returns {Object[]} Normalized, frozen field definitions
+ * @throws {Error} If a definition is missing a label, has an unknown type, or duplicates a key
+ */
+export function normalizeFieldDefinitions(fields, context = 'fields') {
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw new Error(`${context} must be a non-empty array`);
+  }
+
+  const seen = new Set();
+  const normalized = fields.map((raw, i) => {
+    if (!raw || typeof raw.label !== 'string' || !raw.label.trim()) {
+      throw new Error(`${context}[${i}] must have a "label"`);
+    }
+    const type = raw.type || 'text';
+    if (!FIELD_TYPES.includes(type)) {
+      throw new Error(`${context}[${i}] has unknown type "${type}" (expected one of: ${FIELD_TYPES.join(', ')})`);
+    }
+    if (type === 'select' && raw.options !== undefined && !Array.isArray(raw.options)) {
+      throw new Error(`${context}[${i}] "options" must be an array`);
+    }
+    if (raw.optionPolicy !== undefined && !OPTION_POLICIES.includes(raw.optionPolicy)) {
+      throw new Error(`${context}[${i}] has unknown "optionPolicy" "${raw.optionPolicy}" (expected one of: ${OPTION_POLICIES.join(', ')})`);
+    }
+    if (raw.labels !== undefined) {
+      const valid = raw.labels && typeof raw.labels === 'object' && !Array.isArray(raw.labels)
+        && Object.entries(raw.labels).every(([locale, value]) => SUPPORTED_LOCALES.includes(locale)
+          && [value].flat().length > 0 && [value].flat().every(l => typeof l === 'string' && l.trim()));
+      if (!valid) {
+        throw new Error(`${context}[${i}] "labels" must map locales (${SUPPORTED_LOCALES.join(', ')}) to a label or a list of labels`);
+      }
+    }
+    if (raw.pattern !== undefined) {
+      try { new RegExp(raw.pattern); } catch (err) {
+        throw new Error(`${context}[${i}] has invalid "pattern": ${err.message}`);
+      }
+    }
+
+    const key = raw.key || keyFromLabel(raw.label);
+    if (seen.has(key)) {
+      throw new Error(`${context}[${i}] duplicates key "${key}"`);
+    }
+    seen.add(key);
+
+    return Object.freeze({
+      ...raw,
+      key,
+      label: raw.label.trim(),
+      aliases: Array.isArray(raw.aliases) ? raw.aliases : [],
+      labels: Object.fromEntries(Object.entries(raw.labels || {}).map(([locale, value]) => [locale, [value].flat().map(l => l.trim())])),
+      property: raw.property || raw.label.trim(),
+      required: Boolean(raw.required),
+      type,
+      options: type === 'select' ? (raw.options || []) : undefined
+    });
+  });
+
+  return Object.freeze(normalized);
+}
+
+/**
+ * Returns the field whose value names the Notion page (the title field)
+ * @param {Object[]} [fields=DEFAULT_FIELDS] - Field definitions
+ * @returns {Object|undefined} Field marked `title: true`, else the first text field
+ */
+export function getTitleField(fields = DEFAULT_FIELDS) {
+  return fields.find(f => f.title) || fields.find(f => f.type === 'text');
+}
+
+/**
+ * Reads the priority of an issue from its parsed fields
+ * @param {Object} parsed - Parsed issue data
+ * @param {Object[]} fields - Field definitions of the database
+ * @returns {string|null} Priority value, or null when the form has no Priority field
+ */
+export function issuePriority(parsed, fields) {
+  const field = fields.find(f => f.property.toLowerCase() === NOTION_FIELDS.PRIORITY.toLowerCase()) || fields.find(f => f.key === 'priority');
+  const value = field ? parsed?.[field.key] : null;
+  return value ? String(value).trim() : null;
+}
+
+/**
+ * Label of a field in a locale (the field's own label when the locale has none)
+ * @param {Object} field - Field definition
+ * @param {string} [locale=DEFAULT_LOCALE] - Locale
+ * @returns {string} Label
+ */
+export function fieldLabel(field, locale = DEFAULT_LOCALE) {
+  return field.labels?.[locale]?.[0] || field.label;
+}
+
+/**
+ * Every label a message may use for a field: its label, aliases and the labels of all locales
+ * @param {Object} field - Field definition
+ * @returns {string[]} Labels
+ */
+export function fieldLabels(field) {
+  return [...new Set([field.label, ...(field.aliases || []), ...Object.values(field.labels || {}).flat()])];
+}
+
+/**
+ * Human-readable field name for validation messages, e.g. "Priority (P0/P1/P2)"
+ * @param {Object} field - Field definition
+ * @param {string} [locale=DEFAULT_LOCALE] - Locale of the label and hint
+ * @returns {string} Label with a type hint where helpful
+ */
+export function describeField(field, locale = DEFAULT_LOCALE) {
+  const label = fieldLabel(field, locale);
+  if (field.hint) { return `${label} (${field.hint})`; }
+  if (field.type === 'select' && field.options?.length) { return `${label} (${field.options.join('/')})`; }
+  if (field.type === 'email') { return `${label} (${translate(locale, 'emailHint')})`; }
+  return label;
+}
+
+/**
+ * Builds the example trigger block shown when fields are missing
+ * @param {Object[]} [fields=DEFAULT_FIELDS] - Field definitions
+ * @param {string} [locale=DEFAULT_LOCALE] - Locale of the labels
+ * @returns {string} Multi-line example starting with "@auto"
+ */
+export function buildExampleBlock(fields = DEFAULT_FIELDS, locale = DEFAULT_LOCALE) {
+  const lines = fields.map(f => {
+    const sample = f.example || (f.type === 'select' && f.options?.[0]) || '...';
+    return `${fieldLabel(f, locale)}: ${sample}`;
+  });
+  return ['@auto', ...lines].join('\n');
+}
@@ -0,0 +1,124 @@
+/**
+ * Unit tests for intake field definitions
+ * Run with: node lib/field-schema.test.js
+ */
+import { strict as assert } from 'assert';
+import {
+  DEFAULT_FIELDS,
+  keyFromLabel,
+  normalizeFieldDefinitions,
+  getTitleField,
+  issuePriority,
+  describeField,
+  buildExampleBlock,
+  fieldLabel,
+  fieldLabels
+} from './field-schema.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = (name, fn) => { total++; try { fn(); passed++; console.log(`  ✓ ${name}`); } catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`);} };
+const suite = (name, fn) => { console.log(`\n${name}:`); fn(); };
+
+suite('DEFAULT_FIELDS', () => {
+  test('keeps the historical parsed keys', () => {
+    assert.deepEqual(DEFAULT_FIELDS.map(f => f.key), ['priority', 'issue', 'replicate', 'customer', 'onepass', 'needed', 'linksText']);
+  });
+
+  test('uses Issue as the title field', () => {
+    assert.equal(getTitleField().key, 'issue');
+  });
+
+  test('reads the priority from the Priority field', () => {
+    assert.equal(issuePriority({ priority: ' p0 ' }, DEFAULT_FIELDS), 'p0');
+    assert.equal(issuePriority({ sev: 'S1' }, [{ key: 'sev', property: 'Priority' }]), 'S1');
+    assert.equal(issuePriority({ issue: 'x' }, [{ key: 'issue', property: 'Issue' }]), null);
+  });
+
+  test('builds the example block shown in replies', () => {
+    const example = buildExampleBlock();
+    assert(example.startsWith('@auto\nPriority: P1\nIssue: Production API timeout'));
+    assert(example.includes('1Password: oncall@company.com'));
+  });
+});
+
+suite('normalizeFieldDefinitions', () => {
+  test('derives keys, properties and defaults', () => {
+    const [field] = normalizeFieldDefinitions([{ label: 'Affected service' }]);
+    assert.equal(field.key, 'affectedService');
+    assert.equal(field.property, 'Affected service');
+    assert.equal(field.type, 'text');
+    assert.equal(field.required, false);
+    assert.deepEqual(field.aliases, []);
+  });
+
+  test('keeps an explicit Notion property name', () => {
+    const [field] = normalizeFieldDefinitions([{ label: 'Sev', property: 'Severity', type: 'select', options: ['S1'] }]);
+    assert.equal(field.property, 'Severity');
+    assert.deepEqual(field.options, ['S1']);
+  });
+
+  test('rejects unknown types', () => {
+    assert.throws(() => normalizeFieldDefinitions([{ label: 'X', type: 'color' }]), /unknown type "color"/);
+  });
+
+  test('rejects missing labels', () => {
+    assert.throws(() => normalizeFieldDefinitions([{ type: 'text' }]), /must have a "label"/);
+  });
+
+  test('rejects duplicate keys', () => {
+    assert.throws(() => normalizeFieldDefinitions([{ label: 'Issue' }, { label: 'issue' }]), /duplicates key "issue"/);
+  });
+
+  test('rejects invalid patterns', () => {
+    assert.throws(() => normalizeFieldDefinitions([{ label: 'Ticket', pattern: '([' }]), /invalid "pattern"/);
+  });
+
+  test('accepts known option policies only', () => {
+    assert.equal(normalizeFieldDefinitions([{ label: 'Tags', optionPolicy: 'closest' }])[0].optionPolicy, 'closest');
+    assert.throws(() => normalizeFieldDefinitions([{ label: 'Tags', optionPolicy: 'fuzzy' }]), /unknown "optionPolicy" "fuzzy"/);
+  });
+
+  test('normalizes labels per locale', () => {
+    const [field] = normalizeFieldDefinitions([{ label: 'Region', labels: { es: 'Región', pt: ['Região', 'Regiao'] } }]);
+    assert.deepEqual(field.labels, { es: ['Región'], pt: ['Região', 'Regiao'] });
+    assert.deepEqual(normalizeFieldDefinitions([{ label: 'Region' }])[0].labels, {});
+    assert.throws(() => normalizeFieldDefinitions([{ label: 'Region', labels: { fr: 'Région' } }]), /"labels" must map locales \(en, es, pt\)/);
+    assert.throws(() => normalizeFieldDefinitions([{ label: 'Region', labels: { es: [] } }]), /"labels" must map locales/);
+  });
+
+  test('rejects an empty list', () => {
+    assert.throws(() => normalizeFieldDefinitions([]), /non-empty array/);
+  });
+});
+
+suite('helpers', () => {
+  test('keyFromLabel camel-cases labels', () => {
+    assert.equal(keyFromLabel('How to replicate'), 'howToReplicate');
+    assert.equal(keyFromLabel('1Password'), '1password');
+  });
+
+  test('describeField adds type hints', () => {
+    assert.equal(describeField(DEFAULT_FIELDS[0]), 'Priority (P0/P1/P2)');
+    assert.equal(describeField(DEFAULT_FIELDS[4]), '1Password (email)');
+    assert.equal(describeField({ label: 'Ticket', hint: 'OPS-123' }), 'Ticket (OPS-123)');
+    assert.equal(describeField(DEFAULT_FIELDS[1]), 'Issue');
+  });
+
+  test('localizes labels, hints and the example block', () => {
+    const [priority, , replicate, , onepass] = DEFAULT_FIELDS;
+    assert.equal(fieldLabel(replicate, 'es'), 'Cómo reproducir');
+    assert.equal(fieldLabel(onepass, 'pt'), '1Password');
+    assert.deepEqual(fieldLabels(priority), ['Priority', 'Prioridad', 'Prioridade']);
+    assert.equal(describeField(priority, 'es'), 'Prioridad (P0/P1/P2)');
+    assert.equal(describeField(onepass, 'pt'), '1Password (e-mail)');
+    assert(buildExampleBlock(DEFAULT_FIELDS, 'pt').startsWith('@auto\nPrioridade: P1\nProblema: Production API timeout'));
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
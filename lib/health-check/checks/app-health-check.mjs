@@ -21,7 +21,7 @@ export class AppHealthCheck extends HealthChecker {
   }
 
   async check() {
-    const { cli, flags } = this.config;
+    const { cli } = this.config;
 
     if (cli?.dryRun) {
       return {
@@ -37,6 +37,7 @@ export class AppHealthCheck extends HealthChecker {
               messagesFailed: 0,
               apiTimeouts: 0,
               uptimeSeconds: 0,
+              breakdown: { channel: {}, databaseId: {}, trigger: {}, errorKind: {} },
             },
             buildTime: new Date().toISOString(),
             version: 'dry-run',
@@ -50,15 +51,7 @@ export class AppHealthCheck extends HealthChecker {
     }
 
     try {
-      // Determine service URL
-      let url = flags?.url;
-      if (!url && flags?.target === 'local') {
-        url = `http://localhost:${this.config.localPort || 1987}`;
-      }
-      if (!url && cli) {
-        url = await this.gcloud(cli, `run services describe ${this.config.serviceName} --region=${this.config.region} --format='value(status.url)'`);
-      }
-
+      const url = await this.resolveServiceUrl();
       if (!url) {
         return {
           status: 'error',
@@ -67,33 +60,7 @@ export class AppHealthCheck extends HealthChecker {
         };
       }
 
-      // Fetch health endpoint
-      const isLocal = url.startsWith('http://localhost') || url.startsWith('http://127.0.0.1');
-      const idToken = !isLocal && cli ? await this.getIdentityToken(cli) : null;
-      const curlAuth = idToken
-        ? `curl -s -H "Authorization: Bearer ${idToken}" "${url}/health"`
-        : `curl -s "${url}/health"`;
-
-      const res = await execAsync(curlAuth);
-      const text = res.stdout?.trim() || '';
-
-      if (!text) {
-        return {
-          status: 'error',
-          data: null,
-          error: 'Empty response from /health',
-        };
-      }
-
-      if (text.startsWith('<') || /<html/i.test(text)) {
-        return {
-          status: 'error',
-          data: null,
-          error: 'Non-JSON response from /health (likely unauthenticated)',
-        };
-      }
-
-      const health = JSON.parse(text);
+      const health = await this.fetchJson(url, '/health');
       const mappings = this.loadChannelMappings();
 
       // Fetch channel names and database titles if available
@@ -123,6 +90,48 @@ export class AppHealthCheck extends HealthChecker {
     }
   }
 
+  /**
+   * Service base URL: --url, localhost for --target=local, else the Cloud Run service URL
+   * @returns {Promise<string|null>} URL, or null when it cannot be determined
+   */
+  async resolveServiceUrl() {
+    const { cli, flags } = this.config;
+    let url = flags?.url;
+    if (!url && flags?.target === 'local') {
+      url = `http://localhost:${this.config.localPort || 1987}`;
+    }
+    if (!url && cli) {
+      url = await this.gcloud(cli, `run services describe ${this.config.serviceName} --region=${this.config.region} --format='value(status.url)'`);
+    }
+    return url || null;
+  }
+
+  /**
+   * Fetches a JSON endpoint of the service (with an identity token outside localhost)
+   * @param {string} url - Service base URL
+   * @param {string} path - Endpoint path, e.g. "/health"
+   * @returns {Promise<Object>} Parsed response
+   * @throws {Error} On empty or non-JSON responses
+   */
+  async fetchJson(url, path) {
+    const { cli } = this.config;
+    const isLocal = url.startsWith('http://localhost') || url.startsWith('http://127.0.0.1');
+    const idToken = !isLocal && cli ? await this.getIdentityToken(cli) : null;
+    const curlAuth = idToken
+      ? `curl -s -H "Authorization: Bearer ${idToken}" "${url}${path}"`
+      : `curl -s "${url}${path}"`;
+
+    const res = await execAsync(curlAuth);
+    const text = res.stdout?.trim() || '';
+    if (!text) {
+      throw new Error(`Empty response from ${path}`);
+    }
+    if (text.startsWith('<') || /<html/i.test(text)) {
+      throw new Error(`Non-JSON response from ${path} (likely unauthenticated)`);
+    }
+    return JSON.parse(text);
+  }
+
   async gcloud(cli, command) {
     if (!cli) {return null;}
     const res = await cli.run(`gcloud ${command}`);
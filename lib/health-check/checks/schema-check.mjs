@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Notion schema drift checker (reads the service's /schema endpoint)
+ */
+
+import { AppHealthCheck } from './app-health-check.mjs';
+import icons from '../../ascii-icons.js';
+
+/**
+ * Notion schema checker: warns when a mapped database no longer matches the field definitions
+ */
+export class SchemaCheck extends AppHealthCheck {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'Notion Schema';
+  }
+
+  async check() {
+    if (this.config.cli?.dryRun) {
+      return { status: 'ok', data: { status: 'ok', databases: [] }, error: null };
+    }
+
+    try {
+      const url = await this.resolveServiceUrl();
+      if (!url) {
+        return { status: 'error', data: null, error: 'Missing service URL' };
+      }
+      const report = await this.fetchJson(url, '/schema');
+      return {
+        status: report.status === 'ok' ? 'ok' : 'warn',
+        data: report,
+        error: null,
+      };
+    } catch (err) {
+      return { status: 'error', data: null, error: err.message };
+    }
+  }
+
+  getIcon() {
+    return icons.schema;
+  }
+}
+
+export default SchemaCheck;
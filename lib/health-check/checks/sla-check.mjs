@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Needed by SLA checker (reads the service's /sla endpoint)
+ */
+
+import { AppHealthCheck } from './app-health-check.mjs';
+import icons from '../../ascii-icons.js';
+
+/**
+ * SLA checker: warns while open issues are past their Needed by
+ */
+export class SlaCheck extends AppHealthCheck {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'Issue SLAs';
+  }
+
+  async check() {
+    if (this.config.cli?.dryRun) {
+      return { status: 'ok', data: { status: 'ok', enabled: false, databases: [] }, error: null };
+    }
+
+    try {
+      const url = await this.resolveServiceUrl();
+      if (!url) {
+        return { status: 'error', data: null, error: 'Missing service URL' };
+      }
+      const report = await this.fetchJson(url, '/sla');
+      return {
+        status: report.status === 'ok' ? 'ok' : 'warn',
+        data: report,
+        error: null,
+      };
+    } catch (err) {
+      return { status: 'error', data: null, error: err.message };
+    }
+  }
+
+  getIcon() {
+    return icons.pending;
+  }
+}
+
+export default SlaCheck;
@@ -50,6 +50,8 @@ export class JsonRenderer extends Renderer {
   getKeyForChecker(checkerName) {
     const mapping = {
       'Application Health': 'health',
+      'Notion Schema': 'schema',
+      'Issue SLAs': 'sla',
       'Git': 'git',
       'GCP Services': 'gcp',
       'Docker': 'docker',
@@ -66,6 +66,8 @@ export class TerminalRenderer extends Renderer {
   getRendererForChecker(checkerName) {
     const renderers = {
       'Application Health': this.renderAppHealth,
+      'Notion Schema': this.renderSchema,
+      'Issue SLAs': this.renderSla,
       'Git': this.renderGit,
       'GCP Services': this.renderGcp,
       'Docker': this.renderDocker,
@@ -143,6 +145,8 @@ export class TerminalRenderer extends Renderer {
       if (m.messagesFailed > 0 || m.apiTimeouts > 0) {
         content.push(`   ${colors.red}Errors:      ${m.messagesFailed} failures | ${m.apiTimeouts} timeouts${colors.reset}`);
       }
+
+      this.renderMetricsBreakdown(content, m.breakdown, data);
     }
 
     console.log(`${colors.bright}${icons.app} Application Health${colors.reset}`);
@@ -150,6 +154,109 @@ export class TerminalRenderer extends Renderer {
     console.log('');
   }
 
+  /**
+   * Appends per-channel, per-database, trigger and error-kind lines from metrics.breakdown
+   * @param {string[]} content - Box lines to append to
+   * @param {Object} [breakdown] - metrics.breakdown from /health (absent on older deployments)
+   * @param {Object} data - Checker data with channelNames and dbTitles
+   */
+  renderMetricsBreakdown(content, breakdown, data) {
+    if (!breakdown) {return;}
+    const counts = (c) => {
+      const issues = [
+        c.messagesFailed ? `${c.messagesFailed} failed` : null,
+        c.validationErrors ? `${c.validationErrors} invalid` : null,
+        c.apiTimeouts ? `${c.apiTimeouts} timeouts` : null
+      ].filter(Boolean);
+      const issueText = issues.length ? `${colors.yellow}${issues.join(', ')}${colors.reset}` : `${colors.gray}no errors${colors.reset}`;
+      return `${c.messagesProcessed || 0} processed | ${issueText}`;
+    };
+
+    const channels = Object.entries(breakdown.channel || {});
+    if (channels.length > 0) {
+      content.push('');
+      content.push(` ${colors.bright}By channel:${colors.reset}`);
+      for (const [channelId, c] of channels) {
+        const name = data.channelNames?.[channelId] || channelId;
+        content.push(`   ${colors.dim}-${colors.reset} ${name}: ${counts(c)}`);
+      }
+    }
+
+    const databases = Object.entries(breakdown.databaseId || {});
+    if (databases.length > 0) {
+      content.push(` ${colors.bright}By database:${colors.reset}`);
+      for (const [dbId, c] of databases) {
+        const title = data.dbTitles?.[dbId] || `${dbId.substring(0, 8)}...`;
+        content.push(`   ${colors.dim}-${colors.reset} ${title}: ${counts(c)}`);
+      }
+    }
+
+    const triggers = Object.entries(breakdown.trigger || {});
+    if (triggers.length > 0) {
+      content.push(`   Triggers:    ${triggers.map(([t, c]) => `${t} ${c.messagesProcessed || 0}`).join(' | ')}`);
+    }
+
+    const kinds = Object.entries(breakdown.errorKind || {});
+    if (kinds.length > 0) {
+      // Timeouts are also counted as failures, so only failures and validation errors are summed
+      const total = (c) => (c.messagesFailed || 0) + (c.validationErrors || 0);
+      content.push(`   Error kinds: ${colors.yellow}${kinds.map(([k, c]) => `${k} ${total(c)}`).join(' | ')}${colors.reset}`);
+    }
+  }
+
+  async renderSchema(result) {
+    const { data } = result;
+    if (!data) {return;}
+
+    const content = [];
+    if (data.databases.length === 0) {
+      content.push(` ${colors.gray}No schema loaded yet${colors.reset}`);
+    }
+    for (const db of data.databases) {
+      const name = db.title || `${db.databaseId.substring(0, 8)}...`;
+      if (db.ok) {
+        content.push(` ${colors.green}${icons.ok}${colors.reset} ${name}`);
+        continue;
+      }
+      content.push(` ${colors.yellow}${icons.warn}${colors.reset} ${name}`);
+      for (const problem of db.problems) {
+        content.push(`   ${colors.dim}-${colors.reset} ${problem.message}`);
+      }
+    }
+
+    console.log(`${colors.bright}${icons.schema} Notion Schema${colors.reset}`);
+    console.log(drawBox(content));
+    console.log('');
+  }
+
+  async renderSla(result) {
+    const { data } = result;
+    if (!data) {return;}
+
+    const content = [];
+    if (!data.enabled) {
+      content.push(` ${colors.gray}SLA tracking is off (SLA_ENABLED=false)${colors.reset}`);
+    } else if (data.databases.length === 0) {
+      content.push(` ${colors.gray}No SLA check has run yet${colors.reset}`);
+    }
+    for (const db of data.databases) {
+      const name = db.title || `${db.databaseId.substring(0, 8)}...`;
+      const counts = `${db.breached.length} breached, ${db.dueSoon.length} due soon`;
+      if (db.breached.length === 0) {
+        content.push(` ${colors.green}${icons.ok}${colors.reset} ${name}: ${counts}`);
+        continue;
+      }
+      content.push(` ${colors.yellow}${icons.warn}${colors.reset} ${name}: ${counts}`);
+      for (const page of db.breached) {
+        content.push(`   ${colors.dim}-${colors.reset} needed by ${page.neededBy} ${colors.dim}${page.url}${colors.reset}`);
+      }
+    }
+
+    console.log(`${colors.bright}${icons.pending} Issue SLAs${colors.reset}`);
+    console.log(drawBox(content));
+    console.log('');
+  }
+
   async renderGit(result) {
     const { data, status: _status } = result;
     if (!data) {
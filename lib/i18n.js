@@ -0,0 +1,178 @@
+/**
+ * Message catalog
+ * Thread replies the bot posts about a reporter's message (missing fields, format problems,
+ * confirmations, Notion permissions and retries, findings) in English, Spanish and Portuguese. The locale comes from the
+ * channel ("locale" in channel-mappings.json), else the reporter's Slack locale, else DEFAULT_LOCALE.
+ * Field labels per locale live on the field definitions (see lib/field-schema.js)
+ */
+
+/**
+ * Locales with a catalog; Slack locales such as "es-LA" or "pt-BR" map to their language
+ */
+export const SUPPORTED_LOCALES = Object.freeze(['en', 'es', 'pt']);
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Messages per locale; `{name}` placeholders are filled by translate().
+ * Keys missing from a locale fall back to English
+ */
+export const MESSAGES = Object.freeze({
+  en: Object.freeze({
+    missingTitle: 'Missing Required Fields',
+    missingIntro: 'The following fields are required:',
+    missingHowToFix: '*How to fix:* Edit your original message and add the missing fields.',
+    missingKeepTrigger: 'Keep the trigger at the top (@auto).',
+    example: 'Example:',
+    missingOutro: 'I\'ll automatically detect your edit and create the Notion page!',
+    invalidTitle: 'Format Validation Failed',
+    invalidHowToFix: '*How to fix:* Edit your original message with the correct format. I\'ll automatically detect the edit and retry!',
+    emailInvalid: '{label} field must be an email address.\nGot: "{value}"\nExpected format: user@company.com (supports +, -, numbers, and dots)',
+    patternInvalid: '{label} has an unexpected format.\nGot: "{value}"\nExpected format: {expected}',
+    optionInvalid: '{label} must be one of the existing options.\nGot: {values}\nValid options: {options}',
+    optionsNone: '(none yet; ask an admin to add them in Notion)',
+    emailHint: 'email',
+    dateNotRecognized: '{label} date/time format not recognized: "{value}"',
+    dateAcceptedFormats: '*Accepted formats:*',
+    dateAsap: '{offset} from now (counted in working hours when the channel has a business calendar)',
+    dateDefaultsTo: 'defaults to {time}',
+    dateNatural: '`tomorrow 3pm`, `EOD Friday`, `next Tuesday`, `in 2 hours`, `Nov 4 7pm`',
+    datePastYear: 'A date without a year that passed in the last few months is not moved to next year; write the year (`Nov 4 2026`) if you mean that.',
+    dateTimeZone: 'Times are read in your Slack time zone unless you add one (`Nov 4 7pm PT`, `15:00 CET`, `9am Europe/Berlin`).',
+    dateOmitted: 'If omitted entirely, defaults to {days} days from today at {time}.',
+    permsTitle: 'I couldn\'t write to Notion due to *insufficient permissions*.',
+    permsConnect: 'Please make sure your Notion integration is connected to {database} with *Can edit* access:',
+    permsShare: '- In Notion, open the database as a full page → *Share* → *Add connection* → select this integration → *Allow*.',
+    permsRetry: '- Then try your message again (or edit the same message).',
+    permsDatabase: 'the Notion database',
+    replyTracked: 'Tracked: {database} › {page}',
+    replyUpdated: 'Updated: {database} › {page}',
+    replyOnCall: 'on call: {user}',
+    replyDatabase: 'Notion DB',
+    retryTimeout: 'Notion timed out right now. I\'ve queued this and will keep retrying automatically; I\'ll post here once it\'s saved.',
+    retryRateLimited: 'Notion is rate limiting us right now. I\'ve queued this and will keep retrying automatically; I\'ll post here once it\'s saved.',
+    retryTrouble: 'Notion is having trouble right now. I\'ve queued this and will keep retrying automatically; I\'ll post here once it\'s saved.',
+    retryGaveUp: 'I couldn\'t save this to Notion after {attempts} attempts ({error}). Please edit your message to try again.',
+    modalFailed: 'I couldn\'t file your issue: {error}',
+    modalResubmit: 'Nothing was filed. Open the form again with `/oncall` and choose one of the valid options.',
+    findingsReady: 'Findings are ready',
+    findingsTitle: 'Findings',
+    findingsTruncated: '_Findings are too long for Slack; see the <{url}|Notion page> for the rest._',
+    findingsShare: 'Share the resolution here',
+    findingsShareMirrored: 'Share the resolution here (I’ll add it to the Notion page)',
+    findingsLearning: '*I’m always sharpening my claws and getting smarter. {share} and feel free to correct me; every hint helps me become a flawless hunter!*'
+  }),
+  es: Object.freeze({
+    missingTitle: 'Faltan campos obligatorios',
+    missingIntro: 'Estos campos son obligatorios:',
+    missingHowToFix: '*Cómo corregirlo:* edita tu mensaje original y agrega los campos que faltan.',
+    missingKeepTrigger: 'Deja el disparador al principio (@auto).',
+    example: 'Ejemplo:',
+    missingOutro: '¡Detectaré tu edición automáticamente y crearé la página en Notion!',
+    invalidTitle: 'Error de formato',
+    invalidHowToFix: '*Cómo corregirlo:* edita tu mensaje original con el formato correcto. ¡Detectaré la edición automáticamente y lo intentaré de nuevo!',
+    emailInvalid: '{label} debe ser una dirección de correo.\nRecibido: "{value}"\nFormato esperado: usuario@empresa.com (admite +, -, números y puntos)',
+    patternInvalid: '{label} tiene un formato inesperado.\nRecibido: "{value}"\nFormato esperado: {expected}',
+    optionInvalid: '{label} debe ser una de las opciones existentes.\nRecibido: {values}\nOpciones válidas: {options}',
+    optionsNone: '(aún no hay; pide a un administrador que las agregue en Notion)',
+    emailHint: 'correo',
+    dateNotRecognized: 'No reconozco el formato de fecha/hora de {label}: "{value}"',
+    dateAcceptedFormats: '*Formatos aceptados:*',
+    dateAsap: '{offset} a partir de ahora (en horario laboral si el canal tiene un calendario laboral)',
+    dateDefaultsTo: 'por defecto a las {time}',
+    dateNatural: '`mañana 3pm`, `viernes 17:00`, `próximo martes`, `en 2 horas`, `4 de noviembre 7pm`, `fin del día` (o en inglés: `tomorrow 3pm`)',
+    datePastYear: 'Una fecha sin año que ya pasó en los últimos meses no se pasa al año siguiente; escribe el año (`Nov 4 2026`) si es lo que quieres.',
+    dateTimeZone: 'Las horas se leen en tu zona horaria de Slack salvo que indiques otra (`Nov 4 7pm PT`, `15:00 CET`, `9am Europe/Madrid`).',
+    dateOmitted: 'Si no lo indicas, se usan {days} días a partir de hoy a las {time}.',
+    permsTitle: 'No pude escribir en Notion por *falta de permisos*.',
+    permsConnect: 'Asegúrate de que la integración de Notion esté conectada a {database} con acceso *Puede editar*:',
+    permsShare: '- En Notion, abre la base de datos como página completa → *Compartir* → *Agregar conexión* → elige esta integración → *Permitir*.',
+    permsRetry: '- Luego vuelve a enviar tu mensaje (o edita el mismo mensaje).',
+    permsDatabase: 'la base de datos de Notion',
+    replyTracked: 'Registrado: {database} › {page}',
+    replyUpdated: 'Actualizado: {database} › {page}',
+    replyOnCall: 'de guardia: {user}',
+    replyDatabase: 'BD de Notion',
+    retryTimeout: 'Notion no respondió a tiempo. Lo dejé en cola y lo reintentaré automáticamente; avisaré aquí cuando quede guardado.',
+    retryRateLimited: 'Notion está limitando nuestras solicitudes. Lo dejé en cola y lo reintentaré automáticamente; avisaré aquí cuando quede guardado.',
+    retryTrouble: 'Notion tiene problemas en este momento. Lo dejé en cola y lo reintentaré automáticamente; avisaré aquí cuando quede guardado.',
+    retryGaveUp: 'No pude guardar esto en Notion después de {attempts} intentos ({error}). Edita tu mensaje para intentarlo de nuevo.',
+    modalFailed: 'No pude registrar tu incidencia: {error}',
+    modalResubmit: 'No se registró nada. Abre el formulario de nuevo con `/oncall` y elige una de las opciones válidas.',
+    findingsReady: 'Los hallazgos están listos',
+    findingsTitle: 'Hallazgos',
+    findingsTruncated: '_Los hallazgos son demasiado largos para Slack; mira el resto en la <{url}|página de Notion>._',
+    findingsShare: 'Comparte la solución aquí',
+    findingsShareMirrored: 'Comparte la solución aquí (la agregaré a la página de Notion)',
+    findingsLearning: '*Siempre estoy afilando mis garras y aprendiendo. {share} y no dudes en corregirme; ¡cada pista me ayuda a ser un cazador impecable!*'
+  }),
+  pt: Object.freeze({
+    missingTitle: 'Campos obrigatórios ausentes',
+    missingIntro: 'Estes campos são obrigatórios:',
+    missingHowToFix: '*Como corrigir:* edite sua mensagem original e adicione os campos que faltam.',
+    missingKeepTrigger: 'Mantenha o gatilho no início (@auto).',
+    example: 'Exemplo:',
+    missingOutro: 'Vou detectar sua edição automaticamente e criar a página no Notion!',
+    invalidTitle: 'Erro de formato',
+    invalidHowToFix: '*Como corrigir:* edite sua mensagem original com o formato correto. Vou detectar a edição automaticamente e tentar de novo!',
+    emailInvalid: '{label} deve ser um endereço de e-mail.\nRecebido: "{value}"\nFormato esperado: usuario@empresa.com (aceita +, -, números e pontos)',
+    patternInvalid: '{label} tem um formato inesperado.\nRecebido: "{value}"\nFormato esperado: {expected}',
+    optionInvalid: '{label} deve ser uma das opções existentes.\nRecebido: {values}\nOpções válidas: {options}',
+    optionsNone: '(nenhuma ainda; peça a um administrador para adicioná-las no Notion)',
+    emailHint: 'e-mail',
+    dateNotRecognized: 'Não reconheço o formato de data/hora de {label}: "{value}"',
+    dateAcceptedFormats: '*Formatos aceitos:*',
+    dateAsap: '{offset} a partir de agora (em horário comercial se o canal tiver um calendário comercial)',
+    dateDefaultsTo: 'por padrão às {time}',
+    dateNatural: '`amanhã 15h`, `sexta às 17:00`, `próxima terça`, `em 2 horas`, `4 de novembro 19h`, `fim do dia` (ou em inglês: `tomorrow 3pm`)',
+    datePastYear: 'Uma data sem ano que já passou nos últimos meses não vai para o ano seguinte; escreva o ano (`Nov 4 2026`) se for o caso.',
+    dateTimeZone: 'Os horários são lidos no seu fuso horário do Slack, a menos que você indique outro (`Nov 4 7pm PT`, `15:00 CET`, `9am America/Sao_Paulo`).',
+    dateOmitted: 'Se omitido, o padrão é {days} dias a partir de hoje às {time}.',
+    permsTitle: 'Não consegui escrever no Notion por *falta de permissões*.',
+    permsConnect: 'Verifique se a integração do Notion está conectada a {database} com acesso *Pode editar*:',
+    permsShare: '- No Notion, abra o banco de dados como página inteira → *Compartilhar* → *Adicionar conexão* → escolha esta integração → *Permitir*.',
+    permsRetry: '- Depois envie sua mensagem de novo (ou edite a mesma mensagem).',
+    permsDatabase: 'o banco de dados do Notion',
+    replyTracked: 'Registrado: {database} › {page}',
+    replyUpdated: 'Atualizado: {database} › {page}',
+    replyOnCall: 'de plantão: {user}',
+    replyDatabase: 'BD do Notion',
+    retryTimeout: 'O Notion não respondeu a tempo. Coloquei isto na fila e vou tentar de novo automaticamente; aviso aqui quando for salvo.',
+    retryRateLimited: 'O Notion está limitando nossas requisições. Coloquei isto na fila e vou tentar de novo automaticamente; aviso aqui quando for salvo.',
+    retryTrouble: 'O Notion está com problemas agora. Coloquei isto na fila e vou tentar de novo automaticamente; aviso aqui quando for salvo.',
+    retryGaveUp: 'Não consegui salvar isto no Notion depois de {attempts} tentativas ({error}). Edite sua mensagem para tentar de novo.',
+    modalFailed: 'Não consegui registrar seu problema: {error}',
+    modalResubmit: 'Nada foi registrado. Abra o formulário de novo com `/oncall` e escolha uma das opções válidas.',
+    findingsReady: 'As descobertas estão prontas',
+    findingsTitle: 'Descobertas',
+    findingsTruncated: '_As descobertas são longas demais para o Slack; veja o resto na <{url}|página do Notion>._',
+    findingsShare: 'Compartilhe a solução aqui',
+    findingsShareMirrored: 'Compartilhe a solução aqui (vou adicioná-la à página do Notion)',
+    findingsLearning: '*Estou sempre afiando minhas garras e ficando mais esperto. {share} e fique à vontade para me corrigir; cada dica me ajuda a ser um caçador impecável!*'
+  })
+});
+
+/**
+ * Maps a locale to one with a catalog
+ * @param {string} [value] - Locale such as "es", "es-LA", "pt_BR" or "en-US"
+ * @returns {string|null} Supported locale, or null when there is no catalog for it
+ */
+export function normalizeLocale(value) {
+  const language = String(value ?? '').trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * Looks a message up in the catalog and fills in its placeholders
+ * @param {string} locale - Supported locale (unknown locales read English)
+ * @param {string} key - Message key
+ * @param {Object} [params={}] - Placeholder values
+ * @returns {string} Message text
+ * @throws {Error} If the key is not in the English catalog
+ */
+export function translate(locale, key, params = {}) {
+  const template = MESSAGES[locale]?.[key] ?? MESSAGES.en[key];
+  if (template === undefined) {
+    throw new Error(`Unknown message "${key}"`);
+  }
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
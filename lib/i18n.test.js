@@ -0,0 +1,50 @@
+/**
+ * Unit tests for the message catalog
+ * Run with: node lib/i18n.test.js
+ */
+import { strict as assert } from 'assert';
+import { SUPPORTED_LOCALES, MESSAGES, normalizeLocale, translate } from './i18n.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = (name, fn) => { total++; try { fn(); passed++; console.log(`  ✓ ${name}`); } catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`);} };
+const suite = (name, fn) => { console.log(`\n${name}:`); fn(); };
+
+suite('catalog', () => {
+  test('every locale has every message with the same placeholders', () => {
+    const placeholders = text => [...text.matchAll(/\{(\w+)\}/g)].map(m => m[1]).sort();
+    for (const locale of SUPPORTED_LOCALES) {
+      assert.deepEqual(Object.keys(MESSAGES[locale]).sort(), Object.keys(MESSAGES.en).sort(), locale);
+      for (const [key, text] of Object.entries(MESSAGES.en)) {
+        assert.deepEqual(placeholders(MESSAGES[locale][key]), placeholders(text), `${locale}.${key}`);
+      }
+    }
+  });
+});
+
+suite('normalizeLocale', () => {
+  test('maps Slack locales to their language', () => {
+    assert.equal(normalizeLocale('es-LA'), 'es');
+    assert.equal(normalizeLocale('pt_BR'), 'pt');
+    assert.equal(normalizeLocale(' EN-us '), 'en');
+    assert.equal(normalizeLocale('fr-FR'), null);
+    assert.equal(normalizeLocale(undefined), null);
+  });
+});
+
+suite('translate', () => {
+  test('fills placeholders and falls back to English', () => {
+    assert.equal(translate('es', 'permsConnect', { database: 'Bugs' }).includes('conectada a Bugs'), true);
+    assert.equal(translate('de', 'example'), 'Example:');
+    assert.equal(translate('pt', 'dateDefaultsTo'), 'por padrão às {time}');
+    assert.equal(translate('es', 'retryGaveUp', { attempts: 3, error: 'timeout' }).includes('después de 3 intentos (timeout)'), true);
+    assert.throws(() => translate('en', 'nope'), /Unknown message "nope"/);
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,219 @@
+/**
+ * Slack Block Kit intake modal
+ * Builds the /oncall (and global shortcut) form from a database's field definitions
+ * and turns a submission back into the same "Label: value" block that @auto messages use,
+ * so modal and text intake share one parsing and validation path
+ */
+
+import { getTitleField } from './field-schema.js';
+import { missingFields, typeIssues } from './validation.js';
+
+export const INTAKE_COMMAND = '/oncall';
+export const INTAKE_SHORTCUT_ID = 'oncall_intake';
+export const INTAKE_VIEW_ID = 'oncall_intake_submit';
+export const INTAKE_CHANNEL_ACTION = 'intake_channel';
+
+const CHANNEL_BLOCK = 'intake_channel_block';
+const VALUE_ACTION = 'value';
+
+// Slack limits plain_text labels to 2000 chars and option text to 75
+const MAX_OPTION_TEXT = 75;
+
+/**
+ * Block id for a field's input block
+ * @param {Object} field - Field definition
+ * @returns {string} Block id
+ */
+export function blockIdFor(field) {
+  return `field_${field.key}`;
+}
+
+const plain = (text) => ({ type: 'plain_text', text: String(text).slice(0, 2000), emoji: true });
+
+/**
+ * Builds the input element for a field
+ * @param {Object} field - Field definition
+ * @returns {Object} Block Kit element
+ */
+function elementFor(field) {
+  const base = { action_id: VALUE_ACTION };
+  switch (field.type) {
+    case 'select':
+      if (field.options?.length) {
+        return {
+          ...base,
+          type: 'static_select',
+          placeholder: plain(`Select ${field.label}`),
+          options: field.options.map(o => ({ text: plain(String(o).slice(0, MAX_OPTION_TEXT)), value: String(o) }))
+        };
+      }
+      return { ...base, type: 'plain_text_input' };
+    case 'date':
+      return { ...base, type: 'datetimepicker' };
+    case 'email':
+      return { ...base, type: 'email_text_input', placeholder: plain(field.example || 'user@company.com') };
+    case 'links':
+      return { ...base, type: 'plain_text_input', multiline: true, placeholder: plain(field.example || 'https://...') };
+    default:
+      return {
+        ...base,
+        type: 'plain_text_input',
+        multiline: !field.title,
+        ...(field.example ? { placeholder: plain(field.example) } : {})
+      };
+  }
+}
+
+/**
+ * Builds the intake modal view
+ * @param {Object} params - Function parameters
+ * @param {Object[]} params.fields - Field definitions of the selected channel's database
+ * @param {string|null} params.channelId - Preselected Slack channel (null lets the user pick)
+ * @param {string} [params.notice] - Optional context line shown under the channel picker
+ * @returns {Object} Slack modal view payload
+ */
+export function buildIntakeModal({ fields, channelId, notice }) {
+  const channelSelect = {
+    type: 'conversations_select',
+    action_id: INTAKE_CHANNEL_ACTION,
+    placeholder: plain('Pick the on-call channel'),
+    filter: { include: ['public', 'private'], exclude_bot_users: true },
+    ...(channelId ? { initial_conversation: channelId } : {})
+  };
+
+  const blocks = [
+    {
+      type: 'input',
+      block_id: CHANNEL_BLOCK,
+      dispatch_action: true,
+      label: plain('Channel'),
+      element: channelSelect
+    }
+  ];
+
+  if (notice) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: notice }] });
+  }
+
+  for (const field of fields || []) {
+    blocks.push({
+      type: 'input',
+      block_id: blockIdFor(field),
+      optional: !field.required,
+      label: plain(field.label),
+      element: elementFor(field)
+    });
+  }
+
+  return {
+    type: 'modal',
+    callback_id: INTAKE_VIEW_ID,
+    private_metadata: JSON.stringify({ channelId: channelId || null }),
+    title: plain('File on-call issue'),
+    submit: plain('Submit'),
+    close: plain('Cancel'),
+    blocks
+  };
+}
+
+/**
+ * Reads the selected channel from a modal's state (falls back to private_metadata)
+ * @param {Object} view - Slack view payload
+ * @returns {string|null} Channel ID
+ */
+export function selectedChannel(view) {
+  const fromState = view?.state?.values?.[CHANNEL_BLOCK]?.[INTAKE_CHANNEL_ACTION]?.selected_conversation;
+  if (fromState) {return fromState;}
+  try {
+    return JSON.parse(view?.private_metadata || '{}').channelId || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extracts a field's raw submitted value from the view state
+ * @param {Object} values - view.state.values
+ * @param {Object} field - Field definition
+ * @returns {string} Value as text ('' when empty)
+ */
+function submittedValue(values, field) {
+  const input = values?.[blockIdFor(field)]?.[VALUE_ACTION];
+  if (!input) {return '';}
+  switch (input.type) {
+    case 'static_select':
+      return input.selected_option?.value || '';
+    case 'datetimepicker':
+      // Absolute instant; ISO strings are parsed exactly by parseNeededByString
+      return input.selected_date_time ? new Date(input.selected_date_time * 1000).toISOString() : '';
+    default:
+      return (input.value || '').trim();
+  }
+}
+
+/**
+ * Converts a modal submission into the "Label: value" block used by @auto messages
+ * Multi-line values are collapsed to one line because labels delimit fields
+ * @param {Object} view - Slack view payload
+ * @param {Object[]} fields - Field definitions
+ * @returns {string} Text block without the trigger line
+ */
+export function submissionToText(view, fields) {
+  const values = view?.state?.values || {};
+  return fields
+    .map(field => [field, submittedValue(values, field).replace(/\s*\n+\s*/g, ' ')])
+    .filter(([, value]) => value)
+    .map(([field, value]) => `${field.label}: ${value}`)
+    .join('\n');
+}
+
+/**
+ * Validates a parsed submission and maps problems to modal block ids
+ * @param {Object} parsed - Output of parseAutoBlock() for the submission text
+ * @param {Object[]} fields - Field definitions
+ * @param {Object[]} [optionIssues=[]] - Rejected select values from checkSelectOptions()
+ * @returns {Object} Errors keyed by block id (empty when valid)
+ */
+export function submissionErrors(parsed, fields, optionIssues = []) {
+  const errors = {};
+  for (const field of fields) {
+    const [missing] = missingFields(parsed, [field]);
+    const [issue] = typeIssues(parsed, [field]);
+    const optionIssue = optionIssues.find(i => i.field.key === field.key);
+    if (missing) {
+      errors[blockIdFor(field)] = `${field.label} is required`;
+    } else if (issue) {
+      // First line carries the summary; Slack shows errors as a single short line
+      errors[blockIdFor(field)] = issue.split('\n')[0].replace(/[*`]/g, '');
+    } else if (optionIssue) {
+      // The list of valid options is the useful part here
+      errors[blockIdFor(field)] = optionIssue.message.split('\n').pop();
+    }
+  }
+  return errors;
+}
+
+/**
+ * Error payload for the channel picker
+ * @param {string} message - Error message
+ * @returns {Object} Errors keyed by the channel block id
+ */
+export function channelError(message) {
+  return { [CHANNEL_BLOCK]: message };
+}
+
+/**
+ * Builds the channel message that represents a modal-filed issue
+ * It becomes the tracked Slack message (its ts/permalink key the Notion page)
+ * @param {Object} params - Function parameters
+ * @param {string} params.userId - Slack user who submitted the modal
+ * @param {Object} params.parsed - Parsed submission
+ * @param {Object[]} params.fields - Field definitions
+ * @param {string} params.text - Submission as "Label: value" lines
+ * @returns {string} Message text (mrkdwn)
+ */
+export function intakeMessageText({ userId, parsed, fields, text }) {
+  const titleField = getTitleField(fields);
+  const title = (titleField && parsed[titleField.key]) || 'New issue';
+  return `*${title}*\nFiled by <@${userId}> via ${INTAKE_COMMAND}\n\`\`\`\n${text}\n\`\`\``;
+}
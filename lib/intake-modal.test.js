@@ -0,0 +1,165 @@
+/**
+ * Unit tests for the intake modal
+ * Run with: node lib/intake-modal.test.js
+ */
+import { strict as assert } from 'assert';
+import {
+  INTAKE_VIEW_ID,
+  INTAKE_CHANNEL_ACTION,
+  blockIdFor,
+  buildIntakeModal,
+  selectedChannel,
+  submissionToText,
+  submissionErrors,
+  channelError,
+  intakeMessageText
+} from './intake-modal.js';
+import { DEFAULT_FIELDS, normalizeFieldDefinitions } from './field-schema.js';
+import { parseAutoBlock } from './parser.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = (name, fn) => { total++; try { fn(); passed++; console.log(`  ✓ ${name}`); } catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`);} };
+const suite = (name, fn) => { console.log(`\n${name}:`); fn(); };
+
+const inputOf = (view, field) => view.blocks.find(b => b.block_id === blockIdFor(field)).element;
+
+/**
+ * Builds a submitted view with the given values keyed by field key
+ */
+function submittedView(fields, values, channelId = 'C123') {
+  const state = { intake_channel_block: { [INTAKE_CHANNEL_ACTION]: { type: 'conversations_select', selected_conversation: channelId } } };
+  for (const field of fields) {
+    const value = values[field.key];
+    if (value === undefined) {continue;}
+    const element = inputOf(buildIntakeModal({ fields, channelId }), field);
+    const input = { type: element.type };
+    if (element.type === 'static_select') {input.selected_option = { value };}
+    else if (element.type === 'datetimepicker') {input.selected_date_time = value;}
+    else {input.value = value;}
+    state[blockIdFor(field)] = { value: input };
+  }
+  return { private_metadata: JSON.stringify({ channelId }), state: { values: state } };
+}
+
+suite('buildIntakeModal', () => {
+  test('renders one input per field after the channel picker', () => {
+    const view = buildIntakeModal({ fields: DEFAULT_FIELDS, channelId: 'C123' });
+    assert.equal(view.callback_id, INTAKE_VIEW_ID);
+    assert.equal(view.blocks[0].element.initial_conversation, 'C123');
+    assert.equal(view.blocks[0].dispatch_action, true);
+    assert.equal(view.blocks.length, DEFAULT_FIELDS.length + 1);
+  });
+
+  test('maps field types to Block Kit elements', () => {
+    const view = buildIntakeModal({ fields: DEFAULT_FIELDS, channelId: 'C123' });
+    const byKey = Object.fromEntries(DEFAULT_FIELDS.map(f => [f.key, inputOf(view, f)]));
+    assert.equal(byKey.priority.type, 'static_select');
+    assert.deepEqual(byKey.priority.options.map(o => o.value), ['P0', 'P1', 'P2']);
+    assert.equal(byKey.needed.type, 'datetimepicker');
+    assert.equal(byKey.onepass.type, 'email_text_input');
+    assert.equal(byKey.issue.multiline, false);
+    assert.equal(byKey.replicate.multiline, true);
+  });
+
+  test('marks optional fields optional', () => {
+    const view = buildIntakeModal({ fields: DEFAULT_FIELDS, channelId: 'C123' });
+    const needed = view.blocks.find(b => b.block_id === 'field_needed');
+    const issue = view.blocks.find(b => b.block_id === 'field_issue');
+    assert.equal(needed.optional, true);
+    assert.equal(issue.optional, false);
+  });
+
+  test('shows only the picker and a notice without fields', () => {
+    const view = buildIntakeModal({ fields: [], channelId: null, notice: 'Pick a channel' });
+    assert.equal(view.blocks.length, 2);
+    assert.equal(view.blocks[1].elements[0].text, 'Pick a channel');
+    assert.equal(view.blocks[0].element.initial_conversation, undefined);
+  });
+});
+
+suite('selectedChannel', () => {
+  test('prefers the picker state', () => {
+    const view = submittedView(DEFAULT_FIELDS, {}, 'C999');
+    assert.equal(selectedChannel(view), 'C999');
+  });
+
+  test('falls back to private_metadata', () => {
+    assert.equal(selectedChannel({ private_metadata: '{"channelId":"C1"}', state: { values: {} } }), 'C1');
+    assert.equal(selectedChannel({ private_metadata: 'not json' }), null);
+  });
+});
+
+suite('submissionToText', () => {
+  test('produces a block the parser understands', () => {
+    const view = submittedView(DEFAULT_FIELDS, {
+      priority: 'P0',
+      issue: 'Checkout down',
+      replicate: 'Open /checkout\nClick pay',
+      customer: 'Acme',
+      onepass: 'ops@acme.com',
+      needed: Date.UTC(2030, 0, 2, 15, 0) / 1000
+    });
+    const text = submissionToText(view, DEFAULT_FIELDS);
+    const parsed = parseAutoBlock(text, DEFAULT_FIELDS);
+    assert.equal(parsed.priority, 'P0');
+    assert.equal(parsed.issue, 'Checkout down');
+    assert.equal(parsed.replicate, 'Open /checkout Click pay');
+    assert.equal(parsed.onepass, 'ops@acme.com');
+    assert.equal(parsed.needed.toISOString(), '2030-01-02T15:00:00.000Z');
+    assert.deepEqual(submissionErrors(parsed, DEFAULT_FIELDS), {});
+  });
+
+  test('skips empty inputs', () => {
+    const view = submittedView(DEFAULT_FIELDS, { issue: 'Only this' });
+    assert.equal(submissionToText(view, DEFAULT_FIELDS), 'Issue: Only this');
+  });
+});
+
+suite('submissionErrors', () => {
+  test('reports missing required fields on their block', () => {
+    const view = submittedView(DEFAULT_FIELDS, { issue: 'Checkout down' });
+    const parsed = parseAutoBlock(submissionToText(view, DEFAULT_FIELDS), DEFAULT_FIELDS);
+    const errors = submissionErrors(parsed, DEFAULT_FIELDS);
+    assert.equal(errors.field_priority, 'Priority is required');
+    assert.equal(errors.field_issue, undefined);
+  });
+
+  test('reports pattern problems for custom fields', () => {
+    const fields = normalizeFieldDefinitions([
+      { label: 'Summary', required: true, title: true },
+      { label: 'Ticket', pattern: '^OPS-\\d+$', patternHint: 'OPS-123' }
+    ]);
+    const view = submittedView(fields, { summary: 'Broken', ticket: 'nope' });
+    const parsed = parseAutoBlock(submissionToText(view, fields), fields);
+    const errors = submissionErrors(parsed, fields);
+    assert.deepEqual(Object.keys(errors), ['field_ticket']);
+    assert(!/[*`]/.test(errors.field_ticket));
+  });
+
+  test('shows the valid options for rejected select values', () => {
+    const fields = normalizeFieldDefinitions([{ label: 'Summary', required: true, title: true }, { label: 'Team', optionPolicy: 'strict' }]);
+    const issue = { field: fields[1], message: 'Team must be one of the existing options.\nGot: "Biling"\nValid options: Billing, Payments' };
+    const errors = submissionErrors({ summary: 'Broken', team: 'Biling' }, fields, [issue]);
+    assert.deepEqual(errors, { field_team: 'Valid options: Billing, Payments' });
+  });
+
+  test('channelError targets the picker block', () => {
+    assert.deepEqual(Object.keys(channelError('x')), ['intake_channel_block']);
+  });
+});
+
+suite('intakeMessageText', () => {
+  test('uses the title field and credits the submitter', () => {
+    const text = intakeMessageText({ userId: 'U1', parsed: { issue: 'Checkout down' }, fields: DEFAULT_FIELDS, text: 'Issue: Checkout down' });
+    assert(text.startsWith('*Checkout down*\nFiled by <@U1> via /oncall'));
+    assert(text.includes('Issue: Checkout down'));
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
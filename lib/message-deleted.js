@@ -0,0 +1,85 @@
+/**
+ * Slack message deletion policy
+ * Decides what happens to a Notion page when its @auto message is deleted in Slack:
+ * archive the page, flag it through a property, or leave it alone.
+ * Configured per database with "onMessageDeleted" in channel-mappings.json
+ */
+
+/**
+ * Supported policy actions
+ */
+export const DELETE_ACTIONS = ['archive', 'flag', 'ignore'];
+
+/**
+ * Property set by the "flag" action when none is configured (checkbox, select, status, text or date)
+ */
+export const DEFAULT_DELETED_PROPERTY = 'Deleted in Slack';
+
+/**
+ * Policy used when a database does not configure one
+ */
+export const DEFAULT_DELETE_POLICY = Object.freeze({ action: 'archive', property: null, value: null });
+
+/**
+ * Validates an "onMessageDeleted" mappings value
+ * Accepts an action name ("archive", "flag", "ignore") or { action, property, value }
+ * @param {string|Object} [raw] - Value from channel-mappings.json
+ * @param {string} [context='onMessageDeleted'] - Prefix for error messages
+ * @returns {Object} Policy { action, property, value } (property/value only for "flag")
+ * @throws {Error} If the action is unknown or property/value are not strings
+ */
+export function normalizeDeletePolicy(raw, context = 'onMessageDeleted') {
+  if (raw === undefined || raw === null) {
+    return DEFAULT_DELETE_POLICY;
+  }
+  const policy = typeof raw === 'string' ? { action: raw } : raw;
+  if (typeof policy !== 'object' || Array.isArray(policy) || !DELETE_ACTIONS.includes(policy.action)) {
+    throw new Error(`${context} must be one of ${DELETE_ACTIONS.join(', ')} or { "action": ..., "property": ..., "value": ... }`);
+  }
+  if (policy.action !== 'flag') {
+    return { action: policy.action, property: null, value: null };
+  }
+  for (const key of ['property', 'value']) {
+    if (policy[key] !== undefined && (typeof policy[key] !== 'string' || !policy[key].trim())) {
+      throw new Error(`${context} ${key} must be a non-empty string`);
+    }
+  }
+  return {
+    action: 'flag',
+    property: policy.property?.trim() || DEFAULT_DELETED_PROPERTY,
+    value: policy.value?.trim() || null
+  };
+}
+
+/**
+ * Builds the pages.update parameters that apply a policy to a page
+ * @param {Object} policy - Policy from normalizeDeletePolicy()
+ * @param {Object} schema - Database schema from getSchema()
+ * @param {Date} [now=new Date()] - Deletion time, for date properties
+ * @returns {Object|null} { archived: true } or { properties }, null for "ignore"
+ * @throws {Error} If the flag property is missing or has an unsupported type
+ */
+export function deletedPageUpdate(policy, schema, now = new Date()) {
+  if (policy.action === 'ignore') {return null;}
+  if (policy.action === 'archive') {return { archived: true };}
+
+  const meta = schema.byName[policy.property.toLowerCase()];
+  if (!meta) {
+    throw new Error(`Notion DB has no "${policy.property}" property to flag deleted messages with`);
+  }
+  const label = policy.value || DEFAULT_DELETED_PROPERTY;
+  switch (meta.type) {
+    case 'checkbox':
+      return { properties: { [meta.name]: { checkbox: true } } };
+    case 'select':
+      return { properties: { [meta.name]: { select: { name: label } } } };
+    case 'status':
+      return { properties: { [meta.name]: { status: { name: label } } } };
+    case 'rich_text':
+      return { properties: { [meta.name]: { rich_text: [{ type: 'text', text: { content: label } }] } } };
+    case 'date':
+      return { properties: { [meta.name]: { date: { start: now.toISOString() } } } };
+    default:
+      throw new Error(`"${meta.name}" is a ${meta.type} property; flag deleted messages with a checkbox, select, status, text or date`);
+  }
+}
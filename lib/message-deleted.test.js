@@ -0,0 +1,97 @@
+/**
+ * Unit tests for the Slack message deletion policy
+ * Run with: node lib/message-deleted.test.js
+ */
+import { strict as assert } from 'assert';
+import {
+  DEFAULT_DELETE_POLICY,
+  DEFAULT_DELETED_PROPERTY,
+  normalizeDeletePolicy,
+  deletedPageUpdate
+} from './message-deleted.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = (name, fn) => { total++; try { fn(); passed++; console.log(`  ✓ ${name}`); } catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`);} };
+const suite = (name, fn) => { console.log(`\n${name}:`); fn(); };
+
+const schema = {
+  byName: {
+    'deleted in slack': { name: 'Deleted in Slack', type: 'checkbox' },
+    'status': { name: 'Status', type: 'status' },
+    'triage': { name: 'Triage', type: 'select' },
+    'note': { name: 'Note', type: 'rich_text' },
+    'deleted at': { name: 'Deleted at', type: 'date' },
+    'owner': { name: 'Owner', type: 'people' }
+  }
+};
+
+suite('normalizeDeletePolicy', () => {
+  test('defaults to archive', () => {
+    assert.equal(normalizeDeletePolicy(undefined), DEFAULT_DELETE_POLICY);
+    assert.equal(DEFAULT_DELETE_POLICY.action, 'archive');
+  });
+
+  test('accepts an action name', () => {
+    assert.deepEqual(normalizeDeletePolicy('ignore'), { action: 'ignore', property: null, value: null });
+    assert.deepEqual(normalizeDeletePolicy('flag'), { action: 'flag', property: DEFAULT_DELETED_PROPERTY, value: null });
+  });
+
+  test('accepts a flag object and trims it', () => {
+    assert.deepEqual(
+      normalizeDeletePolicy({ action: 'flag', property: ' Status ', value: 'Deleted in Slack' }),
+      { action: 'flag', property: 'Status', value: 'Deleted in Slack' }
+    );
+  });
+
+  test('drops property/value for non-flag actions', () => {
+    assert.deepEqual(normalizeDeletePolicy({ action: 'archive', property: 'Status' }), { action: 'archive', property: null, value: null });
+  });
+
+  test('rejects unknown actions and bad values', () => {
+    assert.throws(() => normalizeDeletePolicy('delete', 'Database "db1" onMessageDeleted'), /Database "db1" onMessageDeleted must be one of archive, flag, ignore/);
+    assert.throws(() => normalizeDeletePolicy(['archive']), /must be one of/);
+    assert.throws(() => normalizeDeletePolicy({ action: 'flag', value: 3 }), /value must be a non-empty string/);
+  });
+});
+
+suite('deletedPageUpdate', () => {
+  test('archive and ignore', () => {
+    assert.deepEqual(deletedPageUpdate({ action: 'archive' }, schema), { archived: true });
+    assert.equal(deletedPageUpdate({ action: 'ignore' }, schema), null);
+  });
+
+  test('ticks a checkbox (matched case-insensitively)', () => {
+    const update = deletedPageUpdate(normalizeDeletePolicy({ action: 'flag', property: 'deleted in slack' }), schema);
+    assert.deepEqual(update, { properties: { 'Deleted in Slack': { checkbox: true } } });
+  });
+
+  test('sets status and select options', () => {
+    assert.deepEqual(
+      deletedPageUpdate({ action: 'flag', property: 'Status', value: 'Withdrawn' }, schema),
+      { properties: { Status: { status: { name: 'Withdrawn' } } } }
+    );
+    assert.deepEqual(
+      deletedPageUpdate({ action: 'flag', property: 'Triage', value: null }, schema),
+      { properties: { Triage: { select: { name: DEFAULT_DELETED_PROPERTY } } } }
+    );
+  });
+
+  test('writes text and dates', () => {
+    const now = new Date('2025-03-01T10:00:00Z');
+    assert.equal(deletedPageUpdate({ action: 'flag', property: 'Note', value: 'gone' }, schema).properties.Note.rich_text[0].text.content, 'gone');
+    assert.deepEqual(deletedPageUpdate({ action: 'flag', property: 'Deleted at' }, schema, now).properties['Deleted at'], { date: { start: '2025-03-01T10:00:00.000Z' } });
+  });
+
+  test('missing or unsupported properties throw', () => {
+    assert.throws(() => deletedPageUpdate({ action: 'flag', property: 'Gone' }, schema), /no "Gone" property/);
+    assert.throws(() => deletedPageUpdate({ action: 'flag', property: 'Owner' }, schema), /people property/);
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
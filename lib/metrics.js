@@ -3,6 +3,63 @@
  * Encapsulates all metrics state and calculations
  */
 
+/**
+ * Default histogram buckets in seconds (upper bounds, +Inf is implicit)
+ */
+export const DEFAULT_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Histogram definitions: name -> { help, labelNames, buckets }
+ */
+export const HISTOGRAMS = {
+  processingDurationSeconds: {
+    help: 'Time from receiving a Slack message to finishing its Notion write',
+    labelNames: ['channel', 'databaseId', 'operation'],
+    buckets: DEFAULT_DURATION_BUCKETS
+  },
+  notionRequestDurationSeconds: {
+    help: 'Duration of Notion API calls (excluding time spent waiting for the rate limiter)',
+    labelNames: ['method'],
+    buckets: DEFAULT_DURATION_BUCKETS
+  },
+  notionThrottleWaitSeconds: {
+    help: 'Time Notion API calls waited for the shared rate limiter (including Retry-After pauses)',
+    labelNames: ['method'],
+    buckets: [0, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+  }
+};
+
+/**
+ * Dimensions counters can be broken down by (see increment())
+ */
+export const COUNTER_LABELS = ['channel', 'databaseId', 'trigger', 'errorKind', 'method'];
+
+/**
+ * Classifies an error into a coarse kind for the errorKind dimension
+ * @param {Error} err - Error thrown by Slack, Notion or our own code
+ * @returns {string} timeout, rate_limited, permission, notion_validation, server, slack_api or unknown
+ */
+export function classifyError(err) {
+  if (!err) {return 'unknown';}
+  if (err.name === 'TimeoutError') {return 'timeout';}
+  if (err.code === 'rate_limited' || err.status === 429) {return 'rate_limited';}
+  if (err.code === 'restricted_resource' || err.code === 'unauthorized' || err.status === 401 || err.status === 403) {return 'permission';}
+  if (err.code === 'validation_error' || err.status === 400) {return 'notion_validation';}
+  if (err.status >= 500) {return 'server';}
+  if (typeof err.code === 'string' && err.code.startsWith('slack_')) {return 'slack_api';}
+  return 'unknown';
+}
+
+/**
+ * Builds a stable series key from label values
+ * @param {string[]} labelNames - Label names in definition order
+ * @param {Object} labels - Label values
+ * @returns {string} Series key
+ */
+function seriesKey(labelNames, labels) {
+  return labelNames.map(name => String(labels[name] ?? '')).join('\u0000');
+}
+
 export class BotMetrics {
   #data = {
     messagesProcessed: 0,
@@ -13,17 +70,132 @@ export class BotMetrics {
     apiTimeouts: 0,
     findingsDelivered: 0,
     findingsTimeout: 0,
+    statusUpdatesPosted: 0,
+    notionWritesQueued: 0,
+    notionWritesRecovered: 0,
+    notionWritesAbandoned: 0,
+    notionRetries: 0,
+    notionRateLimited: 0,
+    orphanedPages: 0,
+    missingPages: 0,
+    pagesArchived: 0,
+    pagesFlagged: 0,
+    repliesMirrored: 0,
+    escalations: 0,
+    escalationRepings: 0,
+    escalationsAcknowledged: 0,
+    slaReminders: 0,
+    slaBreaches: 0,
     startTime: Date.now()
   };
 
+  // counter -> Map(seriesKey -> { labels, value }); every increment lands in exactly one series
+  #labelled = new Map();
+
+  // name -> Map(seriesKey -> { labels, counts, sum, count })
+  #histograms = new Map(Object.keys(HISTOGRAMS).map(name => [name, new Map()]));
+
   /**
    * Increments a specific metric counter
+   * Optional labels also count the increment towards that channel/database/trigger/error kind;
+   * the global counter always equals the sum of its labelled series
    * @param {string} metric - The metric name to increment
+   * @param {Object} [labels={}] - Dimensions (see COUNTER_LABELS); empty values are dropped
    */
-  increment(metric) {
+  increment(metric, labels = {}) {
     if (metric in this.#data && typeof this.#data[metric] === 'number') {
       this.#data[metric]++;
+
+      const clean = {};
+      for (const name of COUNTER_LABELS) {
+        if (labels[name]) {clean[name] = String(labels[name]);}
+      }
+      if (!this.#labelled.has(metric)) {this.#labelled.set(metric, new Map());}
+      const series = this.#labelled.get(metric);
+      const key = seriesKey(COUNTER_LABELS, clean);
+      const entry = series.get(key) || { labels: clean, value: 0 };
+      entry.value++;
+      series.set(key, entry);
+    }
+  }
+
+  /**
+   * Returns the labelled series of a counter
+   * @param {string} metric - Counter name
+   * @returns {Object[]} Series as { labels, value } (labels only holds non-empty dimensions)
+   */
+  getLabelled(metric) {
+    return Array.from(this.#labelled.get(metric)?.values() || []).map(entry => ({
+      labels: { ...entry.labels },
+      value: entry.value
+    }));
+  }
+
+  /**
+   * Aggregates labelled counters per dimension
+   * @returns {Object} e.g. { channel: { C123: { messagesProcessed: 4, validationErrors: 1 } }, errorKind: {...} }
+   */
+  getBreakdown() {
+    const breakdown = Object.fromEntries(COUNTER_LABELS.map(name => [name, {}]));
+    for (const [metric, series] of this.#labelled.entries()) {
+      for (const { labels, value } of series.values()) {
+        for (const [dimension, labelValue] of Object.entries(labels)) {
+          const bucket = breakdown[dimension][labelValue] ??= {};
+          bucket[metric] = (bucket[metric] || 0) + value;
+        }
+      }
+    }
+    return breakdown;
+  }
+
+  /**
+   * Records an observation in a histogram
+   * Unknown histogram names are ignored, like unknown counters in increment()
+   * @param {string} name - Histogram name (see HISTOGRAMS)
+   * @param {number} seconds - Observed duration in seconds
+   * @param {Object} [labels={}] - Label values; missing labels are recorded as ''
+   */
+  observe(name, seconds, labels = {}) {
+    const def = HISTOGRAMS[name];
+    if (!def || !Number.isFinite(seconds)) {
+      return;
+    }
+    const series = this.#histograms.get(name);
+    const key = seriesKey(def.labelNames, labels);
+    let entry = series.get(key);
+    if (!entry) {
+      entry = {
+        labels: Object.fromEntries(def.labelNames.map(l => [l, String(labels[l] ?? '')])),
+        counts: def.buckets.map(() => 0),
+        sum: 0,
+        count: 0
+      };
+      series.set(key, entry);
+    }
+    def.buckets.forEach((bound, i) => {
+      if (seconds <= bound) {entry.counts[i]++;}
+    });
+    entry.sum += seconds;
+    entry.count++;
+  }
+
+  /**
+   * Returns histogram series for exposition
+   * Bucket counts are cumulative, matching the Prometheus `le` convention
+   * @param {string} name - Histogram name
+   * @returns {Object[]} Series as { labels, buckets: [{ le, count }], sum, count }
+   */
+  getHistogram(name) {
+    const def = HISTOGRAMS[name];
+    if (!def) {
+      return [];
     }
+    return Array.from(this.#histograms.get(name).values()).map(entry => ({
+      labels: { ...entry.labels },
+      buckets: def.buckets.map((le, i) => ({ le, count: entry.counts[i] })),
+      sum: entry.sum,
+      count: entry.count
+    }));
   }
 
   /**
@@ -64,7 +236,8 @@ export class BotMetrics {
     return {
       ...this.#data,
       uptimeSeconds: this.getUptimeSeconds(),
-      successRate: `${this.getSuccessRate()}%`
+      successRate: `${this.getSuccessRate()}%`,
+      breakdown: this.getBreakdown()
     };
   }
 
@@ -3,7 +3,7 @@
  * Run with: node lib/metrics.test.js
  */
 import { strict as assert } from 'assert';
-import { BotMetrics } from './metrics.js';
+import { BotMetrics, classifyError } from './metrics.js';
 
 let total = 0, passed = 0, failed = 0;
 const test = (name, fn) => {
@@ -41,6 +41,82 @@ suite('BotMetrics', () => {
   });
 });
 
+suite('BotMetrics labelled counters', () => {
+  test('labelled increments also count towards the global total', () => {
+    const m = new BotMetrics();
+    m.increment('messagesProcessed', { channel: 'C1', databaseId: 'db1', trigger: 'auto' });
+    m.increment('messagesProcessed', { channel: 'C1', databaseId: 'db1', trigger: 'auto' });
+    m.increment('messagesProcessed', { channel: 'C2', databaseId: 'db1', trigger: 'modal' });
+    m.increment('messagesProcessed');
+    assert.equal(m.get('messagesProcessed'), 4);
+    const series = m.getLabelled('messagesProcessed');
+    assert.equal(series.length, 3);
+    assert.equal(series.reduce((sum, s) => sum + s.value, 0), 4);
+    assert.deepEqual(series.find(s => s.labels.channel === 'C1'), { labels: { channel: 'C1', databaseId: 'db1', trigger: 'auto' }, value: 2 });
+  });
+
+  test('breakdown aggregates per dimension', () => {
+    const m = new BotMetrics();
+    m.increment('messagesProcessed', { channel: 'C1', databaseId: 'db1' });
+    m.increment('validationErrors', { channel: 'C1', databaseId: 'db1', errorKind: 'missing_fields' });
+    m.increment('messagesFailed', { channel: 'C2', databaseId: 'db1', errorKind: 'timeout' });
+    const b = m.toJSON().breakdown;
+    assert.deepEqual(b.channel.C1, { messagesProcessed: 1, validationErrors: 1 });
+    assert.deepEqual(b.databaseId.db1, { messagesProcessed: 1, validationErrors: 1, messagesFailed: 1 });
+    assert.deepEqual(b.errorKind.timeout, { messagesFailed: 1 });
+    assert.deepEqual(b.trigger, {});
+  });
+
+  test('unknown labels and empty values are dropped', () => {
+    const m = new BotMetrics();
+    m.increment('messagesFailed', { channel: '', user: 'U1', errorKind: 'unknown' });
+    assert.deepEqual(m.getLabelled('messagesFailed')[0].labels, { errorKind: 'unknown' });
+  });
+
+  test('classifyError maps Notion and Slack errors to kinds', () => {
+    assert.equal(classifyError(Object.assign(new Error('t'), { name: 'TimeoutError' })), 'timeout');
+    assert.equal(classifyError({ code: 'rate_limited', status: 429 }), 'rate_limited');
+    assert.equal(classifyError({ code: 'restricted_resource', status: 403 }), 'permission');
+    assert.equal(classifyError({ code: 'validation_error', status: 400 }), 'notion_validation');
+    assert.equal(classifyError({ status: 502 }), 'server');
+    assert.equal(classifyError({ code: 'slack_webapi_platform_error' }), 'slack_api');
+    assert.equal(classifyError(new Error('boom')), 'unknown');
+  });
+});
+
+suite('BotMetrics histograms', () => {
+  test('observe fills cumulative buckets per label set', () => {
+    const m = new BotMetrics();
+    m.observe('notionRequestDurationSeconds', 0.08, { method: 'pages.create' });
+    m.observe('notionRequestDurationSeconds', 0.3, { method: 'pages.create' });
+    m.observe('notionRequestDurationSeconds', 0.02, { method: 'databases.query' });
+    const series = m.getHistogram('notionRequestDurationSeconds');
+    assert.equal(series.length, 2);
+    const create = series.find(s => s.labels.method === 'pages.create');
+    assert.equal(create.count, 2);
+    assert(Math.abs(create.sum - 0.38) < 1e-9);
+    const at = (le) => create.buckets.find(b => b.le === le).count;
+    assert.equal(at(0.05), 0);
+    assert.equal(at(0.1), 1);
+    assert.equal(at(0.5), 2);
+    assert.equal(at(30), 2);
+  });
+
+  test('missing labels are recorded as empty strings', () => {
+    const m = new BotMetrics();
+    m.observe('processingDurationSeconds', 1.2, { channel: 'C1' });
+    assert.deepEqual(m.getHistogram('processingDurationSeconds')[0].labels, { channel: 'C1', databaseId: '', operation: '' });
+  });
+
+  test('unknown histograms and non-finite values are ignored', () => {
+    const m = new BotMetrics();
+    m.observe('notARealHistogram', 1);
+    m.observe('processingDurationSeconds', NaN);
+    assert.deepEqual(m.getHistogram('notARealHistogram'), []);
+    assert.deepEqual(m.getHistogram('processingDurationSeconds'), []);
+  });
+});
+
 console.log(`\n${'='.repeat(60)}`);
 console.log('Test Summary:');
 console.log(`  Total:  ${total}`);
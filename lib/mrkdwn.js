@@ -0,0 +1,239 @@
+/**
+ * Slack mrkdwn -> Notion rich text
+ * Converts *bold*, _italic_, ~strike~, `code`, ```code blocks```, <url|label> links,
+ * user/channel/special mentions and :emoji: shortcodes into Notion rich_text items.
+ * Markers only count at word boundaries, as in Slack, so snake_case_names, 2*3*4
+ * and emails come through untouched
+ */
+
+/**
+ * Notion limits: characters per text object and rich text items per property/block
+ */
+export const NOTION_TEXT_LIMIT = 2000;
+export const NOTION_RICH_TEXT_ITEMS = 100;
+
+const MARKERS = { '*': 'bold', '_': 'italic', '~': 'strikethrough' };
+
+// Common Slack shortcodes (code points, so the source stays ASCII); unknown ones are kept as typed
+const EMOJI = {
+  '+1': [0x1F44D], 'thumbsup': [0x1F44D], '-1': [0x1F44E], 'thumbsdown': [0x1F44E],
+  'white_check_mark': [0x2705], 'heavy_check_mark': [0x2714, 0xFE0F], 'x': [0x274C],
+  'warning': [0x26A0, 0xFE0F], 'rotating_light': [0x1F6A8], 'fire': [0x1F525], 'bug': [0x1F41B],
+  'eyes': [0x1F440], 'mag': [0x1F50D], 'tada': [0x1F389], 'rocket': [0x1F680], 'pray': [0x1F64F],
+  'smile': [0x1F604], 'slightly_smiling_face': [0x1F642], 'joy': [0x1F602], 'thinking_face': [0x1F914],
+  'heart': [0x2764, 0xFE0F], 'wave': [0x1F44B], 'clap': [0x1F44F], 'raised_hands': [0x1F64C],
+  'no_entry': [0x26D4], 'no_entry_sign': [0x1F6AB], 'hourglass_flowing_sand': [0x23F3],
+  'stopwatch': [0x23F1, 0xFE0F], 'memo': [0x1F4DD], 'link': [0x1F517], 'lock': [0x1F512],
+  'point_right': [0x1F449], 'bulb': [0x1F4A1], 'sos': [0x1F198], 'red_circle': [0x1F534],
+  'large_green_circle': [0x1F7E2], 'large_yellow_circle': [0x1F7E1], 'cat': [0x1F431]
+};
+
+const unescapeSlack = (s) => s.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+const isSpace = (ch) => /\s/.test(ch);
+// A marker opens after (and closes before) the start/end of text, whitespace or punctuation
+const isBoundary = (ch) => ch === undefined || /[\s.,;:!?()[\]{}"'/\\-]/.test(ch);
+
+/**
+ * Converts an emoji shortcode name to its character
+ * @param {string} name - Shortcode without colons (e.g. "white_check_mark")
+ * @returns {string|null} Emoji, or null for unknown shortcodes
+ */
+export function emojiForShortcode(name) {
+  const points = EMOJI[String(name).toLowerCase()];
+  return points ? String.fromCodePoint(...points) : null;
+}
+
+/**
+ * Appends text with the given annotations/link, merging into the previous item when they match
+ * @param {Object[]} out - Rich text items being built
+ * @param {string} content - Text
+ * @param {Object} annotations - Active annotations
+ * @param {string|null} [url=null] - Link target
+ * @returns {void}
+ */
+function pushText(out, content, annotations, url = null) {
+  if (!content) {return;}
+  const prev = out[out.length - 1];
+  const same = prev?.type === 'text'
+    && (prev.text.link?.url || null) === url
+    && JSON.stringify(prev.annotations || {}) === JSON.stringify(annotations);
+  if (same) {
+    prev.text.content += content;
+    return;
+  }
+  const item = { type: 'text', text: { content, link: url ? { url } : null } };
+  if (Object.keys(annotations).length) {item.annotations = { ...annotations };}
+  out.push(item);
+}
+
+/**
+ * Converts one <...> entity
+ * @param {Object[]} out - Rich text items being built
+ * @param {string} body - Text between the angle brackets
+ * @param {Object} annotations - Active annotations
+ * @param {Function} [mentionUser] - (slackUserId) -> { notionId, name } | null
+ * @returns {void}
+ */
+function pushEntity(out, body, annotations, mentionUser) {
+  const bar = body.indexOf('|');
+  const target = bar === -1 ? body : body.slice(0, bar);
+  const label = bar === -1 ? '' : unescapeSlack(body.slice(bar + 1));
+
+  if (target.startsWith('@')) {
+    const id = target.slice(1);
+    const person = mentionUser?.(id) || null;
+    if (person?.notionId) {
+      out.push({ type: 'mention', mention: { user: { id: person.notionId } } });
+    } else {
+      pushText(out, `@${person?.name || label || id}`, annotations);
+    }
+  } else if (target.startsWith('#')) {
+    pushText(out, `#${label || target.slice(1)}`, annotations);
+  } else if (target.startsWith('!')) {
+    // <!here>, <!channel>, <!subteam^S123|@team>, <!date^...|fallback>
+    pushText(out, label || `@${target.slice(1).split('^')[0]}`, annotations);
+  } else {
+    const url = unescapeSlack(target);
+    pushText(out, label || url.replace(/^mailto:/, ''), annotations, url);
+  }
+}
+
+/**
+ * Finds the marker closing the one at `open` (same line, not after whitespace, followed by a boundary)
+ * @param {string} text - Text being parsed
+ * @param {number} open - Index of the opening marker
+ * @returns {number} Index of the closing marker, or -1
+ */
+function findCloser(text, open) {
+  const ch = text[open];
+  for (let j = open + 2; j < text.length; j++) {
+    if (text[j] === '\n') {return -1;}
+    if (text[j] === '<' || text[j] === '`') {
+      // Links and code spans are atomic: skip over them
+      const end = text.indexOf(text[j] === '<' ? '>' : '`', j + 1);
+      if (end !== -1) {j = end; continue;}
+    }
+    if (text[j] === ch && !isSpace(text[j - 1]) && isBoundary(text[j + 1])) {return j;}
+  }
+  return -1;
+}
+
+/**
+ * Parses inline mrkdwn (everything but code blocks)
+ * @param {string} text - Text to parse
+ * @param {Object} annotations - Annotations inherited from enclosing markers
+ * @param {Object[]} out - Rich text items being built
+ * @param {Function} [mentionUser] - See mrkdwnToRichText()
+ * @returns {void}
+ */
+function parseInline(text, annotations, out, mentionUser) {
+  let buffer = '';
+  const flush = () => {
+    pushText(out, unescapeSlack(buffer), annotations);
+    buffer = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '`') {
+      const end = text.indexOf('`', i + 1);
+      if (end > i + 1) {
+        flush();
+        pushText(out, unescapeSlack(text.slice(i + 1, end)), { ...annotations, code: true });
+        i = end;
+        continue;
+      }
+    }
+    if (ch === '<') {
+      const end = text.indexOf('>', i + 1);
+      if (end > i + 1) {
+        flush();
+        pushEntity(out, text.slice(i + 1, end), annotations, mentionUser);
+        i = end;
+        continue;
+      }
+    }
+    if (ch === ':') {
+      const m = /^:([a-z0-9_+-]+):/i.exec(text.slice(i));
+      const emoji = m && emojiForShortcode(m[1]);
+      if (emoji) {
+        buffer += emoji;
+        i += m[0].length - 1;
+        continue;
+      }
+    }
+    if (MARKERS[ch] && isBoundary(text[i - 1]) && text[i + 1] && !isSpace(text[i + 1]) && text[i + 1] !== ch) {
+      const close = findCloser(text, i);
+      if (close !== -1) {
+        flush();
+        parseInline(text.slice(i + 1, close), { ...annotations, [MARKERS[ch]]: true }, out, mentionUser);
+        i = close;
+        continue;
+      }
+    }
+    buffer += ch;
+  }
+  flush();
+}
+
+/**
+ * Splits items longer than NOTION_TEXT_LIMIT (Notion rejects longer text objects)
+ * @param {Object[]} items - Rich text items
+ * @returns {Object[]} Items that each fit the limit
+ */
+function splitLongItems(items) {
+  return items.flatMap(item => {
+    if (item.type !== 'text' || item.text.content.length <= NOTION_TEXT_LIMIT) {return [item];}
+    const pieces = [];
+    for (let i = 0; i < item.text.content.length; i += NOTION_TEXT_LIMIT) {
+      pieces.push({ ...item, text: { ...item.text, content: item.text.content.slice(i, i + NOTION_TEXT_LIMIT) } });
+    }
+    return pieces;
+  });
+}
+
+/**
+ * Converts Slack mrkdwn to Notion rich text
+ * @param {string} text - Slack message text (as delivered by the Events API, with &amp; escapes)
+ * @param {Object} [options] - Conversion options
+ * @param {Function} [options.mentionUser] - (slackUserId) -> { notionId, name } | null; resolved users
+ *   become Notion person mentions, otherwise "@name" (or "@U123") text
+ * @returns {Object[]} Notion rich_text items (each within NOTION_TEXT_LIMIT)
+ * @example
+ * mrkdwnToRichText('*P0* see <https://status.io|status>')
+ * // [{ text: { content: 'P0' }, annotations: { bold: true } }, { text: { content: ' see ' } },
+ * //  { text: { content: 'status', link: { url: 'https://status.io' } } }]
+ */
+export function mrkdwnToRichText(text, { mentionUser } = {}) {
+  const source = String(text ?? '');
+  const out = [];
+  let last = 0;
+  // Code blocks first: nothing inside them is formatting
+  for (const m of source.matchAll(/```([\s\S]*?)```/g)) {
+    parseInline(source.slice(last, m.index), {}, out, mentionUser);
+    pushText(out, unescapeSlack(m[1].replace(/^\n/, '')), { code: true });
+    last = m.index + m[0].length;
+  }
+  parseInline(source.slice(last), {}, out, mentionUser);
+  return splitLongItems(out);
+}
+
+/**
+ * Converts Slack mrkdwn to plain text (formatting removed, links replaced by their label)
+ * @param {string} text - Slack message text
+ * @returns {string} Plain text
+ */
+export function mrkdwnToPlainText(text) {
+  return mrkdwnToRichText(text)
+    .map(item => (item.type === 'text' ? item.text.content : ''))
+    .join('');
+}
+
+/**
+ * Slack user IDs mentioned in a message, for resolving before conversion
+ * @param {string} text - Slack message text
+ * @returns {string[]} Unique user IDs
+ */
+export function mentionedUserIds(text) {
+  return [...new Set(Array.from(String(text || '').matchAll(/<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/g), m => m[1]))];
+}
@@ -0,0 +1,130 @@
+/**
+ * Unit tests for the Slack mrkdwn -> Notion rich text converter
+ * Run with: node lib/mrkdwn.test.js
+ */
+import { strict as assert } from 'assert';
+import {
+  NOTION_TEXT_LIMIT,
+  emojiForShortcode,
+  mrkdwnToRichText,
+  mrkdwnToPlainText,
+  mentionedUserIds
+} from './mrkdwn.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = (name, fn) => { total++; try { fn(); passed++; console.log(`  ✓ ${name}`); } catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`);} };
+const suite = (name, fn) => { console.log(`\n${name}:`); fn(); };
+
+// [content, annotations] pairs, for compact assertions
+const spans = (items) => items.map(i => [i.type === 'text' ? i.text.content : `mention:${i.mention.user.id}`, i.annotations || {}]);
+
+suite('formatting', () => {
+  test('converts bold, italic and strike', () => {
+    assert.deepEqual(spans(mrkdwnToRichText('*down* for _some_ ~all~ users')), [
+      ['down', { bold: true }],
+      [' for ', {}],
+      ['some', { italic: true }],
+      [' ', {}],
+      ['all', { strikethrough: true }],
+      [' users', {}]
+    ]);
+  });
+
+  test('nests markers', () => {
+    assert.deepEqual(spans(mrkdwnToRichText('*very _bad_*')), [
+      ['very ', { bold: true }],
+      ['bad', { bold: true, italic: true }]
+    ]);
+  });
+
+  test('keeps snake_case, math and emails intact', () => {
+    assert.equal(mrkdwnToPlainText('set max_retry_count to 2*3*4'), 'set max_retry_count to 2*3*4');
+    assert.equal(mrkdwnToPlainText('mail first_last@acme.io or __init__'), 'mail first_last@acme.io or __init__');
+    assert.equal(mrkdwnToPlainText('5 * 3 = 15 and a_b'), '5 * 3 = 15 and a_b');
+  });
+
+  test('does not format across lines or unmatched markers', () => {
+    assert.equal(mrkdwnToPlainText('*open\nclose*'), '*open\nclose*');
+    assert.equal(mrkdwnToPlainText('*alone'), '*alone');
+  });
+
+  test('formats next to punctuation', () => {
+    assert.deepEqual(spans(mrkdwnToRichText('(*P0*), ok')), [['(', {}], ['P0', { bold: true }], ['), ok', {}]]);
+  });
+});
+
+suite('code', () => {
+  test('inline code is verbatim', () => {
+    assert.deepEqual(spans(mrkdwnToRichText('run `rm *_tmp_*` now')), [
+      ['run ', {}],
+      ['rm *_tmp_*', { code: true }],
+      [' now', {}]
+    ]);
+  });
+
+  test('code blocks are verbatim and unescaped', () => {
+    const items = mrkdwnToRichText('trace:\n```\nif (a &lt; b) *x*\n```\ndone');
+    assert.deepEqual(spans(items), [['trace:\n', {}], ['if (a < b) *x*\n', { code: true }], ['\ndone', {}]]);
+  });
+});
+
+suite('links and mentions', () => {
+  test('converts links with and without labels', () => {
+    const items = mrkdwnToRichText('see <https://status.example.com/a_b|*status*> and <https://x.io?a=1&amp;b=2>');
+    assert.equal(items[1].text.content, '*status*');
+    assert.equal(items[1].text.link.url, 'https://status.example.com/a_b');
+    assert.equal(items[3].text.content, 'https://x.io?a=1&b=2');
+    assert.equal(items[3].text.link.url, 'https://x.io?a=1&b=2');
+  });
+
+  test('shows mailto links as the address', () => {
+    const [item] = mrkdwnToRichText('<mailto:ops@acme.io|ops@acme.io>');
+    assert.equal(item.text.content, 'ops@acme.io');
+    assert.equal(item.text.link.url, 'mailto:ops@acme.io');
+  });
+
+  test('maps resolved users to Notion mentions and the rest to text', () => {
+    const mentionUser = (id) => (id === 'U1' ? { notionId: 'n-1', name: 'ana' } : id === 'U2' ? { notionId: null, name: 'bo' } : null);
+    assert.deepEqual(spans(mrkdwnToRichText('<@U1> <@U2> <@U3>', { mentionUser })), [
+      ['mention:n-1', {}], [' @bo @U3', {}]
+    ]);
+  });
+
+  test('channels and special mentions become readable text', () => {
+    assert.equal(mrkdwnToPlainText('<#C9|ops> <#C8> <!here> <!subteam^S1|@oncall> <!date^1700000000^{date}|Nov 14>'), '#ops #C8 @here @oncall Nov 14');
+  });
+
+  test('lists mentioned users once', () => {
+    assert.deepEqual(mentionedUserIds('<@U1> and <@W2|bo> and <@U1>'), ['U1', 'W2']);
+  });
+});
+
+suite('emoji and limits', () => {
+  test('converts known shortcodes and keeps unknown ones', () => {
+    assert.equal(mrkdwnToPlainText(':fire: fixed :custom_party:'), `${String.fromCodePoint(0x1F525)} fixed :custom_party:`);
+    assert.equal(emojiForShortcode('white_check_mark'), String.fromCodePoint(0x2705));
+    assert.equal(emojiForShortcode('nope'), null);
+  });
+
+  test('times like 10:30:45 are not shortcodes', () => {
+    assert.equal(mrkdwnToPlainText('at 10:30:45'), 'at 10:30:45');
+  });
+
+  test('splits text longer than the Notion limit', () => {
+    const items = mrkdwnToRichText(`*${'x'.repeat(NOTION_TEXT_LIMIT + 5)}*`);
+    assert.deepEqual(items.map(i => [i.text.content.length, i.annotations.bold]), [[NOTION_TEXT_LIMIT, true], [5, true]]);
+  });
+
+  test('handles empty input', () => {
+    assert.deepEqual(mrkdwnToRichText(''), []);
+    assert.deepEqual(mrkdwnToRichText(null), []);
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,279 @@
+/**
+ * Natural-language dates
+ * Reads the way people write deadlines in Slack ("tomorrow 3pm", "EOD Friday", "in 2 hours",
+ * "Nov 4 7pm PT") as wall-clock times in a time zone: the one named in the text, else the
+ * reporter's Slack time zone, else the server's
+ */
+
+import { isValidTimeZone, zonedParts, zonedTimeToUtc, addLocalDays } from './time-zone.js';
+
+/**
+ * Zone abbreviations people write after a time, as the IANA zone whose wall clock they mean
+ * (standard and daylight variants map to the same zone: "PST" in July still means Pacific time)
+ */
+export const ZONE_ABBREVIATIONS = Object.freeze({
+  pt: 'America/Los_Angeles', pst: 'America/Los_Angeles', pdt: 'America/Los_Angeles',
+  mt: 'America/Denver', mst: 'America/Denver', mdt: 'America/Denver',
+  ct: 'America/Chicago', cst: 'America/Chicago', cdt: 'America/Chicago',
+  et: 'America/New_York', est: 'America/New_York', edt: 'America/New_York',
+  akst: 'America/Anchorage', akdt: 'America/Anchorage',
+  hst: 'Pacific/Honolulu',
+  utc: 'UTC', gmt: 'UTC', z: 'UTC',
+  bst: 'Europe/London', wet: 'Europe/Lisbon', west: 'Europe/Lisbon',
+  cet: 'Europe/Paris', cest: 'Europe/Paris',
+  eet: 'Europe/Athens', eest: 'Europe/Athens',
+  ist: 'Asia/Kolkata', sgt: 'Asia/Singapore', jst: 'Asia/Tokyo',
+  aest: 'Australia/Sydney', aedt: 'Australia/Sydney'
+});
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const FRIDAY = 5;
+
+// Dates without a year passed this many days ago or less are a mistake, not next year's date
+export const RECENT_PAST_DAYS = 90;
+
+// Spanish and Portuguese phrases (accents removed) as the English the parser reads
+const LOCALIZED_PHRASES = [
+  [/\b(?:fin|final) del? (?:la )?(?:dia|jornada)\b|\b(?:fim|final) do dia\b/g, 'eod'],
+  [/\b(?:fin|final) de la semana\b|\b(?:fim|final) da semana\b/g, 'eow'],
+  [/\besta noche\b|\bhoje a noite\b/g, 'tonight'],
+  [/^(?:dentro de|en|em) (?:una?|uma?)\b/, 'in a'],
+  [/^(?:dentro de|en|em) (?=\d)/, 'in '],
+  // "15h", "15h30" (but not "in 3h")
+  [/(?<!^in (?:\S+ )?)\b(\d{1,2})h(\d{2})?\b/g, (_, h, m) => `${h}:${m || '00'}`],
+  [/\b(?:a las|a la|as|a)\s+(?=\d)/g, 'at '],
+  [/-feira\b/g, '']
+];
+
+// Spanish and Portuguese words; articles and "de" become nothing
+const LOCALIZED_WORDS = Object.freeze({
+  hoy: 'today', hoje: 'today', manana: 'tomorrow', amanha: 'tomorrow',
+  // "el próximo viernes" is the coming Friday, not the Friday of next week
+  proximo: '', proxima: '', este: 'this', esta: 'this',
+  mediodia: 'noon', 'meio-dia': 'noon', medianoche: 'midnight', 'meia-noite': 'midnight',
+  hora: 'hours', horas: 'hours', minuto: 'minutes', minutos: 'minutes',
+  dia: 'days', dias: 'days', semana: 'weeks', semanas: 'weeks',
+  lunes: 'monday', martes: 'tuesday', miercoles: 'wednesday', jueves: 'thursday', viernes: 'friday',
+  segunda: 'monday', terca: 'tuesday', quarta: 'wednesday', quinta: 'thursday', sexta: 'friday',
+  sabado: 'saturday', domingo: 'sunday',
+  enero: 'january', ene: 'jan', febrero: 'february', fevereiro: 'february', fev: 'feb',
+  marzo: 'march', marco: 'march', abril: 'april', abr: 'apr', mayo: 'may', maio: 'may', mai: 'may',
+  junio: 'june', junho: 'june', julio: 'july', julho: 'july', agosto: 'august', ago: 'aug',
+  septiembre: 'september', setiembre: 'september', setembro: 'september', set: 'sep',
+  octubre: 'october', outubro: 'october', out: 'oct', noviembre: 'november', novembro: 'november',
+  diciembre: 'december', dezembro: 'december', dic: 'dec', dez: 'dec',
+  el: '', la: '', las: '', los: '', o: '', de: '', del: '', do: '', da: ''
+});
+
+/**
+ * Index of a month or weekday name, full or abbreviated to at least 3 letters ("nov", "thurs")
+ * @param {string[]} names - Full names
+ * @param {string} word - Lowercase word
+ * @returns {number} Index, or -1
+ */
+function nameIndex(names, word) {
+  const w = word.replace(/\.$/, '');
+  return w.length >= 3 ? names.findIndex(name => name.startsWith(w)) : -1;
+}
+
+/**
+ * Splits a trailing time zone off a date string
+ * Understands abbreviations (PT, EST, CET...), "UTC+2"/"GMT-5" and IANA names ("Europe/Berlin")
+ * @param {string} text - Date text, e.g. "Nov 4 7pm PT"
+ * @returns {Object} { text (without the zone), timeZone (IANA, or null when none was given) }
+ */
+export function splitTimeZone(text) {
+  const s = String(text ?? '').trim();
+  const m = s.match(/^(.*\S)\s+\(?([A-Za-z_]+(?:\/[A-Za-z_+-]+)+|(?:utc|gmt)\s?[+-]\s?\d{1,2}|[A-Za-z]{1,5})\)?$/i);
+  if (!m) {return { text: s, timeZone: null };}
+  const [, rest, token] = m;
+  const lower = token.toLowerCase().replace(/\s/g, '');
+  let timeZone = null;
+  if (token.includes('/')) {
+    timeZone = isValidTimeZone(token) ? token : null;
+  } else if (/^(utc|gmt)[+-]\d{1,2}$/.test(lower)) {
+    // Etc/GMT zones count the other way round: UTC+2 is Etc/GMT-2
+    const hours = Number(lower.slice(4));
+    timeZone = hours === 0 ? 'UTC' : `Etc/GMT${lower[3] === '+' ? '-' : '+'}${hours}`;
+    timeZone = isValidTimeZone(timeZone) ? timeZone : null;
+  } else {
+    timeZone = ZONE_ABBREVIATIONS[lower] || null;
+  }
+  return timeZone ? { text: rest, timeZone } : { text: s, timeZone: null };
+}
+
+/**
+ * Calendar date a number of days after a date (no time zone involved)
+ * @param {Object} date - { year, month, day }
+ * @param {number} days - Days to add
+ * @returns {Object} { year, month, day }
+ */
+function plusDays({ year, month, day }, days) {
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+/**
+ * Whether a day exists in a month (rejects Feb 30 instead of rolling it over)
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {boolean} True for real dates
+ */
+function isRealDate(year, month, day) {
+  return month >= 1 && month <= 12 && day >= 1 && new Date(Date.UTC(year, month - 1, day)).getUTCDate() === day;
+}
+
+/**
+ * Rewrites Spanish and Portuguese deadlines ("mañana 3pm", "próxima sexta às 15h",
+ * "4 de noviembre") in the English the parser reads; English text comes back unchanged
+ * @param {string} s - Normalized (lowercase) text
+ * @returns {string} Text with localized words replaced
+ */
+function fromLocalizedWords(s) {
+  let out = s.normalize('NFD').replace(/\p{M}/gu, '');
+  for (const [re, replacement] of LOCALIZED_PHRASES) {
+    out = out.replace(re, replacement);
+  }
+  return out.split(' ').map(word => LOCALIZED_WORDS[word] ?? word).filter(Boolean).join(' ');
+}
+
+/**
+ * Parses a relative expression: "in 2 hours", "in 30 min", "in a day", "3 days from now"
+ * Days and weeks keep the wall-clock time across DST changes
+ * @param {string} s - Normalized (lowercase) text
+ * @param {number} now - Epoch ms
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date|null} Date, or null when the text is not relative
+ */
+function parseRelative(s, now, timeZone) {
+  const m = s.match(/^in (an?|\d+(?:\.\d+)?) ?([a-z]+)$/) || s.match(/^(an?|\d+(?:\.\d+)?) ?([a-z]+) from now$/);
+  if (!m) {return null;}
+  const amount = /^an?$/.test(m[1]) ? 1 : Number(m[1]);
+  const unit = m[2];
+  if (/^(m|mins?|minutes?)$/.test(unit)) {return new Date(now + amount * 60000);}
+  if (/^(h|hrs?|hours?)$/.test(unit)) {return new Date(now + amount * 3600000);}
+  const days = /^(d|days?)$/.test(unit) ? amount : /^(w|wks?|weeks?)$/.test(unit) ? amount * 7 : null;
+  if (days === null) {return null;}
+  return new Date(Number.isInteger(days) ? addLocalDays(now, days, timeZone) : now + days * 86400000);
+}
+
+/**
+ * Parses a natural-language deadline
+ * Understands:
+ * - relative times: "in 2 hours", "in 30 minutes", "in 3 days", "2 weeks from now"
+ * - days: "today", "tomorrow", "Friday", "this Friday", "next Friday" (Friday of next week)
+ * - dates: "Nov 4", "November 4th 2025", "4 Nov", "11/4"
+ * - times: "3pm", "3:30 p.m.", "15:00", "noon", "midnight" (23:59)
+ * - "EOD"/"end of day"/"COB" (the end-of-day hour) and "EOW"/"end of week" (Friday at that hour)
+ * - the same in Spanish and Portuguese: "mañana 3pm", "el próximo viernes 17:00", "en 2 horas",
+ *   "4 de noviembre", "sexta às 15h", "fin del día"
+ * A time without a day means its next occurrence; a day without a time means the end-of-day hour.
+ * Dates without a year that passed more than RECENT_PAST_DAYS ago mean next year; more recent
+ * ones ("Nov 4" written on Nov 5, "Dec 31" on Jan 2) are rejected rather than moved a year out.
+ * @param {string} text - Date text without a trailing time zone (see splitTimeZone())
+ * @param {Object} options - Parsing options
+ * @param {Date} [options.now=new Date()] - Reference time
+ * @param {string} options.timeZone - IANA time zone the text is read in
+ * @param {number} options.endOfDayHour - Hour used for EOD and for days without a time
+ * @returns {Date|null} Date, or null when the text is not understood
+ */
+export function parseNaturalDate(text, { now = new Date(), timeZone, endOfDayHour }) {
+  const nowMs = now.getTime();
+  let s = fromLocalizedWords(String(text ?? '').toLowerCase().replace(/,/g, ' ').replace(/\s+/g, ' ').trim()).replace(/^by /, '');
+  if (!s) {return null;}
+
+  const relative = parseRelative(s, nowMs, timeZone);
+  if (relative) {return relative;}
+
+  let hour = null;
+  let minute = 0;
+  let endOfWeek = false;
+  const take = (re, apply) => {
+    const m = s.match(re);
+    if (!m) {return false;}
+    apply(m);
+    s = `${s.slice(0, m.index)} ${s.slice(m.index + m[0].length)}`.replace(/\s+/g, ' ').trim();
+    return true;
+  };
+
+  take(/\b(?:eow|end of (?:the )?week)\b/, () => { endOfWeek = true; });
+  take(/\b(?:eod|cob|eob|end of (?:the )?day|close of business)\b/, () => { hour = endOfDayHour; });
+  // The first time expression wins: noon/midnight, then the 12-hour clock, then the 24-hour clock
+  [
+    [/\b(noon|midday|midnight)\b/, m => {
+      [hour, minute] = m[1] === 'midnight' ? [23, 59] : [12, 0];
+    }],
+    [/\b(\d{1,2})(?::(\d{2}))? ?([ap])\.?m\b\.?/, m => {
+      hour = Number(m[1]) >= 1 && Number(m[1]) <= 12 ? (Number(m[1]) % 12) + (m[3] === 'p' ? 12 : 0) : NaN;
+      minute = Number(m[2] || 0);
+    }],
+    [/\b(\d{1,2}):(\d{2})\b/, m => {
+      hour = Number(m[1]);
+      minute = Number(m[2]);
+    }]
+  ].some(([re, apply]) => take(re, apply));
+  if (Number.isNaN(hour) || hour > 23 || minute > 59) {return null;}
+  s = s.replace(/\b(?:at|on|by|the|of)\b/g, ' ').replace(/\s+/g, ' ').trim();
+
+  const today = zonedParts(nowMs, timeZone);
+  const instant = (date) => zonedTimeToUtc({ ...date, hour: hour ?? endOfDayHour, minute }, timeZone);
+  const dayOf = ({ year, month, day }) => ({ year, month, day });
+
+  if (endOfWeek) {
+    if (s) {return null;}
+    let date = plusDays(today, (FRIDAY - today.weekday + 7) % 7);
+    if (instant(date) <= nowMs) {date = plusDays(date, 7);}
+    return new Date(instant(date));
+  }
+
+  // A time on its own: today, or tomorrow once it has passed
+  if (!s) {
+    if (hour === null) {return null;}
+    let date = dayOf(today);
+    if (instant(date) <= nowMs) {date = plusDays(date, 1);}
+    return new Date(instant(date));
+  }
+
+  if (/^(today|tonight)$/.test(s)) {return new Date(instant(dayOf(today)));}
+  if (/^(tomorrow|tmrw|tmr)$/.test(s)) {return new Date(instant(plusDays(today, 1)));}
+
+  let m = s.match(/^(?:(this|next) )?([a-z]+\.?)$/);
+  const weekday = m ? nameIndex(WEEKDAYS, m[2]) : -1;
+  if (weekday !== -1) {
+    let ahead = (weekday - today.weekday + 7) % 7;
+    if (m[1] === 'next') {
+      // "next Friday" skips the Friday of the current (Monday to Sunday) week
+      const leftInWeek = today.weekday === 0 ? 0 : 7 - today.weekday;
+      if (ahead === 0 || ahead <= leftInWeek) {ahead += 7;}
+    } else if (ahead === 0 && !m[1] && instant(dayOf(today)) <= nowMs) {
+      ahead = 7;
+    }
+    return new Date(instant(plusDays(today, ahead)));
+  }
+
+  let month = -1;
+  let day = NaN;
+  let year = null;
+  if ((m = s.match(/^([a-z]+\.?) (\d{1,2})(?:st|nd|rd|th)?(?: (\d{4}))?$/))) {
+    [month, day, year] = [nameIndex(MONTHS, m[1]) + 1, Number(m[2]), m[3] ? Number(m[3]) : null];
+  } else if ((m = s.match(/^(\d{1,2})(?:st|nd|rd|th)? ([a-z]+\.?)(?: (\d{4}))?$/))) {
+    [month, day, year] = [nameIndex(MONTHS, m[2]) + 1, Number(m[1]), m[3] ? Number(m[3]) : null];
+  } else if ((m = s.match(/^(\d{1,2})\/(\d{1,2})$/))) {
+    [month, day] = [Number(m[1]), Number(m[2])];
+  }
+  if (month < 1) {return null;}
+  if (year === null) {
+    const passed = month < today.month || (month === today.month && day < today.day);
+    // Latest occurrence before today: this year's, or last year's across Jan 1 ("Dec 31" on Jan 2)
+    const lastYear = passed ? today.year : today.year - 1;
+    if (isRealDate(lastYear, month, day)) {
+      const daysAgo = (Date.UTC(today.year, today.month - 1, today.day) - Date.UTC(lastYear, month - 1, day)) / 86400000;
+      if (daysAgo > 0 && daysAgo <= RECENT_PAST_DAYS) {return null;}
+    }
+    year = today.year + (passed ? 1 : 0);
+  }
+  if (!isRealDate(year, month, day)) {return null;}
+  return new Date(instant({ year, month, day }));
+}
@@ -0,0 +1,110 @@
+/**
+ * Unit tests for natural-language dates
+ * Run with: node lib/natural-date.test.js
+ */
+import { strict as assert } from 'assert';
+import { splitTimeZone, parseNaturalDate } from './natural-date.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = (name, fn) => { total++; try { fn(); passed++; console.log(`  ✓ ${name}`); } catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`);} };
+const suite = (name, fn) => { console.log(`\n${name}:`); fn(); };
+
+// Monday Nov 3 2025, 10:00 in New York (EST, UTC-5)
+const now = new Date('2025-11-03T15:00:00Z');
+const parse = (text, options = {}) => {
+  const date = parseNaturalDate(text, { now, timeZone: 'America/New_York', endOfDayHour: 17, ...options });
+  return date && date.toISOString();
+};
+
+suite('splitTimeZone', () => {
+  test('reads abbreviations, UTC offsets and IANA names', () => {
+    assert.deepEqual(splitTimeZone('Nov 4 7pm PT'), { text: 'Nov 4 7pm', timeZone: 'America/Los_Angeles' });
+    assert.deepEqual(splitTimeZone('15:00 (CET)'), { text: '15:00', timeZone: 'Europe/Paris' });
+    assert.deepEqual(splitTimeZone('15:00 UTC+2'), { text: '15:00', timeZone: 'Etc/GMT-2' });
+    assert.deepEqual(splitTimeZone('9am Europe/Berlin'), { text: '9am', timeZone: 'Europe/Berlin' });
+  });
+
+  test('leaves text without a known zone alone', () => {
+    assert.deepEqual(splitTimeZone('EOD Friday'), { text: 'EOD Friday', timeZone: null });
+    assert.deepEqual(splitTimeZone('tomorrow 3pm'), { text: 'tomorrow 3pm', timeZone: null });
+    assert.deepEqual(splitTimeZone('9am Mars/Olympus'), { text: '9am Mars/Olympus', timeZone: null });
+  });
+});
+
+suite('parseNaturalDate', () => {
+  test('relative times keep the wall clock across DST for days', () => {
+    assert.equal(parse('in 2 hours'), '2025-11-03T17:00:00.000Z');
+    assert.equal(parse('in 30 min'), '2025-11-03T15:30:00.000Z');
+    assert.equal(parse('2 days from now'), '2025-11-05T15:00:00.000Z');
+    // Friday Oct 31 10:00 EDT + 3 days is Monday 10:00 EST
+    assert.equal(parse('in 3 days', { now: new Date('2025-10-31T14:00:00Z') }), '2025-11-03T15:00:00.000Z');
+  });
+
+  test('days, EOD and EOW', () => {
+    assert.equal(parse('tomorrow 3pm'), '2025-11-04T20:00:00.000Z');
+    assert.equal(parse('EOD'), '2025-11-03T22:00:00.000Z');
+    assert.equal(parse('EOD Friday'), '2025-11-07T22:00:00.000Z');
+    assert.equal(parse('by end of week'), '2025-11-07T22:00:00.000Z');
+    assert.equal(parse('Friday'), '2025-11-07T22:00:00.000Z');
+    assert.equal(parse('next Friday'), '2025-11-14T22:00:00.000Z');
+    assert.equal(parse('Monday'), '2025-11-03T22:00:00.000Z');
+    assert.equal(parse('Monday 9am'), '2025-11-10T14:00:00.000Z');
+    assert.equal(parse('tonight at 8:30 p.m.'), '2025-11-04T01:30:00.000Z');
+  });
+
+  test('times on their own mean their next occurrence', () => {
+    assert.equal(parse('3pm'), '2025-11-03T20:00:00.000Z');
+    assert.equal(parse('9am'), '2025-11-04T14:00:00.000Z');
+    assert.equal(parse('noon'), '2025-11-03T17:00:00.000Z');
+  });
+
+  test('month names and numeric dates, rolling long-past dates to next year', () => {
+    assert.equal(parse('Nov 4 7pm', { timeZone: 'America/Los_Angeles' }), '2025-11-05T03:00:00.000Z');
+    assert.equal(parse('4 November 2025, noon'), '2025-11-04T17:00:00.000Z');
+    assert.equal(parse('11/4 midnight'), '2025-11-05T04:59:00.000Z');
+    assert.equal(parse('Jun 1st'), '2026-06-01T21:00:00.000Z');
+    assert.equal(parse('Jan 5 9am'), '2026-01-05T14:00:00.000Z');
+  });
+
+  test('rejects dates without a year that passed recently instead of moving them a year out', () => {
+    // Written on Nov 5: "Nov 4 7pm PT" is yesterday, not November 2026
+    assert.equal(parse('Nov 4 7pm', { now: new Date('2025-11-05T18:00:00Z'), timeZone: 'America/Los_Angeles' }), null);
+    assert.equal(parse('Oct 1st'), null);
+    assert.equal(parse('8/10'), null);
+    assert.equal(parse('Oct 1st 2025'), '2025-10-01T21:00:00.000Z'); // an explicit year is taken as written
+  });
+
+  test('rejects dates that passed just before Jan 1', () => {
+    const newYear = { now: new Date('2026-01-02T15:00:00Z') };
+    assert.equal(parse('Dec 31', newYear), null);
+    assert.equal(parse('12/20', newYear), null);
+    assert.equal(parse('Jan 5', newYear), '2026-01-05T22:00:00.000Z');
+    assert.equal(parse('Sep 15', newYear), '2026-09-15T21:00:00.000Z'); // last seen 109 days ago
+  });
+
+  test('reads Spanish and Portuguese days, months and times', () => {
+    assert.equal(parse('mañana 3pm'), '2025-11-04T20:00:00.000Z');
+    assert.equal(parse('amanhã às 15h'), '2025-11-04T20:00:00.000Z');
+    assert.equal(parse('el próximo viernes'), '2025-11-07T22:00:00.000Z');
+    assert.equal(parse('sexta-feira 15h30'), '2025-11-07T20:30:00.000Z');
+    assert.equal(parse('en 2 horas'), '2025-11-03T17:00:00.000Z');
+    assert.equal(parse('4 de noviembre de 2026 a las 7pm'), '2026-11-05T00:00:00.000Z');
+    assert.equal(parse('4 de dezembro 19:00'), '2025-12-05T00:00:00.000Z');
+    assert.equal(parse('fin del día'), '2025-11-03T22:00:00.000Z');
+    assert.equal(parse('in a day'), '2025-11-04T15:00:00.000Z'); // English is left alone
+  });
+
+  test('returns null for text it does not understand', () => {
+    for (const text of ['soonish', 'Feb 30', '13pm', '25:00', 'EOW Friday', 'in 2 fortnights', '']) {
+      assert.equal(parse(text), null, text);
+    }
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
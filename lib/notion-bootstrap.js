@@ -0,0 +1,194 @@
+/**
+ * Notion tracker bootstrap (ops bootstrap)
+ * Describes the properties a tracker database needs for a set of intake fields: the fields
+ * themselves, the Slack tracking columns the bot looks pages up by, the findings column, the
+ * reporter columns and the Status and Assignee columns used by status sync, SLAs and the on-call. Builds the create payload for a new database, the update payload
+ * that adds whatever an existing database lacks, and the channel-mappings.json entry
+ */
+
+import { NOTION_FIELDS } from './constants.js';
+import { getTitleField } from './field-schema.js';
+import { propertiesByName } from './notion-pages.js';
+import { EXPECTED_TYPES } from './schema-drift.js';
+
+/**
+ * Notion property type created for each field type
+ * Links are kept as text so every URL of the field is stored (URL columns hold one)
+ */
+const FIELD_PROPERTY_TYPES = Object.freeze({
+  text: 'rich_text',
+  select: 'select',
+  email: 'email',
+  date: 'date',
+  links: 'rich_text'
+});
+
+/**
+ * Status values of a new tracker's Status column
+ * The API cannot create Notion's own status type, so the column is a select; "Done" ends SLA tracking
+ */
+const STATUS_OPTIONS = Object.freeze(['Not started', 'In progress', 'Done']);
+
+/**
+ * Builds a Notion property schema (databases.create / databases.update) of a type
+ * @param {string} type - Notion property type, e.g. "select"
+ * @param {string[]} [options] - Select option names
+ * @returns {Object} Property schema, e.g. { select: { options: [{ name: 'P0' }] } }
+ */
+function propertySchema(type, options = []) {
+  if (type === 'select') {return { select: { options: options.map(name => ({ name })) } };}
+  return { [type]: {} };
+}
+
+/**
+ * Properties a tracker needs for the given fields, in display order
+ * Each entry has the property name, the type to create, the types the bot also accepts
+ * and, for selects, the options to create (`ownOptions`: only when creating the column,
+ * an existing one keeps the team's own values)
+ * @param {Object[]} fields - Normalized field definitions
+ * @param {Object} [onMessageDeleted] - Deletion policy; "flag" adds its property
+ * @returns {Object[]} [{ name, type, accepts, options, title, ownOptions }]
+ */
+export function trackerProperties(fields, onMessageDeleted) {
+  const titleField = getTitleField(fields);
+  const properties = fields.map(field => ({
+    name: field.property,
+    type: field === titleField ? 'title' : FIELD_PROPERTY_TYPES[field.type] || 'rich_text',
+    accepts: field === titleField ? ['title'] : EXPECTED_TYPES[field.type] || EXPECTED_TYPES.text,
+    options: field.type === 'select' ? field.options || [] : [],
+    title: field === titleField
+  }));
+
+  properties.push(
+    { name: NOTION_FIELDS.REPORTED_BY, type: 'people', accepts: ['people', 'rich_text'] },
+    { name: NOTION_FIELDS.REPORTED_BY_TEXT, type: 'rich_text', accepts: ['rich_text'] },
+    { name: NOTION_FIELDS.ONCALL_CAT_FINDINGS, type: 'rich_text', accepts: ['rich_text'] },
+    { name: NOTION_FIELDS.SLACK_MESSAGE_TS, type: 'rich_text', accepts: ['rich_text', 'number'] },
+    { name: NOTION_FIELDS.SLACK_MESSAGE_URL, type: 'url', accepts: ['url', 'rich_text'] },
+    { name: NOTION_FIELDS.STATUS, type: 'select', accepts: ['status', 'select'], options: [...STATUS_OPTIONS], ownOptions: true },
+    { name: NOTION_FIELDS.ASSIGNEE, type: 'people', accepts: ['people', 'rich_text'] }
+  );
+
+  if (onMessageDeleted?.action === 'flag') {
+    // A flag value needs a select (its option); no value ticks a checkbox
+    properties.push(onMessageDeleted.value
+      ? { name: onMessageDeleted.property, type: 'select', accepts: ['select', 'status', 'rich_text'], options: [onMessageDeleted.value] }
+      : { name: onMessageDeleted.property, type: 'checkbox', accepts: ['checkbox', 'select', 'status', 'rich_text', 'date'] });
+  }
+
+  const seen = new Set();
+  return properties
+    .filter(p => !seen.has(p.name.toLowerCase()) && seen.add(p.name.toLowerCase()))
+    .map(p => ({ options: [], title: false, ownOptions: false, ...p }));
+}
+
+/**
+ * Builds the databases.create parameters for a new tracker
+ * @param {Object} params - Function parameters
+ * @param {string} params.parentPageId - Page the database is created in
+ * @param {string} params.title - Database title
+ * @param {Object[]} params.fields - Normalized field definitions
+ * @param {Object} [params.onMessageDeleted] - Deletion policy
+ * @returns {Object} databases.create parameters
+ */
+export function createDatabaseParams({ parentPageId, title, fields, onMessageDeleted }) {
+  const properties = {};
+  for (const p of trackerProperties(fields, onMessageDeleted)) {
+    properties[p.name] = propertySchema(p.type, p.options);
+  }
+  return {
+    parent: { type: 'page_id', page_id: parentPageId },
+    title: [{ type: 'text', text: { content: title } }],
+    properties
+  };
+}
+
+/**
+ * Compares an existing database with the tracker properties and builds the patch
+ * Missing properties are added, missing select options are appended and the title column
+ * is renamed (a database has exactly one). Properties of an incompatible type are reported,
+ * never changed, since converting them could lose data
+ * @param {Object} db - databases.retrieve response
+ * @param {Object[]} fields - Normalized field definitions
+ * @param {Object} [onMessageDeleted] - Deletion policy
+ * @returns {Object} { properties (databases.update payload, empty when nothing is missing),
+ *   added, renamed, optionsAdded, conflicts }
+ */
+export function planDatabasePatch(db, fields, onMessageDeleted) {
+  const byName = propertiesByName(db);
+  const properties = {};
+  const added = [];
+  const optionsAdded = [];
+  const conflicts = [];
+  let renamed = null;
+
+  for (const wanted of trackerProperties(fields, onMessageDeleted)) {
+    const existing = byName[wanted.name.toLowerCase()];
+    if (!existing) {
+      if (wanted.title) {
+        const current = Object.values(byName).find(p => p.type === 'title');
+        if (current) {
+          properties[current.name] = { name: wanted.name };
+          renamed = { from: current.name, to: wanted.name };
+          continue;
+        }
+      }
+      properties[wanted.name] = propertySchema(wanted.type, wanted.options);
+      added.push(wanted.name);
+      continue;
+    }
+    if (!wanted.accepts.includes(existing.type)) {
+      conflicts.push({ property: existing.name, actual: existing.type, expected: wanted.accepts });
+      continue;
+    }
+    if (existing.type === 'select' && wanted.options.length && !wanted.ownOptions) {
+      const have = new Set(existing.options.map(o => o.name.toLowerCase()));
+      const missing = wanted.options.filter(name => !have.has(name.toLowerCase()));
+      if (missing.length) {
+        // Existing options are listed by ID so Notion keeps them (and their colors)
+        properties[existing.name] = {
+          select: { options: [...existing.options.map(o => ({ id: o.id, name: o.name })), ...missing.map(name => ({ name }))] }
+        };
+        optionsAdded.push({ property: existing.name, options: missing });
+      }
+    }
+  }
+
+  return { properties, added, renamed, optionsAdded, conflicts };
+}
+
+/**
+ * Adds a database and its channels to a channel-mappings.json document
+ * Channels already mapped to this database are kept once; a channel mapped to another
+ * database is an error, since each channel files into exactly one tracker
+ * @param {Object} mappings - Parsed channel-mappings.json ({} when the file does not exist)
+ * @param {Object} params - Mapping to add
+ * @param {string} params.databaseId - Notion database ID
+ * @param {string} [params.description] - Database description
+ * @param {Object[]} params.channels - [{ channelId, description? }]
+ * @returns {Object} Updated mappings document (the input is not modified)
+ * @throws {Error} If a channel is already mapped to another database
+ */
+export function appendMapping(mappings, { databaseId, description, channels }) {
+  const databases = (mappings.databases || []).map(db => ({ ...db, channels: [...(db.channels || [])] }));
+  const normalize = id => String(id).replace(/-/g, '').toLowerCase();
+
+  for (const { channelId } of channels) {
+    const other = databases.find(db => normalize(db.databaseId) !== normalize(databaseId) && db.channels.some(c => c.channelId === channelId));
+    if (other) {
+      throw new Error(`Channel ${channelId} is already mapped to database ${other.databaseId}`);
+    }
+  }
+
+  let entry = databases.find(db => normalize(db.databaseId) === normalize(databaseId));
+  if (!entry) {
+    entry = { databaseId, ...(description ? { description } : {}), channels: [] };
+    databases.push(entry);
+  }
+  for (const channel of channels) {
+    if (!entry.channels.some(c => c.channelId === channel.channelId)) {
+      entry.channels.push(channel);
+    }
+  }
+  return { ...mappings, databases };
+}
@@ -0,0 +1,116 @@
+/**
+ * Unit tests for the Notion tracker bootstrap
+ * Run with: node lib/notion-bootstrap.test.js
+ */
+import { strict as assert } from 'assert';
+import { trackerProperties, createDatabaseParams, planDatabasePatch, appendMapping } from './notion-bootstrap.js';
+import { DEFAULT_FIELDS } from './field-schema.js';
+import { schemaFromDatabase } from './notion-pages.js';
+import { schemaReport } from './schema-drift.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = (name, fn) => { total++; try { fn(); passed++; console.log(`  ✓ ${name}`); } catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`);} };
+const suite = (name, fn) => { console.log(`\n${name}:`); fn(); };
+
+// Simulates what Notion returns for a database created or updated with these property schemas
+const asDatabase = (properties) => ({
+  properties: Object.fromEntries(Object.entries(properties).map(([name, def], i) => {
+    const type = Object.keys(def)[0];
+    return [name, { id: `p${i}`, type, ...def }];
+  }))
+});
+
+suite('createDatabaseParams', () => {
+  test('creates every field, tracking, findings and reporter column', () => {
+    const params = createDatabaseParams({ parentPageId: 'page-1', title: 'On-call Issues', fields: DEFAULT_FIELDS });
+    assert.deepEqual(params.parent, { type: 'page_id', page_id: 'page-1' });
+    assert.equal(params.title[0].text.content, 'On-call Issues');
+    assert.deepEqual(params.properties.Issue, { title: {} });
+    assert.deepEqual(params.properties.Priority, { select: { options: [{ name: 'P0' }, { name: 'P1' }, { name: 'P2' }] } });
+    assert.deepEqual(params.properties['Needed by'], { date: {} });
+    assert.deepEqual(params.properties['1Password'], { email: {} });
+    assert.deepEqual(params.properties['Slack Message URL'], { url: {} });
+    assert.deepEqual(params.properties['Slack Message TS'], { rich_text: {} });
+    assert.deepEqual(params.properties['On-call Cat Findings'], { rich_text: {} });
+    assert.deepEqual(params.properties['Reported by'], { people: {} });
+    assert.deepEqual(params.properties.Assignee, { people: {} });
+    assert.deepEqual(params.properties.Status, { select: { options: [{ name: 'Not started' }, { name: 'In progress' }, { name: 'Done' }] } });
+  });
+
+  test('created database passes the schema loader and drift report', () => {
+    const db = asDatabase(createDatabaseParams({ parentPageId: 'p', title: 't', fields: DEFAULT_FIELDS }).properties);
+    const schema = schemaFromDatabase(db);
+    assert.equal(schema.slackTsProp.name, 'Slack Message TS');
+    assert.equal(schemaReport({ databaseId: 'db', byName: schema.byName, fields: DEFAULT_FIELDS }).ok, true);
+  });
+
+  test('adds the deletion flag property', () => {
+    const checkbox = trackerProperties(DEFAULT_FIELDS, { action: 'flag', property: 'Deleted in Slack', value: null }).at(-1);
+    assert.deepEqual([checkbox.name, checkbox.type], ['Deleted in Slack', 'checkbox']);
+    const select = trackerProperties(DEFAULT_FIELDS, { action: 'flag', property: 'State', value: 'Gone' }).at(-1);
+    assert.deepEqual([select.name, select.type, select.options], ['State', 'select', ['Gone']]);
+    assert.equal(trackerProperties(DEFAULT_FIELDS, { action: 'flag', property: 'Priority', value: 'P2' }).filter(p => p.name === 'Priority').length, 1);
+  });
+});
+
+suite('planDatabasePatch', () => {
+  test('adds missing properties and renames the title column', () => {
+    const db = asDatabase({ Name: { title: {} }, Priority: { select: { options: [{ id: 'o1', name: 'P0', color: 'red' }] } }, Customer: { rich_text: {} } });
+    const plan = planDatabasePatch(db, DEFAULT_FIELDS);
+    assert.deepEqual(plan.renamed, { from: 'Name', to: 'Issue' });
+    assert.deepEqual(plan.properties.Name, { name: 'Issue' });
+    assert.ok(plan.added.includes('Slack Message TS'));
+    assert.ok(!plan.added.includes('Customer'));
+    assert.deepEqual(plan.properties.Priority, { select: { options: [{ id: 'o1', name: 'P0' }, { name: 'P1' }, { name: 'P2' }] } });
+    assert.deepEqual(plan.optionsAdded, [{ property: 'Priority', options: ['P1', 'P2'] }]);
+  });
+
+  test('adds Status and Assignee but leaves an existing workflow alone', () => {
+    const full = createDatabaseParams({ parentPageId: 'p', title: 't', fields: DEFAULT_FIELDS }).properties;
+    const { Status, Assignee, ...rest } = full;
+    const missing = planDatabasePatch(asDatabase(rest), DEFAULT_FIELDS);
+    assert.deepEqual(missing.added, ['Status', 'Assignee']);
+    assert.deepEqual(missing.properties, { Status, Assignee });
+    const custom = planDatabasePatch(asDatabase({ ...rest, Assignee, Status: { select: { options: [{ id: 's1', name: 'Open' }] } } }), DEFAULT_FIELDS);
+    assert.deepEqual(custom.properties, {});
+    assert.deepEqual(planDatabasePatch(asDatabase({ ...rest, Assignee, Status: { status: {} } }), DEFAULT_FIELDS).properties, {});
+  });
+
+  test('reports incompatible types without changing them', () => {
+    const full = createDatabaseParams({ parentPageId: 'p', title: 't', fields: DEFAULT_FIELDS }).properties;
+    const plan = planDatabasePatch(asDatabase({ ...full, 'Needed by': { rich_text: {} } }), DEFAULT_FIELDS);
+    assert.deepEqual(plan.properties, {});
+    assert.deepEqual(plan.conflicts, [{ property: 'Needed by', actual: 'rich_text', expected: ['date'] }]);
+  });
+
+  test('accepts the alternative types the bot can write', () => {
+    const full = createDatabaseParams({ parentPageId: 'p', title: 't', fields: DEFAULT_FIELDS }).properties;
+    const plan = planDatabasePatch(asDatabase({ ...full, 'Slack Message TS': { number: {} }, 'Relevant Links': { url: {} } }), DEFAULT_FIELDS);
+    assert.deepEqual(plan, { properties: {}, added: [], renamed: null, optionsAdded: [], conflicts: [] });
+  });
+});
+
+suite('appendMapping', () => {
+  test('creates the document and adds channels once', () => {
+    let mappings = appendMapping({}, { databaseId: 'db-1', description: 'Tracker', channels: [{ channelId: 'C1' }] });
+    mappings = appendMapping(mappings, { databaseId: 'db-1', channels: [{ channelId: 'C1' }, { channelId: 'C2' }] });
+    assert.deepEqual(mappings, { databases: [{ databaseId: 'db-1', description: 'Tracker', channels: [{ channelId: 'C1' }, { channelId: 'C2' }] }] });
+  });
+
+  test('keeps other databases and refuses channels mapped elsewhere', () => {
+    const existing = { databases: [{ databaseId: 'db-1', channels: [{ channelId: 'C1' }], fields: [{ label: 'Issue' }] }] };
+    const mappings = appendMapping(existing, { databaseId: 'db-2', channels: [{ channelId: 'C2' }] });
+    assert.equal(mappings.databases.length, 2);
+    assert.deepEqual(mappings.databases[0], existing.databases[0]);
+    assert.equal(existing.databases.length, 1);
+    assert.throws(() => appendMapping(existing, { databaseId: 'db-2', channels: [{ channelId: 'C1' }] }), /C1 is already mapped to database db-1/);
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,193 @@
+/**
+ * Adaptive Notion API client
+ * Every call goes through one shared rate limiter; 429/502/503/504 responses are retried
+ * with backoff, honouring Notion's Retry-After header, and a 429 pauses the whole limiter
+ * so other methods stop hammering the API too
+ */
+
+import pThrottle from 'p-throttle';
+import pTimeout from 'p-timeout';
+import { backoffDelay } from './retry-queue.js';
+
+/**
+ * HTTP statuses retried in place by the client
+ * (timeouts are left to the caller's retry queue: the write may still have landed)
+ */
+export const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+/**
+ * Notion SDK methods exposed by the client, as "namespace.method" paths
+ */
+export const NOTION_METHODS = [
+  'databases.retrieve',
+  'databases.create',
+  'databases.update',
+  'databases.query',
+  'pages.create',
+  'pages.update',
+  'pages.retrieve',
+  'blocks.children.append',
+  'blocks.children.list',
+  'blocks.update',
+  'blocks.delete',
+  'users.list',
+  'users.retrieve'
+];
+
+const sleepFor = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Reads Retry-After from a Notion error (seconds or HTTP date)
+ * @param {Error} err - APIResponseError (headers may be a Headers instance or a plain object)
+ * @param {number} [now=Date.now()] - Current time, for HTTP-date values
+ * @returns {number|null} Delay in milliseconds, or null when the header is absent or invalid
+ */
+export function retryAfterMs(err, now = Date.now()) {
+  const headers = err?.headers;
+  if (!headers) {return null;}
+  const raw = typeof headers.get === 'function'
+    ? headers.get('retry-after')
+    : headers['retry-after'] ?? headers['Retry-After'];
+  if (raw === null || raw === undefined || raw === '') {return null;}
+
+  const seconds = Number(raw);
+  if (Number.isFinite(seconds)) {return Math.max(0, seconds * 1000);}
+  const date = Date.parse(raw);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Single token bucket shared by every Notion call
+ * Wraps p-throttle (strict spacing) and adds a pause gate used after 429 responses
+ */
+export class NotionRateLimiter {
+  #acquire;
+  #pausedUntil = 0;
+  #now;
+  #sleep;
+
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} options.ratePerSecond - Sustained request rate (Notion allows ~3/s)
+   * @param {Function} [options.now=Date.now] - Clock (tests)
+   * @param {Function} [options.sleep] - Delay function (tests)
+   */
+  constructor({ ratePerSecond, now = Date.now, sleep = sleepFor }) {
+    this.#acquire = pThrottle({ limit: ratePerSecond, interval: 1000, strict: true })(() => {});
+    this.#now = now;
+    this.#sleep = sleep;
+  }
+
+  /**
+   * Epoch ms until which calls are paused (0 when not paused)
+   * @returns {number} Pause deadline
+   */
+  get pausedUntil() {
+    return this.#pausedUntil;
+  }
+
+  /**
+   * Waits for a token (and for any active pause to end)
+   * @returns {Promise<number>} Milliseconds spent waiting
+   */
+  async take() {
+    const start = this.#now();
+    while (this.#pausedUntil > this.#now()) {
+      await this.#sleep(this.#pausedUntil - this.#now());
+    }
+    await this.#acquire();
+    return this.#now() - start;
+  }
+
+  /**
+   * Pauses every caller for at least `ms` (extends, never shortens, an existing pause)
+   * @param {number} ms - Pause length in milliseconds
+   * @returns {void}
+   */
+  pauseFor(ms) {
+    this.#pausedUntil = Math.max(this.#pausedUntil, this.#now() + ms);
+  }
+}
+
+/**
+ * Creates the adaptive client around a Notion SDK instance
+ * @param {Object} options - Configuration options
+ * @param {Object} options.notion - @notionhq/client Client instance
+ * @param {NotionRateLimiter} options.limiter - Shared rate limiter
+ * @param {number} options.timeoutMs - Per-attempt timeout
+ * @param {number} [options.maxRetries=3] - In-place retries for 429/502/503/504
+ * @param {number} [options.baseDelayMs=1000] - Backoff after the first retryable failure (no Retry-After)
+ * @param {number} [options.maxDelayMs=30000] - Backoff ceiling
+ * @param {BotMetrics} [options.metrics] - Receives wait time, duration and retry metrics
+ * @param {Object} [options.logger] - Logger instance
+ * @param {string[]} [options.methods=NOTION_METHODS] - SDK methods to expose
+ * @param {Function} [options.sleep] - Delay function (tests)
+ * @param {Function} [options.random] - Jitter source (tests)
+ * @returns {Object} Client with the same shape as the SDK (e.g. client.pages.create(params))
+ */
+export function createNotionClient({
+  notion,
+  limiter,
+  timeoutMs,
+  maxRetries = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  metrics,
+  logger,
+  methods = NOTION_METHODS,
+  sleep = sleepFor,
+  random = Math.random
+}) {
+  const call = async (method, params) => {
+    const path = method.split('.');
+    const target = path.slice(0, -1).reduce((obj, key) => obj[key], notion);
+    const name = path[path.length - 1];
+    const labels = { method };
+
+    for (let attempt = 0; ; attempt++) {
+      const waited = await limiter.take();
+      metrics?.observe('notionThrottleWaitSeconds', waited / 1000, labels);
+      logger?.debug({ method, databaseId: params?.database_id, pageId: params?.page_id, attempt }, `Notion API: ${method}`);
+
+      const start = Date.now();
+      let err;
+      try {
+        return await pTimeout(target[name](params), {
+          milliseconds: timeoutMs,
+          message: `Notion ${method} timed out after ${timeoutMs}ms`
+        });
+      } catch (error) {
+        err = error;
+      } finally {
+        metrics?.observe('notionRequestDurationSeconds', (Date.now() - start) / 1000, labels);
+      }
+
+      if (!RETRYABLE_STATUSES.includes(err.status) || attempt >= maxRetries) {
+        throw err;
+      }
+      const retryAfter = retryAfterMs(err);
+      const delay = retryAfter ?? backoffDelay(attempt + 1, { baseDelayMs, maxDelayMs, random });
+      metrics?.increment('notionRetries', { ...labels, errorKind: err.status === 429 ? 'rate_limited' : 'server' });
+      logger?.warn({ method, status: err.status, attempt: attempt + 1, delayMs: delay, retryAfter: retryAfter !== null }, 'Notion API call failed, retrying');
+      if (err.status === 429) {
+        // Rate limits are per integration: hold back every method, not just this one.
+        // The wait happens in limiter.take() and shows up as throttle wait time
+        limiter.pauseFor(delay);
+        metrics?.increment('notionRateLimited', labels);
+      } else {
+        await sleep(delay);
+      }
+    }
+  };
+
+  const client = { call };
+  for (const method of methods) {
+    const path = method.split('.');
+    let node = client;
+    for (const key of path.slice(0, -1)) {
+      node = node[key] ??= {};
+    }
+    node[path[path.length - 1]] = (params) => call(method, params);
+  }
+  return client;
+}
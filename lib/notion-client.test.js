@@ -0,0 +1,162 @@
+/**
+ * Unit tests for the adaptive Notion client
+ * Run with: node lib/notion-client.test.js
+ */
+import { strict as assert } from 'assert';
+import { createNotionClient, NotionRateLimiter, retryAfterMs } from './notion-client.js';
+import { BotMetrics } from './metrics.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = async (name, fn) => {
+  total++;
+  try { await fn(); passed++; console.log(`  ✓ ${name}`); }
+  catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`); }
+};
+const suite = async (name, fn) => { console.log(`\n${name}:`); await fn(); };
+
+const silent = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+const apiError = (status, code, headers) => Object.assign(new Error(`${code} (${status})`), { status, code, headers });
+
+/**
+ * Fake SDK whose pages.create answers from a script of errors/results
+ */
+function scriptedNotion(script) {
+  const calls = [];
+  const next = async (params) => {
+    calls.push(params);
+    const step = script.shift();
+    if (step instanceof Error) {throw step;}
+    return step ?? { id: 'page-1' };
+  };
+  return { calls, notion: { pages: { create: next, update: next }, databases: { query: next } } };
+}
+
+/**
+ * Limiter double that records pauses and never waits
+ */
+function recordingLimiter() {
+  const pauses = [];
+  return { pauses, take: async () => 0, pauseFor: (ms) => pauses.push(ms) };
+}
+
+await suite('retryAfterMs', async () => {
+  await test('reads seconds from Headers and plain objects', async () => {
+    assert.equal(retryAfterMs({ headers: new Map([['retry-after', '2']]) }), 2000);
+    assert.equal(retryAfterMs({ headers: { 'retry-after': '0.5' } }), 500);
+  });
+
+  await test('reads HTTP dates', async () => {
+    const now = Date.parse('2025-01-01T00:00:00Z');
+    assert.equal(retryAfterMs({ headers: { 'retry-after': 'Wed, 01 Jan 2025 00:00:03 GMT' } }, now), 3000);
+  });
+
+  await test('returns null when absent or invalid', async () => {
+    assert.equal(retryAfterMs({}), null);
+    assert.equal(retryAfterMs({ headers: { 'retry-after': 'soon' } }), null);
+  });
+});
+
+await suite('createNotionClient', async () => {
+  await test('exposes SDK-shaped methods', async () => {
+    const { notion } = scriptedNotion([{ id: 'abc' }]);
+    const client = createNotionClient({ notion, limiter: recordingLimiter(), timeoutMs: 1000, logger: silent });
+    assert.deepEqual(await client.pages.create({ parent: {} }), { id: 'abc' });
+    assert.equal(typeof client.databases.query, 'function');
+    assert.equal(typeof client.users.list, 'function');
+  });
+
+  await test('supports nested method paths', async () => {
+    const notion = { blocks: { children: { append: async () => ({ ok: true }) } } };
+    const client = createNotionClient({ notion, limiter: recordingLimiter(), timeoutMs: 1000, methods: ['blocks.children.append'] });
+    assert.deepEqual(await client.blocks.children.append({}), { ok: true });
+  });
+
+  await test('429 honours Retry-After and pauses the shared limiter', async () => {
+    const { notion, calls } = scriptedNotion([apiError(429, 'rate_limited', { 'retry-after': '3' }), { id: 'ok' }]);
+    const limiter = recordingLimiter();
+    const metrics = new BotMetrics();
+    const client = createNotionClient({ notion, limiter, timeoutMs: 1000, metrics, logger: silent, sleep: async () => {} });
+    assert.deepEqual(await client.pages.create({}), { id: 'ok' });
+    assert.equal(calls.length, 2);
+    assert.deepEqual(limiter.pauses, [3000]);
+    assert.equal(metrics.get('notionRateLimited'), 1);
+    assert.equal(metrics.get('notionRetries'), 1);
+    assert.deepEqual(metrics.getLabelled('notionRetries')[0].labels, { errorKind: 'rate_limited', method: 'pages.create' });
+  });
+
+  await test('5xx backs off with jitter without pausing other methods', async () => {
+    const { notion } = scriptedNotion([apiError(502, 'bad_gateway'), apiError(503, 'service_unavailable'), { id: 'ok' }]);
+    const limiter = recordingLimiter();
+    const sleeps = [];
+    const client = createNotionClient({
+      notion, limiter, timeoutMs: 1000, logger: silent, baseDelayMs: 100, maxDelayMs: 1000,
+      random: () => 1, sleep: async (ms) => { sleeps.push(ms); }
+    });
+    await client.pages.update({});
+    assert.deepEqual(sleeps, [100, 200]);
+    assert.deepEqual(limiter.pauses, []);
+  });
+
+  await test('gives up after maxRetries and rethrows the Notion error', async () => {
+    const { notion, calls } = scriptedNotion([apiError(503, 'a'), apiError(503, 'b'), apiError(503, 'c')]);
+    const client = createNotionClient({ notion, limiter: recordingLimiter(), timeoutMs: 1000, maxRetries: 2, logger: silent, sleep: async () => {} });
+    await assert.rejects(client.pages.create({}), /c \(503\)/);
+    assert.equal(calls.length, 3);
+  });
+
+  await test('does not retry permission, validation or timeout errors', async () => {
+    const { notion, calls } = scriptedNotion([apiError(403, 'restricted_resource')]);
+    const client = createNotionClient({ notion, limiter: recordingLimiter(), timeoutMs: 1000, logger: silent });
+    await assert.rejects(client.pages.create({}), /restricted_resource/);
+    assert.equal(calls.length, 1);
+
+    const slow = { pages: { create: () => new Promise(resolve => setTimeout(resolve, 200)) } };
+    const timed = createNotionClient({ notion: slow, limiter: recordingLimiter(), timeoutMs: 20, logger: silent });
+    await assert.rejects(timed.pages.create({}), (err) => err.name === 'TimeoutError' && /pages.create timed out/.test(err.message));
+  });
+
+  await test('records duration and throttle wait histograms per method', async () => {
+    const { notion } = scriptedNotion([{ id: 'ok' }]);
+    const metrics = new BotMetrics();
+    const limiter = { take: async () => 250, pauseFor: () => {} };
+    const client = createNotionClient({ notion, limiter, timeoutMs: 1000, metrics, logger: silent });
+    await client.databases.query({ database_id: 'db' });
+    const [wait] = metrics.getHistogram('notionThrottleWaitSeconds');
+    assert.deepEqual(wait.labels, { method: 'databases.query' });
+    assert.equal(wait.sum, 0.25);
+    assert.equal(metrics.getHistogram('notionRequestDurationSeconds')[0].count, 1);
+  });
+});
+
+await suite('NotionRateLimiter', async () => {
+  await test('pauses every caller until the deadline', async () => {
+    let now = 1000;
+    const slept = [];
+    const limiter = new NotionRateLimiter({
+      ratePerSecond: 100,
+      now: () => now,
+      sleep: async (ms) => { slept.push(ms); now += ms; }
+    });
+    limiter.pauseFor(2000);
+    limiter.pauseFor(500); // shorter pause never shortens the current one
+    assert.equal(limiter.pausedUntil, 3000);
+    const waited = await limiter.take();
+    assert.deepEqual(slept, [2000]);
+    assert(waited >= 2000);
+  });
+
+  await test('caps calls per second', async () => {
+    const limiter = new NotionRateLimiter({ ratePerSecond: 2 });
+    const waits = await Promise.all([1, 2, 3].map(() => limiter.take()));
+    assert(waits[0] < 100, 'first call should not wait');
+    assert(waits[2] >= 900, 'third call at 2/s should wait for the next second');
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,644 @@
+/**
+ * Notion page service
+ * Schema discovery (cached per database), Slack message -> page lookup and the
+ * create/update write used by the bot, the retry queue and the ops scripts
+ */
+
+import pTimeout from 'p-timeout';
+import { getFieldsForDatabase } from './config.js';
+import { NOTION_FIELDS, DEFAULTS, REGEX } from './constants.js';
+import { parseNeededByString, normalizeEmail } from './parser.js';
+import { NOTION_RICH_TEXT_ITEMS, mrkdwnToRichText, mrkdwnToPlainText } from './mrkdwn.js';
+import { getTitleField } from './field-schema.js';
+import { NotionSchemaCache } from './schema-cache.js';
+import { UserDirectory } from './user-directory.js';
+import { isValidTimeZone } from './time-zone.js';
+import { normalizeLocale } from './i18n.js';
+
+// Column names recognised as the Slack permalink (URL or Text) and Slack TS (Text or Number)
+const PERMALINK_CANDIDATES = ['slack message url', 'slack url', 'slack message link', 'slack permalink', 'message url'];
+const TS_CANDIDATES = ['slack message ts', 'slack ts', 'message ts'];
+
+/**
+ * Indexes a database's properties by lowercased name
+ * @param {Object} db - Notion database object (databases.retrieve response)
+ * @returns {Object} lowercased name -> { id, name, type, options[, relationDatabaseId] }
+ */
+export function propertiesByName(db) {
+  const byName = {};
+  for (const [name, def] of Object.entries(db.properties || {})) {
+    const options = def.select?.options || def.multi_select?.options || def.status?.options || [];
+    byName[name.toLowerCase()] = { id: def.id, name, type: def.type, options };
+    // Relations remember the related database, so names can be resolved to its pages
+    if (def.type === 'relation') {byName[name.toLowerCase()].relationDatabaseId = def.relation?.database_id || null;}
+  }
+  return byName;
+}
+
+/**
+ * Finds the Slack message tracking columns among a database's properties
+ * @param {Object} byName - Properties from propertiesByName()
+ * @returns {Object} { slackUrlProp, slackTsProp } (each null when absent)
+ */
+export function trackingColumns(byName) {
+  return {
+    slackUrlProp: byName[PERMALINK_CANDIDATES.find(n => byName[n])] || null,
+    slackTsProp: byName[TS_CANDIDATES.find(n => byName[n])] || null
+  };
+}
+
+/**
+ * Builds the schema object from a databases.retrieve response
+ * Discovers property types and identifies Slack message tracking columns
+ * @param {Object} db - Notion database object
+ * @returns {Object} Schema object with property mappings and database metadata
+ * @throws {Error} If required tracking columns (Slack Message URL or Slack Message TS) are not found
+ */
+export function schemaFromDatabase(db) {
+  const byName = propertiesByName(db);
+  const { slackUrlProp, slackTsProp } = trackingColumns(byName);
+
+  if (!slackUrlProp && !slackTsProp) {
+    throw new Error(
+      `Notion DB: add a permalink column (URL or Text) named "${NOTION_FIELDS.SLACK_MESSAGE_URL}" ` +
+      `or a TS column (Text or Number) named "${NOTION_FIELDS.SLACK_MESSAGE_TS}".`
+    );
+  }
+
+  const dbTitle = (db.title && db.title[0] && db.title[0].plain_text) ? db.title[0].plain_text : DEFAULTS.DB_TITLE;
+  return { byName, slackUrlProp, slackTsProp, dbUrl: db.url, dbTitle };
+}
+
+// Values read as a ticked / unticked checkbox (case-insensitive)
+const CHECKBOX_TRUE = ['true', 'yes', 'y', '1', 'x', 'checked', 'on'];
+const CHECKBOX_FALSE = ['false', 'no', 'n', '0', 'unchecked', 'off', ''];
+const NOTION_ID_PATTERN = /[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}/gi;
+
+/**
+ * Splits a multi-value field ("Billing, API, billing") into unique values
+ * @param {string|string[]} value - Comma/newline separated text, or an array of values
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.plain=true] - Remove mrkdwn formatting (false keeps links, e.g. to read page IDs from their URL)
+ * @returns {string[]} Trimmed values without duplicates (case-insensitive)
+ */
+export function splitValues(value, { plain = true } = {}) {
+  const parts = Array.isArray(value) ? value : String(value).split(/[,\n]/);
+  const seen = new Set();
+  return parts
+    .map(v => (plain ? mrkdwnToPlainText(String(v)) : String(v)).trim())
+    .filter(v => v && !seen.has(v.toLowerCase()) && seen.add(v.toLowerCase()));
+}
+
+/**
+ * Notion IDs (pages or users) contained in a value: bare IDs, dashed UUIDs or Notion URLs
+ * @param {string|string[]} value - Value to scan
+ * @returns {string[]} Unique IDs, as found
+ */
+export function notionIdsIn(value) {
+  const text = Array.isArray(value) ? value.join(' ') : String(value);
+  return [...new Set(text.match(NOTION_ID_PATTERN) || [])];
+}
+
+/**
+ * Sets a property on a Notion page properties object
+ * Automatically converts values to the appropriate format for each property type
+ * Title and text values are converted from Slack mrkdwn to Notion rich text (bold, links, code...);
+ * select values lose their formatting. "Reported by (text)" holds a Slack mention and is written as-is.
+ * Multi-select values are split on commas; relation and people values must already be Notion IDs
+ * (createOrUpdateNotionPage() resolves names and emails first); checkbox accepts yes/no, true/false, 1/0
+ * @param {Object} props - Properties object to modify
+ * @param {string} name - Property name
+ * @param {*} value - Value to set (will be converted based on property type)
+ * @param {Object} schema - The schema object containing property metadata
+ * @param {Object} [options] - Conversion options
+ * @param {Function} [options.mentionUser] - (slackUserId) -> { notionId, name } | null, turns <@U123> in
+ *   title/text values into Notion user mentions (see mrkdwnToRichText())
+ * @returns {void}
+ */
+export function setProp(props, name, value, schema, { mentionUser } = {}) {
+  if (value === undefined || value === null) {return;}
+  const meta = schema?.byName[name.toLowerCase()];
+  if (!meta) {return;}
+  // Write under the property's exact name in Notion (field definitions may differ in case)
+  name = meta.name;
+
+  const toStr = (v) => (v instanceof Date ? v.toISOString() : String(v));
+  const isMrkdwn = name.toLowerCase() !== NOTION_FIELDS.REPORTED_BY_TEXT.toLowerCase();
+  const richText = (v) => (isMrkdwn
+    ? mrkdwnToRichText(toStr(v), { mentionUser }).slice(0, NOTION_RICH_TEXT_ITEMS)
+    : [{ type: 'text', text: { content: toStr(v) } }]);
+
+  switch (meta.type) {
+    case 'title':
+      props[name] = { title: richText(value) };
+      break;
+    case 'rich_text':
+      props[name] = { rich_text: richText(value) };
+      break;
+    case 'select':
+      props[name] = { select: { name: mrkdwnToPlainText(toStr(value)).trim() } };
+      break;
+    case 'date': {
+      let dt = null;
+      if (value instanceof Date && !isNaN(value)) {
+        dt = value;
+      } else if (typeof value === 'string') {
+        dt = parseNeededByString(value);
+        if (!dt || isNaN(dt)) {dt = new Date(value);}
+      }
+      if (dt && !isNaN(dt)) {
+        props[name] = { date: { start: dt.toISOString() } };
+      }
+      // If parsing failed, skip setting this property to avoid crashes.
+      break;
+    }
+    case 'url':
+      props[name] = { url: toStr(value) };
+      break;
+    case 'number':
+      props[name] = { number: typeof value === 'number' ? value : Number(value) };
+      break;
+    case 'email':
+      props[name] = { email: toStr(value) };
+      break;
+    case 'phone_number':
+      props[name] = { phone_number: mrkdwnToPlainText(toStr(value)).trim() };
+      break;
+    case 'status':
+      props[name] = { status: { name: mrkdwnToPlainText(toStr(value)).trim() } };
+      break;
+    case 'multi_select':
+      props[name] = { multi_select: splitValues(value).map(option => ({ name: option })) };
+      break;
+    case 'checkbox': {
+      const flag = typeof value === 'boolean' ? value : mrkdwnToPlainText(toStr(value)).trim().toLowerCase();
+      if (flag === true || CHECKBOX_TRUE.includes(flag)) {
+        props[name] = { checkbox: true };
+      } else if (flag === false || CHECKBOX_FALSE.includes(flag)) {
+        props[name] = { checkbox: false };
+      }
+      // Anything else is ambiguous: leave the checkbox alone
+      break;
+    }
+    case 'relation':
+    case 'people': {
+      // Values that resolved to nothing are skipped rather than clearing the column
+      const ids = notionIdsIn(value);
+      if (ids.length) {props[name] = { [meta.type]: ids.map(id => ({ id })) };}
+      break;
+    }
+    default:
+      // Fallback to rich_text
+      props[name] = { rich_text: richText(value) };
+  }
+}
+
+/**
+ * Creates the page service around a (rate limited) Notion client
+ * @param {Object} options - Configuration options
+ * @param {Object} options.notion - Notion client with databases/pages/users methods (see createNotionClient())
+ * @param {Object} [options.logger=console] - Logger instance
+ * @param {number} [options.schemaCacheTtl=3600000] - Schema cache TTL in milliseconds
+ * @param {number} [options.timeoutMs=10000] - Timeout for Slack lookups (users.info)
+ * @param {Function} [options.getFields=getFieldsForDatabase] - Field definitions for a database ID
+ * @param {number} [options.relationCacheTtl=schemaCacheTtl] - How long relation name -> page lookups are cached
+ * @param {Function} [options.onSchemaRefresh] - (databaseId, schema, previousSchema) after each schema load
+ * @param {UserDirectory} [options.userDirectory] - Cached Notion/Slack user lookups (default: one with default TTLs)
+ * @returns {Object} { getSchema, getSchemaCache, findPageForMessage, createOrUpdateNotionPage, resolveRelation, findNotionUserIdByEmail,
+ *   resolveNotionPersonForSlackUser, resolveRotationUser }
+ */
+export function createNotionPageService({
+  notion,
+  logger = console,
+  schemaCacheTtl = 3600000,
+  timeoutMs = 10000,
+  getFields = getFieldsForDatabase,
+  relationCacheTtl = schemaCacheTtl,
+  onSchemaRefresh = null,
+  userDirectory = new UserDirectory({ notion, logger })
+}) {
+  /**
+   * Cached Notion database schema information
+   * Map of database ID to schema cache
+   * @type {Map<string, NotionSchemaCache>}
+   */
+  const schemaCaches = new Map();
+
+  /**
+   * Gets or creates a schema cache for a specific database
+   * @param {string} databaseId - Notion database ID
+   * @returns {NotionSchemaCache} Schema cache instance for the database
+   */
+  function getSchemaCache(databaseId) {
+    if (!schemaCaches.has(databaseId)) {
+      schemaCaches.set(databaseId, new NotionSchemaCache({
+        ttl: schemaCacheTtl,
+        logger,
+        onRefresh: onSchemaRefresh ? (schema, previous) => onSchemaRefresh(databaseId, schema, previous) : null
+      }));
+    }
+    return schemaCaches.get(databaseId);
+  }
+
+  /**
+   * Gets the current schema for a database, loading or refreshing if necessary
+   * Uses NotionSchemaCache for automatic TTL-based refresh
+   * @param {string} databaseId - Notion database ID
+   * @returns {Promise<Object>} Current schema object
+   */
+  async function getSchema(databaseId) {
+    const cache = getSchemaCache(databaseId);
+    try {
+      return await cache.get(async () => schemaFromDatabase(await notion.databases.retrieve({ database_id: databaseId })));
+    } catch (err) {
+      logger.error({ error: err.message, databaseId }, 'Failed to load schema');
+      // If we have a cached version (even if expired), return it
+      const cached = cache.getCurrent();
+      if (cached) {
+        logger.warn({ databaseId }, 'Using stale cached schema due to load failure');
+        return cached;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Related database ID -> title property name, and `${databaseId}:${lowercased name}` -> { id, expires }
+   * Misses are cached too, so an unknown customer does not cost a query per message
+   */
+  const relationTitles = new Map();
+  const relationPages = new Map();
+
+  /**
+   * Finds the page of a related database whose title is `name` (case-insensitive, cached)
+   * @param {string} databaseId - Related database ID
+   * @param {string} name - Page title, e.g. a customer name
+   * @returns {Promise<string|null>} Page ID, or null when no page has that title
+   */
+  async function findRelatedPage(databaseId, name) {
+    const key = `${databaseId}:${name.toLowerCase()}`;
+    const cached = relationPages.get(key);
+    if (cached && cached.expires > Date.now()) {return cached.id;}
+
+    if (!relationTitles.has(databaseId)) {
+      const db = await notion.databases.retrieve({ database_id: databaseId });
+      const title = Object.entries(db.properties || {}).find(([, def]) => def.type === 'title');
+      relationTitles.set(databaseId, title ? title[0] : null);
+    }
+    const titleProperty = relationTitles.get(databaseId);
+    let id = null;
+    if (titleProperty) {
+      // "contains" is case-insensitive in Notion ("equals" is not); page through the partial
+      // matches until the exact (case-insensitive) one turns up
+      let cursor;
+      do {
+        const res = await notion.databases.query({
+          database_id: databaseId,
+          filter: { property: titleProperty, title: { contains: name } },
+          page_size: 100,
+          start_cursor: cursor
+        });
+        const match = (res.results || []).find(page =>
+          (page.properties?.[titleProperty]?.title || []).map(t => t.plain_text).join('').trim().toLowerCase() === name.toLowerCase());
+        id = match?.id || null;
+        cursor = !id && res.has_more ? res.next_cursor : undefined;
+      } while (cursor);
+    }
+    relationPages.set(key, { id, expires: Date.now() + relationCacheTtl });
+    return id;
+  }
+
+  /**
+   * Resolves a relation value to related page IDs
+   * Accepts page IDs/URLs as-is and looks up names (comma-separated) by title in the related database;
+   * names without a matching page are logged and left out
+   * @param {Object} meta - Relation property metadata from the schema (with relationDatabaseId)
+   * @param {string|string[]} value - Names, page IDs or Notion URLs
+   * @returns {Promise<string[]>} Related page IDs
+   */
+  async function resolveRelation(meta, value) {
+    const ids = [];
+    for (const part of splitValues(value, { plain: false })) {
+      const direct = notionIdsIn(part);
+      if (direct.length) {
+        ids.push(...direct);
+        continue;
+      }
+      const title = mrkdwnToPlainText(part).trim();
+      if (!title) {continue;}
+      const id = meta.relationDatabaseId ? await findRelatedPage(meta.relationDatabaseId, title) : null;
+      if (id) {
+        ids.push(id);
+      } else {
+        logger.warn({ property: meta.name, value: title }, 'No related Notion page with this title; relation value skipped');
+      }
+    }
+    return [...new Set(ids)];
+  }
+
+  /**
+   * Resolves a people value (Notion user IDs or emails, comma-separated) to Notion user IDs
+   * @param {string|string[]} value - IDs or emails
+   * @returns {Promise<string[]>} Notion user IDs; unknown emails are left out
+   */
+  async function resolvePeople(value) {
+    const ids = [];
+    for (const part of splitValues(value, { plain: false })) {
+      const direct = notionIdsIn(part);
+      const id = direct.length ? direct[0] : await findNotionUserIdByEmail(normalizeEmail(part));
+      if (id) {ids.push(id);}
+    }
+    return [...new Set(ids)];
+  }
+
+  /**
+   * Finds an existing Notion page for a Slack message
+   * Searches first by Slack timestamp (preferred), then by permalink as fallback
+   * @param {Object} params - Function parameters
+   * @param {string} params.slackTs - Slack message timestamp
+   * @param {string} params.permalink - Slack message permalink URL
+   * @param {string} params.databaseId - Notion database ID
+   * @returns {Promise<Object|null>} Notion page object if found, null otherwise
+   */
+  async function findPageForMessage({ slackTs, permalink, databaseId }) {
+    const schema = await getSchema(databaseId);
+
+    // 1) Try by TS (exact)
+    if (schema.slackTsProp) {
+      let tsFilter;
+      if (schema.slackTsProp.type === 'number') {
+        const num = Number(String(slackTs).replace('.', ''));
+        tsFilter = { property: schema.slackTsProp.name, number: { equals: num } };
+      } else {
+        tsFilter = { property: schema.slackTsProp.name, rich_text: { equals: String(slackTs) } };
+      }
+      const byTs = await notion.databases.query({ database_id: databaseId, filter: tsFilter, page_size: 1 });
+      if (byTs.results?.[0]) {return byTs.results[0];}
+    }
+
+    // 2) Fall back to permalink
+    if (schema.slackUrlProp && permalink) {
+      const urlFilter = schema.slackUrlProp.type === 'url'
+        ? { property: schema.slackUrlProp.name, url: { equals: permalink } }
+        : { property: schema.slackUrlProp.name, rich_text: { contains: permalink } };
+      const byUrl = await notion.databases.query({ database_id: databaseId, filter: urlFilter, page_size: 1 });
+      if (byUrl.results?.[0]) {return byUrl.results[0];}
+    }
+
+    return null;
+  }
+
+  /**
+   * Creates a new Notion page or updates an existing one with issue tracking data
+   * Intake fields are written according to the database's field definitions;
+   * always writes Slack message timestamp and permalink for future lookups
+   * @param {Object} params - Function parameters
+   * @param {Object} params.parsed - Parsed issue data from parseAutoBlock()
+   * @param {string} params.permalink - Slack message permalink URL
+   * @param {string} params.slackTs - Slack message timestamp
+   * @param {string} params.reporterMention - Slack user mention string
+   * @param {string|null} params.reporterNotionId - Notion user ID for reporter (if resolved)
+   * @param {string} [params.pageId] - Existing Notion page ID to update (creates new if omitted)
+   * @param {string} params.databaseId - Notion database ID
+   * @param {Object} [params.assignee] - { mention, notionId } of the on-call, set as Assignee on new pages
+   *   unless the form already filled it in
+   * @param {Object} [params.client] - Slack Web API client, to write <@U123> mentions in text values as Notion
+   *   people (or Slack display names); without it they keep the user ID
+   * @returns {Promise<Object>} Object with id, url and the full Notion page returned by the API
+   * @throws {Error} Throws if Notion API call fails (including permission errors)
+   */
+  async function createOrUpdateNotionPage({ parsed, permalink, slackTs, reporterMention, reporterNotionId, pageId, databaseId, assignee = null, client = null }) {
+    const schema = await getSchema(databaseId);
+    const fields = getFields(databaseId);
+    const titleField = getTitleField(fields);
+    const mentionUser = await slackMentionResolver(fields.map(field => parsed[field.key]), client);
+
+    const props = {};
+    for (const field of fields) {
+      let value = parsed[field.key];
+      if (field === titleField) {
+        value = value || '(no issue given)';
+      } else if (field.type === 'email') {
+        value = normalizeEmail(value);
+      } else if (field.type === 'links') {
+        // URL columns hold a single link: use the first URL from this field
+        const meta = schema.byName[field.property.toLowerCase()];
+        if (meta?.type === 'url') {
+          value = Array.from(String(value || '').matchAll(REGEX.URL_PATTERN)).map(m => m[0])[0];
+        }
+      }
+      // Blank text clears the column; Notion rejects blank select/email/url values, so skip those
+      if (value === '' && field.type !== 'text') {continue;}
+      // Relation and people columns take IDs: look up names and emails first
+      const target = schema.byName[field.property.toLowerCase()];
+      if (value && target?.type === 'relation') {
+        value = await resolveRelation(target, value);
+      } else if (value && target?.type === 'people') {
+        value = await resolvePeople(value);
+      }
+      setProp(props, field.property, value, schema, { mentionUser });
+    }
+
+    // Reported by: respect actual Notion property type; write fallback to "Reported by (text)" when People cannot be set
+    const reportedMeta = schema.byName[NOTION_FIELDS.REPORTED_BY.toLowerCase()];
+    const reportedTextMeta = schema.byName[NOTION_FIELDS.REPORTED_BY_TEXT.toLowerCase()];
+    if (reportedMeta) {
+      if (reportedMeta.type === 'people') {
+        if (reporterNotionId) {
+          props[reportedMeta.name] = { people: [{ id: reporterNotionId }] };
+        } else {
+          // People field exists but we cannot resolve a Notion person. Do not write text here; instead use fallback text column if present.
+          if (reportedTextMeta && reporterMention) {
+            setProp(props, reportedTextMeta.name, reporterMention, schema);
+          } else {
+            logger.warn({ reporterMention }, "'Reported by' is People but reporterNotionId is missing; no 'Reported by (text)' fallback column found");
+          }
+        }
+      } else {
+        // Non-people field: store mention text via type-aware setProp
+        if (reporterMention) {setProp(props, reportedMeta.name, reporterMention, schema);}
+      }
+    } else if (reportedTextMeta && reporterMention) {
+      // If there is no 'Reported by' property but there is a fallback text column, set it
+      setProp(props, reportedTextMeta.name, reporterMention, schema);
+    }
+
+    // Assignee: only on creation, so reassignments made in Notion are kept
+    const assigneeMeta = schema.byName[NOTION_FIELDS.ASSIGNEE.toLowerCase()];
+    if (!pageId && assignee && assigneeMeta && !props[assigneeMeta.name]) {
+      if (assigneeMeta.type === 'people') {
+        if (assignee.notionId) {
+          props[assigneeMeta.name] = { people: [{ id: assignee.notionId }] };
+        } else {
+          logger.warn({ assignee: assignee.mention }, "'Assignee' is People but the on-call has no Notion user; left unassigned");
+        }
+      } else if (assignee.mention) {
+        setProp(props, assigneeMeta.name, assignee.mention, schema);
+      }
+    }
+
+    // Slack Message TS (preferred unique key)
+    if (schema.slackTsProp) {
+      if (schema.slackTsProp.type === 'number') {
+        // Use integer seconds (ts before the dot) to keep it clean, or store full float
+        const num = Number(String(slackTs).replace('.', '')); // full precision as integer
+        props[schema.slackTsProp.name] = { number: Number.isFinite(num) ? num : undefined };
+      } else {
+        props[schema.slackTsProp.name] = { rich_text: [{ type: 'text', text: { content: String(slackTs) } }] };
+      }
+    }
+
+    // Slack Message URL (secondary key)
+    if (schema.slackUrlProp) {
+      if (schema.slackUrlProp.type === 'url') {
+        props[schema.slackUrlProp.name] = { url: permalink };
+      } else {
+        props[schema.slackUrlProp.name] = { rich_text: [{ type: 'text', text: { content: permalink } }] };
+      }
+    }
+
+    // Errors (including permission errors) propagate so the caller can decide how to notify
+    if (pageId) {
+      const upd = await notion.pages.update({ page_id: pageId, properties: props });
+      return { id: upd.id, url: upd.url, page: upd };
+    }
+    const created = await notion.pages.create({ parent: { database_id: databaseId }, properties: props });
+    return { id: created.id, url: created.url, page: created };
+  }
+
+  /**
+   * Resolves the Slack users mentioned in field values ahead of the (synchronous) mrkdwn conversion
+   * @param {Array<*>} values - Parsed field values
+   * @param {Object|null} client - Slack Web API client; without one mentions are left unresolved
+   * @returns {Promise<Function>} (slackUserId) -> { notionId, name } | null
+   */
+  async function slackMentionResolver(values, client) {
+    const people = new Map();
+    if (client) {
+      const text = values.filter(v => typeof v === 'string').join(' ');
+      for (const [, id] of text.matchAll(/<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/g)) {
+        if (!people.has(id)) {people.set(id, await resolveNotionPersonForSlackUser(id, client));}
+      }
+    }
+    return (id) => people.get(id) || null;
+  }
+
+  /**
+   * Finds a Notion user ID by email address (through the cached user directory)
+   * @param {string} email - Email address to search for
+   * @returns {Promise<string|null>} Notion user ID if found, null otherwise
+   */
+  async function findNotionUserIdByEmail(email) {
+    return userDirectory.notionIdForEmail(email);
+  }
+
+  /**
+   * Slack profile of a user (users.info with the locale, cached by the user directory)
+   * @param {string} slackUserId - Slack user ID
+   * @param {Object} client - Slack Web API client
+   * @returns {Promise<Object>} { email, name, tz, locale }
+   */
+  function slackProfile(slackUserId, client) {
+    return userDirectory.slackUser(slackUserId, () => pTimeout(client.users.info({ user: slackUserId, include_locale: true }), {
+      milliseconds: timeoutMs,
+      message: `Slack users.info timed out after ${timeoutMs}ms`
+    }));
+  }
+
+  /**
+   * Resolves a Slack user to a Notion user ID and mention string
+   * Looks up the Slack user's email and finds the corresponding Notion user (both cached;
+   * NOTION_USER_OVERRIDES entries win)
+   * @param {string} slackUserId - Slack user ID
+   * @param {Object} client - Slack Web API client
+   * @returns {Promise<Object>} Object with mention string, notionId and name
+   * @returns {string} returns.mention - Slack mention format (<@USER_ID>)
+   * @returns {string|null} returns.notionId - Notion user ID if resolved, null otherwise
+   * @returns {string|null} returns.name - Slack display name (or real name) when available
+   */
+  async function resolveNotionPersonForSlackUser(slackUserId, client) {
+    try {
+      if (!slackUserId) {return { mention: '', notionId: null, name: null };}
+      const { email, name } = await slackProfile(slackUserId, client);
+      // Without an email (users:read.email) only an override can match; callers fall back to the mention text
+      const notionId = await userDirectory.notionIdForSlackUser(slackUserId, email);
+      return { mention: `<@${slackUserId}>`, notionId, name };
+    } catch {
+      // On any failure, return mention only
+      return { mention: slackUserId ? `<@${slackUserId}>` : '', notionId: null, name: null };
+    }
+  }
+
+  /**
+   * Time zone of a Slack user from their profile (users.info, cached with the user's email)
+   * @param {string} slackUserId - Slack user ID
+   * @param {Object} client - Slack Web API client
+   * @returns {Promise<string|null>} IANA time zone, or null when unknown or the lookup fails
+   */
+  async function slackUserTimeZone(slackUserId, client) {
+    if (!slackUserId) {return null;}
+    try {
+      const { tz } = await slackProfile(slackUserId, client);
+      return tz && isValidTimeZone(tz) ? tz : null;
+    } catch (err) {
+      logger.debug({ error: err.message, slackUserId }, 'No time zone for Slack user');
+      return null;
+    }
+  }
+
+  /**
+   * Locale of a Slack user (users.info include_locale), for localized thread replies
+   * @param {string} slackUserId - Slack user ID
+   * @param {Object} client - Slack Web API client
+   * @returns {Promise<string|null>} Locale with a message catalog (see lib/i18n.js), or null
+   */
+  async function slackUserLocale(slackUserId, client) {
+    if (!slackUserId) {return null;}
+    try {
+      const { locale } = await slackProfile(slackUserId, client);
+      return normalizeLocale(locale);
+    } catch (err) {
+      logger.debug({ error: err.message, slackUserId }, 'No locale for Slack user');
+      return null;
+    }
+  }
+
+  /**
+   * Resolves a rotation entry (Slack user ID or email) to a Slack user and a Notion user
+   * Emails are looked up in Slack with users.lookupByEmail (users:read.email scope)
+   * @param {string} user - Slack user ID or email from the rotation file
+   * @param {Object} client - Slack Web API client
+   * @returns {Promise<Object>} { slackId, mention, notionId }; mention falls back to the email
+   */
+  async function resolveRotationUser(user, client) {
+    if (!user.includes('@')) {
+      const { mention, notionId } = await resolveNotionPersonForSlackUser(user, client);
+      return { slackId: user, mention, notionId };
+    }
+    let slackId = null;
+    try {
+      const res = await pTimeout(client.users.lookupByEmail({ email: user }), {
+        milliseconds: timeoutMs,
+        message: `Slack users.lookupByEmail timed out after ${timeoutMs}ms`
+      });
+      slackId = res.user?.id || null;
+    } catch (err) {
+      logger.warn({ error: err.message, email: user }, 'On-call email has no Slack user');
+    }
+    const notionId = await userDirectory.notionIdForSlackUser(slackId, user).catch(() => null);
+    return { slackId, mention: slackId ? `<@${slackId}>` : user, notionId };
+  }
+
+  return {
+    getSchema,
+    getSchemaCache,
+    findPageForMessage,
+    createOrUpdateNotionPage,
+    resolveRelation,
+    findNotionUserIdByEmail,
+    resolveNotionPersonForSlackUser,
+    resolveRotationUser,
+    slackUserTimeZone,
+    slackUserLocale
+  };
+}
@@ -0,0 +1,300 @@
+/**
+ * Unit tests for the Notion page service
+ * Run with: node lib/notion-pages.test.js
+ */
+import { strict as assert } from 'assert';
+import { schemaFromDatabase, setProp, splitValues, notionIdsIn, createNotionPageService } from './notion-pages.js';
+import { DEFAULT_FIELDS } from './field-schema.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = async (name, fn) => {
+  total++;
+  try { await fn(); passed++; console.log(`  ✓ ${name}`); }
+  catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`); }
+};
+const suite = async (name, fn) => { console.log(`\n${name}:`); await fn(); };
+
+const silent = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+const database = {
+  url: 'https://notion.so/db',
+  title: [{ plain_text: 'Incidents' }],
+  properties: {
+    Issue: { id: 't', type: 'title' },
+    Priority: { id: 'p', type: 'select', select: { options: [{ name: 'P0' }, { name: 'P1' }] } },
+    'Needed by': { id: 'n', type: 'date' },
+    'Slack Message TS': { id: 's', type: 'rich_text' },
+    'Slack Message URL': { id: 'u', type: 'url' }
+  }
+};
+
+await suite('schemaFromDatabase', async () => {
+  await test('indexes properties and finds the Slack tracking columns', async () => {
+    const schema = schemaFromDatabase(database);
+    assert.equal(schema.byName.priority.options.length, 2);
+    assert.equal(schema.slackTsProp.name, 'Slack Message TS');
+    assert.equal(schema.slackUrlProp.type, 'url');
+    assert.equal(schema.dbTitle, 'Incidents');
+  });
+
+  await test('requires a permalink or TS column', async () => {
+    assert.throws(() => schemaFromDatabase({ properties: { Issue: { type: 'title' } } }), /add a permalink column/);
+  });
+});
+
+await suite('setProp', async () => {
+  const schema = schemaFromDatabase(database);
+
+  await test('writes by property type under the exact Notion name', async () => {
+    const props = {};
+    setProp(props, 'issue', '*Checkout* down', schema);
+    setProp(props, 'PRIORITY', 'P1', schema);
+    setProp(props, 'Needed by', new Date('2025-01-06T10:00:00Z'), schema);
+    assert.deepEqual(props.Issue, { title: [
+      { type: 'text', text: { content: 'Checkout', link: null }, annotations: { bold: true } },
+      { type: 'text', text: { content: ' down', link: null } }
+    ] });
+    assert.deepEqual(props.Priority, { select: { name: 'P1' } });
+    assert.deepEqual(props['Needed by'], { date: { start: '2025-01-06T10:00:00.000Z' } });
+  });
+
+  await test('keeps identifiers intact and leaves the reporter mention raw', async () => {
+    const withReporter = schemaFromDatabase({
+      ...database,
+      properties: { ...database.properties, 'Reported by (text)': { id: 'r', type: 'rich_text' }, Notes: { id: 'n', type: 'rich_text' } }
+    });
+    const props = {};
+    setProp(props, 'Notes', 'bump max_retry_count, see <https://x.io/a_b|runbook>', withReporter);
+    setProp(props, 'Priority', '*P1*', withReporter);
+    setProp(props, 'Reported by (text)', '<@U_1>', withReporter);
+    assert.equal(props.Notes.rich_text.map(t => t.text.content).join(''), 'bump max_retry_count, see runbook');
+    assert.equal(props.Notes.rich_text[1].text.link.url, 'https://x.io/a_b');
+    assert.deepEqual(props.Priority, { select: { name: 'P1' } });
+    assert.deepEqual(props['Reported by (text)'], { rich_text: [{ type: 'text', text: { content: '<@U_1>' } }] });
+  });
+
+  await test('writes multi-select, status, checkbox and phone values', async () => {
+    const typed = schemaFromDatabase({
+      ...database,
+      properties: {
+        ...database.properties,
+        Tags: { id: 'g', type: 'multi_select', multi_select: { options: [{ name: 'API' }] } },
+        Stage: { id: 'st', type: 'status', status: { options: [{ name: 'Triage' }] } },
+        Urgent: { id: 'c', type: 'checkbox' },
+        Phone: { id: 'ph', type: 'phone_number' }
+      }
+    });
+    const props = {};
+    setProp(props, 'Tags', 'API, *billing*,api,\nSSO', typed);
+    setProp(props, 'Stage', 'Triage', typed);
+    setProp(props, 'Urgent', 'Yes', typed);
+    setProp(props, 'Phone', ' +1 555 0100 ', typed);
+    assert.deepEqual(props.Tags, { multi_select: [{ name: 'API' }, { name: 'billing' }, { name: 'SSO' }] });
+    assert.deepEqual(props.Stage, { status: { name: 'Triage' } });
+    assert.deepEqual(props.Urgent, { checkbox: true });
+    assert.deepEqual(props.Phone, { phone_number: '+1 555 0100' });
+    assert.equal(typed.byName.tags.options.length, 1);
+
+    const unclear = {};
+    setProp(unclear, 'Urgent', 'maybe', typed);
+    setProp(unclear, 'Urgent', false, typed);
+    assert.deepEqual(unclear, { Urgent: { checkbox: false } });
+  });
+
+  await test('writes relation and people IDs, skipping unresolved values', async () => {
+    const typed = schemaFromDatabase({
+      ...database,
+      properties: {
+        ...database.properties,
+        Customer: { id: 'cu', type: 'relation', relation: { database_id: 'db-customers' } },
+        Owner: { id: 'o', type: 'people' }
+      }
+    });
+    assert.equal(typed.byName.customer.relationDatabaseId, 'db-customers');
+    const props = {};
+    setProp(props, 'Customer', ['11111111-2222-3333-4444-555555555555'], typed);
+    setProp(props, 'Owner', 'Acme Corp', typed);
+    assert.deepEqual(props, { Customer: { relation: [{ id: '11111111-2222-3333-4444-555555555555' }] } });
+  });
+
+  await test('splits values and finds Notion IDs in URLs', async () => {
+    assert.deepEqual(splitValues('a, b ,A,,c'), ['a', 'b', 'c']);
+    assert.deepEqual(notionIdsIn('<https://www.notion.so/Acme-0123456789abcdef0123456789abcdef|Acme>'), ['0123456789abcdef0123456789abcdef']);
+  });
+
+  await test('ignores unknown properties and empty values', async () => {
+    const props = {};
+    setProp(props, 'Nope', 'x', schema);
+    setProp(props, 'Issue', null, schema);
+    setProp(props, 'Needed by', 'not a date', schema);
+    assert.deepEqual(props, {});
+  });
+});
+
+await suite('createNotionPageService', async () => {
+  const fakeNotion = (results = []) => {
+    const calls = [];
+    return {
+      calls,
+      databases: {
+        retrieve: async () => { calls.push(['retrieve']); return database; },
+        query: async (params) => { calls.push(['query', params]); return { results: results.shift() || [] }; }
+      },
+      pages: {
+        create: async (params) => { calls.push(['create', params]); return { id: 'new', url: 'https://notion.so/new' }; },
+        update: async (params) => { calls.push(['update', params]); return { id: params.page_id, url: 'https://notion.so/old' }; }
+      },
+      users: { list: async () => ({ results: [{ id: 'n-ana', type: 'person', person: { email: 'Ana@example.com' } }], has_more: false }) }
+    };
+  };
+
+  await test('caches the schema per database', async () => {
+    const notion = fakeNotion();
+    const pages = createNotionPageService({ notion, logger: silent });
+    await pages.getSchema('db-1');
+    await pages.getSchema('db-1');
+    assert.equal(notion.calls.filter(([m]) => m === 'retrieve').length, 1);
+    assert.equal(pages.getSchemaCache('db-1').getCurrent().dbTitle, 'Incidents');
+  });
+
+  await test('finds pages by TS first, then by permalink', async () => {
+    const notion = fakeNotion([[], [{ id: 'by-url' }]]);
+    const pages = createNotionPageService({ notion, logger: silent });
+    const page = await pages.findPageForMessage({ slackTs: '1.2', permalink: 'https://x.slack.com/p12', databaseId: 'db-1' });
+    assert.equal(page.id, 'by-url');
+    const [, byTs] = notion.calls.find(([m]) => m === 'query');
+    assert.deepEqual(byTs.filter, { property: 'Slack Message TS', rich_text: { equals: '1.2' } });
+  });
+
+  await test('creates or updates with the Slack tracking columns', async () => {
+    const notion = fakeNotion();
+    const pages = createNotionPageService({ notion, logger: silent, getFields: () => DEFAULT_FIELDS });
+    const parsed = { issue: 'Checkout down', priority: 'P0', urls: [] };
+    const created = await pages.createOrUpdateNotionPage({ parsed, permalink: 'https://x.slack.com/p12', slackTs: '1.2', databaseId: 'db-1' });
+    assert.equal(created.id, 'new');
+    const [, createParams] = notion.calls.find(([m]) => m === 'create');
+    assert.deepEqual(createParams.parent, { database_id: 'db-1' });
+    assert.deepEqual(createParams.properties['Slack Message URL'], { url: 'https://x.slack.com/p12' });
+    await pages.createOrUpdateNotionPage({ parsed, permalink: '', slackTs: '1.2', pageId: 'old', databaseId: 'db-1' });
+    assert(notion.calls.some(([m, p]) => m === 'update' && p.page_id === 'old'));
+  });
+
+  await test('resolves relation names by title in the related database, cached', async () => {
+    const customers = { Customer: { id: 'cu', type: 'relation', relation: { database_id: 'db-customers' } }, Tags: { id: 'g', type: 'multi_select' } };
+    const notion = fakeNotion();
+    notion.databases.retrieve = async ({ database_id }) => {
+      notion.calls.push(['retrieve', database_id]);
+      return database_id === 'db-customers'
+        ? { properties: { Name: { type: 'title' } } }
+        : { ...database, properties: { ...database.properties, ...customers } };
+    };
+    notion.databases.query = async (params) => {
+      notion.calls.push(['query', params]);
+      const title = (text) => ({ Name: { title: [{ plain_text: text }] } });
+      return { results: [{ id: 'aaaaaaaa-0000-0000-0000-000000000002', properties: title('Acme West') }, { id: 'aaaaaaaa-0000-0000-0000-000000000001', properties: title('Acme') }] };
+    };
+    const fields = [...DEFAULT_FIELDS, { key: 'tags', property: 'Tags', type: 'text' }];
+    const pages = createNotionPageService({ notion, logger: silent, getFields: () => fields });
+    const parsed = { issue: 'Checkout down', customer: 'acme, Globex', tags: 'API, SSO' };
+    await pages.createOrUpdateNotionPage({ parsed, permalink: 'https://x.slack.com/p1', slackTs: '1.2', databaseId: 'db-1' });
+    await pages.createOrUpdateNotionPage({ parsed, permalink: 'https://x.slack.com/p1', slackTs: '1.2', databaseId: 'db-1' });
+
+    const [, created] = notion.calls.find(([m]) => m === 'create');
+    assert.deepEqual(created.properties.Customer, { relation: [{ id: 'aaaaaaaa-0000-0000-0000-000000000001' }] });
+    assert.deepEqual(created.properties.Tags, { multi_select: [{ name: 'API' }, { name: 'SSO' }] });
+    const queries = notion.calls.filter(([m]) => m === 'query').map(([, p]) => p);
+    assert.deepEqual(queries.map(q => q.filter), [
+      { property: 'Name', title: { contains: 'acme' } },
+      { property: 'Name', title: { contains: 'Globex' } }
+    ]);
+    assert.equal(notion.calls.filter(([m, id]) => m === 'retrieve' && id === 'db-customers').length, 1);
+  });
+
+  await test('pages through partial title matches to find the exact relation page', async () => {
+    const notion = fakeNotion();
+    notion.databases.retrieve = async ({ database_id }) => database_id === 'db-customers'
+      ? { properties: { Name: { type: 'title' } } }
+      : { ...database, properties: { ...database.properties, Customer: { id: 'cu', type: 'relation', relation: { database_id: 'db-customers' } } } };
+    const cursors = [];
+    notion.databases.query = async ({ start_cursor }) => {
+      cursors.push(start_cursor);
+      const page = (id, text) => ({ id, properties: { Name: { title: [{ plain_text: text }] } } });
+      return start_cursor
+        ? { results: [page('aaaaaaaa-0000-0000-0000-000000000009', 'ACME')], has_more: false }
+        : { results: [page('aaaaaaaa-0000-0000-0000-000000000002', 'Acme West')], has_more: true, next_cursor: 'c2' };
+    };
+    const pages = createNotionPageService({ notion, logger: silent, getFields: () => DEFAULT_FIELDS });
+    await pages.createOrUpdateNotionPage({ parsed: { issue: 'Checkout down', customer: 'acme' }, permalink: '', slackTs: '1.2', databaseId: 'db-1' });
+    const [, created] = notion.calls.find(([m]) => m === 'create');
+    assert.deepEqual(created.properties.Customer, { relation: [{ id: 'aaaaaaaa-0000-0000-0000-000000000009' }] });
+    assert.deepEqual(cursors, [undefined, 'c2']);
+  });
+
+  await test('writes Slack mentions in text values as Notion people or Slack names', async () => {
+    const notion = fakeNotion();
+    const pages = createNotionPageService({ notion, logger: silent, getFields: () => DEFAULT_FIELDS });
+    const lookups = [];
+    const slack = { users: { info: async ({ user }) => {
+      lookups.push(user);
+      return { user: { profile: user === 'U1' ? { email: 'ana@example.com', display_name: 'ana' } : { display_name: 'bo' } } };
+    } } };
+    const parsed = { issue: 'Checkout down for <@U1> and <@U2|bo>, ask <@U1>' };
+    await pages.createOrUpdateNotionPage({ parsed, permalink: '', slackTs: '1.2', databaseId: 'db-1', client: slack });
+    const [, created] = notion.calls.find(([m]) => m === 'create');
+    const title = created.properties[DEFAULT_FIELDS.find(f => f.key === 'issue').property].title;
+    assert.deepEqual(title.filter(item => item.type === 'mention').map(item => item.mention), [{ user: { id: 'n-ana' } }, { user: { id: 'n-ana' } }]);
+    assert(title.some(item => item.type === 'text' && item.text.content.includes('@bo')));
+    assert.deepEqual(lookups, ['U1', 'U2']);
+  });
+
+  await test('resolves Slack users to Notion people by email', async () => {
+    const pages = createNotionPageService({ notion: fakeNotion(), logger: silent });
+    const slack = { users: { info: async () => ({ user: { real_name: 'Ana Silva', profile: { email: 'ana@example.com', display_name: 'ana' } } }) } };
+    assert.deepEqual(await pages.resolveNotionPersonForSlackUser('U1', slack), { mention: '<@U1>', notionId: 'n-ana', name: 'ana' });
+    const broken = { users: { info: async () => { throw new Error('missing_scope'); } } };
+    assert.deepEqual(await pages.resolveNotionPersonForSlackUser('U2', broken), { mention: '<@U2>', notionId: null, name: null });
+    // Cached: the Slack profile is not fetched again
+    assert.deepEqual(await pages.resolveNotionPersonForSlackUser('U1', broken), { mention: '<@U1>', notionId: 'n-ana', name: 'ana' });
+  });
+
+  await test('reads the Slack locale of a reporter', async () => {
+    const pages = createNotionPageService({ notion: fakeNotion(), logger: silent });
+    const args = [];
+    const slack = { users: { info: async (params) => { args.push(params); return { user: { locale: params.user === 'U1' ? 'es-LA' : 'de-DE', profile: {} } }; } } };
+    assert.equal(await pages.slackUserLocale('U1', slack), 'es');
+    assert.equal(await pages.slackUserLocale('U2', slack), null);
+    assert.deepEqual(args[0], { user: 'U1', include_locale: true });
+    assert.equal(await pages.slackUserLocale('U3', { users: { info: async () => { throw new Error('ratelimited'); } } }), null);
+  });
+
+  await test('assigns the on-call on new pages only, unless the form set Assignee', async () => {
+    const notion = fakeNotion();
+    const withAssignee = { ...database, properties: { ...database.properties, Assignee: { id: 'a', type: 'people' } } };
+    notion.databases.retrieve = async () => withAssignee;
+    const pages = createNotionPageService({ notion, logger: silent, getFields: () => DEFAULT_FIELDS });
+    const base = { parsed: { issue: 'Checkout down' }, permalink: 'https://x.slack.com/p1', slackTs: '1.2', databaseId: 'db-1' };
+    const assignee = { mention: '<@U1>', notionId: 'n-ana' };
+    await pages.createOrUpdateNotionPage({ ...base, assignee });
+    await pages.createOrUpdateNotionPage({ ...base, assignee, pageId: 'old' });
+    const [create, update] = notion.calls.filter(([m]) => m === 'create' || m === 'update').map(([, p]) => p.properties);
+    assert.deepEqual(create.Assignee, { people: [{ id: 'n-ana' }] });
+    assert.equal(update.Assignee, undefined);
+  });
+
+  await test('resolves rotation emails through Slack and the Notion directory', async () => {
+    const pages = createNotionPageService({ notion: fakeNotion(), logger: silent });
+    const slack = { users: { lookupByEmail: async ({ email }) => {
+      if (email !== 'ana@example.com') {throw new Error('users_not_found');}
+      return { user: { id: 'U1' } };
+    } } };
+    assert.deepEqual(await pages.resolveRotationUser('ana@example.com', slack), { slackId: 'U1', mention: '<@U1>', notionId: 'n-ana' });
+    assert.deepEqual(await pages.resolveRotationUser('bo@example.com', slack), { slackId: null, mention: 'bo@example.com', notionId: null });
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
@@ -3,37 +3,58 @@
  * Handles parsing of Slack messages, dates, emails, and extracting structured data
  */
 
-import { PRIORITIES, DEFAULTS, REGEX } from './constants.js';
+import { DEFAULTS, REGEX } from './constants.js';
+import { DEFAULT_FIELDS, fieldLabels, issuePriority } from './field-schema.js';
+import { localTimeZone, zonedParts, zonedTimeToUtc, addLocalDays } from './time-zone.js';
+import { splitTimeZone, parseNaturalDate } from './natural-date.js';
+import { asapOffset, addWorkingTime, calendarTimeZone, workingDayAt } from './business-calendar.js';
 
 /**
  * Parses a "needed by" date/time string supporting multiple formats
- * Supports ISO dates, MM/DD/YYYY with optional time, YYYY-MM-DD formats, and "ASAP"
+ * Supports ISO dates, MM/DD/YYYY with optional time, YYYY-MM-DD formats, "ASAP" and natural
+ * language ("tomorrow 3pm", "EOD Friday", "in 2 hours", "Nov 4 7pm PT"; see parseNaturalDate()).
+ * Times are read in the zone named at the end of the text, else `timeZone`, else the server's zone.
+ * With a business calendar, ASAP counts only working time (ASAP 10 minutes before closing is 10 minutes into the next working day)
  * @param {string} input - The date string to parse (e.g., "11/04/2025 7PM", "2025-11-04", "ASAP")
+ * @param {Date} [now=new Date()] - Reference time for relative values ("ASAP", "tomorrow")
+ * @param {Object} [options] - Parsing options
+ * @param {string|null} [options.timeZone=null] - IANA time zone of the reporter (e.g. from their Slack profile)
+ * @param {Object|null} [options.calendar=null] - Business calendar for ASAP (see lib/business-calendar.js)
+ * @param {number} [options.asapMs] - How far ahead ASAP is (20 minutes by default)
  * @returns {Date|null} Parsed Date object or null if parsing fails
  * @example
  * parseNeededByString("11/04/2025 7PM") // Returns Date at 7PM on Nov 4, 2025
  * parseNeededByString("2025-11-04") // Returns Date at 5PM (default) on Nov 4, 2025
  * parseNeededByString("ASAP") // Returns Date 20 minutes from now
+ * parseNeededByString("tomorrow 3pm", now, { timeZone: "Europe/Berlin" }) // 3PM Berlin time tomorrow
  */
-export function parseNeededByString(input) {
+export function parseNeededByString(input, now = new Date(), { timeZone = null, calendar = null, asapMs = asapOffset(null, null) } = {}) {
   if (!input) {return null;}
   const s = String(input).trim();
 
-  // Special handling for ASAP - set to 20 minutes from now
+  // Special handling for ASAP - the offset from now, in working time when there is a calendar
   if (s.toUpperCase() === 'ASAP') {
-    const asapDate = new Date();
-    asapDate.setMinutes(asapDate.getMinutes() + 20);
-    return asapDate;
+    return calendar
+      ? addWorkingTime(now, asapMs, calendar, calendarTimeZone(calendar, timeZone))
+      : new Date(now.getTime() + asapMs);
   }
 
-  // 1) Try ISO or Date.parse-friendly first
-  const isoTry = new Date(s);
-  if (!isNaN(isoTry)) {return isoTry;}
+  // 1) ISO timestamps with an offset are exact (intake modal, retried writes)
+  if (/^\d{4}-\d{2}-\d{2}T[\d:.]+(Z|[+-]\d{2}:?\d{2})$/i.test(s)) {
+    const iso = new Date(s);
+    if (!isNaN(iso)) {return iso;}
+  }
+
+  // Everything else is wall-clock time in the named zone, the reporter's or the server's
+  const { text, timeZone: named } = splitTimeZone(s);
+  const zone = named || timeZone || localTimeZone();
+  const at = (year, monthIdx, day, hours, minutes) =>
+    new Date(zonedTimeToUtc({ year, month: monthIdx + 1, day, hour: hours, minute: minutes }, zone));
 
   // 2) Match "MM/DD/YYYY [time]" with various time formats
   // Supports: 7PM, 7pm, 7 PM, 7 pm, 7:30pm, 7:30 PM, 7p.m., 7 P.M., 7A.M., 1432 (military), 8 (=0800)
   const re = /^(\d{1,2})[/-](\d{1,2})[/-](\d{2,4})(?:\s+(\d{1,4})(?::(\d{2}))?\s*(?:([AaPp])\.?([Mm])\.?)?)?$/;
-  const m = s.match(re);
+  const m = text.match(re);
   if (m) {
     const [, mm, dd, yyyy, timeStr, min, a] = m;
     const year = yyyy.length === 2 ? 2000 + Number(yyyy) : Number(yyyy);
@@ -75,13 +96,13 @@ export function parseNeededByString(input) {
       }
     }
 
-    const d = new Date(year, monthIdx, day, hours, minutes, 0, 0);
+    const d = at(year, monthIdx, day, hours, minutes);
     if (!isNaN(d)) {return d;}
   }
 
-  // 3) Match "YYYY-MM-DD [time]" with various time formats
-  const re2 = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,4})(?::(\d{2}))?\s*(?:([AaPp])\.?([Mm])\.?)?)?$/;
-  const m2 = s.match(re2);
+  // 3) Match "YYYY-MM-DD [time]" with various time formats (seconds are ignored)
+  const re2 = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,4})(?::(\d{2}))?(?::\d{2}(?:\.\d+)?)?\s*(?:([AaPp])\.?([Mm])\.?)?)?$/;
+  const m2 = text.match(re2);
   if (m2) {
     const [, yyyy, mm, dd, timeStr, min, a] = m2;
     const year = Number(yyyy);
@@ -123,10 +144,28 @@ export function parseNeededByString(input) {
       }
     }
 
-    const d = new Date(year, monthIdx, day, hours, minutes, 0, 0);
+    const d = at(year, monthIdx, day, hours, minutes);
     if (!isNaN(d)) {return d;}
   }
 
+  // 4) Relative and natural-language dates
+  const natural = parseNaturalDate(text, { now, timeZone: zone, endOfDayHour: DEFAULTS.NEEDED_BY_HOUR });
+  if (natural) {return natural;}
+
+  // 5) Other strings Date.parse reads with a full year ("Mon Nov 4 2026", Date#toString output).
+  // With an offset they are exact; otherwise their wall clock is re-read in the zone, not the server's
+  if (/\b\d{4}\b/.test(text)) {
+    const parsed = new Date(text);
+    if (!isNaN(parsed)) {
+      if (/(?:\bZ|GMT|UTC|[+-]\d{2}:?\d{2})\b/i.test(text)) {return parsed;}
+      const hasTime = /\d:\d{2}|\d\s*[ap]\.?m\b/i.test(text);
+      return at(
+        parsed.getFullYear(), parsed.getMonth(), parsed.getDate(),
+        hasTime ? parsed.getHours() : DEFAULTS.NEEDED_BY_HOUR, hasTime ? parsed.getMinutes() : 0
+      );
+    }
+  }
+
   return null; // let caller decide a default
 }
 
@@ -188,11 +227,74 @@ export function stripRichTextFormatting(text) {
 }
 
 /**
- * Parses a message block for on-call issue tracking fields
- * Extracts Priority, Issue, How to replicate, Customer, 1Password, Needed by, and Relevant Links
+ * Removes bold/italic/strike markers around words, keeping underscores inside them
+ * ("_Nov 4 7pm America/Los_Angeles_" -> "Nov 4 7pm America/Los_Angeles")
+ * @param {string} text - Text with Slack formatting
+ * @returns {string} Text without emphasis markers
+ */
+function stripEmphasis(text) {
+  return String(text || '')
+    .replace(/[*~]/g, '')
+    .replace(/(?<![\p{L}\p{N}])_+|_+(?![\p{L}\p{N}])/gu, '');
+}
+
+/**
+ * Builds a case-insensitive regex fragment for a field label
+ * Whitespace in the label matches any (or no) whitespace, so "How to replicate"
+ * also accepts "Howto replicate" and "HOW TO REPLICATE"
+ * @param {string} label - Field label or alias
+ * @returns {string} Regex source fragment
+ */
+function labelPattern(label) {
+  return String(label)
+    .trim()
+    .split(/\s+/)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('\\s*');
+}
+
+/**
+ * Normalizes a select value for comparison (strips formatting, case and whitespace)
+ * @param {string} value - Raw or option value
+ * @returns {string} Comparable form
+ */
+function normalizeOption(value) {
+  return stripRichTextFormatting(String(value)).toUpperCase().replace(/\s+/g, '');
+}
+
+/**
+ * Returns the default Needed-by date (DEFAULT_NEEDED_BY_DAYS from now at DEFAULT_NEEDED_BY_HOUR)
+ * With a business calendar a weekend or holiday moves to the next working day, within working hours
+ * @param {Date} [now=new Date()] - Reference time
+ * @param {string|null} [timeZone=null] - Zone of the hour (the server's when null)
+ * @param {Object|null} [calendar=null] - Business calendar
+ * @returns {Date} Default date
+ */
+function defaultNeededBy(now = new Date(), timeZone = null, calendar = null) {
+  const zone = calendar ? calendarTimeZone(calendar, timeZone) : (timeZone || localTimeZone());
+  const { year, month, day } = zonedParts(addLocalDays(now.getTime(), DEFAULTS.NEEDED_BY_DAYS, zone), zone);
+  if (calendar) {
+    return workingDayAt({ year, month, day }, DEFAULTS.NEEDED_BY_HOUR, calendar, zone);
+  }
+  return new Date(zonedTimeToUtc({ year, month, day, hour: DEFAULTS.NEEDED_BY_HOUR }, zone));
+}
+
+/**
+ * Parses a message block for issue tracking fields
+ * Which labels are recognised, and how each value is parsed, comes from the field
+ * definitions (see lib/field-schema.js); the default set extracts Priority, Issue,
+ * How to replicate, Customer, 1Password, Needed by, and Relevant Links, under their English,
+ * Spanish or Portuguese labels ("Prioridad", "Cliente", "Necessário até")
  * @param {string} text - The message text to parse (with @auto/@cat/@peepo trigger)
- * @returns {Object} Parsed fields object
+ * @param {Object[]} [fields=DEFAULT_FIELDS] - Field definitions for the target database
+ * @param {Object} [options] - Parsing options
+ * @param {Date} [options.now=new Date()] - Reference time for ASAP and the default date (backfill passes the post time)
+ * @param {string|null} [options.timeZone=null] - Reporter's IANA time zone for dates without one (server zone when null)
+ * @param {Object|null} [options.calendar=null] - Business calendar for ASAP and the default date (see getBusinessCalendar())
+ * @param {Object|null} [options.asap=null] - ASAP policy with per-priority offsets (see getAsapPolicy())
+ * @returns {Object} Parsed fields object keyed by field key. With the default fields:
  * @returns {string} returns.priority - Issue priority (P0/P1/P2)
+ * @returns {string} [returns.priorityRaw] - Priority as typed, only when it matched none of the options
  * @returns {string} returns.issue - Description of the issue
  * @returns {string} returns.replicate - Steps to replicate the issue
  * @returns {string} returns.customer - Customer name or identifier
@@ -200,52 +302,67 @@ export function stripRichTextFormatting(text) {
  * @returns {Date} returns.needed - Parsed needed-by date (with default if not provided)
  * @returns {string} returns.neededRaw - Raw needed-by input string
  * @returns {boolean} returns.neededValid - Whether the needed-by date was successfully parsed
- * @returns {string[]} returns.urls - Array of extracted URLs from relevant links
+ * @returns {string[]} returns.urls - Array of extracted URLs from all links fields
  * @returns {string} returns.linksText - Full text content of relevant links field
  */
-export function parseAutoBlock(text = '') {
+export function parseAutoBlock(text = '', fields = DEFAULT_FIELDS, { now = new Date(), timeZone = null, calendar = null, asap = null } = {}) {
   const cleaned = text.replace(REGEX.TRIGGER_PREFIX, '');
-  const pick = (label) => {
+  const pick = (field) => {
+    // Labels of every locale ("Prioridad", "Necessário até"), so the next label may start with any letter
+    const labels = fieldLabels(field)
+      .sort((a, b) => b.length - a.length)
+      .map(labelPattern);
     const re = new RegExp(
-      `^\\s*${label}\\s*:\\s*([\\s\\S]*?)(?=^\\s*\\w[\\w\\s/]*:\\s*|$)`,
-      'mi'
+      `^\\s*(?:${labels.join('|')})\\s*:\\s*([\\s\\S]*?)(?=^\\s*[\\p{L}\\p{N}_][\\p{L}\\p{N}_\\s/]*:\\s*|$)`,
+      'miu'
     );
     const m = re.exec(cleaned);
     return m ? m[1].trim() : '';
   };
 
-  let priority = stripRichTextFormatting(pick('Priority')).toUpperCase().replace(/\s+/g, '');
-  if (![PRIORITIES.P0, PRIORITIES.P1, PRIORITIES.P2].includes(priority)) {priority = '';}
-
-  const issue     = pick('Issue');
-  const replicate = pick('How\\s*to\\s*replicate');
-  const customer  = pick('Customer');
-  const onepass   = pick('1\\s*Password');
-  const neededRaw = pick('Needed\\s*by\\s*(?:date/?time)?');
-
-  function defaultNeeded() {
-    const d = new Date();
-    d.setDate(d.getDate() + DEFAULTS.NEEDED_BY_DAYS);
-    d.setHours(DEFAULTS.NEEDED_BY_HOUR, 0, 0, 0);
-    return d;
-  }
-
-  let neededValid = true;
-  let needed = defaultNeeded();
-  if (neededRaw) {
-    // Strip rich text formatting (bold, italic) from date/time string
-    const cleanedNeeded = stripRichTextFormatting(neededRaw);
-    const parsed = parseNeededByString(cleanedNeeded);
-    if (parsed && !isNaN(parsed)) {
-      needed = parsed;
-    } else {
-      neededValid = false; // default & tell user how to fix
-      needed = defaultNeeded();
+  const parsed = { urls: [] };
+  // Dates last: how far ahead ASAP is depends on the priority
+  const ordered = [...fields.filter(f => f.type !== 'date'), ...fields.filter(f => f.type === 'date')];
+  for (const field of ordered) {
+    const raw = pick(field);
+    switch (field.type) {
+      case 'select': {
+        if (field.options?.length) {
+          const wanted = normalizeOption(raw);
+          parsed[field.key] = wanted ? (field.options.find(o => normalizeOption(o) === wanted) || '') : '';
+          // Kept so typeIssues() can report the value instead of silently dropping it
+          if (wanted && !parsed[field.key]) {parsed[`${field.key}Raw`] = stripRichTextFormatting(raw).trim();}
+        } else {
+          parsed[field.key] = stripRichTextFormatting(raw).trim();
+        }
+        break;
+      }
+      case 'date': {
+        let valid = true;
+        let value = defaultNeededBy(now, timeZone, calendar);
+        if (raw) {
+          // Strip bold/italic markers around the date but keep underscores inside it (America/Los_Angeles)
+          const asapMs = asapOffset(asap, issuePriority(parsed, fields));
+          const parsedDate = parseNeededByString(stripEmphasis(raw), now, { timeZone, calendar, asapMs });
+          if (parsedDate && !isNaN(parsedDate)) {
+            value = parsedDate;
+          } else {
+            valid = false; // default & tell user how to fix
+          }
+        }
+        parsed[field.key] = value;
+        parsed[`${field.key}Raw`] = raw;
+        parsed[`${field.key}Valid`] = valid;
+        break;
+      }
+      case 'links':
+        parsed[field.key] = raw;
+        parsed.urls.push(...Array.from(raw.matchAll(REGEX.URL_PATTERN)).map(m => m[0]));
+        break;
+      default:
+        parsed[field.key] = raw;
     }
   }
-  const links     = pick('Relevant\\s*Links?');
-
-  const urls = Array.from(links.matchAll(REGEX.URL_PATTERN)).map(m => m[0]);
 
-  return { priority, issue, replicate, customer, onepass, needed, neededRaw, neededValid, urls, linksText: links };
+  return parsed;
 }
@@ -6,6 +6,8 @@
 
 import { strict as assert } from 'assert';
 import { normalizeEmail, stripRichTextFormatting, parseNeededByString, parseAutoBlock } from './parser.js';
+import { normalizeFieldDefinitions } from './field-schema.js';
+import { normalizeBusinessCalendar, normalizeAsapPolicy } from './business-calendar.js';
 
 let totalTests = 0;
 let passedTests = 0;
@@ -388,6 +390,24 @@ suite('parseNeededByString', () => {
     assert(result instanceof Date);
     assert.equal(result.getHours(), 8);
   });
+
+  test('should read dates in the given time zone unless the text names one', () => {
+    const now = new Date('2025-11-03T15:00:00Z');
+    const options = { timeZone: 'America/New_York' };
+    assert.equal(parseNeededByString('11/13/2025 7pm', now, options).toISOString(), '2025-11-14T00:00:00.000Z');
+    assert.equal(parseNeededByString('2025-11-13 19:00 PT', now, options).toISOString(), '2025-11-14T03:00:00.000Z');
+    assert.equal(parseNeededByString('tomorrow 3pm', now, options).toISOString(), '2025-11-04T20:00:00.000Z');
+    assert.equal(parseNeededByString('EOD Friday', now, { timeZone: 'Europe/Berlin' }).toISOString(), '2025-11-07T16:00:00.000Z');
+    assert.equal(parseNeededByString('2025-11-13T19:00:00Z', now, options).toISOString(), '2025-11-13T19:00:00.000Z');
+  });
+
+  test('should read other full-year dates in the given time zone too', () => {
+    const now = new Date('2025-11-03T15:00:00Z');
+    const options = { timeZone: 'America/New_York' };
+    assert.equal(parseNeededByString('Thu Nov 13 2025', now, options).toISOString(), '2025-11-13T22:00:00.000Z');
+    assert.equal(parseNeededByString('Nov 13, 2025 7:30 PM', now, options).toISOString(), '2025-11-14T00:30:00.000Z');
+    assert.equal(parseNeededByString('Thu Nov 13 2025 19:00:00 GMT+0100', now, options).toISOString(), '2025-11-13T18:00:00.000Z');
+  });
 });
 
 // Test suite: parseAutoBlock
@@ -508,6 +528,32 @@ Needed by: ASAP`;
     assert(diff > 18 * 60 * 1000 && diff < 22 * 60 * 1000, 'ASAP should be ~20 minutes from now');
   });
 
+  test('should resolve relative dates against options.now', () => {
+    const posted = new Date('2025-01-06T10:00:00Z');
+    const asap = parseAutoBlock('@auto\nIssue: Test\nNeeded by: ASAP', undefined, { now: posted });
+    assert.equal(asap.needed.toISOString(), '2025-01-06T10:20:00.000Z');
+    const defaulted = parseAutoBlock('@auto\nIssue: Test', undefined, { now: posted });
+    assert(defaulted.needed > posted && defaulted.needed < new Date('2025-06-01'), 'default should follow the post time');
+  });
+
+  test('should keep ASAP and the default date in working hours, with per-priority ASAP offsets', () => {
+    const options = {
+      timeZone: 'America/New_York',
+      calendar: normalizeBusinessCalendar(),
+      asap: normalizeAsapPolicy({ priorityOffsets: { P0: '10m' } })
+    };
+    const fridayAfternoon = { ...options, now: new Date('2025-11-07T21:50:00Z') }; // 16:50 EST
+    const asap = (priority) => parseAutoBlock(`@auto\nPriority: ${priority}\nIssue: Test\nNeeded by: ASAP`, undefined, fridayAfternoon);
+    assert.equal(asap('P0').needed.toISOString(), '2025-11-07T22:00:00.000Z');
+    assert.equal(asap('P1').needed.toISOString(), '2025-11-10T14:10:00.000Z');
+    // 30 days after Thursday Nov 6 is a Saturday: the default moves to Monday at 17:00
+    const defaulted = parseAutoBlock('@auto\nIssue: Test', undefined, { ...options, now: new Date('2025-11-06T15:00:00Z') });
+    assert.equal(defaulted.needed.toISOString(), '2025-12-08T22:00:00.000Z');
+    // Dates people write are kept
+    const given = parseAutoBlock('@auto\nIssue: Test\nNeeded by: Saturday 10am', undefined, fridayAfternoon);
+    assert.equal(given.needed.toISOString(), '2025-11-08T15:00:00.000Z');
+  });
+
   test('should parse date formats', () => {
     const message = `@auto
 Priority: P1
@@ -576,6 +622,31 @@ CUSTOMER: Test Corp`;
     assert.equal(result.customer, 'Test Corp');
   });
 
+  test('should accept Spanish and Portuguese field labels', () => {
+    const spanish = parseAutoBlock(`@auto
+Prioridad: P1
+Problema: El checkout falla
+Cómo reproducir: Pagar con tarjeta
+Cliente: Acme México
+Necesario para: 2025-11-04 19:00`);
+    assert.equal(spanish.priority, 'P1');
+    assert.equal(spanish.issue, 'El checkout falla');
+    assert.equal(spanish.replicate, 'Pagar con tarjeta');
+    assert.equal(spanish.customer, 'Acme México');
+    assert.equal(spanish.neededValid, true);
+
+    const portuguese = parseAutoBlock(`@auto
+Prioridade: P2
+Problema: Relatório lento
+Como reproduzir: Abrir o relatório
+Cliente: Acme Brasil
+Necessário até: ASAP`);
+    assert.equal(portuguese.priority, 'P2');
+    assert.equal(portuguese.replicate, 'Abrir o relatório');
+    assert.equal(portuguese.customer, 'Acme Brasil');
+    assert.equal(portuguese.neededRaw, 'ASAP');
+  });
+
   test('should return raw email from 1Password field', () => {
     const message = `@auto
 Priority: P1
@@ -675,6 +746,24 @@ Needed by: *_11/13/2025 6_*`;
     assert.equal(result.needed.getHours(), 6);
   });
 
+  test('should keep underscores inside time zone names', () => {
+    const now = new Date('2025-11-03T12:00:00Z');
+    for (const needed of ['Nov 4 7pm America/Los_Angeles', '_Nov 4 7pm America/Los_Angeles_', '*Nov 4 9am America/Sao_Paulo*']) {
+      const result = parseAutoBlock(`@auto\nPriority: P1\nIssue: Test\nNeeded by: ${needed}`, undefined, { now });
+      assert.equal(result.neededValid, true, needed);
+    }
+    const result = parseAutoBlock('@auto\nNeeded by: Nov 4 7pm America/Los_Angeles', undefined, { now });
+    assert.equal(result.needed.toISOString(), '2025-11-05T03:00:00.000Z');
+  });
+
+  test('should flag a recently passed date without a year instead of moving it a year out', () => {
+    const now = new Date('2025-11-05T18:00:00Z');
+    const result = parseAutoBlock('@auto\nNeeded by: Nov 4 7pm PT', undefined, { now });
+    assert.equal(result.neededValid, false);
+    assert.equal(result.neededRaw, 'Nov 4 7pm PT');
+    assert.equal(parseAutoBlock('@auto\nNeeded by: Nov 4 2026 7pm PT', undefined, { now }).needed.toISOString(), '2026-11-05T03:00:00.000Z');
+  });
+
   test('should handle triple asterisk formatting', () => {
     const message = `@auto
 Priority: P1
@@ -686,6 +775,55 @@ Needed by: ***11/13/2025 8***`;
   });
 });
 
+// Test suite: parseAutoBlock with database-specific field definitions
+suite('parseAutoBlock (custom fields)', () => {
+  const fields = normalizeFieldDefinitions([
+    { label: 'Severity', type: 'select', options: ['Sev1', 'Sev2'], required: true },
+    { label: 'Summary', type: 'text', required: true, title: true },
+    { label: 'Service', aliases: ['Component'], type: 'text' },
+    { label: 'Contact', type: 'email' },
+    { label: 'Due', type: 'date' },
+    { label: 'Runbook', type: 'links' }
+  ]);
+
+  test('should parse labels from the field definitions', () => {
+    const message = `@auto
+Severity: sev2
+Summary: Disk full on db-3
+Service: postgres
+Contact: dba@example.com
+Due: 11/15/2025 5PM
+Runbook: https://runbooks.example.com/disk`;
+    const result = parseAutoBlock(message, fields);
+    assert.equal(result.severity, 'Sev2');
+    assert.equal(result.summary, 'Disk full on db-3');
+    assert.equal(result.service, 'postgres');
+    assert.equal(result.contact, 'dba@example.com');
+    assert(result.due instanceof Date);
+    assert.equal(result.dueValid, true);
+    assert.equal(result.dueRaw, '11/15/2025 5PM');
+    assert.deepEqual(result.urls, ['https://runbooks.example.com/disk']);
+  });
+
+  test('should accept label aliases', () => {
+    const result = parseAutoBlock('@auto\nComponent: api-gateway', fields);
+    assert.equal(result.service, 'api-gateway');
+  });
+
+  test('should reject values outside the select options', () => {
+    const result = parseAutoBlock('@auto\nSeverity: Sev9', fields);
+    assert.equal(result.severity, '');
+    assert.equal(result.severityRaw, 'Sev9');
+    assert.equal(parseAutoBlock('@auto\nSeverity: *sev2*', fields).severityRaw, undefined);
+  });
+
+  test('should ignore default labels not in the definition', () => {
+    const result = parseAutoBlock('@auto\nPriority: P1\nCustomer: Acme', fields);
+    assert.equal(result.priority, undefined);
+    assert.equal(result.customer, undefined);
+  });
+});
+
 // Print summary
 console.log(`\n${'='.repeat(60)}`);
 console.log(`Test Summary:`);
@@ -0,0 +1,162 @@
+/**
+ * Prometheus / OpenMetrics text exposition for BotMetrics
+ * Served on /metrics when the scraper asks for it (Accept header or ?format=),
+ * the JSON output stays the default for humans and the health dashboard
+ */
+
+import { URL } from 'url';
+import { HISTOGRAMS } from './metrics.js';
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+export const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+const PREFIX = 'oncall';
+
+/**
+ * Counter metrics exposed from BotMetrics: metric key -> { name, help }
+ * Names are family names; samples get the `_total` suffix
+ */
+export const COUNTERS = {
+  messagesProcessed: { name: 'messages_processed', help: 'Trigger messages received (new, edited and modal submissions)' },
+  messagesCreated: { name: 'messages_created', help: 'Notion pages created' },
+  messagesUpdated: { name: 'messages_updated', help: 'Notion pages updated' },
+  messagesFailed: { name: 'messages_failed', help: 'Messages that failed to sync to Notion' },
+  validationErrors: { name: 'validation_errors', help: 'Messages rejected for missing or invalid fields' },
+  apiTimeouts: { name: 'api_timeouts', help: 'Slack or Notion API calls that timed out' },
+  findingsDelivered: { name: 'findings_delivered', help: 'Findings posted back to Slack threads' },
+  findingsTimeout: { name: 'findings_timeout', help: 'Findings checks that gave up without content' },
+  statusUpdatesPosted: { name: 'status_updates_posted', help: 'Notion status changes posted to Slack threads' },
+  notionWritesQueued: { name: 'notion_writes_queued', help: 'Notion writes queued for retry after a timeout, 429 or 5xx' },
+  notionWritesRecovered: { name: 'notion_writes_recovered', help: 'Queued Notion writes that later succeeded' },
+  notionWritesAbandoned: { name: 'notion_writes_abandoned', help: 'Queued Notion writes given up after the last attempt' },
+  notionRetries: { name: 'notion_retries', help: 'Notion API calls retried in place after a 429/502/503/504' },
+  notionRateLimited: { name: 'notion_rate_limited', help: 'Notion 429 rate_limited responses' },
+  orphanedPages: { name: 'orphaned_pages', help: 'Notion pages found by reconciliation whose Slack message was deleted' },
+  missingPages: { name: 'missing_pages', help: 'Trigger messages found by reconciliation without a Notion page' },
+  pagesArchived: { name: 'pages_archived', help: 'Notion pages archived because their Slack message was deleted' },
+  pagesFlagged: { name: 'pages_flagged', help: 'Notion pages flagged (kept) because their Slack message was deleted' },
+  repliesMirrored: { name: 'replies_mirrored', help: 'Slack thread replies appended to Notion page bodies' },
+  escalations: { name: 'escalations', help: 'Issues escalated for their priority (group mention, incidents channel, on-call DM)' },
+  escalationRepings: { name: 'escalation_repings', help: 'Re-pings for escalated issues nobody had acknowledged' },
+  escalationsAcknowledged: { name: 'escalations_acknowledged', help: 'Escalated issues acknowledged by a reaction or a Status change' },
+  slaReminders: { name: 'sla_reminders', help: 'Needed by reminders posted to issue threads (before, at and after the deadline)' },
+  slaBreaches: { name: 'sla_breaches', help: 'Open issues that went past their Needed by' }
+};
+
+/**
+ * Converts a camelCase metric or label name to snake_case
+ * @param {string} name - camelCase name
+ * @returns {string} snake_case name
+ */
+export function snakeCase(name) {
+  return String(name).replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
+/**
+ * Escapes a label value per the exposition format
+ * @param {string} value - Raw label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Formats a label set as {a="1",b="2"} ('' when empty)
+ * Empty values are left out, which Prometheus treats the same as a missing label
+ * @param {Object} labels - Label values keyed by (camelCase) name
+ * @returns {string} Formatted label set
+ */
+function formatLabels(labels) {
+  const parts = Object.entries(labels).filter(([, v]) => v !== '').map(([k, v]) => `${snakeCase(k)}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+/**
+ * Formats a sample value (integers stay integers, +Inf for infinity)
+ * @param {number} value - Sample value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+  if (value === Infinity) {return '+Inf';}
+  return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(6)));
+}
+
+/**
+ * Picks the exposition format for a /metrics request
+ * `?format=prometheus|openmetrics|json` wins over the Accept header; JSON stays the default
+ * @param {Object} req - Node HTTP request
+ * @returns {string} 'openmetrics', 'prometheus' or 'json'
+ */
+export function negotiateMetricsFormat(req) {
+  const url = new URL(req.url || '/', 'http://localhost');
+  const requested = (url.searchParams.get('format') || '').toLowerCase();
+  if (['prometheus', 'openmetrics', 'json'].includes(requested)) {return requested;}
+
+  const accept = String(req.headers?.accept || '').toLowerCase();
+  if (accept.includes('application/openmetrics-text')) {return 'openmetrics';}
+  if (accept.includes('text/plain')) {return 'prometheus';}
+  return 'json';
+}
+
+/**
+ * Renders metrics in Prometheus text format (0.0.4) or OpenMetrics 1.0
+ * @param {BotMetrics} metrics - Metrics instance
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.format='prometheus'] - 'prometheus' or 'openmetrics'
+ * @param {Object} [options.info] - Build info labels (version, buildTime)
+ * @param {Object} [options.gauges] - Extra gauges: name -> { help, value }
+ * @returns {string} Exposition text
+ */
+export function renderMetrics(metrics, { format = 'prometheus', info = {}, gauges = {} } = {}) {
+  const openMetrics = format === 'openmetrics';
+  const lines = [];
+  const family = (name, type, help) => {
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} ${type}`);
+  };
+
+  for (const [key, def] of Object.entries(COUNTERS)) {
+    const name = `${PREFIX}_${def.name}`;
+    // OpenMetrics names the family without _total; the text format names it after the sample
+    family(openMetrics ? name : `${name}_total`, 'counter', def.help);
+    // One sample per label set; sum() over the family gives the global total
+    const series = metrics.getLabelled(key);
+    if (series.length === 0) {
+      lines.push(`${name}_total 0`);
+    }
+    for (const { labels, value } of series) {
+      lines.push(`${name}_total${formatLabels(labels)} ${formatValue(value)}`);
+    }
+  }
+
+  family(`${PREFIX}_uptime_seconds`, 'gauge', 'Seconds since the bot started');
+  lines.push(`${PREFIX}_uptime_seconds ${metrics.getUptimeSeconds()}`);
+
+  for (const [key, gauge] of Object.entries(gauges)) {
+    const name = `${PREFIX}_${snakeCase(key)}`;
+    family(name, 'gauge', gauge.help);
+    lines.push(`${name} ${formatValue(gauge.value)}`);
+  }
+
+  if (Object.keys(info).length) {
+    family(`${PREFIX}_build_info`, 'gauge', 'Build information (always 1)');
+    lines.push(`${PREFIX}_build_info${formatLabels(info)} 1`);
+  }
+
+  for (const [key, def] of Object.entries(HISTOGRAMS)) {
+    const name = `${PREFIX}_${snakeCase(key)}`;
+    family(name, 'histogram', def.help);
+    for (const series of metrics.getHistogram(key)) {
+      for (const bucket of series.buckets) {
+        lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: formatValue(bucket.le) })} ${bucket.count}`);
+      }
+      lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+  }
+
+  if (openMetrics) {lines.push('# EOF');}
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for Prometheus / OpenMetrics exposition
+ * Run with: node lib/prometheus.test.js
+ */
+import { strict as assert } from 'assert';
+import { BotMetrics } from './metrics.js';
+import { renderMetrics, negotiateMetricsFormat, snakeCase } from './prometheus.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = (name, fn) => { total++; try { fn(); passed++; console.log(`  ✓ ${name}`); } catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`);} };
+const suite = (name, fn) => { console.log(`\n${name}:`); fn(); };
+
+const req = (url, accept) => ({ url, headers: accept ? { accept } : {} });
+
+suite('negotiateMetricsFormat', () => {
+  test('defaults to JSON', () => {
+    assert.equal(negotiateMetricsFormat(req('/metrics')), 'json');
+    assert.equal(negotiateMetricsFormat(req('/metrics', '*/*')), 'json');
+  });
+
+  test('honours the Accept header', () => {
+    assert.equal(negotiateMetricsFormat(req('/metrics', 'text/plain;version=0.0.4')), 'prometheus');
+    const scraper = 'application/openmetrics-text;version=1.0.0,text/plain;version=0.0.4;q=0.5,*/*;q=0.1';
+    assert.equal(negotiateMetricsFormat(req('/metrics', scraper)), 'openmetrics');
+  });
+
+  test('query parameter wins over Accept', () => {
+    assert.equal(negotiateMetricsFormat(req('/metrics?format=prometheus', 'application/json')), 'prometheus');
+    assert.equal(negotiateMetricsFormat(req('/metrics?format=json', 'text/plain')), 'json');
+  });
+});
+
+suite('renderMetrics', () => {
+  const metrics = new BotMetrics();
+  metrics.increment('messagesProcessed');
+  metrics.increment('messagesProcessed');
+  metrics.increment('messagesCreated');
+  metrics.observe('processingDurationSeconds', 0.4, { channel: 'C1', databaseId: 'db1', operation: 'create' });
+
+  test('renders typed counters in the text format', () => {
+    const text = renderMetrics(metrics);
+    assert(text.includes('# TYPE oncall_messages_processed_total counter\noncall_messages_processed_total 2\n'));
+    assert(text.includes('oncall_messages_created_total 1'));
+    assert(text.includes('# TYPE oncall_uptime_seconds gauge'));
+    assert(!text.includes('# EOF'));
+  });
+
+  test('renders histograms with snake_case labels and +Inf bucket', () => {
+    const text = renderMetrics(metrics);
+    assert(text.includes('# TYPE oncall_processing_duration_seconds histogram'));
+    assert(text.includes('oncall_processing_duration_seconds_bucket{channel="C1",database_id="db1",operation="create",le="0.25"} 0'));
+    assert(text.includes('oncall_processing_duration_seconds_bucket{channel="C1",database_id="db1",operation="create",le="0.5"} 1'));
+    assert(text.includes('oncall_processing_duration_seconds_bucket{channel="C1",database_id="db1",operation="create",le="+Inf"} 1'));
+    assert(text.includes('oncall_processing_duration_seconds_count{channel="C1",database_id="db1",operation="create"} 1'));
+  });
+
+  test('renders one sample per label set for labelled counters', () => {
+    const m = new BotMetrics();
+    m.increment('validationErrors', { channel: 'C1', databaseId: 'db1', trigger: 'auto', errorKind: 'missing_fields' });
+    m.increment('validationErrors');
+    const text = renderMetrics(m);
+    assert(text.includes('oncall_validation_errors_total{channel="C1",database_id="db1",trigger="auto",error_kind="missing_fields"} 1'));
+    assert(text.includes('oncall_validation_errors_total 1'));
+    assert(text.includes('oncall_messages_failed_total 0'));
+  });
+
+  test('counts flagged pages apart from archived ones', () => {
+    const m = new BotMetrics();
+    m.increment('pagesFlagged', { channel: 'C1', databaseId: 'db1' });
+    const text = renderMetrics(m);
+    assert(text.includes('oncall_pages_flagged_total{channel="C1",database_id="db1"} 1'));
+    assert(text.includes('oncall_pages_archived_total 0'));
+  });
+
+  test('OpenMetrics names counter families without _total and ends with EOF', () => {
+    const text = renderMetrics(metrics, { format: 'openmetrics' });
+    assert(text.includes('# TYPE oncall_messages_processed counter\noncall_messages_processed_total 2\n'));
+    assert(text.endsWith('# EOF\n'));
+  });
+
+  test('renders extra gauges and escaped build info', () => {
+    const text = renderMetrics(metrics, {
+      info: { version: '1.2.3', buildTime: 'say "hi"' },
+      gauges: { pendingFindingsChecks: { help: 'Pending', value: 3 } }
+    });
+    assert(text.includes('oncall_pending_findings_checks 3'));
+    assert(text.includes('oncall_build_info{version="1.2.3",build_time="say \\"hi\\""} 1'));
+  });
+
+  test('snakeCase converts camelCase names', () => {
+    assert.equal(snakeCase('notionRequestDurationSeconds'), 'notion_request_duration_seconds');
+    assert.equal(snakeCase('databaseId'), 'database_id');
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
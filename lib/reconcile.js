@@ -0,0 +1,276 @@
+/**
+ * Slack <-> Notion reconciliation
+ * Walks a mapped database and its channels and finds orphans in both directions:
+ * Notion pages whose Slack message was deleted, and @auto messages that never got a page
+ * (e.g. the bot was down). Orphans can be reported or fixed: missing pages are imported,
+ * orphaned pages get the database's deletion policy (archived by default, recoverable
+ * from Notion's trash)
+ */
+
+import { collectTriggerMessages, importMessage } from './backfill.js';
+import { DEFAULT_DELETE_POLICY, deletedPageUpdate } from './message-deleted.js';
+
+/**
+ * Fix modes: which direction(s) to repair
+ */
+export const FIX_MODES = ['none', 'slack', 'notion', 'both'];
+
+// Slack errors meaning the message (or its thread) no longer exists
+const DELETED_ERRORS = new Set(['message_not_found', 'thread_not_found']);
+
+/**
+ * Parses a Slack message permalink
+ * @param {string} url - e.g. https://team.slack.com/archives/C0123/p1700000000000100?thread_ts=1699999999.000200
+ * @returns {Object|null} { channel, ts, threadTs } (threadTs null for top-level messages), or null if not a permalink
+ */
+export function parsePermalink(url) {
+  const m = String(url || '').match(/\/archives\/([A-Z0-9]+)\/p(\d{10})(\d{6})(?:\?(.*))?/);
+  if (!m) {return null;}
+  const [, channel, seconds, micros, query = ''] = m;
+  const threadTs = new globalThis.URLSearchParams(query).get('thread_ts');
+  const ts = `${seconds}.${micros}`;
+  return { channel, ts, threadTs: threadTs && threadTs !== ts ? threadTs : null };
+}
+
+/**
+ * Reads the Slack message a page was filed from
+ * The TS column wins for the timestamp; the permalink supplies the channel and thread
+ * @param {Object} page - Notion page object
+ * @param {Object} schema - Database schema from getSchema()
+ * @returns {Object|null} { channel, ts, threadTs, permalink } or null for pages not filed from Slack
+ */
+export function slackRefFromPage(page, schema) {
+  const prop = (meta) => (meta ? page.properties?.[meta.name] : null);
+  const text = (value) => (value?.[value.type] && Array.isArray(value[value.type])
+    ? value[value.type].map(t => t.plain_text || '').join('').trim()
+    : '');
+
+  const urlValue = prop(schema.slackUrlProp);
+  const permalink = urlValue?.type === 'url' ? urlValue.url || '' : text(urlValue);
+  const link = parsePermalink(permalink);
+
+  let ts = null;
+  const tsValue = prop(schema.slackTsProp);
+  if (tsValue?.type === 'number' && Number.isFinite(tsValue.number)) {
+    // Stored as the ts digits without the dot (see createOrUpdateNotionPage)
+    const digits = String(tsValue.number).padStart(7, '0');
+    ts = `${digits.slice(0, -6)}.${digits.slice(-6)}`;
+  } else if (tsValue) {
+    ts = text(tsValue) || null;
+  }
+  ts = ts || link?.ts || null;
+  if (!ts) {return null;}
+  return { channel: link?.channel || null, ts, threadTs: link?.threadTs || null, permalink };
+}
+
+/**
+ * Lists the pages of a database created since a point in time
+ * @param {Object} notion - Notion client (databases.query)
+ * @param {Object} options - Query options
+ * @param {string} options.databaseId - Notion database ID
+ * @param {Date} options.since - Oldest creation time to include
+ * @returns {Promise<Object[]>} Page objects
+ */
+export async function listPagesSince(notion, { databaseId, since }) {
+  const pages = [];
+  let cursor;
+  do {
+    const res = await notion.databases.query({
+      database_id: databaseId,
+      filter: { timestamp: 'created_time', created_time: { on_or_after: since.toISOString() } },
+      page_size: 100,
+      start_cursor: cursor
+    });
+    pages.push(...(res.results || []));
+    cursor = res.has_more ? res.next_cursor : undefined;
+  } while (cursor);
+  return pages;
+}
+
+/**
+ * Checks whether one Slack message still exists
+ * @param {Object} slack - Slack client (conversations.history/replies)
+ * @param {Object} ref - { channel, ts, threadTs } from slackRefFromPage()
+ * @returns {Promise<string>} 'present', 'deleted' or 'unreachable' (channel gone or bot not in it)
+ */
+export async function checkSlackMessage(slack, { channel, ts, threadTs }) {
+  try {
+    const window = { channel, oldest: ts, latest: ts, inclusive: true, limit: 1 };
+    const res = threadTs
+      ? await slack.conversations.replies({ ...window, ts: threadTs })
+      : await slack.conversations.history(window);
+    const message = (res.messages || []).find(m => m.ts === ts);
+    return message && message.subtype !== 'tombstone' ? 'present' : 'deleted';
+  } catch (err) {
+    if (DELETED_ERRORS.has(err.data?.error)) {return 'deleted';}
+    if (['channel_not_found', 'not_in_channel', 'is_archived'].includes(err.data?.error)) {return 'unreachable';}
+    throw err;
+  }
+}
+
+/**
+ * Reconciles one database against its channels
+ * @param {Object} options - Reconcile options
+ * @param {Object} options.slack - Slack client (conversations.*, chat.getPermalink, users.info)
+ * @param {Object} options.notion - Notion client (databases.query, pages.update)
+ * @param {Object} options.pages - Page service from createNotionPageService()
+ * @param {string} options.databaseId - Notion database ID
+ * @param {string[]} options.channels - Channels mapped to the database
+ * @param {Object[]} options.fields - Field definitions for the database
+ * @param {Date} options.since - Start of the window (page creation time / message time)
+ * @param {Object|null} [options.calendar=null] - Business calendar for imported messages (see importMessage())
+ * @param {Object|null} [options.asap=null] - ASAP policy for imported messages
+ * @param {boolean} [options.includeThreads=false] - Also scan thread replies for trigger messages
+ * @param {string} [options.fix='none'] - Which orphans to repair (see FIX_MODES)
+ * @param {boolean} [options.dryRun=false] - Report the fixes without applying them
+ * @param {Object} [options.onDeleted] - Deletion policy for orphaned pages (see normalizeDeletePolicy());
+ *   "ignore" leaves them reported only
+ * @param {Function} [options.write] - Custom page write for imported messages (see importMessage())
+ * @param {Object} [options.logger] - Logger instance
+ * @returns {Promise<Object>} Report { databaseId, since, checkedPages, checkedMessages, untrackedPages, invalidMessages, orphans }
+ */
+export async function reconcileDatabase({
+  slack,
+  notion,
+  pages,
+  databaseId,
+  channels,
+  fields,
+  since,
+  calendar = null,
+  asap = null,
+  includeThreads = false,
+  fix = 'none',
+  dryRun = false,
+  onDeleted = DEFAULT_DELETE_POLICY,
+  write,
+  logger
+}) {
+  const schema = await pages.getSchema(databaseId);
+  const oldest = (since.getTime() / 1000).toFixed(6);
+  const report = { databaseId, since: since.toISOString(), checkedPages: 0, checkedMessages: 0, untrackedPages: 0, invalidMessages: 0, orphans: [] };
+  const fixing = (direction) => !dryRun && (fix === direction || fix === 'both');
+
+  // Slack side: everything posted in the window, per channel
+  const scans = new Map();
+  for (const channel of channels) {
+    try {
+      scans.set(channel, await collectTriggerMessages(slack, { channel, oldest, includeThreads }));
+    } catch (err) {
+      logger?.warn({ error: err.message, channel, databaseId }, 'Reconcile could not read channel history');
+    }
+  }
+
+  // Notion -> Slack: pages whose message is gone
+  const trackedTs = new Set();
+  for (const page of await listPagesSince(notion, { databaseId, since })) {
+    const ref = slackRefFromPage(page, schema);
+    if (!ref) {
+      report.untrackedPages++;
+      continue;
+    }
+    report.checkedPages++;
+    trackedTs.add(ref.ts);
+
+    // Messages inside a scanned window are answered from the scan; older ones and
+    // unscanned thread replies need their own lookup. Replies are only scanned when their
+    // parent is in the window too (history does not return older parents, so their threads are never read)
+    const scan = ref.channel ? scans.get(ref.channel) : null;
+    const scanned = scan && Number(ref.ts) >= Number(oldest)
+      && (!ref.threadTs || (includeThreads && Number(ref.threadTs) >= Number(oldest)));
+    let state;
+    try {
+      if (scanned) {
+        state = scan.seen.has(ref.ts) ? 'present' : 'deleted';
+      } else if (ref.channel) {
+        state = await checkSlackMessage(slack, ref);
+      } else {
+        state = 'unknown'; // TS column only and no permalink: channel unknown
+      }
+    } catch (err) {
+      logger?.warn({ error: err.message, pageId: page.id }, 'Reconcile could not check Slack message');
+      state = 'unknown';
+    }
+    if (state !== 'deleted') {continue;}
+
+    const orphan = { direction: 'notion', problem: 'slack_message_deleted', channel: ref.channel, ts: ref.ts, pageId: page.id, url: page.url, action: 'reported' };
+    const verb = onDeleted.action === 'flag' ? 'flag' : 'archive';
+    if (onDeleted.action !== 'ignore' && fixing('notion')) {
+      try {
+        await notion.pages.update({ page_id: page.id, ...deletedPageUpdate(onDeleted, schema) });
+        orphan.action = verb === 'flag' ? 'flagged' : 'archived';
+      } catch (err) {
+        orphan.action = 'failed';
+        orphan.error = err.message;
+      }
+    } else if (onDeleted.action !== 'ignore' && dryRun && (fix === 'notion' || fix === 'both')) {
+      orphan.action = `would ${verb}`;
+    }
+    report.orphans.push(orphan);
+  }
+
+  // Slack -> Notion: trigger messages without a page
+  for (const [channel, scan] of scans) {
+    for (const message of scan.messages) {
+      report.checkedMessages++;
+      if (trackedTs.has(message.ts)) {continue;}
+
+      const orphan = { direction: 'slack', problem: 'notion_page_missing', channel, ts: message.ts, pageId: null, url: null, action: 'reported' };
+      try {
+        // Looks the page up by TS/permalink too: it may be older than the window
+        const result = await importMessage({
+          slack, pages, channel, databaseId, fields, message, calendar, asap, write,
+          skipExisting: true,
+          dryRun: !fixing('slack')
+        });
+        if (result.outcome === 'skipped' || result.outcome === 'invalid') {
+          // Already filed (before the window) or never valid: the bot asked for fixes in the thread
+          if (result.outcome === 'invalid') {report.invalidMessages++;}
+          continue;
+        }
+        orphan.url = result.url || null;
+        if (fixing('slack')) {orphan.action = 'imported';}
+        else if (fix === 'slack' || fix === 'both') {orphan.action = 'would import';}
+      } catch (err) {
+        orphan.action = 'failed';
+        orphan.error = err.message;
+      }
+      report.orphans.push(orphan);
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Formats reconcile reports as a terminal table
+ * @param {Object[]} reports - Outputs of reconcileDatabase()
+ * @returns {string[]} Output lines
+ */
+export function formatReconcileTable(reports) {
+  const header = ['Direction', 'Problem', 'Channel', 'Slack TS', 'Notion page', 'Action'];
+  const rows = reports.flatMap(report => report.orphans.map(o => [
+    o.direction === 'notion' ? 'Notion->Slack' : 'Slack->Notion',
+    o.problem === 'slack_message_deleted' ? 'message deleted' : 'page missing',
+    o.channel || '?',
+    o.ts,
+    o.url || o.pageId || '-',
+    o.error ? `${o.action}: ${o.error}` : o.action
+  ]));
+
+  const lines = [];
+  if (rows.length) {
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i]).length)));
+    const line = (cells) => cells.map((c, i) => String(c).padEnd(widths[i])).join('  ').trimEnd();
+    lines.push(line(header), line(widths.map(w => '-'.repeat(w))), ...rows.map(line));
+  } else {
+    lines.push('No orphans found.');
+  }
+  for (const r of reports) {
+    lines.push(
+      `${r.databaseId}: ${r.checkedPages} page(s) and ${r.checkedMessages} message(s) checked since ${r.since.slice(0, 10)}, ` +
+      `${r.orphans.length} orphan(s), ${r.untrackedPages} page(s) not from Slack, ${r.invalidMessages} invalid message(s)`
+    );
+  }
+  return lines;
+}
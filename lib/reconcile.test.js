@@ -0,0 +1,244 @@
+/**
+ * Unit tests for Slack <-> Notion reconciliation
+ * Run with: node lib/reconcile.test.js
+ */
+import { strict as assert } from 'assert';
+import { parsePermalink, slackRefFromPage, checkSlackMessage, reconcileDatabase, formatReconcileTable } from './reconcile.js';
+import { DEFAULT_FIELDS } from './field-schema.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = async (name, fn) => {
+  total++;
+  try { await fn(); passed++; console.log(`  ✓ ${name}`); }
+  catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`); }
+};
+const suite = async (name, fn) => { console.log(`\n${name}:`); await fn(); };
+
+const silent = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+const valid = (issue) => `@auto\nPriority: P1\nIssue: ${issue}\nHow to replicate: click\nCustomer: Acme\n1Password: ops@acme.com`;
+const link = (ts, channel = 'C1') => `https://x.slack.com/archives/${channel}/p${ts.replace('.', '')}`;
+const schema = {
+  byName: { 'deleted in slack': { name: 'Deleted in Slack', type: 'checkbox' } },
+  slackTsProp: { name: 'Slack Message TS', type: 'rich_text' },
+  slackUrlProp: { name: 'Slack Message URL', type: 'url' }
+};
+const page = (id, ts, channel = 'C1') => ({
+  id,
+  url: `https://notion.so/${id}`,
+  properties: {
+    'Slack Message TS': { type: 'rich_text', rich_text: [{ plain_text: ts }] },
+    'Slack Message URL': { type: 'url', url: link(ts, channel) }
+  }
+});
+
+/**
+ * Fake Slack workspace: one page of history per channel, optional per-message lookups
+ */
+function fakeSlack(history, { lookups = {} } = {}) {
+  const calls = [];
+  return {
+    calls,
+    conversations: {
+      history: async (params) => {
+        calls.push(['history', params]);
+        if (params.latest && params.latest === params.oldest) {
+          const found = lookups[params.latest];
+          return { ok: true, messages: found ? [found] : [] };
+        }
+        return { ok: true, messages: [...(history[params.channel] || [])].reverse() };
+      },
+      replies: async (params) => {
+        calls.push(['replies', params]);
+        const found = params.latest && lookups[params.latest];
+        return { ok: true, messages: found ? [found] : [] };
+      }
+    },
+    chat: { getPermalink: async ({ channel, message_ts }) => ({ ok: true, permalink: link(message_ts, channel) }) },
+    users: { info: async () => ({ ok: true, user: { profile: {} } }) }
+  };
+}
+
+function fakeNotion(pages) {
+  const updates = [];
+  return {
+    updates,
+    databases: { query: async () => ({ results: pages, has_more: false }) },
+    pages: { update: async (params) => { updates.push(params); return { id: params.page_id }; } }
+  };
+}
+
+function fakePageService(existing = {}) {
+  const writes = [];
+  return {
+    writes,
+    getSchema: async () => schema,
+    findPageForMessage: async ({ slackTs }) => existing[slackTs] || null,
+    resolveNotionPersonForSlackUser: async (user) => ({ mention: `<@${user}>`, notionId: null }),
+    slackUserTimeZone: async () => null,
+    createOrUpdateNotionPage: async (params) => { writes.push(params); return { id: 'new', url: `https://notion.so/new-${params.slackTs}` }; }
+  };
+}
+
+await suite('parsePermalink', async () => {
+  await test('reads channel and ts from top-level permalinks', async () => {
+    assert.deepEqual(parsePermalink('https://x.slack.com/archives/C0123/p1700000000000100'), { channel: 'C0123', ts: '1700000000.000100', threadTs: null });
+  });
+
+  await test('reads thread_ts from reply permalinks', async () => {
+    const parsed = parsePermalink('https://x.slack.com/archives/C0123/p1700000000000300?thread_ts=1700000000.000100&cid=C0123');
+    assert.equal(parsed.threadTs, '1700000000.000100');
+    assert.equal(parsePermalink('https://example.com/nope'), null);
+  });
+});
+
+await suite('slackRefFromPage', async () => {
+  await test('combines the TS column with the permalink channel', async () => {
+    assert.deepEqual(slackRefFromPage(page('p1', '1700000000.000100'), schema), {
+      channel: 'C1', ts: '1700000000.000100', threadTs: null, permalink: link('1700000000.000100')
+    });
+  });
+
+  await test('reads numeric TS columns and pages without Slack links', async () => {
+    const numeric = { slackTsProp: { name: 'TS', type: 'number' }, slackUrlProp: null };
+    assert.equal(slackRefFromPage({ properties: { TS: { type: 'number', number: 1700000000000100 } } }, numeric).ts, '1700000000.000100');
+    assert.equal(slackRefFromPage({ properties: {} }, schema), null);
+  });
+});
+
+await suite('checkSlackMessage', async () => {
+  await test('distinguishes present, deleted and unreachable messages', async () => {
+    const slack = fakeSlack({}, { lookups: { '1.000001': { ts: '1.000001' }, '2.000001': { ts: '2.000001', subtype: 'tombstone' } } });
+    assert.equal(await checkSlackMessage(slack, { channel: 'C1', ts: '1.000001' }), 'present');
+    assert.equal(await checkSlackMessage(slack, { channel: 'C1', ts: '2.000001' }), 'deleted');
+    assert.equal(await checkSlackMessage(slack, { channel: 'C1', ts: '3.000001' }), 'deleted');
+    const gone = { conversations: { history: async () => { throw Object.assign(new Error('x'), { data: { error: 'channel_not_found' } }); } } };
+    assert.equal(await checkSlackMessage(gone, { channel: 'C9', ts: '1.0' }), 'unreachable');
+  });
+});
+
+await suite('reconcileDatabase', async () => {
+  const since = new Date('2023-11-01T00:00:00Z'); // 1698796800
+  const history = { C1: [
+    { ts: '1700000000.000100', user: 'U1', text: valid('tracked') },
+    { ts: '1700000000.000300', user: 'U3', text: valid('bot was down') },
+    { ts: '1700000000.000400', user: 'U4', text: '@auto\nPriority: P1' }
+  ] };
+  const notionPages = [
+    page('p-ok', '1700000000.000100'),
+    page('p-gone', '1700000000.000200'),
+    page('p-old', '1690000000.000100'),
+    { id: 'p-manual', properties: {} }
+  ];
+  const run = (overrides = {}) => {
+    const slack = fakeSlack(history);
+    const notion = fakeNotion(notionPages);
+    const pages = fakePageService();
+    return { slack, notion, pages, promise: reconcileDatabase({
+      slack, notion, pages, databaseId: 'db-1', channels: ['C1'], fields: DEFAULT_FIELDS, since, logger: silent, ...overrides
+    }) };
+  };
+
+  await test('reports orphans in both directions without fixing by default', async () => {
+    const { notion, pages, promise } = run();
+    const report = await promise;
+    assert.deepEqual(report.orphans.map(o => [o.direction, o.ts, o.action]), [
+      ['notion', '1700000000.000200', 'reported'],
+      ['notion', '1690000000.000100', 'reported'],
+      ['slack', '1700000000.000300', 'reported']
+    ]);
+    assert.equal(report.untrackedPages, 1);
+    assert.equal(report.invalidMessages, 1);
+    assert.equal(report.checkedPages, 3);
+    assert.equal(notion.updates.length, 0);
+    assert.equal(pages.writes.length, 0);
+  });
+
+  await test('looks up messages older than the window individually', async () => {
+    const { slack, promise } = run();
+    await promise;
+    const lookups = slack.calls.filter(([m, p]) => m === 'history' && p.latest);
+    assert.deepEqual(lookups.map(([, p]) => p.latest), ['1690000000.000100']);
+  });
+
+  await test('looks up new replies in threads whose parent is older than the window', async () => {
+    const reply = '1700000000.000500';
+    const parent = '1690000000.000100';
+    const threadPage = page('p-reply', reply);
+    threadPage.properties['Slack Message URL'].url = `${link(reply)}?thread_ts=${parent}&cid=C1`;
+    const slack = fakeSlack(history, { lookups: { [reply]: { ts: reply, thread_ts: parent } } });
+    const notion = fakeNotion([threadPage]);
+    const report = await reconcileDatabase({
+      slack, notion, pages: fakePageService(), databaseId: 'db-1', channels: ['C1'], fields: DEFAULT_FIELDS,
+      since, includeThreads: true, fix: 'notion', logger: silent
+    });
+    assert.deepEqual(report.orphans.filter(o => o.direction === 'notion'), []);
+    assert.equal(notion.updates.length, 0);
+    assert.deepEqual(slack.calls.filter(([m]) => m === 'replies').map(([, p]) => [p.ts, p.latest]), [[parent, reply]]);
+  });
+
+  await test('fixes both directions: archives orphaned pages and imports missing ones', async () => {
+    const { notion, pages, promise } = run({ fix: 'both' });
+    const report = await promise;
+    assert.deepEqual(notion.updates, [{ page_id: 'p-gone', archived: true }, { page_id: 'p-old', archived: true }]);
+    assert.equal(pages.writes.length, 1);
+    assert.equal(pages.writes[0].slackTs, '1700000000.000300');
+    assert.deepEqual(report.orphans.map(o => o.action), ['archived', 'archived', 'imported']);
+  });
+
+  await test('fixes one direction only and honours dry run', async () => {
+    const slackOnly = run({ fix: 'slack' });
+    await slackOnly.promise;
+    assert.equal(slackOnly.notion.updates.length, 0);
+    assert.equal(slackOnly.pages.writes.length, 1);
+
+    const dry = run({ fix: 'both', dryRun: true });
+    const report = await dry.promise;
+    assert.equal(dry.notion.updates.length + dry.pages.writes.length, 0);
+    assert.deepEqual(report.orphans.map(o => o.action), ['would archive', 'would archive', 'would import']);
+  });
+
+  await test('applies the database deletion policy to orphaned pages', async () => {
+    const flagged = run({ fix: 'notion', onDeleted: { action: 'flag', property: 'Deleted in Slack', value: null } });
+    const report = await flagged.promise;
+    assert.deepEqual(flagged.notion.updates[0], { page_id: 'p-gone', properties: { 'Deleted in Slack': { checkbox: true } } });
+    assert.deepEqual(report.orphans.filter(o => o.direction === 'notion').map(o => o.action), ['flagged', 'flagged']);
+
+    const ignored = run({ fix: 'both', onDeleted: { action: 'ignore' } });
+    const kept = await ignored.promise;
+    assert.equal(ignored.notion.updates.length, 0);
+    assert.deepEqual(kept.orphans.map(o => o.action), ['reported', 'reported', 'imported']);
+  });
+
+  await test('uses a custom write for imported messages', async () => {
+    const written = [];
+    const { promise } = run({ fix: 'slack', write: async ({ message, permalink }) => { written.push([message.ts, permalink]); return { url: 'https://notion.so/custom' }; } });
+    const report = await promise;
+    assert.deepEqual(written, [['1700000000.000300', link('1700000000.000300')]]);
+    assert.equal(report.orphans.find(o => o.direction === 'slack').url, 'https://notion.so/custom');
+  });
+});
+
+await suite('formatReconcileTable', async () => {
+  await test('renders an aligned table and per-database totals', async () => {
+    const lines = formatReconcileTable([{
+      databaseId: 'db-1', since: '2025-01-01T00:00:00.000Z', checkedPages: 2, checkedMessages: 3, untrackedPages: 0, invalidMessages: 0,
+      orphans: [{ direction: 'slack', problem: 'notion_page_missing', channel: 'C1', ts: '1.000001', pageId: null, url: null, action: 'reported' }]
+    }]);
+    assert.match(lines[0], /^Direction\s+Problem\s+Channel\s+Slack TS\s+Notion page\s+Action$/);
+    assert.match(lines[2], /^Slack->Notion\s+page missing\s+C1\s+1\.000001\s+-\s+reported$/);
+    assert.match(lines[3], /db-1: 2 page\(s\) and 3 message\(s\) checked since 2025-01-01, 1 orphan\(s\)/);
+  });
+
+  await test('says so when everything matches', async () => {
+    const lines = formatReconcileTable([{ databaseId: 'db-1', since: '2025-01-01T00:00:00.000Z', checkedPages: 0, checkedMessages: 0, untrackedPages: 0, invalidMessages: 0, orphans: [] }]);
+    assert.equal(lines[0], 'No orphans found.');
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,160 @@
+/**
+ * Durable retry queue for Notion writes
+ * Failed writes (timeouts, rate limits, 5xx) are persisted through a StateStore and
+ * retried with exponential backoff and jitter; the caller decides what a retry does
+ */
+
+// Network-level failures worth retrying (connection dropped before Notion answered)
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE']);
+
+/**
+ * Checks whether a failed Notion write is worth retrying
+ * Permission and validation errors never are: retrying cannot fix them
+ * @param {Error} err - Error thrown by the Notion client or withTimeout()
+ * @returns {boolean} True for timeouts, 429, 5xx and transient network errors
+ */
+export function isRetryableNotionError(err) {
+  if (!err) {return false;}
+  if (err.name === 'TimeoutError') {return true;}
+  if (err.code === 'restricted_resource' || err.status === 401 || err.status === 403) {return false;}
+  if (err.code === 'rate_limited' || err.status === 429) {return true;}
+  if (typeof err.status === 'number' && err.status >= 500) {return true;}
+  if (['internal_server_error', 'service_unavailable', 'notionhq_client_request_timeout'].includes(err.code)) {return true;}
+  return RETRYABLE_NETWORK_CODES.has(err.code) || RETRYABLE_NETWORK_CODES.has(err.cause?.code);
+}
+
+/**
+ * Computes the delay before a retry attempt ("equal jitter" backoff)
+ * Half of the exponential delay is fixed, the other half random, so retries spread out
+ * without ever firing immediately
+ * @param {number} attempt - Attempt number that just failed (1-based)
+ * @param {Object} options - Backoff options
+ * @param {number} options.baseDelayMs - Delay after the first failure (before jitter)
+ * @param {number} options.maxDelayMs - Upper bound for the exponential delay
+ * @param {Function} [options.random=Math.random] - Random source in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+export function backoffDelay(attempt, { baseDelayMs, maxDelayMs, random = Math.random }) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempt - 1));
+  return Math.round(exponential / 2 + random() * (exponential / 2));
+}
+
+/**
+ * Queue of pending retries, mirrored to a StateStore so it survives restarts
+ * Entries are keyed by job id; enqueueing an existing id replaces its payload
+ * (e.g. the user edited the message while the first write was still queued)
+ */
+export class RetryQueue {
+  #store;
+  #logger;
+  #entries = new Map();
+  #options;
+  #now;
+
+  /**
+   * @param {Object} options - Configuration options
+   * @param {StateStore} options.store - Durable store for queue entries
+   * @param {Object} [options.logger] - Logger instance with info/warn/error methods
+   * @param {number} [options.maxAttempts=6] - Attempts (including the original write) before giving up
+   * @param {number} [options.baseDelayMs=30000] - Backoff delay after the first failure
+   * @param {number} [options.maxDelayMs=1800000] - Backoff ceiling
+   * @param {Function} [options.random] - Random source for jitter (tests)
+   * @param {Function} [options.now] - Clock (tests)
+   */
+  constructor({ store, logger = console, maxAttempts = 6, baseDelayMs = 30000, maxDelayMs = 1800000, random = Math.random, now = Date.now }) {
+    this.#store = store;
+    this.#logger = logger;
+    this.#options = { maxAttempts, baseDelayMs, maxDelayMs, random };
+    this.#now = now;
+  }
+
+  /**
+   * Number of queued jobs
+   * @returns {number} Queue size
+   */
+  get size() {
+    return this.#entries.size;
+  }
+
+  /**
+   * Restores queued jobs from the store
+   * @returns {Promise<number>} Number of restored jobs
+   */
+  async load() {
+    const saved = await this.#store.load();
+    for (const [id, entry] of Object.entries(saved)) {
+      this.#entries.set(id, entry);
+    }
+    return this.#entries.size;
+  }
+
+  /**
+   * Queues a job after its first failed attempt
+   * @param {string} id - Job id (one job per Slack message)
+   * @param {Object} payload - JSON-serializable data the retry handler needs
+   * @param {Error} [err] - Error from the failed attempt
+   * @returns {Object} Queue entry
+   */
+  enqueue(id, payload, err) {
+    const entry = {
+      id,
+      payload,
+      attempts: 1,
+      createdAt: this.#now(),
+      lastError: err?.message || null,
+      nextAttemptAt: this.#now() + backoffDelay(1, this.#options)
+    };
+    this.#entries.set(id, entry);
+    this.#persist(entry);
+    return entry;
+  }
+
+  /**
+   * Jobs whose next attempt is due
+   * @returns {Object[]} Due entries, oldest first
+   */
+  due() {
+    const now = this.#now();
+    return Array.from(this.#entries.values())
+      .filter(entry => entry.nextAttemptAt <= now)
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+  }
+
+  /**
+   * Removes a job after it succeeded (or was abandoned by the caller)
+   * @param {string} id - Job id
+   * @returns {void}
+   */
+  complete(id) {
+    this.#entries.delete(id);
+    this.#store.delete(id).catch(err => {
+      this.#logger.error?.({ error: err.message, id }, 'Failed to remove retry job');
+    });
+  }
+
+  /**
+   * Records a failed retry and schedules the next one
+   * @param {string} id - Job id
+   * @param {Error} err - Error from the attempt
+   * @returns {Object} { gaveUp, entry } - gaveUp is true (and the job removed) once maxAttempts is reached
+   */
+  recordFailure(id, err) {
+    const entry = this.#entries.get(id);
+    if (!entry) {return { gaveUp: true, entry: null };}
+    entry.attempts++;
+    entry.lastError = err?.message || null;
+    if (entry.attempts >= this.#options.maxAttempts) {
+      this.complete(id);
+      return { gaveUp: true, entry };
+    }
+    entry.nextAttemptAt = this.#now() + backoffDelay(entry.attempts, this.#options);
+    this.#persist(entry);
+    return { gaveUp: false, entry };
+  }
+
+  #persist(entry) {
+    this.#store.set(entry.id, entry).catch(err => {
+      this.#logger.error?.({ error: err.message, id: entry.id }, 'Failed to persist retry job');
+    });
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for the Notion retry queue
+ * Run with: node lib/retry-queue.test.js
+ */
+import { strict as assert } from 'assert';
+import { RetryQueue, isRetryableNotionError, backoffDelay } from './retry-queue.js';
+import { MemoryStateStore } from './state-store.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = async (name, fn) => {
+  total++;
+  try { await fn(); passed++; console.log(`  ✓ ${name}`); }
+  catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`); }
+};
+const suite = async (name, fn) => { console.log(`\n${name}:`); await fn(); };
+
+const silent = { info: () => {}, warn: () => {}, error: () => {} };
+const timeout = Object.assign(new Error('Notion pages.create timed out after 10000ms'), { name: 'TimeoutError' });
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Builds a queue with a controllable clock and no jitter
+ */
+function makeQueue(options = {}) {
+  const clock = { now: 1_000_000 };
+  const store = new MemoryStateStore('notion-retries');
+  const queue = new RetryQueue({
+    store,
+    logger: silent,
+    baseDelayMs: 1000,
+    maxDelayMs: 8000,
+    maxAttempts: 4,
+    random: () => 1,
+    now: () => clock.now,
+    ...options
+  });
+  return { queue, store, clock };
+}
+
+await suite('isRetryableNotionError', async () => {
+  await test('retries timeouts, rate limits, 5xx and network errors', async () => {
+    assert.equal(isRetryableNotionError(timeout), true);
+    assert.equal(isRetryableNotionError({ code: 'rate_limited', status: 429 }), true);
+    assert.equal(isRetryableNotionError({ code: 'service_unavailable', status: 503 }), true);
+    assert.equal(isRetryableNotionError({ status: 502 }), true);
+    assert.equal(isRetryableNotionError({ code: 'ECONNRESET' }), true);
+    assert.equal(isRetryableNotionError({ cause: { code: 'ETIMEDOUT' } }), true);
+  });
+
+  await test('never retries permission or validation errors', async () => {
+    assert.equal(isRetryableNotionError({ code: 'restricted_resource', status: 403 }), false);
+    assert.equal(isRetryableNotionError({ code: 'unauthorized', status: 401 }), false);
+    assert.equal(isRetryableNotionError({ code: 'validation_error', status: 400 }), false);
+    assert.equal(isRetryableNotionError(new Error('boom')), false);
+    assert.equal(isRetryableNotionError(null), false);
+  });
+});
+
+await suite('backoffDelay', async () => {
+  await test('doubles per attempt up to the ceiling', async () => {
+    const opts = { baseDelayMs: 1000, maxDelayMs: 8000, random: () => 1 };
+    assert.deepEqual([1, 2, 3, 4, 5].map(a => backoffDelay(a, opts)), [1000, 2000, 4000, 8000, 8000]);
+  });
+
+  await test('jitter keeps at least half the delay', async () => {
+    const opts = { baseDelayMs: 1000, maxDelayMs: 8000, random: () => 0 };
+    assert.equal(backoffDelay(3, opts), 2000);
+  });
+});
+
+await suite('RetryQueue', async () => {
+  await test('enqueued jobs become due after the backoff delay', async () => {
+    const { queue, clock } = makeQueue();
+    queue.enqueue('db:1.0', { ts: '1.0' }, timeout);
+    assert.equal(queue.size, 1);
+    assert.equal(queue.due().length, 0);
+    clock.now += 1000;
+    const [job] = queue.due();
+    assert.equal(job.id, 'db:1.0');
+    assert.equal(job.attempts, 1);
+    assert.equal(job.lastError, timeout.message);
+  });
+
+  await test('failures back off until maxAttempts, then give up', async () => {
+    const { queue, clock } = makeQueue();
+    queue.enqueue('db:1.0', { ts: '1.0' }, timeout);
+    let result = queue.recordFailure('db:1.0', timeout);
+    assert.equal(result.gaveUp, false);
+    assert.equal(result.entry.attempts, 2);
+    assert.equal(result.entry.nextAttemptAt, clock.now + 2000);
+    queue.recordFailure('db:1.0', timeout);
+    result = queue.recordFailure('db:1.0', timeout);
+    assert.equal(result.gaveUp, true);
+    assert.equal(result.entry.attempts, 4);
+    assert.equal(queue.size, 0);
+  });
+
+  await test('re-enqueueing the same message replaces the payload', async () => {
+    const { queue } = makeQueue();
+    queue.enqueue('db:1.0', { issue: 'first' }, timeout);
+    queue.recordFailure('db:1.0', timeout);
+    const entry = queue.enqueue('db:1.0', { issue: 'edited' }, timeout);
+    assert.equal(queue.size, 1);
+    assert.equal(entry.attempts, 1);
+    assert.deepEqual(entry.payload, { issue: 'edited' });
+  });
+
+  await test('persists jobs and restores them in a new instance', async () => {
+    const { queue, store, clock } = makeQueue();
+    queue.enqueue('db:1.0', { ts: '1.0', parsed: { issue: 'x' } }, timeout);
+    queue.enqueue('db:2.0', { ts: '2.0' }, timeout);
+    queue.complete('db:2.0');
+    await flush();
+
+    const restored = new RetryQueue({ store, logger: silent, now: () => clock.now });
+    assert.equal(await restored.load(), 1);
+    clock.now += 60_000;
+    assert.deepEqual(restored.due()[0].payload, { ts: '1.0', parsed: { issue: 'x' } });
+  });
+
+  await test('recordFailure on an unknown job reports gave up', async () => {
+    const { queue } = makeQueue();
+    assert.deepEqual(queue.recordFailure('missing', timeout), { gaveUp: true, entry: null });
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
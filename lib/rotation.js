@@ -0,0 +1,462 @@
+/**
+ * On-call rotation
+ * Reads a rotation file and answers who is on call at a given moment. A rotation is a YAML or
+ * JSON file with recurring handoffs and one-off shifts, or an iCal (.ics) export from a
+ * scheduling tool. Configured per database or channel with "rotationFile" in channel-mappings.json
+ */
+
+import { readFileSync, statSync } from 'fs';
+import { extname } from 'path';
+import yaml from 'js-yaml';
+import { isValidTimeZone, parseZonedDateTime, addLocalDays, zonedTimeToUtc } from './time-zone.js';
+
+const SLACK_USER = /^[UW][A-Z0-9]+$/;
+const EMAIL = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+const HANDOFF_EVERY = /^(\d+)\s*([hdw])$/i;
+
+/**
+ * Whether a rotation entry names someone the bot can resolve
+ * @param {*} value - Rotation user
+ * @returns {boolean} True for a Slack user ID (U0123ABC) or an email address
+ */
+export function isRotationUser(value) {
+  return typeof value === 'string' && (SLACK_USER.test(value) || EMAIL.test(value));
+}
+
+/**
+ * Validates the time zone of a rotation (or of one of its handoff schedules)
+ * @param {*} value - Configured zone
+ * @param {string} where - Prefix for error messages
+ * @returns {string|null} IANA time zone, or null when not set
+ * @throws {Error} If the zone is unknown
+ */
+function readTimeZone(value, where) {
+  if (value === undefined || value === null) {return null;}
+  if (!isValidTimeZone(value)) {
+    throw new Error(`${where}: unknown timeZone "${value}" (use an IANA name such as "America/New_York")`);
+  }
+  return value;
+}
+
+/**
+ * Reads a shift or handoff time
+ * @param {*} value - ISO time, with an offset or local to `timeZone`
+ * @param {string|null} timeZone - Zone for times without an offset
+ * @param {string} where - Prefix for error messages
+ * @returns {number} Epoch ms
+ * @throws {Error} If the time cannot be read
+ */
+function readTime(value, timeZone, where) {
+  const t = parseZonedDateTime(value, timeZone);
+  if (Number.isNaN(t)) {
+    throw new Error(`${where}: "${value}" is not an ISO time${timeZone ? '' : ' with an offset (or set "timeZone")'}`);
+  }
+  return t;
+}
+
+/**
+ * Validates a parsed YAML / JSON rotation
+ * @param {Object} json - Rotation definition, e.g.
+ *   { "timeZone": "America/New_York",
+ *     "handoffs": { "start": "2025-11-03 09:00", "every": "1w", "users": ["U0123ANA", "bo@example.com"] },
+ *     "shifts": [{ "user": "U0456CY", "start": "2025-11-27", "end": "2025-11-28" }] }
+ *   Shifts win over handoffs, so they double as overrides. Times without an offset are read in
+ *   `timeZone`, and handoffs keep their local time across DST changes
+ * @param {string} [context='rotation'] - Prefix for error messages
+ * @returns {Object} { timeZone, series } for onCallAt()
+ * @throws {Error} If a user, time, zone or handoff interval is invalid
+ */
+export function parseRotation(json, context = 'rotation') {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new Error(`${context} must be an object`);
+  }
+  if (json.shifts === undefined && json.handoffs === undefined) {
+    throw new Error(`${context} must have a "shifts" array or "handoffs"`);
+  }
+  if (json.shifts !== undefined && !Array.isArray(json.shifts)) {
+    throw new Error(`${context} must have a "shifts" array`);
+  }
+  const timeZone = readTimeZone(json.timeZone, context);
+
+  const shifts = (json.shifts || []).map((shift, i) => {
+    const where = `${context} shift ${i + 1}`;
+    if (!isRotationUser(shift?.user)) {
+      throw new Error(`${where}: "user" must be a Slack user ID (e.g. U0123ABC) or an email`);
+    }
+    const start = readTime(shift.start, timeZone, where);
+    const end = readTime(shift.end, timeZone, where);
+    if (end <= start) {
+      throw new Error(`${where}: end must be after start`);
+    }
+    return { users: [shift.user], start, durationMs: end - start, step: null };
+  });
+
+  const handoffs = [json.handoffs ?? []].flat().map((handoff, i) => {
+    const where = `${context} handoffs${Array.isArray(json.handoffs) ? ` ${i + 1}` : ''}`;
+    const zone = readTimeZone(handoff?.timeZone, where) || timeZone;
+    if (!Array.isArray(handoff?.users) || !handoff.users.length || !handoff.users.every(isRotationUser)) {
+      throw new Error(`${where}: "users" must be a non-empty list of Slack user IDs or emails`);
+    }
+    const every = String(handoff.every ?? '').match(HANDOFF_EVERY);
+    if (!every || Number(every[1]) < 1) {
+      throw new Error(`${where}: "every" must look like "12h", "1d" or "2w", got "${handoff.every}"`);
+    }
+    const n = Number(every[1]);
+    const unit = every[2].toLowerCase();
+    // Day and week handoffs move with the wall clock, so a zone is needed to apply DST
+    const step = unit === 'h' ? { ms: n * 3600000 } : { days: unit === 'w' ? n * 7 : n };
+    if (step.days && !zone) {
+      throw new Error(`${where}: set "timeZone" for daily or weekly handoffs`);
+    }
+    return {
+      users: [...handoff.users],
+      start: readTime(handoff.start, zone, where),
+      durationMs: null,
+      step,
+      timeZone: zone
+    };
+  });
+
+  return { timeZone, series: [...shifts, ...handoffs] };
+}
+
+/**
+ * Splits an unfolded iCal content line into name, parameters and value
+ * @param {string} line - e.g. "DTSTART;TZID=America/New_York:20251103T090000"
+ * @returns {Object|null} { name, params, value }
+ */
+function icalLine(line) {
+  const m = line.match(/^([A-Za-z0-9-]+)((?:;[^:;]+=(?:"[^"]*"|[^:;]*))*):(.*)$/);
+  if (!m) {return null;}
+  const params = {};
+  for (const param of m[2].split(';').slice(1)) {
+    const eq = param.indexOf('=');
+    params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"|"$/g, '');
+  }
+  return { name: m[1].toUpperCase(), params, value: m[3] };
+}
+
+/**
+ * Reads an iCal DATE or DATE-TIME value
+ * @param {string} value - "20251103T090000Z", "20251103T090000" or "20251103"
+ * @param {Object} params - Property parameters (TZID, VALUE)
+ * @param {string|null} timeZone - Calendar zone for floating times
+ * @param {string} where - Prefix for error messages
+ * @returns {number} Epoch ms
+ * @throws {Error} If the value or its zone cannot be read
+ */
+function icalTime(value, params, timeZone, where) {
+  const m = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/i);
+  if (!m) {
+    throw new Error(`${where}: cannot read time "${value}"`);
+  }
+  const [year, month, day, hour = 0, minute = 0, second = 0] = m.slice(1, 7).map(v => Number(v ?? 0));
+  if (m[7]) {
+    return Date.UTC(year, month - 1, day, hour, minute, second);
+  }
+  const zone = params.TZID || timeZone;
+  if (!zone || !isValidTimeZone(zone)) {
+    throw new Error(`${where}: "${value}" needs a known TZID or X-WR-TIMEZONE${zone ? ` (got "${zone}")` : ''}`);
+  }
+  return zonedTimeToUtc({ year, month, day, hour, minute, second }, zone);
+}
+
+/**
+ * Reads an iCal DURATION value
+ * @param {string} value - e.g. "PT12H", "P7D", "P1W", "P1DT6H"
+ * @returns {number} Duration in ms, or NaN
+ */
+function icalDuration(value) {
+  const m = value.trim().match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i);
+  if (!m) {return NaN;}
+  const [w = 0, d = 0, h = 0, min = 0, s = 0] = m.slice(1).map(v => Number(v ?? 0));
+  return ((((w * 7 + d) * 24 + h) * 60 + min) * 60 + s) * 1000;
+}
+
+/**
+ * Finds who an iCal event is for
+ * @param {Object} props - Event properties by name
+ * @returns {string|null} Slack user ID from SUMMARY/DESCRIPTION, else an attendee or mentioned email
+ */
+function icalUser(props) {
+  const text = [props.SUMMARY, props.DESCRIPTION].flat().filter(Boolean).map(p => p.value).join(' ');
+  const slackId = text.match(/<@([UW][A-Z0-9]+)>/)?.[1] || text.match(/\b([UW][A-Z0-9]{8,})\b/)?.[1];
+  if (slackId) {return slackId;}
+  const attendee = [props.ATTENDEE].flat().filter(Boolean).map(p => p.value.replace(/^mailto:/i, ''))[0];
+  return attendee || text.match(/[^\s@<>:;,()]+@[^\s@<>:;,()]+\.[A-Za-z]{2,}/)?.[0] || null;
+}
+
+/**
+ * Converts an iCal RRULE to a rotation step
+ * Only plain daily and weekly repeats are supported (INTERVAL, COUNT and UNTIL)
+ * @param {string} rule - e.g. "FREQ=WEEKLY;INTERVAL=2;UNTIL=20260101T000000Z"
+ * @param {string|null} timeZone - Zone of the event
+ * @param {string} where - Prefix for error messages
+ * @returns {Object} { step, count, until }
+ * @throws {Error} For other frequencies or BY* rules
+ */
+function icalRepeat(rule, timeZone, where) {
+  const parts = Object.fromEntries(rule.split(';').map(p => p.split('=')).map(([k, v]) => [k.toUpperCase(), v]));
+  if (!['DAILY', 'WEEKLY'].includes(parts.FREQ?.toUpperCase())) {
+    throw new Error(`${where}: RRULE FREQ=${parts.FREQ} is not supported (use DAILY or WEEKLY)`);
+  }
+  const unsupported = Object.keys(parts).filter(k => !['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'WKST'].includes(k));
+  if (unsupported.length) {
+    throw new Error(`${where}: RRULE ${unsupported.join(', ')} is not supported (export the shifts as separate events)`);
+  }
+  const interval = Number(parts.INTERVAL || 1);
+  const days = (parts.FREQ.toUpperCase() === 'WEEKLY' ? 7 : 1) * interval;
+  return {
+    step: timeZone ? { days } : { ms: days * 86400000 },
+    count: parts.COUNT ? Number(parts.COUNT) : null,
+    until: parts.UNTIL ? icalTime(parts.UNTIL, {}, timeZone || 'UTC', where) : null
+  };
+}
+
+/**
+ * Parses an iCal (.ics) on-call calendar
+ * Each VEVENT is a shift for the Slack user ID in its SUMMARY or DESCRIPTION (e.g. "On call <@U0123ABC>"),
+ * or else its ATTENDEE email. Single events and moved occurrences win over repeating ones
+ * @param {string} text - Calendar file contents
+ * @param {string} [context='calendar'] - Prefix for error messages
+ * @returns {Object} { timeZone, series } for onCallAt()
+ * @throws {Error} If the calendar has no events or an event cannot be read
+ */
+export function parseICalendar(text, context = 'calendar') {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  if (!/^BEGIN:VCALENDAR$/i.test(lines[0]?.trim() || '')) {
+    throw new Error(`${context} is not an iCal file (expected BEGIN:VCALENDAR)`);
+  }
+  let timeZone = null;
+  const events = [];
+  let event = null;
+  for (const raw of lines) {
+    const line = icalLine(raw.trim());
+    if (!line) {continue;}
+    if (line.name === 'BEGIN' && line.value.toUpperCase() === 'VEVENT') {
+      event = {};
+    } else if (line.name === 'END' && line.value.toUpperCase() === 'VEVENT' && event) {
+      events.push(event);
+      event = null;
+    } else if (event) {
+      event[line.name] = event[line.name] ? [event[line.name], line].flat() : line;
+    } else if (line.name === 'X-WR-TIMEZONE' && isValidTimeZone(line.value.trim())) {
+      timeZone = line.value.trim();
+    }
+  }
+  if (!events.length) {
+    throw new Error(`${context} has no events`);
+  }
+
+  const moved = new Map(); // UID -> RECURRENCE-ID instants replaced by their own event
+  const single = [];
+  const repeating = [];
+  events.forEach((props, i) => {
+    const where = `${context} event ${i + 1}${props.SUMMARY ? ` ("${[props.SUMMARY].flat()[0].value}")` : ''}`;
+    if ([props.STATUS].flat()[0]?.value?.toUpperCase() === 'CANCELLED') {return;}
+    if (!props.DTSTART) {
+      throw new Error(`${where}: missing DTSTART`);
+    }
+    const zone = props.DTSTART.params.TZID || timeZone;
+    const start = icalTime(props.DTSTART.value, props.DTSTART.params, timeZone, where);
+    const allDay = props.DTSTART.params.VALUE === 'DATE' || /^\d{8}$/.test(props.DTSTART.value.trim());
+    const end = props.DTEND
+      ? icalTime(props.DTEND.value, props.DTEND.params, timeZone, where)
+      : start + (props.DURATION ? icalDuration(props.DURATION.value) : allDay ? 86400000 : NaN);
+    if (!(end > start)) {
+      throw new Error(`${where}: needs a DTEND or DURATION after DTSTART`);
+    }
+    const user = icalUser(props);
+    if (!user) {
+      throw new Error(`${where}: no Slack user ID (<@U0123ABC>) in SUMMARY or DESCRIPTION and no ATTENDEE email`);
+    }
+    const uid = props.UID?.value;
+    if (props['RECURRENCE-ID'] && uid) {
+      const replaced = icalTime(props['RECURRENCE-ID'].value, props['RECURRENCE-ID'].params, timeZone, where);
+      moved.set(uid, [...(moved.get(uid) || []), replaced]);
+    }
+    const series = { users: [user], start, durationMs: end - start, step: null, timeZone: zone, uid };
+    if (props.RRULE && !props['RECURRENCE-ID']) {
+      Object.assign(series, icalRepeat(props.RRULE.value, zone, where));
+      series.exdates = [props.EXDATE].flat().filter(Boolean)
+        .flatMap(p => p.value.split(',').map(v => icalTime(v, p.params, timeZone, where)));
+      repeating.push(series);
+    } else {
+      single.push(series);
+    }
+  });
+  for (const series of repeating) {
+    series.exdates.push(...(moved.get(series.uid) || []));
+  }
+  return { timeZone, series: [...single, ...repeating] };
+}
+
+/**
+ * Start of the k-th occurrence of a series
+ * @param {Object} series - Rotation series
+ * @param {number} k - Occurrence index
+ * @returns {number} Epoch ms
+ */
+function occurrenceStart(series, k) {
+  return series.step.days
+    ? addLocalDays(series.start, k * series.step.days, series.timeZone)
+    : series.start + k * series.step.ms;
+}
+
+/**
+ * Whether the k-th occurrence of a series exists
+ * @param {Object} series - Rotation series
+ * @param {number} k - Occurrence index
+ * @param {number} start - Its start (epoch ms)
+ * @returns {boolean} False past COUNT/UNTIL or for excluded dates
+ */
+function occurs(series, k, start) {
+  if (k < 0 || (series.count && k >= series.count) || (series.until && start > series.until)) {return false;}
+  return !series.exdates?.includes(start);
+}
+
+/**
+ * Occurrence of a series covering a moment
+ * @param {Object} series - Rotation series
+ * @param {number} t - Moment (epoch ms)
+ * @returns {Object|null} { user, start, end }
+ */
+function occurrenceAt(series, t) {
+  if (t < series.start) {return null;}
+  if (!series.step) {
+    return t < series.start + series.durationMs ? { user: series.users[0], start: series.start, end: series.start + series.durationMs } : null;
+  }
+  const approxMs = series.step.ms || series.step.days * 86400000;
+  const guess = Math.floor((t - series.start) / approxMs);
+  // DST shifts day-based starts by an hour at most, so the occurrence is next to the guess
+  for (const k of [guess + 1, guess, guess - 1]) {
+    const start = occurrenceStart(series, k);
+    if (k < 0 || start > t) {continue;}
+    if (!occurs(series, k, start)) {return null;}
+    const end = series.durationMs === null ? occurrenceStart(series, k + 1) : start + series.durationMs;
+    return t < end ? { user: series.users[k % series.users.length], start, end } : null;
+  }
+  return null;
+}
+
+/**
+ * First occurrence of a series starting after a moment
+ * @param {Object} series - Rotation series
+ * @param {number} t - Moment (epoch ms)
+ * @returns {number|null} Start (epoch ms), or null when the series has ended
+ */
+function nextStartAfter(series, t) {
+  if (!series.step) {
+    return series.start > t ? series.start : null;
+  }
+  const approxMs = series.step.ms || series.step.days * 86400000;
+  let k = Math.max(0, Math.floor((t - series.start) / approxMs) - 1);
+  // A few steps past the guess, plus room for excluded dates
+  for (let tries = 0; tries < 370; tries++, k++) {
+    const start = occurrenceStart(series, k);
+    if ((series.count && k >= series.count) || (series.until && start > series.until)) {return null;}
+    if (start > t && occurs(series, k, start)) {return start;}
+  }
+  return null;
+}
+
+/**
+ * Finds who is on call at a moment
+ * @param {Object} rotation - Rotation from parseRotation() or parseICalendar()
+ * @param {Date|number} [when=new Date()] - Moment to look up
+ * @returns {Object|null} { user, start, end }, or null when nobody is scheduled
+ */
+export function onCallAt(rotation, when = new Date()) {
+  const t = when instanceof Date ? when.getTime() : when;
+  for (const series of rotation.series) {
+    const shift = occurrenceAt(series, t);
+    if (shift) {return shift;}
+  }
+  return null;
+}
+
+/**
+ * First shift boundary after a moment where someone other than `user` is on call (or nobody)
+ * Overrides can start or end in the middle of a recurring shift, so every series' boundaries count
+ * @param {Object} rotation - Rotation from parseRotation() or parseICalendar()
+ * @param {number} t - Moment (epoch ms)
+ * @param {string|null} user - Who is on call at `t`
+ * @returns {Object|null} { at, shift }, or null when the schedule does not change again
+ */
+function changeAfter(rotation, t, user) {
+  let cursor = t;
+  for (let i = 0; i < 100; i++) {
+    const boundaries = rotation.series.map(series => nextStartAfter(series, cursor));
+    const shift = onCallAt(rotation, cursor);
+    if (shift) {boundaries.push(shift.end);}
+    const later = boundaries.filter(b => b !== null && b > cursor);
+    if (!later.length) {return null;}
+    cursor = Math.min(...later);
+    const next = onCallAt(rotation, cursor);
+    if ((next?.user ?? null) !== user) {return { at: cursor, shift: next };}
+  }
+  return null;
+}
+
+/**
+ * Who is on call at a moment and who takes over next
+ * @param {Object} rotation - Rotation from parseRotation() or parseICalendar()
+ * @param {Date|number} [when=new Date()] - Moment to look up
+ * @returns {Object} { current, next }: { user, start, end } or null each, with `end` cut short
+ *   where an override takes over
+ */
+export function onCallSchedule(rotation, when = new Date()) {
+  const t = when instanceof Date ? when.getTime() : when;
+  const current = onCallAt(rotation, t);
+  let change = changeAfter(rotation, t, current?.user ?? null);
+  const now = current && { ...current, end: change ? change.at : current.end };
+  // Skip gaps where nobody is scheduled
+  while (change && !change.shift) {
+    change = changeAfter(rotation, change.at, null);
+  }
+  if (!change) {
+    return { current: now, next: null };
+  }
+  const handback = changeAfter(rotation, change.at, change.shift.user);
+  return { current: now, next: { ...change.shift, start: change.at, end: handback ? handback.at : change.shift.end } };
+}
+
+const cache = new Map(); // path -> { version, rotation }
+
+/**
+ * Reads and validates a rotation file (.ics, .yaml / .yml or .json)
+ * Re-read when the file changes, so schedule edits apply without a restart
+ * @param {string} filePath - Path to the rotation file
+ * @returns {Object} Rotation from parseRotation() or parseICalendar()
+ * @throws {Error} If the file is missing, cannot be parsed or is invalid
+ */
+export function loadRotation(filePath) {
+  let text;
+  let version;
+  try {
+    const { mtimeMs, size } = statSync(filePath);
+    version = `${mtimeMs}:${size}`;
+    const cached = cache.get(filePath);
+    if (cached?.version === version) {return cached.rotation;}
+    text = readFileSync(filePath, 'utf8');
+  } catch (err) {
+    throw new Error(`Cannot read rotation file ${filePath}: ${err.message}`);
+  }
+  const context = `Rotation file ${filePath}`;
+  const ext = extname(filePath).toLowerCase();
+  let rotation;
+  if (ext === '.ics' || /^\s*BEGIN:VCALENDAR/i.test(text)) {
+    rotation = parseICalendar(text, context);
+  } else {
+    let json;
+    try {
+      // CORE_SCHEMA keeps times as strings; YAML's own timestamps would drop the zone
+      json = ext === '.yaml' || ext === '.yml' ? yaml.load(text, { schema: yaml.CORE_SCHEMA }) : JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Cannot read rotation file ${filePath}: ${err.message}`);
+    }
+    rotation = parseRotation(json, context);
+  }
+  cache.set(filePath, { version, rotation });
+  return rotation;
+}
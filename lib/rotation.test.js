@@ -0,0 +1,150 @@
+/**
+ * Unit tests for the on-call rotation
+ * Run with: node lib/rotation.test.js
+ */
+import { strict as assert } from 'assert';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseRotation, parseICalendar, loadRotation, onCallAt, onCallSchedule } from './rotation.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = (name, fn) => { total++; try { fn(); passed++; console.log(`  ✓ ${name}`); } catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`);} };
+const suite = (name, fn) => { console.log(`\n${name}:`); fn(); };
+
+const shifts = [
+  { user: 'U2', start: '2025-11-10T09:00:00-05:00', end: '2025-11-17T09:00:00-05:00' },
+  { user: 'U1', start: '2025-11-03T09:00:00-05:00', end: '2025-11-10T09:00:00-05:00' }
+];
+const at = iso => new Date(iso);
+
+suite('parseRotation', () => {
+  test('finds who is on call at handoff times', () => {
+    const rotation = parseRotation({ shifts });
+    assert.equal(onCallAt(rotation, at('2025-11-10T13:59:59Z')).user, 'U1');
+    assert.equal(onCallAt(rotation, at('2025-11-10T14:00:00Z')).user, 'U2');
+    assert.equal(onCallAt(rotation, at('2025-12-01T00:00:00Z')), null);
+  });
+
+  test('weekly handoffs keep their local time across DST, and shifts override them', () => {
+    const rotation = parseRotation({
+      timeZone: 'America/New_York',
+      handoffs: { start: '2025-10-27 09:00', every: '1w', users: ['U1', 'U2', 'bo@example.com'] },
+      shifts: [{ user: 'U9', start: '2025-11-05', end: '2025-11-06' }]
+    });
+    // Oct 27 09:00 EDT is 13:00Z; Nov 3 09:00 EST (after the change) is 14:00Z
+    assert.equal(onCallAt(rotation, at('2025-10-27T13:00:00Z')).user, 'U1');
+    assert.equal(onCallAt(rotation, at('2025-11-03T13:59:00Z')).user, 'U1');
+    const second = onCallAt(rotation, at('2025-11-03T14:00:00Z'));
+    assert.deepEqual([second.user, new Date(second.end).toISOString()], ['U2', '2025-11-10T14:00:00.000Z']);
+    assert.equal(onCallAt(rotation, at('2025-11-05T12:00:00Z')).user, 'U9');
+    assert.equal(onCallAt(rotation, at('2025-11-12T12:00:00Z')).user, 'bo@example.com');
+    assert.equal(onCallAt(rotation, at('2025-11-19T12:00:00Z')).user, 'U1');
+    assert.equal(onCallAt(rotation, at('2025-10-01T12:00:00Z')), null);
+  });
+
+  test('reports the next handoff, including overrides that start mid-shift', () => {
+    const rotation = parseRotation({
+      timeZone: 'America/New_York',
+      handoffs: { start: '2025-11-03 09:00', every: '1w', users: ['U1', 'U2'] },
+      shifts: [{ user: 'U9', start: '2025-11-05', end: '2025-11-06' }]
+    });
+    const { current, next } = onCallSchedule(rotation, at('2025-11-04T12:00:00Z'));
+    assert.equal(current.user, 'U1');
+    assert.deepEqual([next.user, new Date(next.start).toISOString()], ['U9', '2025-11-05T05:00:00.000Z']);
+    assert.equal(current.end, next.start);
+    assert.equal(new Date(next.end).toISOString(), '2025-11-06T05:00:00.000Z');
+    const after = onCallSchedule(rotation, at('2025-11-05T12:00:00Z'));
+    assert.deepEqual([after.current.user, after.next.user], ['U9', 'U1']);
+    assert.deepEqual(onCallSchedule(parseRotation({ shifts }), at('2025-11-20T00:00:00Z')), { current: null, next: null });
+  });
+
+  test('rejects invalid users, times, zones and intervals', () => {
+    assert.throws(() => parseRotation({}), /"shifts" array or "handoffs"/);
+    assert.throws(() => parseRotation({ shifts: [{ ...shifts[0], user: 'ana' }] }), /shift 1: "user" must be a Slack user ID/);
+    assert.throws(() => parseRotation({ shifts: [{ ...shifts[0], start: '2025-11-10T09:00:00' }] }), /with an offset \(or set "timeZone"\)/);
+    assert.throws(() => parseRotation({ shifts: [{ ...shifts[0], end: shifts[0].start }] }), /end must be after start/);
+    assert.throws(() => parseRotation({ timeZone: 'Eastern', shifts }), /unknown timeZone "Eastern"/);
+    assert.throws(() => parseRotation({ handoffs: { start: '2025-11-03T09:00Z', every: 'weekly', users: ['U1'] } }), /"every" must look like/);
+    assert.throws(() => parseRotation({ handoffs: { start: '2025-11-03T09:00Z', every: '1w', users: ['U1'] } }), /set "timeZone" for daily or weekly handoffs/);
+  });
+});
+
+suite('parseICalendar', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'X-WR-TIMEZONE:America/New_York',
+    'BEGIN:VEVENT',
+    'UID:weekly',
+    'SUMMARY:Primary on call',
+    'DTSTART;TZID=America/New_York:20251027T090000',
+    'DTEND;TZID=America/New_York:20251103T090000',
+    'RRULE:FREQ=WEEKLY;INTERVAL=2;COUNT=3',
+    'ATTENDEE;CN=Ana:mailto:ana@example.com',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:cover',
+    'SUMMARY:Cover <@U0COVER99>',
+    'DTSTART:20251029T000000Z',
+    'DURATION:PT12H',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:day',
+    'SUMMARY:Holiday',
+    'DESCRIPTION:Backup U0BACKUP99',
+    'DTSTART;VALUE=DATE:20251110',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+
+  test('reads events, repeats, durations and all-day events', () => {
+    const rotation = parseICalendar(ics);
+    assert.equal(rotation.timeZone, 'America/New_York');
+    assert.equal(onCallAt(rotation, at('2025-10-28T12:00:00Z')).user, 'ana@example.com');
+    assert.equal(onCallAt(rotation, at('2025-10-29T06:00:00Z')).user, 'U0COVER99');
+    assert.equal(onCallAt(rotation, at('2025-11-05T12:00:00Z')), null); // every other week
+    assert.equal(onCallAt(rotation, at('2025-11-10T12:00:00Z')).user, 'U0BACKUP99');
+    assert.equal(onCallAt(rotation, at('2025-11-11T12:00:00Z')).user, 'ana@example.com');
+    assert.equal(onCallAt(rotation, at('2025-12-09T12:00:00Z')), null); // COUNT=3 ended
+  });
+
+  test('rejects events it cannot follow', () => {
+    assert.throws(() => parseICalendar('hello'), /not an iCal file/);
+    assert.throws(() => parseICalendar(ics.replace('INTERVAL=2;', 'BYDAY=MO;')), /RRULE BYDAY is not supported/);
+    assert.throws(() => parseICalendar(ics.replace('ATTENDEE;CN=Ana:mailto:ana@example.com', 'LOCATION:Remote')), /event 1 \("Primary on call"\): no Slack user ID/);
+  });
+});
+
+suite('loadRotation', () => {
+  test('reads YAML and JSON files and picks up edits', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'rotation-'));
+    try {
+      const yamlFile = join(dir, 'rotation.yaml');
+      writeFileSync(yamlFile, [
+        'timeZone: Europe/Berlin',
+        'handoffs:',
+        '  start: 2025-11-03T09:00',
+        '  every: 12h',
+        '  users: [U1, U2]'
+      ].join('\n'));
+      assert.equal(onCallAt(loadRotation(yamlFile), at('2025-11-03T20:00:00Z')).user, 'U2');
+
+      const file = join(dir, 'rotation.json');
+      writeFileSync(file, JSON.stringify({ shifts }));
+      assert.equal(loadRotation(file).series.length, 2);
+      writeFileSync(file, '{');
+      assert.throws(() => loadRotation(file), /Cannot read rotation file/);
+      assert.throws(() => loadRotation(join(dir, 'missing.ics')), /Cannot read rotation file .*missing\.ics/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
@@ -8,16 +8,20 @@ export class NotionSchemaCache {
   #lastLoaded = 0;
   #ttl;
   #logger;
+  #onRefresh;
 
   /**
    * Creates a new schema cache
    * @param {Object} options - Configuration options
    * @param {number} [options.ttl=3600000] - Time to live in milliseconds (default: 1 hour)
    * @param {Object} [options.logger] - Logger instance with debug/info methods
+   * @param {Function} [options.onRefresh] - Called with (schema, previousSchema) after each load;
+   *   errors it throws are logged, not propagated
    */
-  constructor({ ttl = 3600000, logger = console } = {}) {
+  constructor({ ttl = 3600000, logger = console, onRefresh = null } = {}) {
     this.#ttl = ttl;
     this.#logger = logger;
+    this.#onRefresh = onRefresh;
   }
 
   /**
@@ -51,6 +55,7 @@ export class NotionSchemaCache {
    */
   async refresh(fetchFn, forced = false) {
     const startTime = Date.now();
+    const previous = this.#schema;
     this.#schema = await fetchFn();
     this.#lastLoaded = Date.now();
     
@@ -61,6 +66,14 @@ export class NotionSchemaCache {
       loadTime,
       forced
     }, 'Schema loaded and cached');
+
+    if (this.#onRefresh) {
+      try {
+        await this.#onRefresh(this.#schema, previous);
+      } catch (err) {
+        this.#logger.error?.({ error: err.message }, 'Schema refresh hook failed');
+      }
+    }
   }
 
   /**
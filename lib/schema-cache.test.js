@@ -40,6 +40,15 @@ suite('NotionSchemaCache', () => {
     cache.clear();
     assert.equal(cache.getCurrent(), null);
   });
+
+  test('passes the new and previous schema to onRefresh', async () => {
+    const seen = [];
+    const cache = new NotionSchemaCache({ ttl: 1000, logger: {}, onRefresh: (schema, previous) => { seen.push([schema, previous]); throw new Error('ignored'); } });
+    await cache.refresh(async () => ({ v: 1 }));
+    await cache.refresh(async () => ({ v: 2 }), true);
+    assert.deepEqual(seen, [[{ v: 1 }, null], [{ v: 2 }, { v: 1 }]]);
+    assert.deepEqual(cache.getCurrent(), { v: 2 });
+  });
 });
 
 console.log(`\n${'='.repeat(60)}`);
@@ -0,0 +1,127 @@
+/**
+ * Notion schema drift detection
+ * Compares a database's live properties with what the bot expects to write: the intake
+ * field definitions, the Slack tracking columns and the deletion flag property.
+ * Reports missing, renamed and retyped properties so a renamed "Customer" or a
+ * "Needed by" turned into text is noticed before writes start failing
+ */
+
+import { trackingColumns } from './notion-pages.js';
+import { closestOption } from './select-options.js';
+import { deletedPageUpdate } from './message-deleted.js';
+import { NOTION_FIELDS } from './constants.js';
+
+/**
+ * Notion property types each field type can be written to (see setProp())
+ * Text fields are written to anything editable except dates
+ */
+export const EXPECTED_TYPES = Object.freeze({
+  text: ['title', 'rich_text', 'select', 'multi_select', 'status', 'relation', 'people', 'phone_number', 'email', 'url', 'number', 'checkbox'],
+  select: ['select', 'multi_select', 'status'],
+  email: ['email', 'rich_text'],
+  date: ['date'],
+  links: ['url', 'rich_text']
+});
+
+/**
+ * Builds the drift report for one database
+ * Renames are recognised by property ID when the previous schema is known (cache refresh),
+ * otherwise a similarly named, unused property of a compatible type is suggested
+ * @param {Object} params - Function parameters
+ * @param {string} params.databaseId - Notion database ID
+ * @param {string} [params.title] - Database title, for messages
+ * @param {Object} params.byName - Live properties (schema.byName or propertiesByName())
+ * @param {Object[]} params.fields - Field definitions for the database
+ * @param {Object} [params.onMessageDeleted] - Deletion policy from the database settings
+ * @param {Object} [params.previousByName] - Properties before the refresh, for rename detection
+ * @returns {Object} { databaseId, title, ok, problems, checkedAt }; each problem has
+ *   kind (missing, renamed, retyped, tracking, deletion), property and message
+ */
+export function schemaReport({ databaseId, title = null, byName, fields, onMessageDeleted, previousByName }) {
+  const problems = [];
+  const claimed = new Set(fields.map(f => f.property.toLowerCase()));
+  const { slackUrlProp, slackTsProp } = trackingColumns(byName);
+  for (const prop of [slackUrlProp, slackTsProp]) {
+    if (prop) {claimed.add(prop.name.toLowerCase());}
+  }
+
+  for (const field of fields) {
+    const expected = EXPECTED_TYPES[field.type] || EXPECTED_TYPES.text;
+    const meta = byName[field.property.toLowerCase()];
+    if (meta) {
+      if (!expected.includes(meta.type)) {
+        problems.push({
+          kind: 'retyped',
+          property: meta.name,
+          expected,
+          actual: meta.type,
+          message: `"${meta.name}" is a ${meta.type} property; the ${field.label} field needs ${expected.join(' or ')}`
+        });
+      }
+      continue;
+    }
+
+    const previous = previousByName?.[field.property.toLowerCase()];
+    const byId = previous && Object.values(byName).find(p => p.id === previous.id);
+    if (byId) {
+      problems.push({
+        kind: 'renamed',
+        property: field.property,
+        renamedTo: byId.name,
+        message: `"${field.property}" was renamed to "${byId.name}"; update the field's "property" or rename it back`
+      });
+      continue;
+    }
+    const unclaimed = Object.values(byName).filter(p => !claimed.has(p.name.toLowerCase()) && expected.includes(p.type));
+    const similar = closestOption(field.property, unclaimed.map(p => p.name));
+    problems.push({
+      kind: 'missing',
+      property: field.property,
+      suggestion: similar,
+      message: `"${field.property}" (${field.label}) is missing` + (similar ? `; was it renamed to "${similar}"?` : '')
+    });
+  }
+
+  if (!slackUrlProp && !slackTsProp) {
+    problems.push({
+      kind: 'tracking',
+      property: NOTION_FIELDS.SLACK_MESSAGE_TS,
+      message: `No "${NOTION_FIELDS.SLACK_MESSAGE_URL}" (URL or Text) or "${NOTION_FIELDS.SLACK_MESSAGE_TS}" (Text or Number) column; edits and deletions cannot find pages`
+    });
+  }
+
+  if (onMessageDeleted?.action === 'flag') {
+    try {
+      deletedPageUpdate(onMessageDeleted, { byName });
+    } catch (err) {
+      problems.push({ kind: 'deletion', property: onMessageDeleted.property, message: err.message });
+    }
+  }
+
+  return { databaseId, title, ok: problems.length === 0, problems, checkedAt: new Date().toISOString() };
+}
+
+/**
+ * Stable summary of a report's problems, to alert only when they change
+ * @param {Object} report - Output of schemaReport()
+ * @returns {string} Signature ('' when there is no drift)
+ */
+export function driftSignature(report) {
+  return (report?.problems || []).map(p => `${p.kind}:${p.property}:${p.renamedTo || p.actual || ''}`).sort().join('|');
+}
+
+/**
+ * Formats a drift report as a Slack message for the admin channel
+ * @param {Object} report - Output of schemaReport() with problems
+ * @param {string} [dbUrl] - Link to the database
+ * @returns {string} mrkdwn text
+ */
+export function formatDriftAlert(report, dbUrl) {
+  const name = report.title || report.databaseId;
+  const heading = dbUrl ? `<${dbUrl}|${name}>` : name;
+  return [
+    `*Notion schema drift in ${heading}*`,
+    ...report.problems.map(p => `• ${p.message}`),
+    'Issues filed in the mapped channels may fail or lose these fields until the database or the field definitions are fixed.'
+  ].join('\n');
+}
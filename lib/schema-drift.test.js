@@ -0,0 +1,81 @@
+/**
+ * Unit tests for Notion schema drift detection
+ * Run with: node lib/schema-drift.test.js
+ */
+import { strict as assert } from 'assert';
+import { schemaReport, driftSignature, formatDriftAlert } from './schema-drift.js';
+import { propertiesByName } from './notion-pages.js';
+import { DEFAULT_FIELDS } from './field-schema.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = (name, fn) => { total++; try { fn(); passed++; console.log(`  ✓ ${name}`); } catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`);} };
+const suite = (name, fn) => { console.log(`\n${name}:`); fn(); };
+
+const properties = {
+  Issue: { id: 'i', type: 'title' },
+  Priority: { id: 'p', type: 'select' },
+  'How to replicate': { id: 'h', type: 'rich_text' },
+  Customer: { id: 'c', type: 'rich_text' },
+  '1Password': { id: 'o', type: 'email' },
+  'Needed by': { id: 'n', type: 'date' },
+  'Relevant Links': { id: 'l', type: 'url' },
+  'Slack Message TS': { id: 's', type: 'rich_text' }
+};
+const reportFor = (props, extra = {}) => schemaReport({ databaseId: 'db-1', title: 'Incidents', byName: propertiesByName({ properties: props }), fields: DEFAULT_FIELDS, ...extra });
+const without = (name, props = properties) => Object.fromEntries(Object.entries(props).filter(([n]) => n !== name));
+
+suite('schemaReport', () => {
+  test('passes a matching database', () => {
+    const report = reportFor(properties);
+    assert.equal(report.ok, true);
+    assert.deepEqual(report.problems, []);
+    assert.equal(driftSignature(report), '');
+  });
+
+  test('reports retyped properties', () => {
+    const report = reportFor({ ...properties, 'Needed by': { id: 'n', type: 'rich_text' } });
+    assert.deepEqual(report.problems.map(p => [p.kind, p.property, p.actual]), [['retyped', 'Needed by', 'rich_text']]);
+    assert.match(report.problems[0].message, /the Needed by field needs date$/);
+  });
+
+  test('suggests similarly named properties for missing ones', () => {
+    const report = reportFor({ ...without('Customer'), Customers: { id: 'c', type: 'rich_text' } });
+    assert.deepEqual(report.problems.map(p => [p.kind, p.property, p.suggestion]), [['missing', 'Customer', 'Customers']]);
+    assert.match(report.problems[0].message, /was it renamed to "Customers"\?/);
+    assert.equal(reportFor(without('Customer')).problems[0].suggestion, null);
+  });
+
+  test('recognises renames by property id after a refresh', () => {
+    const previousByName = propertiesByName({ properties });
+    const report = reportFor({ ...without('Customer'), Client: { id: 'c', type: 'rich_text' } }, { previousByName });
+    assert.deepEqual(report.problems.map(p => [p.kind, p.property, p.renamedTo]), [['renamed', 'Customer', 'Client']]);
+  });
+
+  test('reports missing tracking columns and deletion flag property', () => {
+    const report = reportFor(without('Slack Message TS'), { onMessageDeleted: { action: 'flag', property: 'Deleted in Slack', value: null } });
+    assert.deepEqual(report.problems.map(p => p.kind), ['tracking', 'deletion']);
+    assert.match(report.problems[1].message, /no "Deleted in Slack" property/);
+  });
+});
+
+suite('alerts', () => {
+  test('signature changes only with the problems', () => {
+    const a = reportFor(without('Customer'));
+    const b = reportFor(without('Customer'));
+    assert.equal(driftSignature(a), driftSignature(b));
+    assert.notEqual(driftSignature(a), driftSignature(reportFor(without('Issue'))));
+  });
+
+  test('formats an admin message with one line per problem', () => {
+    const text = formatDriftAlert(reportFor(without('Customer')), 'https://notion.so/db');
+    assert.match(text, /^\*Notion schema drift in <https:\/\/notion\.so\/db\|Incidents>\*\n• "Customer" \(Customer\) is missing\n/);
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
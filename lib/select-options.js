@@ -0,0 +1,131 @@
+/**
+ * Select option policies
+ * Checks values headed for Notion select, multi-select and status columns against the
+ * options the database already has, per field:
+ * - create:  unknown values become new options (Notion's default behaviour)
+ * - strict:  unknown values are rejected with the list of valid options
+ * - closest: obvious typos are corrected to the nearest option; anything else is rejected
+ * Values differing from an option only in case, spacing or formatting always use the option's spelling
+ */
+
+import { DEFAULT_OPTION_POLICY, fieldLabel } from './field-schema.js';
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+import { mrkdwnToPlainText } from './mrkdwn.js';
+import { splitValues } from './notion-pages.js';
+
+const OPTION_TYPES = ['select', 'multi_select', 'status'];
+
+/**
+ * Comparable form of a value or option (formatting, case and whitespace removed)
+ * @param {string} value - Value or option name
+ * @returns {string} Normalized value
+ */
+function normalize(value) {
+  return mrkdwnToPlainText(String(value)).toLowerCase().replace(/\s+/g, '');
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Finds the option a value most likely meant
+ * A typo is at most one edit for short values (up to 4 characters) and two otherwise;
+ * when two options are equally close the value is ambiguous and nothing is returned
+ * @param {string} value - Value as typed
+ * @param {string[]} options - Option names
+ * @returns {string|null} Option name, or null when none is close enough
+ */
+export function closestOption(value, options) {
+  const wanted = normalize(value);
+  if (!wanted) {return null;}
+  const limit = wanted.length <= 4 ? 1 : 2;
+  let best = null;
+  let bestDistance = Infinity;
+  let tied = false;
+  for (const option of options) {
+    const distance = editDistance(wanted, normalize(option));
+    if (distance < bestDistance) {
+      best = option;
+      bestDistance = distance;
+      tied = false;
+    } else if (distance === bestDistance) {
+      tied = true;
+    }
+  }
+  return best !== null && bestDistance <= limit && !tied ? best : null;
+}
+
+/**
+ * Applies the fields' option policies to a parsed message
+ * Only fields written to a select, multi-select or status column are checked. Notion cannot
+ * create status options through the API, so status columns treat `create` as `strict`
+ * @param {Object} parsed - Parsed message data from parseAutoBlock()
+ * @param {Object[]} fields - Field definitions (optionPolicy per field)
+ * @param {Object} schema - Database schema from getSchema() (options per property)
+ * @param {string} [locale=DEFAULT_LOCALE] - Locale of the issue messages
+ * @returns {Object} { parsed, issues, corrections }
+ * @returns {Object} returns.parsed - Copy of parsed with exact option names and corrections applied
+ * @returns {Object[]} returns.issues - { field, message } per rejected field (message as for typeIssues())
+ * @returns {Object[]} returns.corrections - { field, property, from, to } per closest-match fix
+ */
+export function checkSelectOptions(parsed, fields, schema, locale = DEFAULT_LOCALE) {
+  const result = { parsed: { ...parsed }, issues: [], corrections: [] };
+
+  for (const field of fields) {
+    const value = parsed[field.key];
+    const meta = schema?.byName[field.property.toLowerCase()];
+    if (!value || typeof value !== 'string' || !meta || !OPTION_TYPES.includes(meta.type)) {continue;}
+
+    const policy = meta.type === 'status' && (field.optionPolicy || DEFAULT_OPTION_POLICY) === 'create'
+      ? 'strict'
+      : (field.optionPolicy || DEFAULT_OPTION_POLICY);
+    const options = meta.options.map(o => o.name);
+    const values = meta.type === 'multi_select' ? splitValues(value) : [mrkdwnToPlainText(value).trim()];
+    const accepted = [];
+    const unknown = [];
+
+    for (const typed of values) {
+      const exact = options.find(o => normalize(o) === normalize(typed));
+      const closest = !exact && policy === 'closest' ? closestOption(typed, options) : null;
+      if (exact) {
+        accepted.push(exact);
+      } else if (closest) {
+        accepted.push(closest);
+        result.corrections.push({ field: field.label, property: meta.name, from: typed, to: closest });
+      } else if (policy === 'create') {
+        accepted.push(typed);
+      } else {
+        unknown.push(typed);
+      }
+    }
+
+    if (unknown.length) {
+      result.issues.push({
+        field,
+        message: translate(locale, 'optionInvalid', {
+          label: fieldLabel(field, locale),
+          values: unknown.map(v => `"${v}"`).join(', '),
+          options: options.length ? options.join(', ') : translate(locale, 'optionsNone')
+        })
+      });
+    }
+    result.parsed[field.key] = accepted.join(', ');
+  }
+
+  return result;
+}
@@ -0,0 +1,92 @@
+/**
+ * Unit tests for select option policies
+ * Run with: node lib/select-options.test.js
+ */
+import { strict as assert } from 'assert';
+import { closestOption, checkSelectOptions } from './select-options.js';
+import { schemaFromDatabase } from './notion-pages.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = (name, fn) => { total++; try { fn(); passed++; console.log(`  ✓ ${name}`); } catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`);} };
+const suite = (name, fn) => { console.log(`\n${name}:`); fn(); };
+
+const options = (...names) => names.map(name => ({ name }));
+const schema = schemaFromDatabase({
+  properties: {
+    Issue: { type: 'title' },
+    Team: { type: 'select', select: { options: options('Billing', 'Payments', 'Platform') } },
+    Tags: { type: 'multi_select', multi_select: { options: options('API', 'SSO', 'Mobile') } },
+    Stage: { type: 'status', status: { options: options('Triage', 'In progress', 'Done') } },
+    Notes: { type: 'rich_text' },
+    'Slack Message TS': { type: 'rich_text' }
+  }
+});
+const field = (label, optionPolicy) => ({ key: label.toLowerCase(), label, property: label, type: 'text', optionPolicy });
+
+suite('closestOption', () => {
+  test('fixes small typos', () => {
+    assert.equal(closestOption('Biling', ['Billing', 'Payments']), 'Billing');
+    assert.equal(closestOption('paymnets', ['Billing', 'Payments']), 'Payments');
+  });
+
+  test('refuses distant or ambiguous values', () => {
+    assert.equal(closestOption('Shipping', ['Billing', 'Payments']), null);
+    assert.equal(closestOption('P3', ['P0', 'P1', 'P2']), null);
+    assert.equal(closestOption('', ['P0']), null);
+  });
+});
+
+suite('checkSelectOptions', () => {
+  test('create keeps new values and uses the existing spelling', () => {
+    const { parsed, issues, corrections } = checkSelectOptions({ team: 'billing', tags: 'api, Web' }, [field('Team'), field('Tags')], schema);
+    assert.deepEqual(parsed, { team: 'Billing', tags: 'API, Web' });
+    assert.deepEqual(issues, []);
+    assert.deepEqual(corrections, []);
+  });
+
+  test('strict rejects unknown values with the valid options', () => {
+    const { issues } = checkSelectOptions({ team: 'Biling', tags: 'API, Web, Desktop' }, [field('Team', 'strict'), field('Tags', 'strict')], schema);
+    assert.equal(issues.length, 2);
+    assert.equal(issues[0].field.label, 'Team');
+    assert.equal(issues[0].message, 'Team must be one of the existing options.\nGot: "Biling"\nValid options: Billing, Payments, Platform');
+    assert.match(issues[1].message, /Got: "Web", "Desktop"/);
+  });
+
+  test('closest corrects typos and reports what it changed', () => {
+    const { parsed, issues, corrections } = checkSelectOptions(
+      { team: '*Paymnets*', tags: 'Mobil, api' },
+      [field('Team', 'closest'), field('Tags', 'closest')],
+      schema
+    );
+    assert.deepEqual(parsed, { team: 'Payments', tags: 'Mobile, API' });
+    assert.deepEqual(issues, []);
+    assert.deepEqual(corrections, [
+      { field: 'Team', property: 'Team', from: 'Paymnets', to: 'Payments' },
+      { field: 'Tags', property: 'Tags', from: 'Mobil', to: 'Mobile' }
+    ]);
+  });
+
+  test('closest still rejects values with no near option', () => {
+    const { issues } = checkSelectOptions({ team: 'Logistics' }, [field('Team', 'closest')], schema);
+    assert.match(issues[0].message, /Got: "Logistics"/);
+  });
+
+  test('status columns never create options', () => {
+    const { issues } = checkSelectOptions({ stage: 'Blocked' }, [field('Stage')], schema);
+    assert.match(issues[0].message, /^Stage must be one of the existing options/);
+  });
+
+  test('leaves other columns and empty values alone', () => {
+    const parsed = { notes: 'Biling', team: '' };
+    assert.deepEqual(checkSelectOptions(parsed, [field('Notes', 'strict'), field('Team', 'strict'), field('Missing', 'strict')], schema),
+      { parsed, issues: [], corrections: [] });
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
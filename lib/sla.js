@@ -0,0 +1,215 @@
+/**
+ * SLA tracking
+ * Open issues are held to their Needed by date: the thread gets a reminder before it is due,
+ * another when it is missed, and then one every few hours until the page reaches a done status.
+ * Issues filed without a Needed by get a per-priority default SLA (e.g. P0 within 4 hours)
+ * instead of the generic 30-day default.
+ * Defaults come from SLA_* environment variables; "sla" in channel-mappings.json overrides them per database
+ */
+
+import { NOTION_FIELDS } from './constants.js';
+import { parseDuration, formatDuration } from './duration.js';
+import { issuePriority } from './field-schema.js';
+import { addWorkingTime, calendarTimeZone } from './business-calendar.js';
+import icons from './ascii-icons.js';
+
+/**
+ * Values used for keys a policy leaves out (durations as written in configuration)
+ */
+export const SLA_DEFAULTS = Object.freeze({
+  remindBefore: ['1h'],
+  repeatAfterBreach: '4h',
+  priorityDefaults: { P0: '4h', P1: '1d', P2: '3d' },
+  doneStatuses: ['Done', 'Resolved', 'Closed', 'Won\'t fix']
+});
+
+/**
+ * Parses per-priority durations from an environment variable
+ * @param {string} [raw] - Comma-separated `priority=duration` pairs (e.g. "P0=4h,P1=1d,P2=3d")
+ * @param {string} [name='SLA_PRIORITY_DEFAULTS'] - Variable name for error messages
+ * @returns {Object} Priority -> duration text, validated by normalizeSlaPolicy() or normalizeAsapPolicy()
+ * @throws {Error} If a pair has no "="
+ */
+export function parsePriorityDurations(raw, name = 'SLA_PRIORITY_DEFAULTS') {
+  const durations = {};
+  for (const pair of String(raw || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [priority, duration] = pair.split('=').map(s => s?.trim());
+    if (!priority || !duration) {
+      throw new Error(`${name}: expected "priority=duration" pairs, got "${pair}"`);
+    }
+    durations[priority] = duration;
+  }
+  return durations;
+}
+
+/**
+ * Validates an SLA policy
+ * Keys missing from `raw` are taken from `base`; with an empty base only the keys given are returned,
+ * which is how per-database overrides are kept until they are merged onto the environment defaults
+ * @param {Object} [raw] - e.g. { "remindBefore": ["4h", "1h"], "repeatAfterBreach": "4h",
+ *   "priorityDefaults": { "P0": "4h", "P1": "1d" }, "doneStatuses": ["Done", "Won't fix"] }
+ * @param {string} [context='sla'] - Prefix for error messages
+ * @param {Object} [base=SLA_DEFAULTS] - Values for keys `raw` leaves out
+ * @returns {Object} { remindBefore (ms, largest first), repeatAfterBreach (ms, 0 = no repeats),
+ *   priorityDefaults ({ priority: ms }), doneStatuses }
+ * @throws {Error} If a key has the wrong type or a duration cannot be read
+ */
+export function normalizeSlaPolicy(raw = {}, context = 'sla', base = SLA_DEFAULTS) {
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    throw new Error(`${context} must be an object`);
+  }
+  const source = { ...base, ...raw };
+  const duration = (value, key) => {
+    const ms = parseDuration(value);
+    if (Number.isNaN(ms)) {
+      throw new Error(`${context} ${key} must be a duration like "30m", "4h" or "1d" (got ${JSON.stringify(value)})`);
+    }
+    return ms;
+  };
+  const policy = {};
+
+  if (source.remindBefore !== undefined) {
+    const list = Array.isArray(source.remindBefore) ? source.remindBefore : [source.remindBefore];
+    policy.remindBefore = [...new Set(list.map(v => duration(v, 'remindBefore')).filter(ms => ms > 0))].sort((a, b) => b - a);
+  }
+  if (source.repeatAfterBreach !== undefined) {
+    policy.repeatAfterBreach = source.repeatAfterBreach === false ? 0 : duration(source.repeatAfterBreach, 'repeatAfterBreach');
+  }
+  if (source.priorityDefaults !== undefined) {
+    if (typeof source.priorityDefaults !== 'object' || source.priorityDefaults === null || Array.isArray(source.priorityDefaults)) {
+      throw new Error(`${context} priorityDefaults must be an object of priority -> duration`);
+    }
+    policy.priorityDefaults = {};
+    for (const [priority, value] of Object.entries(source.priorityDefaults)) {
+      const ms = duration(value, `priorityDefaults.${priority}`);
+      if (ms > 0) {policy.priorityDefaults[priority.trim()] = ms;}
+    }
+  }
+  if (source.doneStatuses !== undefined) {
+    if (!Array.isArray(source.doneStatuses) || source.doneStatuses.some(s => typeof s !== 'string' || !s.trim())) {
+      throw new Error(`${context} doneStatuses must be a list of Status values`);
+    }
+    policy.doneStatuses = source.doneStatuses.map(s => s.trim());
+  }
+  return policy;
+}
+
+/**
+ * Field holding the Needed by date: the "Needed by" date field, else the first date field
+ * @param {Object[]} fields - Field definitions of the database
+ * @returns {Object|null} Field definition, or null when the form has no date field
+ */
+export function neededByField(fields) {
+  const dates = fields.filter(f => f.type === 'date');
+  return dates.find(f => f.property.toLowerCase() === NOTION_FIELDS.NEEDED_BY.toLowerCase()) || dates[0] || null;
+}
+
+/**
+ * Default SLA for a priority (case-insensitive)
+ * @param {Object} policy - SLA policy
+ * @param {string|null} priority - Issue priority
+ * @returns {number|null} Milliseconds, or null when the priority has no default
+ */
+export function prioritySla(policy, priority) {
+  if (!priority) {return null;}
+  const match = Object.entries(policy.priorityDefaults || {}).find(([p]) => p.toLowerCase() === priority.toLowerCase());
+  return match ? match[1] : null;
+}
+
+/**
+ * Replaces a defaulted Needed by (the message had none) with the priority's SLA from the post time
+ * With a business calendar the SLA counts working time only, like ASAP
+ * @param {Object} parsed - Parsed issue data
+ * @param {Object[]} fields - Field definitions of the database
+ * @param {Object|null} policy - SLA policy (null: SLA tracking is off)
+ * @param {Date} postedAt - When the Slack message was posted
+ * @param {Object} [options] - Options
+ * @param {Object|null} [options.calendar=null] - Business calendar of the database (see lib/business-calendar.js)
+ * @param {string|null} [options.timeZone=null] - Reporter's IANA time zone, for calendars without their own
+ * @returns {Object} Parsed data, copied with the new date when a priority default applied
+ */
+export function applyPrioritySla(parsed, fields, policy, postedAt, { calendar = null, timeZone = null } = {}) {
+  const field = neededByField(fields);
+  if (!policy || !field || parsed[`${field.key}Raw`]) {return parsed;}
+  const ms = prioritySla(policy, issuePriority(parsed, fields));
+  if (!ms) {return parsed;}
+  const due = calendar
+    ? addWorkingTime(postedAt, ms, calendar, calendarTimeZone(calendar, timeZone))
+    : new Date(postedAt.getTime() + ms);
+  return { ...parsed, [field.key]: due };
+}
+
+/**
+ * Notion query filter for open pages due within the largest reminder threshold
+ * @param {Object} params - Function parameters
+ * @param {Object} params.neededBy - Needed by property metadata from the schema
+ * @param {Object|null} params.status - Status property metadata (null: every page counts as open)
+ * @param {Object} params.policy - SLA policy
+ * @param {number} params.now - Epoch ms
+ * @param {number} params.createdAfter - Epoch ms; older pages are not followed
+ * @returns {Object} Filter for databases.query
+ */
+export function slaQueryFilter({ neededBy, status, policy, now, createdAfter }) {
+  const horizon = now + (policy.remindBefore[0] || 0);
+  const and = [
+    { property: neededBy.name, date: { on_or_before: new Date(horizon).toISOString() } },
+    { timestamp: 'created_time', created_time: { on_or_after: new Date(createdAfter).toISOString() } }
+  ];
+  if (status && (status.type === 'status' || status.type === 'select')) {
+    for (const value of policy.doneStatuses) {
+      and.push({ property: status.name, [status.type]: { does_not_equal: value } });
+    }
+  }
+  return { and };
+}
+
+/**
+ * Picks the reminder that is due for an open issue, if any
+ * Before the deadline this is the smallest threshold already reached; from the deadline on, the
+ * breach notice and then one reminder per repeatAfterBreach. Reminders missed while the bot was
+ * down are not replayed: only the latest one goes out.
+ * @param {Object} params - Function parameters
+ * @param {number} params.due - Needed by, epoch ms
+ * @param {number} params.now - Epoch ms
+ * @param {Object} params.policy - SLA policy
+ * @param {string[]} [params.sent=[]] - Keys of reminders already posted for this due date
+ * @returns {Object|null} { key, kind ('before' | 'breach' | 'overdue'), ms (time left or overdue), firstBreach }, or null
+ */
+export function nextSlaReminder({ due, now, policy, sent = [] }) {
+  if (now < due) {
+    const left = due - now;
+    const threshold = [...policy.remindBefore].reverse().find(ms => left <= ms);
+    if (threshold === undefined) {return null;}
+    const key = `before:${threshold}`;
+    return sent.includes(key) ? null : { key, kind: 'before', ms: left, firstBreach: false };
+  }
+  const overdue = now - due;
+  const repeats = policy.repeatAfterBreach ? Math.floor(overdue / policy.repeatAfterBreach) : 0;
+  const key = repeats === 0 ? 'breach' : `overdue:${repeats}`;
+  if (sent.includes(key)) {return null;}
+  const firstBreach = !sent.some(k => k === 'breach' || k.startsWith('overdue:'));
+  return { key, kind: repeats === 0 ? 'breach' : 'overdue', ms: overdue, firstBreach };
+}
+
+/**
+ * Formats a reminder for the issue's thread
+ * @param {Object} params - Function parameters
+ * @param {Object} params.reminder - Reminder from nextSlaReminder()
+ * @param {number} params.due - Needed by, epoch ms
+ * @param {string} [params.pageUrl] - Notion page URL
+ * @param {string} [params.mentions=''] - Mentions of the assignees
+ * @returns {string} mrkdwn text
+ */
+export function formatSlaReminder({ reminder, due, pageUrl, mentions = '' }) {
+  const seconds = Math.floor(due / 1000);
+  const when = `<!date^${seconds}^{date_short_pretty} at {time}|${new Date(due).toISOString()}>`;
+  const page = pageUrl ? ` <${pageUrl}|Notion page>` : '';
+  const who = mentions ? ` ${mentions}` : '';
+  if (reminder.kind === 'before') {
+    return `${icons.emojiAlarm} *Due in ${formatDuration(reminder.ms)}* (Needed by ${when}).${who}${page}`;
+  }
+  if (reminder.kind === 'breach') {
+    return `${icons.emojiBang} *SLA breached*: this was needed by ${when} and is still open.${who}${page}`;
+  }
+  return `${icons.emojiBang} *Still open, ${formatDuration(reminder.ms)} past Needed by* (${when}).${who}${page}`;
+}
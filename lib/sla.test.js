@@ -0,0 +1,134 @@
+/**
+ * Unit tests for SLA tracking
+ * Run with: node lib/sla.test.js
+ */
+import { strict as assert } from 'assert';
+import {
+  parsePriorityDurations,
+  normalizeSlaPolicy,
+  applyPrioritySla,
+  slaQueryFilter,
+  nextSlaReminder,
+  formatSlaReminder
+} from './sla.js';
+import { DEFAULT_FIELDS } from './field-schema.js';
+import { normalizeBusinessCalendar } from './business-calendar.js';
+import { formatDuration } from './duration.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = (name, fn) => { total++; try { fn(); passed++; console.log(`  ✓ ${name}`); } catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`);} };
+const suite = (name, fn) => { console.log(`\n${name}:`); fn(); };
+
+const H = 3600000;
+const policy = normalizeSlaPolicy({ remindBefore: ['1h', '4h'] });
+
+suite('normalizeSlaPolicy', () => {
+  test('fills in defaults and keeps overrides partial with an empty base', () => {
+    assert.deepEqual(policy, {
+      remindBefore: [4 * H, H],
+      repeatAfterBreach: 4 * H,
+      priorityDefaults: { P0: 4 * H, P1: 24 * H, P2: 72 * H },
+      doneStatuses: ['Done', 'Resolved', 'Closed', 'Won\'t fix']
+    });
+    assert.deepEqual(normalizeSlaPolicy({ repeatAfterBreach: 0 }, 'sla', {}), { repeatAfterBreach: 0 });
+    assert.deepEqual(parsePriorityDurations('P0=2h, P1 = 1d'), { P0: '2h', P1: '1d' });
+  });
+
+  test('rejects invalid policies', () => {
+    assert.throws(() => normalizeSlaPolicy([]), /sla must be an object/);
+    assert.throws(() => normalizeSlaPolicy({ remindBefore: ['1 hour'] }, 'Database "db" sla'), /^Error: Database "db" sla remindBefore must be a duration/);
+    assert.throws(() => normalizeSlaPolicy({ priorityDefaults: { P0: 'soon' } }), /priorityDefaults\.P0 must be a duration/);
+    assert.throws(() => normalizeSlaPolicy({ doneStatuses: 'Done' }), /doneStatuses must be a list/);
+    assert.throws(() => parsePriorityDurations('P0:4h'), /expected "priority=duration" pairs/);
+  });
+});
+
+suite('applyPrioritySla', () => {
+  const postedAt = new Date('2025-11-03T14:00:00Z');
+  const defaulted = { priority: 'p0', needed: new Date('2025-12-03T22:00:00Z'), neededRaw: '', neededValid: true };
+
+  test('replaces a defaulted Needed by with the priority SLA from the post time', () => {
+    assert.equal(applyPrioritySla(defaulted, DEFAULT_FIELDS, policy, postedAt).needed.toISOString(), '2025-11-03T18:00:00.000Z');
+    assert.equal(defaulted.needed.toISOString(), '2025-12-03T22:00:00.000Z'); // not modified in place
+  });
+
+  test('keeps dates people gave, priorities without a default and disabled SLAs', () => {
+    const given = { ...defaulted, neededRaw: 'ASAP' };
+    assert.equal(applyPrioritySla(given, DEFAULT_FIELDS, policy, postedAt), given);
+    assert.equal(applyPrioritySla({ ...defaulted, priority: 'P3' }, DEFAULT_FIELDS, policy, postedAt).needed, defaulted.needed);
+    assert.equal(applyPrioritySla(defaulted, DEFAULT_FIELDS, null, postedAt), defaulted);
+  });
+
+  test('counts working time only with a business calendar', () => {
+    const calendar = normalizeBusinessCalendar({ timeZone: 'America/New_York', hours: '09:00-17:00' });
+    // Friday Nov 7 16:30 New York: 30 minutes left on Friday, 3.5 hours on Monday
+    const friday = new Date('2025-11-07T21:30:00Z');
+    assert.equal(applyPrioritySla(defaulted, DEFAULT_FIELDS, policy, friday, { calendar }).needed.toISOString(), '2025-11-10T17:30:00.000Z');
+    assert.equal(applyPrioritySla(defaulted, DEFAULT_FIELDS, policy, friday).needed.toISOString(), '2025-11-08T01:30:00.000Z');
+  });
+});
+
+suite('nextSlaReminder', () => {
+  const due = Date.parse('2025-11-03T18:00:00Z');
+  const at = hours => due + hours * H;
+
+  test('reminds at each threshold, at the breach and every repeatAfterBreach', () => {
+    const sent = [];
+    const step = hours => {
+      const reminder = nextSlaReminder({ due, now: at(hours), policy, sent });
+      if (reminder) {sent.push(reminder.key);}
+      return reminder && [reminder.kind, reminder.firstBreach];
+    };
+    assert.equal(step(-5), null);
+    assert.deepEqual(step(-3.5), ['before', false]);
+    assert.equal(step(-2), null);
+    assert.deepEqual(step(-0.5), ['before', false]);
+    assert.equal(step(-0.25), null);
+    assert.deepEqual(step(0), ['breach', true]);
+    assert.equal(step(3), null);
+    assert.deepEqual(step(4), ['overdue', false]);
+    assert.deepEqual(step(8.5), ['overdue', false]);
+    assert.deepEqual(sent, [`before:${4 * H}`, `before:${H}`, 'breach', 'overdue:1', 'overdue:2']);
+  });
+
+  test('only sends the latest reminder after a gap, and counts the breach once', () => {
+    const late = nextSlaReminder({ due, now: at(9), policy });
+    assert.deepEqual([late.key, late.firstBreach, formatDuration(late.ms)], ['overdue:2', true, '9h']);
+    const once = nextSlaReminder({ due, now: at(1), policy: { ...policy, repeatAfterBreach: 0 }, sent: ['breach'] });
+    assert.equal(once, null);
+  });
+});
+
+suite('Notion query and messages', () => {
+  test('filters open pages due within the largest threshold', () => {
+    const now = Date.parse('2025-11-03T14:00:00Z');
+    const filter = slaQueryFilter({
+      neededBy: { name: 'Needed by', type: 'date' },
+      status: { name: 'Status', type: 'status' },
+      policy: { ...policy, doneStatuses: ['Done'] },
+      now,
+      createdAfter: now - 24 * H
+    });
+    assert.deepEqual(filter.and, [
+      { property: 'Needed by', date: { on_or_before: '2025-11-03T18:00:00.000Z' } },
+      { timestamp: 'created_time', created_time: { on_or_after: '2025-11-02T14:00:00.000Z' } },
+      { property: 'Status', status: { does_not_equal: 'Done' } }
+    ]);
+  });
+
+  test('formats reminders with a local date and the assignees', () => {
+    const due = Date.parse('2025-11-03T18:00:00Z');
+    const text = formatSlaReminder({ reminder: { kind: 'before', ms: 45 * 60000 }, due, pageUrl: 'https://notion.so/p', mentions: '<@U1>' });
+    assert.match(text, /\*Due in 45m\* \(Needed by <!date\^1762192800\^\{date_short_pretty\} at \{time\}\|2025-11-03T18:00:00\.000Z>\)\. <@U1> <https:\/\/notion\.so\/p\|Notion page>$/);
+    assert.match(formatSlaReminder({ reminder: { kind: 'breach', ms: 0 }, due }), /\*SLA breached\*: this was needed by .* and is still open\.$/);
+    assert.match(formatSlaReminder({ reminder: { kind: 'overdue', ms: 8 * H }, due }), /\*Still open, 8h past Needed by\*/);
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
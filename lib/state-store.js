@@ -0,0 +1,193 @@
+/**
+ * Durable key/value state persistence
+ * Lets in-memory work queues (pending findings checks, etc.) survive restarts
+ *
+ * Backends implement the StateStore interface:
+ *   load()            -> Promise<Object>  all entries keyed by id
+ *   set(key, value)   -> Promise<void>    insert or replace one entry
+ *   delete(key)       -> Promise<void>    remove one entry (no-op if missing)
+ *   clear()           -> Promise<void>    remove every entry
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { join, dirname } from 'path';
+
+/**
+ * Base class for state store backends
+ * Concrete stores must override every method
+ */
+export class StateStore {
+  /**
+   * @param {string} namespace - Logical collection name (e.g. 'pending-checks')
+   */
+  constructor(namespace) {
+    this.namespace = namespace;
+  }
+
+  /**
+   * Loads every persisted entry
+   * @returns {Promise<Object>} Entries keyed by id
+   */
+  async load() {
+    throw new Error(`${this.constructor.name}: Must implement load() method`);
+  }
+
+  /**
+   * Persists a single entry
+   * @param {string} _key - Entry id
+   * @param {Object} _value - JSON-serializable entry
+   * @returns {Promise<void>}
+   */
+  async set(_key, _value) {
+    throw new Error(`${this.constructor.name}: Must implement set() method`);
+  }
+
+  /**
+   * Removes a single entry
+   * @param {string} _key - Entry id
+   * @returns {Promise<void>}
+   */
+  async delete(_key) {
+    throw new Error(`${this.constructor.name}: Must implement delete() method`);
+  }
+
+  /**
+   * Removes every entry in the namespace
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    throw new Error(`${this.constructor.name}: Must implement clear() method`);
+  }
+}
+
+/**
+ * Non-durable store, used when persistence is disabled and in tests
+ */
+export class MemoryStateStore extends StateStore {
+  #entries = new Map();
+
+  async load() {
+    return Object.fromEntries(this.#entries);
+  }
+
+  async set(key, value) {
+    this.#entries.set(key, JSON.parse(JSON.stringify(value)));
+  }
+
+  async delete(key) {
+    this.#entries.delete(key);
+  }
+
+  async clear() {
+    this.#entries.clear();
+  }
+}
+
+/**
+ * Stores one namespace as a JSON file on local disk
+ * Writes are serialized and go through a temp file + rename so a crash
+ * mid-write never leaves a truncated file behind
+ */
+export class JsonFileStateStore extends StateStore {
+  #filePath;
+  #entries = null;
+  #loading = null;
+  #writeChain = Promise.resolve();
+  #logger;
+
+  /**
+   * @param {string} namespace - Logical collection name, used as the file name
+   * @param {Object} options - Configuration options
+   * @param {string} options.dir - Directory that holds the state files
+   * @param {Object} [options.logger] - Logger instance with warn/error methods
+   */
+  constructor(namespace, { dir, logger = console } = {}) {
+    super(namespace);
+    this.#filePath = join(dir, `${namespace}.json`);
+    this.#logger = logger;
+  }
+
+  /**
+   * Path of the backing JSON file
+   * @returns {string} Absolute or cwd-relative file path
+   */
+  get filePath() {
+    return this.#filePath;
+  }
+
+  async load() {
+    if (!this.#entries) {
+      // Share one read between concurrent callers so none of them clobbers another's write
+      this.#loading ??= this.#readFile().then(entries => { this.#entries = entries; });
+      await this.#loading;
+    }
+    return { ...this.#entries };
+  }
+
+  async set(key, value) {
+    await this.load();
+    this.#entries[key] = JSON.parse(JSON.stringify(value));
+    await this.#flush();
+  }
+
+  async delete(key) {
+    await this.load();
+    if (!(key in this.#entries)) {
+      return;
+    }
+    delete this.#entries[key];
+    await this.#flush();
+  }
+
+  async clear() {
+    this.#entries = {};
+    await this.#flush();
+  }
+
+  async #readFile() {
+    try {
+      const raw = await readFile(this.#filePath, 'utf8');
+      const json = JSON.parse(raw);
+      return json && typeof json === 'object' && !Array.isArray(json) ? json : {};
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.#logger.warn?.({ error: err.message, file: this.#filePath }, 'Ignoring unreadable state file');
+      }
+      return {};
+    }
+  }
+
+  #flush() {
+    const snapshot = JSON.stringify(this.#entries, null, 2);
+    const tmpPath = `${this.#filePath}.tmp`;
+    this.#writeChain = this.#writeChain
+      .catch(() => {})
+      .then(async () => {
+        await mkdir(dirname(this.#filePath), { recursive: true });
+        await writeFile(tmpPath, snapshot, 'utf8');
+        await rename(tmpPath, this.#filePath);
+      });
+    return this.#writeChain;
+  }
+}
+
+/**
+ * Creates a state store for a namespace using the configured backend
+ * @param {string} namespace - Logical collection name (e.g. 'pending-checks')
+ * @param {Object} options - Configuration options (see config.state)
+ * @param {string} [options.driver='file'] - Backend: 'file' or 'memory'
+ * @param {string} [options.dir] - Directory for the file backend
+ * @param {Object} [options.logger] - Logger instance
+ * @returns {StateStore} Store instance
+ * @throws {Error} If the driver is unknown
+ */
+export function createStateStore(namespace, { driver = 'file', dir, logger } = {}) {
+  switch (driver) {
+    case 'file':
+      return new JsonFileStateStore(namespace, { dir, logger });
+    case 'memory':
+      return new MemoryStateStore(namespace);
+    default:
+      throw new Error(`Unknown state store driver: ${driver}`);
+  }
+}
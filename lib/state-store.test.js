@@ -0,0 +1,111 @@
+/**
+ * Unit tests for state store backends
+ * Run with: node lib/state-store.test.js
+ */
+import { strict as assert } from 'assert';
+import { mkdtemp, readFile, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { StateStore, MemoryStateStore, JsonFileStateStore, createStateStore } from './state-store.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = async (name, fn) => {
+  total++;
+  try { await fn(); passed++; console.log(`  ✓ ${name}`); }
+  catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`); }
+};
+const suite = async (name, fn) => { console.log(`\n${name}:`); await fn(); };
+
+const dir = await mkdtemp(join(tmpdir(), 'state-store-test-'));
+const silent = { warn: () => {}, error: () => {} };
+
+await suite('MemoryStateStore', async () => {
+  await test('set, load and delete entries', async () => {
+    const store = new MemoryStateStore('x');
+    await store.set('a', { n: 1 });
+    await store.set('b', { n: 2 });
+    await store.delete('a');
+    assert.deepEqual(await store.load(), { b: { n: 2 } });
+  });
+
+  await test('stores copies, not references', async () => {
+    const store = new MemoryStateStore('x');
+    const entry = { checkCount: 0 };
+    await store.set('a', entry);
+    entry.checkCount = 5;
+    assert.equal((await store.load()).a.checkCount, 0);
+  });
+});
+
+await suite('JsonFileStateStore', async () => {
+  await test('persists entries across instances', async () => {
+    const first = new JsonFileStateStore('pending', { dir, logger: silent });
+    await first.set('page-1', { slackChannel: 'C1', checkCount: 2, createdAt: 123 });
+    await first.set('page-2', { slackChannel: 'C2', checkCount: 0, createdAt: 456 });
+    await first.delete('page-2');
+
+    const second = new JsonFileStateStore('pending', { dir, logger: silent });
+    assert.deepEqual(await second.load(), {
+      'page-1': { slackChannel: 'C1', checkCount: 2, createdAt: 123 }
+    });
+  });
+
+  await test('creates the state directory on first write', async () => {
+    const nested = join(dir, 'nested', 'deeper');
+    const store = new JsonFileStateStore('ns', { dir: nested, logger: silent });
+    await store.set('k', { v: true });
+    const raw = JSON.parse(await readFile(store.filePath, 'utf8'));
+    assert.deepEqual(raw, { k: { v: true } });
+  });
+
+  await test('treats a missing file as empty', async () => {
+    const store = new JsonFileStateStore('does-not-exist', { dir, logger: silent });
+    assert.deepEqual(await store.load(), {});
+  });
+
+  await test('treats a corrupt file as empty', async () => {
+    await writeFile(join(dir, 'corrupt.json'), '{not json', 'utf8');
+    const store = new JsonFileStateStore('corrupt', { dir, logger: silent });
+    assert.deepEqual(await store.load(), {});
+  });
+
+  await test('concurrent writes all land', async () => {
+    const store = new JsonFileStateStore('concurrent', { dir, logger: silent });
+    await Promise.all([1, 2, 3, 4, 5].map(i => store.set(`k${i}`, { i })));
+    const reread = new JsonFileStateStore('concurrent', { dir, logger: silent });
+    assert.equal(Object.keys(await reread.load()).length, 5);
+  });
+
+  await test('clear removes every entry', async () => {
+    const store = new JsonFileStateStore('cleared', { dir, logger: silent });
+    await store.set('a', {});
+    await store.clear();
+    const reread = new JsonFileStateStore('cleared', { dir, logger: silent });
+    assert.deepEqual(await reread.load(), {});
+  });
+});
+
+await suite('createStateStore', async () => {
+  await test('builds the configured backend', async () => {
+    assert(createStateStore('x', { driver: 'file', dir }) instanceof JsonFileStateStore);
+    assert(createStateStore('x', { driver: 'memory' }) instanceof MemoryStateStore);
+  });
+
+  await test('rejects unknown drivers', async () => {
+    assert.throws(() => createStateStore('x', { driver: 'redis' }), /Unknown state store driver/);
+  });
+
+  await test('base class methods must be implemented', async () => {
+    await assert.rejects(new StateStore('x').load(), /Must implement load/);
+  });
+});
+
+await rm(dir, { recursive: true, force: true });
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
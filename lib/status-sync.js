@@ -0,0 +1,138 @@
+/**
+ * Notion -> Slack status sync helpers
+ * Snapshots the watched properties of a tracked Notion page, diffs snapshots
+ * and formats the short thread update posted when someone changes the page in Notion
+ */
+
+import { NOTION_FIELDS } from './constants.js';
+
+/**
+ * Properties watched when STATUS_SYNC_PROPERTIES is not set
+ */
+export const DEFAULT_WATCHED_PROPERTIES = [NOTION_FIELDS.STATUS, NOTION_FIELDS.ASSIGNEE, NOTION_FIELDS.PRIORITY];
+
+/**
+ * Default Status value -> Slack reaction name (matched case-insensitively)
+ * Databases can override this with "statusReactions" in channel-mappings.json
+ */
+export const DEFAULT_STATUS_REACTIONS = Object.freeze({
+  'not started': 'hourglass_flowing_sand',
+  'triage': 'mag',
+  'in progress': 'eyes',
+  'blocked': 'no_entry',
+  'done': 'white_check_mark',
+  'resolved': 'white_check_mark',
+  'closed': 'white_check_mark',
+  "won't fix": 'no_entry_sign'
+});
+
+/**
+ * Extracts a comparable, JSON-serializable value from a Notion page property
+ * People are kept as objects so the thread update can mention them
+ * @param {Object} prop - Notion property value from a page object
+ * @returns {*} Plain value (string, number, boolean, array of people) or null when empty
+ */
+export function propertyValue(prop) {
+  if (!prop) {return null;}
+  switch (prop.type) {
+    case 'status':
+      return prop.status?.name || null;
+    case 'select':
+      return prop.select?.name || null;
+    case 'multi_select':
+      return (prop.multi_select || []).map(o => o.name).join(', ') || null;
+    case 'people':
+      return (prop.people || []).map(p => ({ id: p.id, name: p.name || null, email: p.person?.email || null }));
+    case 'title':
+    case 'rich_text':
+      return (prop[prop.type] || []).map(t => t.plain_text || '').join('').trim() || null;
+    case 'checkbox':
+      return Boolean(prop.checkbox);
+    case 'date':
+      return prop.date?.start || null;
+    case 'number':
+      return prop.number ?? null;
+    case 'url':
+    case 'email':
+    case 'phone_number':
+      return prop[prop.type] || null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Snapshots the watched properties of a page
+ * @param {Object} page - Notion page object
+ * @param {string[]} propertyNames - Exact Notion property names to capture
+ * @returns {Object} Snapshot keyed by property name
+ */
+export function snapshotPage(page, propertyNames) {
+  const snapshot = {};
+  for (const name of propertyNames) {
+    snapshot[name] = propertyValue(page?.properties?.[name]);
+  }
+  return snapshot;
+}
+
+// People compare by id (names and emails may be missing or change)
+const comparable = (value) => (
+  Array.isArray(value) ? JSON.stringify(value.map(p => p.id).sort()) : JSON.stringify(value ?? null)
+);
+
+/**
+ * Lists the properties whose value differs between two snapshots
+ * Properties missing from the previous snapshot are not reported (they were not watched yet)
+ * @param {Object} previous - Earlier snapshot
+ * @param {Object} next - Current snapshot
+ * @returns {Object[]} Changes as { name, from, to }
+ */
+export function diffSnapshots(previous = {}, next = {}) {
+  const changes = [];
+  for (const [name, to] of Object.entries(next)) {
+    if (!(name in previous)) {continue;}
+    const from = previous[name];
+    if (comparable(from) !== comparable(to)) {
+      changes.push({ name, from, to });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Formats changes as one short line, e.g. "Status: *In progress*, assigned to <@U123>"
+ * @param {Object[]} changes - Output of diffSnapshots()
+ * @param {Object} [options] - Formatting options
+ * @param {Function} [options.mentionFor] - Maps a person {id, name, email} to display text
+ * @returns {string} Update line ('' when there are no changes)
+ */
+export function formatStatusUpdate(changes, { mentionFor = (person) => person.name || 'someone' } = {}) {
+  const parts = changes.map(({ name, to }) => {
+    if (Array.isArray(to)) {
+      return to.length ? `assigned to ${to.map(mentionFor).join(', ')}` : 'unassigned';
+    }
+    if (to === null || to === '') {return `${name} cleared`;}
+    if (typeof to === 'boolean') {return `${name}: ${to ? 'yes' : 'no'}`;}
+    return `${name}: *${to}*`;
+  });
+  if (parts.length === 0) {return '';}
+  const line = parts.join(', ');
+  return line[0].toUpperCase() + line.slice(1);
+}
+
+/**
+ * Picks the reaction for a Status value
+ * @param {string|null} status - Status value
+ * @param {Object} [reactions=DEFAULT_STATUS_REACTIONS] - Status -> reaction name map
+ * @returns {string|null} Reaction name without colons, or null when none is mapped
+ */
+export function reactionForStatus(status, reactions = DEFAULT_STATUS_REACTIONS) {
+  if (!status) {return null;}
+  const wanted = String(status).trim().toLowerCase();
+  for (const [value, reaction] of Object.entries(reactions || {})) {
+    if (value.trim().toLowerCase() === wanted) {
+      return String(reaction).replace(/:/g, '') || null;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for Notion -> Slack status sync helpers
+ * Run with: node lib/status-sync.test.js
+ */
+import { strict as assert } from 'assert';
+import {
+  DEFAULT_WATCHED_PROPERTIES,
+  propertyValue,
+  snapshotPage,
+  diffSnapshots,
+  formatStatusUpdate,
+  reactionForStatus
+} from './status-sync.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = (name, fn) => { total++; try { fn(); passed++; console.log(`  ✓ ${name}`); } catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`);} };
+const suite = (name, fn) => { console.log(`\n${name}:`); fn(); };
+
+const page = (status, people, priority) => ({
+  id: 'page-1',
+  properties: {
+    Status: { type: 'status', status: status ? { name: status } : null },
+    Assignee: { type: 'people', people },
+    Priority: { type: 'select', select: priority ? { name: priority } : null },
+    Issue: { type: 'title', title: [{ plain_text: 'Checkout down' }] }
+  }
+});
+const ana = { object: 'user', id: 'u-ana', name: 'Ana', person: { email: 'ana@example.com' } };
+const bo = { object: 'user', id: 'u-bo', name: 'Bo' };
+
+suite('propertyValue', () => {
+  test('reads common property types', () => {
+    assert.equal(propertyValue({ type: 'status', status: { name: 'Done' } }), 'Done');
+    assert.equal(propertyValue({ type: 'select', select: null }), null);
+    assert.equal(propertyValue({ type: 'multi_select', multi_select: [{ name: 'a' }, { name: 'b' }] }), 'a, b');
+    assert.equal(propertyValue({ type: 'rich_text', rich_text: [{ plain_text: ' x ' }] }), 'x');
+    assert.equal(propertyValue({ type: 'checkbox', checkbox: true }), true);
+    assert.equal(propertyValue({ type: 'date', date: { start: '2025-01-01' } }), '2025-01-01');
+    assert.equal(propertyValue(undefined), null);
+  });
+
+  test('keeps people as id/name/email', () => {
+    assert.deepEqual(propertyValue({ type: 'people', people: [ana] }), [{ id: 'u-ana', name: 'Ana', email: 'ana@example.com' }]);
+  });
+});
+
+suite('snapshotPage / diffSnapshots', () => {
+  test('watches Status, Assignee and Priority by default', () => {
+    assert.deepEqual(DEFAULT_WATCHED_PROPERTIES, ['Status', 'Assignee', 'Priority']);
+  });
+
+  test('reports only changed properties', () => {
+    const before = snapshotPage(page('Not started', [], 'P1'), DEFAULT_WATCHED_PROPERTIES);
+    const after = snapshotPage(page('In progress', [ana], 'P1'), DEFAULT_WATCHED_PROPERTIES);
+    const changes = diffSnapshots(before, after);
+    assert.deepEqual(changes.map(c => c.name), ['Status', 'Assignee']);
+    assert.equal(changes[0].from, 'Not started');
+    assert.equal(changes[0].to, 'In progress');
+  });
+
+  test('compares people by id only', () => {
+    const before = { Assignee: [{ id: 'u-ana', name: null, email: null }] };
+    const after = { Assignee: [{ id: 'u-ana', name: 'Ana', email: 'ana@example.com' }] };
+    assert.deepEqual(diffSnapshots(before, after), []);
+  });
+
+  test('ignores properties that were not watched before', () => {
+    assert.deepEqual(diffSnapshots({ Status: 'Done' }, { Status: 'Done', Priority: 'P0' }), []);
+  });
+});
+
+suite('formatStatusUpdate', () => {
+  test('formats status and assignee changes', () => {
+    const changes = [
+      { name: 'Status', from: 'Not started', to: 'In progress' },
+      { name: 'Assignee', from: [], to: [{ id: 'u-ana', name: 'Ana' }] }
+    ];
+    const mentions = new Map([['u-ana', '<@U1>']]);
+    assert.equal(
+      formatStatusUpdate(changes, { mentionFor: p => mentions.get(p.id) }),
+      'Status: *In progress*, assigned to <@U1>'
+    );
+  });
+
+  test('falls back to the Notion name and handles clears', () => {
+    const changes = [
+      { name: 'Assignee', from: [], to: [{ id: 'u-bo', name: bo.name }] },
+      { name: 'Priority', from: 'P1', to: null }
+    ];
+    assert.equal(formatStatusUpdate(changes), 'Assigned to Bo, Priority cleared');
+    assert.equal(formatStatusUpdate([{ name: 'Assignee', from: [{ id: 'x' }], to: [] }]), 'Unassigned');
+  });
+
+  test('returns empty string without changes', () => {
+    assert.equal(formatStatusUpdate([]), '');
+  });
+});
+
+suite('reactionForStatus', () => {
+  test('matches case-insensitively', () => {
+    assert.equal(reactionForStatus('In Progress'), 'eyes');
+    assert.equal(reactionForStatus('done'), 'white_check_mark');
+  });
+
+  test('uses custom maps and strips colons', () => {
+    assert.equal(reactionForStatus('Shipped', { Shipped: ':rocket:' }), 'rocket');
+    assert.equal(reactionForStatus('Unknown'), null);
+    assert.equal(reactionForStatus(null), null);
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
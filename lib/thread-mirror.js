@@ -0,0 +1,200 @@
+/**
+ * Slack thread -> Notion page body mirror
+ * Replies in the thread of a tracked message are appended to the page as one paragraph
+ * block each (author, time, text converted from mrkdwn, file links). The reply -> block
+ * mapping is persisted so edits update the block and deletions remove it, across restarts
+ */
+
+import { NOTION_RICH_TEXT_ITEMS, mrkdwnToRichText, mentionedUserIds } from './mrkdwn.js';
+
+/**
+ * Builds a plain Notion text item
+ * @param {string} content - Text content
+ * @param {Object} [annotations] - Notion annotations (bold, italic, color...)
+ * @param {string} [url] - Link target
+ * @returns {Object} Rich text item
+ */
+function textItem(content, annotations, url) {
+  const item = { type: 'text', text: { content, link: url ? { url } : null } };
+  if (annotations) {item.annotations = annotations;}
+  return item;
+}
+
+/**
+ * Builds the paragraph block for one thread reply
+ * @param {Object} reply - Reply details
+ * @param {Object} reply.author - { notionId, name }: a Notion person mention when resolved, bold name otherwise
+ * @param {string} reply.ts - Slack message timestamp (shown as a Notion date mention)
+ * @param {string} reply.text - Slack message text
+ * @param {Object[]} [reply.files=[]] - Slack file objects ({ name, title, permalink })
+ * @param {boolean} [reply.edited=false] - Mark the reply as edited
+ * @param {Function} [reply.mentionUser] - Resolves users mentioned in the text (see mrkdwnToRichText())
+ * @returns {Object} Notion paragraph block
+ */
+export function replyBlock({ author, ts, text, files = [], edited = false, mentionUser }) {
+  const richText = [
+    author?.notionId
+      ? { type: 'mention', mention: { user: { id: author.notionId } } }
+      : textItem(author?.name || 'Someone', { bold: true }),
+    textItem(' '),
+    { type: 'mention', mention: { date: { start: new Date(Number(ts) * 1000).toISOString() } } },
+    ...(edited ? [textItem(' (edited)', { italic: true, color: 'gray' })] : []),
+    textItem('\n'),
+    ...mrkdwnToRichText(text, { mentionUser })
+  ];
+  for (const file of files) {
+    if (!file?.permalink) {continue;}
+    richText.push(textItem('\n'), textItem(`Attachment: ${file.name || file.title || 'file'}`, undefined, file.permalink));
+  }
+  return { object: 'block', type: 'paragraph', paragraph: { rich_text: richText.slice(0, NOTION_RICH_TEXT_ITEMS) } };
+}
+
+/**
+ * Creates the mirror
+ * @param {Object} options - Configuration options
+ * @param {Object} options.notion - Notion client (blocks.children.append, blocks.update, blocks.delete)
+ * @param {StateStore} options.store - Durable reply -> block mapping
+ * @param {Function} options.resolveAuthor - (slackUserId) -> Promise<{ notionId, name }>
+ * @param {Object} [options.logger=console] - Logger instance
+ * @returns {Object} { load, has, pageForThread, append, update, remove, forgetPage }
+ */
+export function createThreadMirror({ notion, store, resolveAuthor, logger = console }) {
+  const mirrored = new Map(); // `${channel}:${ts}` -> { pageId, blockId, threadTs, databaseId, mirroredAt }
+  const keyFor = (channel, ts) => `${channel}:${ts}`;
+
+  const persist = (key, entry) => {
+    mirrored.set(key, entry);
+    store.set(key, entry).catch(err => {
+      logger.error({ error: err.message, key }, 'Failed to persist mirrored reply');
+    });
+  };
+  const forget = (key) => {
+    mirrored.delete(key);
+    store.delete(key).catch(err => {
+      logger.error({ error: err.message, key }, 'Failed to remove mirrored reply');
+    });
+  };
+
+  const blockFor = async (message, edited) => {
+    // Mentions in the text are resolved like the author, so they become Notion person mentions too
+    const people = new Map();
+    for (const id of [message.user, ...mentionedUserIds(message.text)]) {
+      if (id && !people.has(id)) {people.set(id, await resolveAuthor(id));}
+    }
+    return replyBlock({
+      author: people.get(message.user),
+      ts: message.ts,
+      text: message.text,
+      files: message.files,
+      edited,
+      mentionUser: (id) => people.get(id) || null
+    });
+  };
+
+  return {
+    /**
+     * Restores the reply -> block mapping saved before the last shutdown
+     * @returns {Promise<number>} Number of restored replies
+     */
+    async load() {
+      const entries = await store.load();
+      for (const [key, entry] of Object.entries(entries)) {
+        mirrored.set(key, entry);
+      }
+      return mirrored.size;
+    },
+
+    /**
+     * Whether a Slack message was mirrored into a page
+     * @param {string} channel - Slack channel ID
+     * @param {string} ts - Slack message timestamp
+     * @returns {boolean} True when a block exists for the message
+     */
+    has(channel, ts) {
+      return mirrored.has(keyFor(channel, ts));
+    },
+
+    /**
+     * Page an earlier reply of the same thread was mirrored into
+     * @param {string} channel - Slack channel ID
+     * @param {string} threadTs - Parent message timestamp
+     * @returns {string|null} Notion page ID
+     */
+    pageForThread(channel, threadTs) {
+      for (const [key, entry] of mirrored) {
+        if (entry.threadTs === threadTs && key.startsWith(`${channel}:`)) {return entry.pageId;}
+      }
+      return null;
+    },
+
+    /**
+     * Appends a reply to the page body (updates the block instead when Slack redelivers it)
+     * @param {Object} params - Function parameters
+     * @param {string} params.pageId - Notion page of the thread's parent message
+     * @param {string} params.databaseId - Notion database ID
+     * @param {string} params.channel - Slack channel ID
+     * @param {Object} params.message - Slack reply ({ ts, thread_ts, user, text, files })
+     * @returns {Promise<string|null>} Block ID
+     */
+    async append({ pageId, databaseId, channel, message }) {
+      const key = keyFor(channel, message.ts);
+      if (mirrored.has(key)) {
+        await this.update({ channel, message });
+        return mirrored.get(key).blockId;
+      }
+      const res = await notion.blocks.children.append({ block_id: pageId, children: [await blockFor(message, false)] });
+      const blockId = res?.results?.[0]?.id || null;
+      if (blockId) {
+        persist(key, { pageId, blockId, threadTs: message.thread_ts, databaseId, mirroredAt: Date.now() });
+      }
+      return blockId;
+    },
+
+    /**
+     * Rewrites the block of an edited reply
+     * @param {Object} params - Function parameters
+     * @param {string} params.channel - Slack channel ID
+     * @param {Object} params.message - Edited Slack reply
+     * @returns {Promise<boolean>} False when the reply was never mirrored
+     */
+    async update({ channel, message }) {
+      const entry = mirrored.get(keyFor(channel, message.ts));
+      if (!entry) {return false;}
+      const block = await blockFor(message, true);
+      await notion.blocks.update({ block_id: entry.blockId, paragraph: block.paragraph });
+      return true;
+    },
+
+    /**
+     * Deletes the block of a deleted reply
+     * @param {Object} params - Function parameters
+     * @param {string} params.channel - Slack channel ID
+     * @param {string} params.ts - Deleted reply timestamp
+     * @returns {Promise<boolean>} False when the reply was never mirrored
+     */
+    async remove({ channel, ts }) {
+      const key = keyFor(channel, ts);
+      const entry = mirrored.get(key);
+      if (!entry) {return false;}
+      try {
+        await notion.blocks.delete({ block_id: entry.blockId });
+      } catch (err) {
+        // Already removed in Notion (or the page is gone): nothing left to delete
+        if (err.code !== 'object_not_found' && err.status !== 404) {throw err;}
+      }
+      forget(key);
+      return true;
+    },
+
+    /**
+     * Drops every reply of a page (e.g. after the page was archived)
+     * @param {string} pageId - Notion page ID
+     * @returns {void}
+     */
+    forgetPage(pageId) {
+      for (const [key, entry] of mirrored) {
+        if (entry.pageId === pageId) {forget(key);}
+      }
+    }
+  };
+}
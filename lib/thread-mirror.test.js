@@ -0,0 +1,144 @@
+/**
+ * Unit tests for the Slack thread -> Notion page body mirror
+ * Run with: node lib/thread-mirror.test.js
+ */
+import { strict as assert } from 'assert';
+import { replyBlock, createThreadMirror } from './thread-mirror.js';
+import { MemoryStateStore } from './state-store.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = async (name, fn) => {
+  total++;
+  try { await fn(); passed++; console.log(`  ✓ ${name}`); }
+  catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`); }
+};
+const suite = async (name, fn) => { console.log(`\n${name}:`); await fn(); };
+
+const silent = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+const plain = (items) => items.map(i => i.text?.content ?? '').join('');
+
+function fakeNotion() {
+  const calls = [];
+  let next = 0;
+  return {
+    calls,
+    blocks: {
+      children: { append: async (params) => { calls.push(['append', params]); return { results: [{ id: `block-${++next}` }] }; } },
+      update: async (params) => { calls.push(['update', params]); return {}; },
+      delete: async (params) => { calls.push(['delete', params]); return {}; }
+    }
+  };
+}
+
+const mirrorWith = (notion, store = new MemoryStateStore('thread-mirror')) => createThreadMirror({
+  notion,
+  store,
+  resolveAuthor: async (user) => (user === 'U1' ? { notionId: 'n-1', name: 'Ana' } : { notionId: null, name: 'Bo' }),
+  logger: silent
+});
+
+const reply = (ts, text, extra = {}) => ({ ts, thread_ts: '1700000000.000100', user: 'U1', text, ...extra });
+
+await suite('replyBlock', async () => {
+  await test('mentions resolved authors and dates the reply', async () => {
+    const block = replyBlock({ author: { notionId: 'n-1' }, ts: '1700000000.000200', text: 'fixed by restart' });
+    const [who, , when] = block.paragraph.rich_text;
+    assert.equal(block.type, 'paragraph');
+    assert.deepEqual(who.mention, { user: { id: 'n-1' } });
+    assert.equal(when.mention.date.start, '2023-11-14T22:13:20.000Z');
+    assert.match(plain(block.paragraph.rich_text), /fixed by restart$/);
+  });
+
+  await test('converts the text from mrkdwn', async () => {
+    const block = replyBlock({ author: { notionId: 'n-1' }, ts: '1.0', text: '*fixed* in <https://git.io/pr|the PR>', mentionUser: () => null });
+    const bold = block.paragraph.rich_text.find(i => i.text?.content === 'fixed');
+    const link = block.paragraph.rich_text.find(i => i.text?.content === 'the PR');
+    assert.equal(bold.annotations.bold, true);
+    assert.equal(link.text.link.url, 'https://git.io/pr');
+  });
+
+  await test('falls back to a bold name and lists files', async () => {
+    const block = replyBlock({
+      author: { notionId: null, name: 'Bo' }, ts: '1.0', text: 'logs', edited: true,
+      files: [{ name: 'trace.txt', permalink: 'https://slack.com/files/trace' }, { name: 'no-link' }]
+    });
+    const items = block.paragraph.rich_text;
+    assert.equal(items[0].annotations.bold, true);
+    assert.equal(items[0].text.content, 'Bo');
+    assert.match(plain(items), /\(edited\)/);
+    const file = items.find(i => i.text?.content === 'Attachment: trace.txt');
+    assert.equal(file.text.link.url, 'https://slack.com/files/trace');
+    assert.equal(items.filter(i => i.text?.content?.startsWith('Attachment')).length, 1);
+  });
+});
+
+await suite('createThreadMirror', async () => {
+  await test('appends replies and remembers the thread page', async () => {
+    const notion = fakeNotion();
+    const mirror = mirrorWith(notion);
+    const blockId = await mirror.append({ pageId: 'page-1', databaseId: 'db-1', channel: 'C1', message: reply('1700000000.000200', 'hi') });
+    assert.equal(blockId, 'block-1');
+    assert.equal(notion.calls[0][1].block_id, 'page-1');
+    assert.ok(mirror.has('C1', '1700000000.000200'));
+    assert.equal(mirror.pageForThread('C1', '1700000000.000100'), 'page-1');
+    assert.equal(mirror.pageForThread('C2', '1700000000.000100'), null);
+  });
+
+  await test('resolves people mentioned in the reply', async () => {
+    const notion = fakeNotion();
+    const mirror = mirrorWith(notion);
+    await mirror.append({ pageId: 'page-1', databaseId: 'db-1', channel: 'C1', message: reply('1700000000.000200', 'thanks <@U1> and <@U2>') });
+    const items = notion.calls[0][1].children[0].paragraph.rich_text;
+    assert.deepEqual(items.filter(i => i.type === 'mention' && i.mention.user).map(i => i.mention.user.id), ['n-1', 'n-1']);
+    assert.match(plain(items), /and @Bo$/);
+  });
+
+  await test('updates edited replies and ignores unknown ones', async () => {
+    const notion = fakeNotion();
+    const mirror = mirrorWith(notion);
+    await mirror.append({ pageId: 'page-1', databaseId: 'db-1', channel: 'C1', message: reply('1700000000.000200', 'hi') });
+    assert.equal(await mirror.update({ channel: 'C1', message: reply('1700000000.000200', 'hi again') }), true);
+    assert.equal(await mirror.update({ channel: 'C1', message: reply('1700000000.000900', 'x') }), false);
+    const [, params] = notion.calls[1];
+    assert.equal(params.block_id, 'block-1');
+    assert.match(plain(params.paragraph.rich_text), /\(edited\)\nhi again$/);
+  });
+
+  await test('redelivered replies update instead of duplicating', async () => {
+    const notion = fakeNotion();
+    const mirror = mirrorWith(notion);
+    const message = reply('1700000000.000200', 'hi');
+    await mirror.append({ pageId: 'page-1', databaseId: 'db-1', channel: 'C1', message });
+    await mirror.append({ pageId: 'page-1', databaseId: 'db-1', channel: 'C1', message });
+    assert.deepEqual(notion.calls.map(([m]) => m), ['append', 'update']);
+  });
+
+  await test('removes deleted replies, tolerating blocks already gone', async () => {
+    const notion = fakeNotion();
+    notion.blocks.delete = async () => { throw Object.assign(new Error('gone'), { code: 'object_not_found' }); };
+    const mirror = mirrorWith(notion);
+    await mirror.append({ pageId: 'page-1', databaseId: 'db-1', channel: 'C1', message: reply('1700000000.000200', 'hi') });
+    assert.equal(await mirror.remove({ channel: 'C1', ts: '1700000000.000200' }), true);
+    assert.equal(mirror.has('C1', '1700000000.000200'), false);
+    assert.equal(await mirror.remove({ channel: 'C1', ts: '1700000000.000200' }), false);
+  });
+
+  await test('persists the mapping across restarts and forgets archived pages', async () => {
+    const store = new MemoryStateStore('thread-mirror');
+    await mirrorWith(fakeNotion(), store).append({ pageId: 'page-1', databaseId: 'db-1', channel: 'C1', message: reply('1700000000.000200', 'hi') });
+    const restarted = mirrorWith(fakeNotion(), store);
+    assert.equal(await restarted.load(), 1);
+    assert.ok(restarted.has('C1', '1700000000.000200'));
+    restarted.forgetPage('page-1');
+    assert.equal(restarted.has('C1', '1700000000.000200'), false);
+    assert.deepEqual(await store.load(), {});
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,165 @@
+/**
+ * Time zone helpers
+ * Converts between instants and wall-clock times in IANA time zones (e.g. "America/New_York")
+ * with the built-in Intl API, so schedules keep their local handoff times across DST changes
+ */
+
+const formatters = new Map();
+
+/**
+ * Cached Intl formatter that splits an instant into wall-clock parts
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function partsFormatter(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Whether a string is a time zone the runtime knows
+ * @param {string} timeZone - Candidate IANA time zone
+ * @returns {boolean} True when Intl accepts it
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone.trim()) {return false;}
+  try {
+    partsFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Time zone of the process (the container's zone, usually UTC in production)
+ * @returns {string} IANA time zone
+ */
+export function localTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @param {Date|number} when - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+export function zonedParts(when, timeZone) {
+  const parts = {};
+  for (const { type, value } of partsFormatter(timeZone).formatToParts(when)) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Offset of a time zone from UTC at an instant
+ * @param {number} epochMs - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in ms (negative west of UTC)
+ */
+function offsetAt(epochMs, timeZone) {
+  const p = zonedParts(epochMs, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(epochMs / 1000) * 1000;
+}
+
+/**
+ * Instant of a wall-clock time in a time zone
+ * Times skipped when clocks go forward are read with the offset before the change (02:30
+ * becomes 03:30); times repeated when clocks go back resolve to their first occurrence
+ * @param {Object} local - { year, month (1-12), day, hour, minute, second }; time parts default to 0
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Epoch ms
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Offsets in force a day either side cover any single DST change around this time
+  const before = offsetAt(asUtc - 86400000, timeZone);
+  const after = offsetAt(asUtc + 86400000, timeZone);
+  const matches = [before, after]
+    .map(offset => asUtc - offset)
+    .filter(candidate => asUtc - candidate === offsetAt(candidate, timeZone));
+  return matches.length ? Math.min(...matches) : asUtc - before;
+}
+
+/**
+ * Moves an instant by whole calendar days, keeping its wall-clock time in a time zone
+ * @param {number} epochMs - Instant
+ * @param {number} days - Days to add (may be negative)
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Epoch ms
+ */
+export function addLocalDays(epochMs, days, timeZone) {
+  const p = zonedParts(epochMs, timeZone);
+  const date = new Date(Date.UTC(p.year, p.month - 1, p.day + days));
+  return zonedTimeToUtc({
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: p.hour,
+    minute: p.minute,
+    second: p.second
+  }, timeZone);
+}
+
+/**
+ * Parses an ISO date-time, reading times without an offset in a time zone
+ * @param {string} value - "2025-11-03T09:00:00-05:00", "2025-11-03T09:00Z", "2025-11-03 09:00" or "2025-11-03"
+ * @param {string|null} timeZone - Zone for values without an offset (null: they are rejected)
+ * @returns {number} Epoch ms, or NaN when the value cannot be read
+ */
+export function parseZonedDateTime(value, timeZone) {
+  const s = String(value ?? '').trim();
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(s) && /^\d{4}-\d{2}-\d{2}T/i.test(s)) {
+    return Date.parse(s);
+  }
+  const m = s.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/i);
+  if (!m || !timeZone) {return NaN;}
+  const [year, month, day, hour = 0, minute = 0, second = 0] = m.slice(1).map(v => Number(v ?? 0));
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) {return NaN;}
+  return zonedTimeToUtc({ year, month, day, hour, minute, second }, timeZone);
+}
+
+/**
+ * Formats an instant for people, in a time zone
+ * @param {Date|number} when - Instant
+ * @param {string} [timeZone='UTC'] - IANA time zone
+ * @returns {string} e.g. "Mon, Nov 3, 9:00 AM EST"
+ */
+export function formatZoned(when, timeZone = 'UTC') {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  }).format(when);
+}
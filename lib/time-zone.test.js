@@ -0,0 +1,53 @@
+/**
+ * Unit tests for the time zone helpers
+ * Run with: node lib/time-zone.test.js
+ */
+import { strict as assert } from 'assert';
+import { isValidTimeZone, zonedParts, zonedTimeToUtc, addLocalDays, parseZonedDateTime, formatZoned } from './time-zone.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = (name, fn) => { total++; try { fn(); passed++; console.log(`  ✓ ${name}`); } catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`);} };
+const suite = (name, fn) => { console.log(`\n${name}:`); fn(); };
+
+const NY = 'America/New_York';
+const iso = t => new Date(t).toISOString();
+
+suite('zonedTimeToUtc', () => {
+  test('converts wall-clock times, including around DST changes', () => {
+    assert.equal(iso(zonedTimeToUtc({ year: 2025, month: 11, day: 3, hour: 9 }, NY)), '2025-11-03T14:00:00.000Z');
+    assert.equal(iso(zonedTimeToUtc({ year: 2025, month: 7, day: 1, hour: 9 }, NY)), '2025-07-01T13:00:00.000Z');
+    // 02:30 does not exist on Mar 9 in New York; 01:30 happens twice on Nov 2
+    assert.equal(iso(zonedTimeToUtc({ year: 2025, month: 3, day: 9, hour: 2, minute: 30 }, NY)), '2025-03-09T07:30:00.000Z');
+    assert.equal(iso(zonedTimeToUtc({ year: 2025, month: 11, day: 2, hour: 1, minute: 30 }, NY)), '2025-11-02T05:30:00.000Z');
+    assert.equal(iso(zonedTimeToUtc({ year: 2025, month: 10, day: 26, hour: 2, minute: 30 }, 'Europe/Berlin')), '2025-10-26T00:30:00.000Z');
+  });
+
+  test('splits instants back into local parts', () => {
+    assert.deepEqual(zonedParts(Date.parse('2025-11-03T14:00:00Z'), NY), { year: 2025, month: 11, day: 3, hour: 9, minute: 0, second: 0, weekday: 1 });
+    assert.equal(isValidTimeZone('Asia/Kolkata'), true);
+    assert.equal(isValidTimeZone('Eastern'), false);
+  });
+});
+
+suite('addLocalDays / parseZonedDateTime', () => {
+  test('keeps the local time when moving across a DST change', () => {
+    assert.equal(iso(addLocalDays(Date.parse('2025-10-27T13:00:00Z'), 7, NY)), '2025-11-03T14:00:00.000Z');
+  });
+
+  test('reads offsets as given and local times in the zone', () => {
+    assert.equal(iso(parseZonedDateTime('2025-11-03T09:00:00-05:00', null)), '2025-11-03T14:00:00.000Z');
+    assert.equal(iso(parseZonedDateTime('2025-11-03 09:00', 'Asia/Kolkata')), '2025-11-03T03:30:00.000Z');
+    assert.equal(iso(parseZonedDateTime('2025-11-03', NY)), '2025-11-03T05:00:00.000Z');
+    assert.ok(Number.isNaN(parseZonedDateTime('2025-11-03 09:00', null)));
+    assert.ok(Number.isNaN(parseZonedDateTime('Nov 3', NY)));
+    assert.equal(formatZoned(Date.parse('2025-11-03T14:00:00Z'), NY), 'Mon, Nov 3, 9:00 AM EST');
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
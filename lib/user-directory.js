@@ -0,0 +1,217 @@
+/**
+ * Notion / Slack user directory cache
+ * Notion has no lookup-by-email, so the workspace's users.list is loaded once per TTL
+ * (and refreshed in the background) instead of paginated for every message. Slack user
+ * emails are cached per user, emails Notion does not know are remembered for a shorter
+ * time, and an override map covers people whose Slack and Notion emails differ
+ */
+
+// Notion user IDs, with or without dashes
+const NOTION_ID = /^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i;
+
+/**
+ * Parses the user override map
+ * @param {string} [raw] - Comma-separated `slack=notion` pairs; the Slack side is an email or a
+ *   Slack user ID, the Notion side an email or a Notion user ID
+ *   (e.g. "ana@corp.com=ana.silva@corp.io,U0123ABC=5f0c...")
+ * @returns {Map<string, string>} Lowercased Slack email or user ID -> Notion email or user ID
+ * @throws {Error} If a pair has no "="
+ */
+export function parseUserOverrides(raw) {
+  const overrides = new Map();
+  for (const pair of String(raw || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [from, to] = pair.split('=').map(s => s?.trim());
+    if (!from || !to) {
+      throw new Error(`NOTION_USER_OVERRIDES: expected "slack=notion" pairs, got "${pair}"`);
+    }
+    overrides.set(from.toLowerCase(), to);
+  }
+  return overrides;
+}
+
+export class UserDirectory {
+  #notion;
+  #ttl;
+  #missTtl;
+  #overrides;
+  #logger;
+  #now;
+  #byEmail = new Map();
+  #byId = new Map();
+  #loadedAt = 0;
+  #loading = null;
+  #misses = new Map();
+  #slackUsers = new Map();
+  #timer = null;
+
+  /**
+   * Creates a user directory
+   * @param {Object} options - Configuration options
+   * @param {Object} options.notion - Notion client (users.list)
+   * @param {number} [options.ttl=3600000] - Directory and Slack user cache TTL in milliseconds
+   * @param {number} [options.missTtl=600000] - How long unknown emails and Slack users without
+   *   an email are remembered; an unknown email reloads the directory at most this often
+   * @param {Map<string, string>} [options.overrides] - From parseUserOverrides()
+   * @param {Object} [options.logger=console] - Logger instance
+   * @param {Function} [options.now=Date.now] - Clock (tests)
+   */
+  constructor({ notion, ttl = 3600000, missTtl = 600000, overrides = new Map(), logger = console, now = Date.now }) {
+    this.#notion = notion;
+    this.#ttl = ttl;
+    this.#missTtl = missTtl;
+    this.#overrides = overrides;
+    this.#logger = logger;
+    this.#now = now;
+  }
+
+  /**
+   * Reloads the Notion directory (concurrent calls share one load)
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    if (!this.#loading) {
+      this.#loading = this.#load().finally(() => { this.#loading = null; });
+    }
+    return this.#loading;
+  }
+
+  async #load() {
+    const startTime = this.#now();
+    const byEmail = new Map();
+    const byId = new Map();
+    let cursor;
+    do {
+      const res = await this.#notion.users.list(cursor ? { start_cursor: cursor, page_size: 100 } : { page_size: 100 });
+      for (const u of res.results || []) {
+        const email = u.type === 'person' ? u.person?.email?.toLowerCase() || null : null;
+        byId.set(u.id, { email, name: u.name || null });
+        if (email) {byEmail.set(email, u.id);}
+      }
+      cursor = res.has_more ? res.next_cursor : undefined;
+    } while (cursor);
+
+    this.#byEmail = byEmail;
+    this.#byId = byId;
+    this.#loadedAt = this.#now();
+    for (const [key, expires] of this.#misses) {
+      if (expires <= this.#loadedAt) {this.#misses.delete(key);}
+    }
+    this.#logger.info?.({ users: byId.size, withEmail: byEmail.size, loadTime: this.#loadedAt - startTime }, 'Notion user directory loaded');
+  }
+
+  /**
+   * Loads the directory on first use; afterwards an expired directory is served while it
+   * reloads in the background
+   * @returns {Promise<void>}
+   */
+  async #ready() {
+    if (!this.#loadedAt) {
+      await this.refresh();
+    } else if (this.#now() - this.#loadedAt > this.#ttl) {
+      this.refresh().catch(err => this.#logger.warn?.({ error: err.message }, 'Notion user directory refresh failed'));
+    }
+  }
+
+  /**
+   * Finds the Notion user with an email (overrides applied)
+   * @param {string} email - Email address (usually the Slack profile email)
+   * @returns {Promise<string|null>} Notion user ID, or null when nobody has that email
+   */
+  async notionIdForEmail(email) {
+    if (!email) {return null;}
+    const target = this.#overrides.get(email.toLowerCase()) || email;
+    if (NOTION_ID.test(target)) {return target;}
+    const key = target.toLowerCase();
+
+    await this.#ready();
+    if (this.#byEmail.has(key)) {return this.#byEmail.get(key);}
+
+    const missExpires = this.#misses.get(key);
+    if (missExpires && missExpires > this.#now()) {return null;}
+    // Possibly someone new: reload once the directory is older than the miss TTL
+    if (this.#now() - this.#loadedAt > this.#missTtl) {
+      await this.refresh();
+      if (this.#byEmail.has(key)) {return this.#byEmail.get(key);}
+    }
+    this.#misses.set(key, this.#now() + this.#missTtl);
+    return null;
+  }
+
+  /**
+   * Finds the Notion user for a Slack user: an override for the Slack user ID wins, then their email
+   * @param {string} slackUserId - Slack user ID
+   * @param {string|null} email - Slack profile email
+   * @returns {Promise<string|null>} Notion user ID, or null
+   */
+  async notionIdForSlackUser(slackUserId, email) {
+    const override = slackUserId ? this.#overrides.get(slackUserId.toLowerCase()) : null;
+    if (override) {return this.notionIdForEmail(override);}
+    return this.notionIdForEmail(email);
+  }
+
+  /**
+   * Notion user details from the directory
+   * @param {string} notionUserId - Notion user ID
+   * @returns {Promise<Object|null>} { email, name }, or null for users the directory does not list (e.g. guests)
+   */
+  async notionUser(notionUserId) {
+    await this.#ready();
+    return this.#byId.get(notionUserId) || null;
+  }
+
+  /**
+   * Slack user's email, name, time zone and locale, cached for the TTL (users without an email for the miss TTL)
+   * @param {string} slackUserId - Slack user ID
+   * @param {Function} fetchFn - Async function returning the users.info response; errors are not cached
+   * @returns {Promise<Object>} { email, name, tz, locale } (any may be null; tz is an IANA zone from the Slack
+   *   profile, locale such as "es-LA" is only returned when users.info was called with include_locale)
+   */
+  async slackUser(slackUserId, fetchFn) {
+    const cached = this.#slackUsers.get(slackUserId);
+    if (cached && cached.expires > this.#now()) {return { email: cached.email, name: cached.name, tz: cached.tz, locale: cached.locale };}
+
+    const info = await fetchFn();
+    const email = info?.user?.profile?.email || null; // requires users:read.email
+    const name = info?.user?.profile?.display_name || info?.user?.real_name || null;
+    const tz = info?.user?.tz || null;
+    const locale = info?.user?.locale || null;
+    this.#slackUsers.set(slackUserId, { email, name, tz, locale, expires: this.#now() + (email ? this.#ttl : this.#missTtl) });
+    return { email, name, tz, locale };
+  }
+
+  /**
+   * Reloads the directory every TTL so lookups never wait for it
+   * @returns {void}
+   */
+  start() {
+    if (this.#timer) {return;}
+    this.#timer = setInterval(() => {
+      this.refresh().catch(err => this.#logger.warn?.({ error: err.message }, 'Notion user directory refresh failed'));
+    }, this.#ttl);
+    this.#timer.unref?.();
+  }
+
+  /**
+   * Stops the background refresh
+   * @returns {void}
+   */
+  stop() {
+    clearInterval(this.#timer);
+    this.#timer = null;
+  }
+
+  /**
+   * Gets cache statistics
+   * @returns {Object} Directory size and age, remembered misses and cached Slack users
+   */
+  getStats() {
+    return {
+      users: this.#byId.size,
+      age: this.#loadedAt ? this.#now() - this.#loadedAt : null,
+      ttl: this.#ttl,
+      misses: this.#misses.size,
+      slackUsers: this.#slackUsers.size,
+      overrides: this.#overrides.size
+    };
+  }
+}
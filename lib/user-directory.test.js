@@ -0,0 +1,121 @@
+/**
+ * Unit tests for the Notion / Slack user directory cache
+ * Run with: node lib/user-directory.test.js
+ */
+import { strict as assert } from 'assert';
+import { UserDirectory, parseUserOverrides } from './user-directory.js';
+
+let total = 0, passed = 0, failed = 0;
+const test = async (name, fn) => {
+  total++;
+  try { await fn(); passed++; console.log(`  ✓ ${name}`); }
+  catch (e) { failed++; console.log(`  ✗ ${name}`); console.log(`    Error: ${e.message}`); }
+};
+const suite = async (name, fn) => { console.log(`\n${name}:`); await fn(); };
+
+const silent = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+const NOTION_ID = '5f0c1c2a-0000-4000-8000-00000000abcd';
+
+// Two pages of users; `pages` can be replaced to simulate someone joining
+const fakeNotion = () => {
+  const notion = {
+    calls: 0,
+    pages: [
+      [{ id: 'n-ana', type: 'person', name: 'Ana', person: { email: 'Ana@example.com' } }, { id: 'n-bot', type: 'bot', name: 'Cat' }],
+      [{ id: 'n-bo', type: 'person', name: 'Bo', person: { email: 'bo@example.com' } }]
+    ],
+    users: {
+      list: async ({ start_cursor: cursor }) => {
+        notion.calls++;
+        const i = cursor ? Number(cursor) : 0;
+        return { results: notion.pages[i], has_more: i + 1 < notion.pages.length, next_cursor: String(i + 1) };
+      }
+    }
+  };
+  return notion;
+};
+const clock = () => {
+  const c = { t: 1_000_000, now: () => c.t };
+  return c;
+};
+
+await suite('parseUserOverrides', async () => {
+  await test('reads slack=notion pairs', () => {
+    const overrides = parseUserOverrides(' Ana@Corp.com = ana@corp.io , U0123=5f0c ');
+    assert.deepEqual([...overrides], [['ana@corp.com', 'ana@corp.io'], ['u0123', '5f0c']]);
+    assert.equal(parseUserOverrides(undefined).size, 0);
+    assert.throws(() => parseUserOverrides('ana@corp.com'), /expected "slack=notion" pairs/);
+  });
+});
+
+await suite('UserDirectory', async () => {
+  await test('loads the whole directory once and matches emails case-insensitively', async () => {
+    const notion = fakeNotion();
+    const users = new UserDirectory({ notion, logger: silent });
+    assert.equal(await users.notionIdForEmail('ana@EXAMPLE.com'), 'n-ana');
+    assert.equal(await users.notionIdForEmail('bo@example.com'), 'n-bo');
+    assert.deepEqual(await users.notionUser('n-bo'), { email: 'bo@example.com', name: 'Bo' });
+    assert.equal(notion.calls, 2); // one load, two pages
+  });
+
+  await test('remembers misses and reloads for them at most once per miss TTL', async () => {
+    const notion = fakeNotion();
+    const c = clock();
+    const users = new UserDirectory({ notion, logger: silent, ttl: 60_000, missTtl: 10_000, now: c.now });
+    assert.equal(await users.notionIdForEmail('new@example.com'), null);
+    assert.equal(await users.notionIdForEmail('new@example.com'), null);
+    assert.equal(notion.calls, 2);
+
+    notion.pages[1].push({ id: 'n-new', type: 'person', person: { email: 'new@example.com' } });
+    c.t += 11_000;
+    assert.equal(await users.notionIdForEmail('new@example.com'), 'n-new');
+    assert.equal(notion.calls, 4);
+  });
+
+  await test('serves an expired directory while reloading it in the background', async () => {
+    const notion = fakeNotion();
+    const c = clock();
+    const users = new UserDirectory({ notion, logger: silent, ttl: 60_000, now: c.now });
+    await users.notionIdForEmail('ana@example.com');
+    notion.pages = [[{ id: 'n-ana-2', type: 'person', person: { email: 'ana@example.com' } }]];
+    const list = notion.users.list;
+    notion.users.list = async (params) => { await new Promise(r => setTimeout(r, 5)); return list(params); };
+    c.t += 61_000;
+    assert.equal(await users.notionIdForEmail('ana@example.com'), 'n-ana');
+    await users.refresh();
+    assert.equal(await users.notionIdForEmail('ana@example.com'), 'n-ana-2');
+  });
+
+  await test('applies overrides by Slack email or Slack user ID', async () => {
+    const notion = fakeNotion();
+    const overrides = parseUserOverrides(`ana@slack-domain.com=ana@example.com,U9=${NOTION_ID}`);
+    const users = new UserDirectory({ notion, logger: silent, overrides });
+    assert.equal(await users.notionIdForEmail('ana@slack-domain.com'), 'n-ana');
+    assert.equal(await users.notionIdForSlackUser('U9', null), NOTION_ID);
+    assert.equal(await users.notionIdForSlackUser('U1', 'bo@example.com'), 'n-bo');
+  });
+
+  await test('caches Slack users, and users without an email for the miss TTL', async () => {
+    const c = clock();
+    const users = new UserDirectory({ notion: fakeNotion(), logger: silent, ttl: 60_000, missTtl: 10_000, now: c.now });
+    let calls = 0;
+    const info = (email) => async () => { calls++; return { user: { real_name: 'Ana Silva', tz: 'Europe/Lisbon', locale: 'pt-BR', profile: { email, display_name: '' } } }; };
+    assert.deepEqual(await users.slackUser('U1', info('ana@example.com')), { email: 'ana@example.com', name: 'Ana Silva', tz: 'Europe/Lisbon', locale: 'pt-BR' });
+    assert.equal((await users.slackUser('U1', info('ana@example.com'))).tz, 'Europe/Lisbon');
+    await users.slackUser('U1', info('ana@example.com'));
+    await users.slackUser('U2', info(undefined));
+    c.t += 11_000;
+    await users.slackUser('U1', info('ana@example.com'));
+    await users.slackUser('U2', info(undefined));
+    assert.equal(calls, 3);
+    await assert.rejects(users.slackUser('U3', async () => { throw new Error('missing_scope'); }), /missing_scope/);
+  });
+});
+
+console.log(`\n${'='.repeat(60)}`);
+console.log('Test Summary:');
+console.log(`  Total:  ${total}`);
+console.log(`  Passed: ${passed} ${passed === total ? '✓' : ''}`);
+console.log(`  Failed: ${failed} ${failed > 0 ? '✗' : ''}`);
+console.log(`${'='.repeat(60)}\n`);
+process.exit(failed ? 1 : 0);
@@ -7,59 +7,95 @@ import validator from 'validator';
 import { DEFAULTS } from './constants.js';
 import icons from './ascii-icons.js';
 import { normalizeEmail } from './parser.js';
+import { DEFAULT_FIELDS, describeField, fieldLabel, issuePriority } from './field-schema.js';
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+import { asapOffset } from './business-calendar.js';
+import { formatDuration } from './duration.js';
 
 /**
  * Identifies which required fields are missing from a parsed message
  * @param {Object} parsed - Parsed message object from parseAutoBlock()
+ * @param {Object[]} [fields=DEFAULT_FIELDS] - Field definitions for the target database
+ * @param {string} [locale=DEFAULT_LOCALE] - Locale of the field names
  * @returns {string[]} Array of missing field names
  */
-export function missingFields(parsed) {
+export function missingFields(parsed, fields = DEFAULT_FIELDS, locale = DEFAULT_LOCALE) {
   const missing = [];
-  if (!parsed.priority) {missing.push('Priority (P0/P1/P2)');}
-  if (!parsed.issue) {missing.push('Issue');}
-  if (!parsed.replicate) {missing.push('How to replicate');}
-  if (!parsed.customer) {missing.push('Customer');}
-  if (!parsed.onepass) {missing.push('1Password (email)');}
-  // Needed by defaults; Relevant Links optional
+  for (const field of fields) {
+    // Dates default when omitted, so they never count as missing
+    if (!field.required || field.type === 'date') {continue;}
+    if (!parsed[field.key]) {missing.push(describeField(field, locale));}
+  }
   return missing;
 }
 
+/**
+ * Formats a default-hour number as a short 12-hour clock string (e.g. 17 -> "5PM")
+ * @param {number} hour - Hour of day (0-23)
+ * @returns {string} Formatted time
+ */
+function formatHour(hour) {
+  if (hour === 0) {return '12AM';}
+  if (hour < 12) {return `${hour}AM`;}
+  if (hour === 12) {return '12PM';}
+  return `${hour - 12}PM`;
+}
+
 /**
  * Validates field types and formats in a parsed message
- * Checks 1Password email format and needed-by date parsing
+ * Checks email fields, unparsable dates, select values outside the field's options and per-field patterns
  * @param {Object} parsed - Parsed message object from parseAutoBlock()
+ * @param {Object[]} [fields=DEFAULT_FIELDS] - Field definitions for the target database
+ * @param {string} [locale=DEFAULT_LOCALE] - Locale of the messages (see lib/i18n.js)
+ * @param {Object} [options] - Validation options
+ * @param {Object|null} [options.asap=null] - The database's ASAP policy, for the ASAP line of the date help (see getAsapPolicy())
  * @returns {string[]} Array of validation error messages
  */
-export function typeIssues(parsed) {
+export function typeIssues(parsed, fields = DEFAULT_FIELDS, locale = DEFAULT_LOCALE, { asap = null } = {}) {
   const issues = [];
+  const t = (key, params) => translate(locale, key, params);
+
+  for (const field of fields) {
+    const value = parsed[field.key];
+    const label = fieldLabel(field, locale);
+
+    // Email fields - using validator library for robust email validation
+    if (field.type === 'email' && value) {
+      if (!validator.isEmail(normalizeEmail(value))) {
+        issues.push(t('emailInvalid', { label, value }));
+      }
+    }
 
-  // 1Password must be an email - using validator library for robust email validation
-  if (parsed.onepass) {
-    const value = normalizeEmail(parsed.onepass);
-    if (!validator.isEmail(value)) {
+    // Warn if user provided a date but it was unparsable
+    if (field.type === 'date' && parsed[`${field.key}Raw`] && !parsed[`${field.key}Valid`]) {
+      const defaultsTo = t('dateDefaultsTo', { time: formatHour(DEFAULTS.NEEDED_BY_HOUR) });
       issues.push(
-        `1Password field must be an email address.\n` +
-        `Got: "${parsed.onepass}"\n` +
-        `Expected format: user@company.com (supports +, -, numbers, and dots)`
+        `${t('dateNotRecognized', { label, value: parsed[`${field.key}Raw`] })}\n\n` +
+        `${t('dateAcceptedFormats')}\n` +
+        `• \`ASAP\` → ${t('dateAsap', { offset: formatDuration(asapOffset(asap, issuePriority(parsed, fields))) })}\n` +
+        `• \`MM/DD/YYYY\` → 11/04/2025 (${defaultsTo})\n` +
+        `• \`MM/DD/YYYY HH:MM AM/PM\` → 11/04/2025 7:30 PM\n` +
+        `• \`MM/DD/YYYY HPM\` → 11/04/2025 7PM\n` +
+        `• \`YYYY-MM-DD\` → 2025-11-04 (${defaultsTo})\n` +
+        `• \`YYYY-MM-DD HH:MM\` → 2025-11-04 19:00\n` +
+        `• ${t('dateNatural')}\n\n` +
+        `${t('datePastYear')}\n` +
+        `${t('dateTimeZone')}\n` +
+        t('dateOmitted', { days: DEFAULTS.NEEDED_BY_DAYS, time: formatHour(DEFAULTS.NEEDED_BY_HOUR) })
       );
     }
+
+    // Select value that matched none of the field's options (parseAutoBlock() keeps it as <key>Raw)
+    if (field.type === 'select' && field.options?.length && !value && parsed[`${field.key}Raw`]) {
+      issues.push(t('optionInvalid', { label, values: `"${parsed[`${field.key}Raw`]}"`, options: field.options.join(', ') }));
+    }
+
+    // Optional per-field pattern validator from the field definition
+    if (field.pattern && value && typeof value === 'string' && !new RegExp(field.pattern).test(value)) {
+      issues.push(t('patternInvalid', { label, value, expected: field.patternHint || `/${field.pattern}/` }));
+    }
   }
-  // Warn if user provided Needed by but it was unparsable
-  if (parsed.neededRaw && !parsed.neededValid) {
-    const defaultHour = DEFAULTS.NEEDED_BY_HOUR;
-    const defaultTime = defaultHour === 0 ? '12AM' : defaultHour < 12 ? `${defaultHour}AM` : defaultHour === 12 ? '12PM' : `${defaultHour - 12}PM`;
-    issues.push(
-      `Needed by date/time format not recognized: "${parsed.neededRaw}"\n\n` +
-      `*Accepted formats:*\n` +
-      `• \`ASAP\` → 20 minutes from now\n` +
-      `• \`MM/DD/YYYY\` → 11/04/2025 (defaults to ${defaultTime})\n` +
-      `• \`MM/DD/YYYY HH:MM AM/PM\` → 11/04/2025 7:30 PM\n` +
-      `• \`MM/DD/YYYY HPM\` → 11/04/2025 7PM\n` +
-      `• \`YYYY-MM-DD\` → 2025-11-04 (defaults to ${defaultTime})\n` +
-      `• \`YYYY-MM-DD HH:MM\` → 2025-11-04 19:00\n\n` +
-      `If omitted entirely, defaults to ${DEFAULTS.NEEDED_BY_DAYS} days from today at ${defaultTime}.`
-    );
-  }
+
   return issues;
 }
 
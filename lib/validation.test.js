@@ -6,6 +6,8 @@
 
 import { strict as assert } from 'assert';
 import { missingFields, typeIssues } from './validation.js';
+import { DEFAULT_FIELDS, normalizeFieldDefinitions } from './field-schema.js';
+import { normalizeAsapPolicy } from './business-calendar.js';
 
 let totalTests = 0;
 let passedTests = 0;
@@ -257,6 +259,80 @@ suite('Combined validation scenarios', () => {
   });
 });
 
+// Test suite: database-specific field definitions
+suite('Custom field definitions', () => {
+  const fields = normalizeFieldDefinitions([
+    { label: 'Severity', type: 'select', options: ['Sev1', 'Sev2'], required: true },
+    { label: 'Summary', type: 'text', required: true },
+    { label: 'Contact', type: 'email', required: true },
+    { label: 'Ticket', type: 'text', pattern: '^[A-Z]+-\\d+$', patternHint: 'JIRA key like OPS-123' },
+    { label: 'Due', type: 'date', required: true }
+  ]);
+
+  test('should report missing required fields by their labels', () => {
+    const missing = missingFields({ summary: 'Disk full' }, fields);
+    assert.deepEqual(missing, ['Severity (Sev1/Sev2)', 'Contact (email)']);
+  });
+
+  test('should validate email fields by label', () => {
+    const issues = typeIssues({ contact: 'not-an-email' }, fields);
+    assert.equal(issues.length, 1);
+    assert(issues[0].startsWith('Contact field must be an email address.'));
+  });
+
+  test('should report unparsable dates by label', () => {
+    const issues = typeIssues({ dueRaw: 'whenever', dueValid: false }, fields);
+    assert.equal(issues.length, 1);
+    assert(issues[0].startsWith('Due date/time format not recognized: "whenever"'));
+  });
+
+  test('should show the ASAP offset of the database and priority in the date help', () => {
+    const invalidDate = { dueRaw: 'whenever', dueValid: false, severity: 'Sev1' };
+    assert(typeIssues(invalidDate, fields)[0].includes('`ASAP` → 20m from now'));
+    const asap = normalizeAsapPolicy({ offset: '1h', priorityOffsets: { Sev1: '10m' } });
+    assert(typeIssues(invalidDate, fields, 'en', { asap })[0].includes('`ASAP` → 1h from now')); // no Priority field
+    const urgent = { priority: 'P0', neededRaw: 'whenever', neededValid: false };
+    const p0 = normalizeAsapPolicy({ priorityOffsets: { P0: '10m' } });
+    assert(typeIssues(urgent, DEFAULT_FIELDS, 'en', { asap: p0 }).join('\n').includes('`ASAP` → 10m from now'));
+  });
+
+  test('should report select values outside the options', () => {
+    const optional = normalizeFieldDefinitions([{ label: 'Team', type: 'select', options: ['Core', 'Billing'] }]);
+    assert.equal(typeIssues({ team: '' }, optional).length, 0);
+    const issues = typeIssues({ team: '', teamRaw: 'Biling' }, optional);
+    assert.equal(issues.length, 1);
+    assert.equal(issues[0], 'Team must be one of the existing options.\nGot: "Biling"\nValid options: Core, Billing');
+  });
+
+  test('should apply pattern validators', () => {
+    assert.equal(typeIssues({ ticket: 'OPS-123' }, fields).length, 0);
+    const issues = typeIssues({ ticket: 'ops 123' }, fields);
+    assert.equal(issues.length, 1);
+    assert(issues[0].includes('JIRA key like OPS-123'));
+  });
+});
+
+// Test suite: localized messages
+suite('Localized messages', () => {
+  test('should name missing fields in the reply locale', () => {
+    assert.deepEqual(missingFields({ issue: 'Caída', replicate: 'x', onepass: 'a@b.co' }, DEFAULT_FIELDS, 'es'), ['Prioridad (P0/P1/P2)', 'Cliente']);
+  });
+
+  test('should explain format problems in the reply locale', () => {
+    const [email] = typeIssues({ onepass: 'nope' }, DEFAULT_FIELDS, 'pt');
+    assert(email.startsWith('1Password deve ser um endereço de e-mail.\nRecebido: "nope"'));
+    const [date] = typeIssues({ neededRaw: 'mañana', neededValid: false }, DEFAULT_FIELDS, 'es');
+    assert(date.startsWith('No reconozco el formato de fecha/hora de Necesario para: "mañana"\n\n*Formatos aceptados:*'));
+    assert(date.includes('(por defecto a las 5PM)'));
+  });
+
+  test('should keep the English text by default', () => {
+    const [date] = typeIssues({ neededRaw: 'whenever', neededValid: false });
+    assert(date.includes('• `MM/DD/YYYY` → 11/04/2025 (defaults to 5PM)\n'));
+    assert(date.endsWith('If omitted entirely, defaults to 30 days from today at 5PM.'));
+  });
+});
+
 // Print summary
 console.log(`\n${'='.repeat(60)}`);
 console.log(`Test Summary:`);
@@ -12,6 +12,8 @@ import CONFIG from '../lib/health-check/config.mjs';
 // Import checkers
 import { GitCheck } from '../lib/health-check/checks/git-check.mjs';
 import { AppHealthCheck } from '../lib/health-check/checks/app-health-check.mjs';
+import { SchemaCheck } from '../lib/health-check/checks/schema-check.mjs';
+import { SlaCheck } from '../lib/health-check/checks/sla-check.mjs';
 import { GcpCheck } from '../lib/health-check/checks/gcp-check.mjs';
 import { DockerCheck } from '../lib/health-check/checks/docker-check.mjs';
 import { NodeCheck } from '../lib/health-check/checks/node-check.mjs';
@@ -63,6 +65,8 @@ function initializeCheckers(target) {
   // Always run these checks
   checkers.push(new GitCheck(config));
   checkers.push(new AppHealthCheck(config));
+  checkers.push(new SchemaCheck(config));
+  checkers.push(new SlaCheck(config));
 
   // Target-specific checks
   if (target === 'local') {
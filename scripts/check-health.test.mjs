@@ -17,6 +17,8 @@ async function run() {
   assert.ok(data.cloudBuild, 'cloudBuild present');
   assert.ok(data.git, 'git present');
   assert.ok(data.mappings, 'mappings present');
+  assert.deepEqual(data.schema, { status: 'ok', databases: [] }, 'schema report present');
+  assert.deepEqual(data.sla, { status: 'ok', enabled: false, databases: [] }, 'SLA report present');
 
   // basic health shape
   assert.ok(['healthy','unhealthy'].includes(data.health.json?.status || data.health.status || 'healthy'));
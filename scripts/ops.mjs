@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 /**
  * Unified operations CLI (refactored) using CliContext.
- * Commands: health, logs, start, stop, build, deploy, status, preflight, test
+ * Commands: health, logs, start, stop, build, deploy, status, preflight, backfill, reconcile, bootstrap, oncall, test
  */
 import { readFile } from 'fs/promises';
 import { fileURLToPath } from 'url';
@@ -264,11 +264,322 @@ async function cmdPreflight(cli) {
   }
 }
 
+async function cmdBackfill(cli) {
+  const flags = cli.flags;
+  if (!flags.channel || flags.channel === true) {
+    logger.error('backfill requires --channel=C0123... and --since=YYYY-MM-DD');
+    process.exit(1);
+  }
+  const { slackTsFromDate, createSlackApiClient, runBackfill, formatBackfillSummary } = await import('../lib/backfill.js');
+  const oldest = slackTsFromDate(flags.since, 'since');
+  const latest = flags.until ? slackTsFromDate(flags.until, 'until') : undefined;
+
+  // Loaded lazily: the bot config validates Slack/Notion env vars on first use
+  const { getConfig, getDatabaseIdForChannel, getFieldsForDatabase, getBusinessCalendar, getAsapPolicy } = await import('../lib/config.js');
+  const { createNotionClient, NotionRateLimiter } = await import('../lib/notion-client.js');
+  const { createNotionPageService } = await import('../lib/notion-pages.js');
+  const { UserDirectory } = await import('../lib/user-directory.js');
+  const { Client } = await import('@notionhq/client');
+  const config = getConfig();
+  const databaseId = getDatabaseIdForChannel(flags.channel);
+  if (!databaseId) {
+    logger.error(`Channel ${flags.channel} is not mapped to a Notion database (add it to channel-mappings.json first)`);
+    process.exit(1);
+  }
+
+  const notion = createNotionClient({
+    notion: new Client({ auth: config.notion.token }),
+    limiter: new NotionRateLimiter({ ratePerSecond: config.api.rateLimitPerSecond }),
+    timeoutMs: config.api.timeout,
+    maxRetries: config.api.maxRetries
+  });
+  const { users } = config;
+  const pages = createNotionPageService({
+    notion,
+    timeoutMs: config.api.timeout,
+    userDirectory: new UserDirectory({ notion, ttl: users.directoryTtl, missTtl: users.missTtl, overrides: users.overrides })
+  });
+  const includeThreads = flags.threads === undefined ? config.slack.allowThreads : flags.threads !== 'false';
+
+  cli.section(`Backfill ${flags.channel} -> ${databaseId}${cli.dryRun ? ' (dry run)' : ''}`);
+  const summary = await runBackfill({
+    slack: createSlackApiClient({ token: config.slack.botToken }),
+    pages,
+    channel: flags.channel,
+    databaseId,
+    fields: getFieldsForDatabase(databaseId),
+    oldest,
+    latest,
+    calendar: getBusinessCalendar(databaseId),
+    asap: getAsapPolicy(databaseId),
+    includeThreads,
+    skipExisting: Boolean(flags['skip-existing']),
+    dryRun: cli.dryRun,
+    logger: { error: (fields, msg) => logger.warn(`${msg}: ${fields.ts} ${fields.error}`) }
+  });
+  if (flags.json) {
+    process.stdout.write(`${JSON.stringify(summary, null, 2)}\n`);
+  } else {
+    for (const line of formatBackfillSummary(summary, { dryRun: cli.dryRun })) { logger.info(line); }
+  }
+  if (summary.failed > 0) { process.exit(1); }
+}
+
+async function cmdReconcile(cli) {
+  const flags = cli.flags;
+  const { FIX_MODES, reconcileDatabase, formatReconcileTable } = await import('../lib/reconcile.js');
+  // Bare --fix repairs both directions
+  const fix = flags.fix === undefined ? 'none' : flags.fix === true ? 'both' : String(flags.fix);
+  if (!FIX_MODES.includes(fix)) {
+    logger.error(`--fix must be one of: ${FIX_MODES.join(', ')} (got "${fix}")`);
+    process.exit(1);
+  }
+  const { createSlackApiClient } = await import('../lib/backfill.js');
+
+  // Loaded lazily: the bot config validates Slack/Notion env vars on first use
+  const { getConfig, getDatabaseIdForChannel, getFieldsForDatabase, getDatabaseSettings, getBusinessCalendar, getAsapPolicy } = await import('../lib/config.js');
+  const { createNotionClient, NotionRateLimiter } = await import('../lib/notion-client.js');
+  const { createNotionPageService } = await import('../lib/notion-pages.js');
+  const { UserDirectory } = await import('../lib/user-directory.js');
+  const { Client } = await import('@notionhq/client');
+  const config = getConfig();
+
+  let since = new Date(Date.now() - config.reconcile.lookbackDays * 24 * 60 * 60 * 1000);
+  if (flags.since !== undefined) {
+    since = new Date(Date.parse(String(flags.since)));
+    if (flags.since === true || Number.isNaN(since.getTime())) {
+      logger.error(`--since must be a date like 2025-01-01 (got "${flags.since === true ? '' : flags.since}")`);
+      process.exit(1);
+    }
+  }
+
+  // --database / --channel narrow the run; default is every mapped database
+  let targets = Object.entries(config.notion.dbToChannels || {});
+  if (flags.channel && flags.channel !== true) {
+    const databaseId = getDatabaseIdForChannel(flags.channel);
+    if (!databaseId) {
+      logger.error(`Channel ${flags.channel} is not mapped to a Notion database (add it to channel-mappings.json first)`);
+      process.exit(1);
+    }
+    targets = [[databaseId, [flags.channel]]];
+  } else if (flags.database && flags.database !== true) {
+    targets = targets.filter(([databaseId]) => databaseId === flags.database);
+    if (!targets.length) {
+      logger.error(`Database ${flags.database} is not mapped to any channel`);
+      process.exit(1);
+    }
+  }
+
+  const notion = createNotionClient({
+    notion: new Client({ auth: config.notion.token }),
+    limiter: new NotionRateLimiter({ ratePerSecond: config.api.rateLimitPerSecond }),
+    timeoutMs: config.api.timeout,
+    maxRetries: config.api.maxRetries
+  });
+  const { users } = config;
+  const pages = createNotionPageService({
+    notion,
+    timeoutMs: config.api.timeout,
+    userDirectory: new UserDirectory({ notion, ttl: users.directoryTtl, missTtl: users.missTtl, overrides: users.overrides })
+  });
+  const slack = createSlackApiClient({ token: config.slack.botToken });
+  const includeThreads = flags.threads === undefined ? config.slack.allowThreads : flags.threads !== 'false';
+
+  cli.section(`Reconcile ${targets.length} database(s) since ${since.toISOString().slice(0, 10)} (fix: ${fix}${cli.dryRun ? ', dry run' : ''})`);
+  const reports = [];
+  for (const [databaseId, channels] of targets) {
+    reports.push(await reconcileDatabase({
+      slack,
+      notion,
+      pages,
+      databaseId,
+      channels,
+      fields: getFieldsForDatabase(databaseId),
+      since,
+      calendar: getBusinessCalendar(databaseId),
+      asap: getAsapPolicy(databaseId),
+      includeThreads,
+      fix,
+      onDeleted: getDatabaseSettings(databaseId).onMessageDeleted,
+      dryRun: cli.dryRun,
+      logger: { warn: (fields, msg) => logger.warn(`${msg}: ${fields.channel || fields.pageId} ${fields.error}`) }
+    }));
+  }
+  if (flags.json) {
+    process.stdout.write(`${JSON.stringify(reports, null, 2)}\n`);
+  } else {
+    for (const line of formatReconcileTable(reports)) { logger.info(line); }
+  }
+  if (reports.some(r => r.orphans.some(o => o.action === 'failed'))) { process.exit(1); }
+}
+
+async function cmdBootstrap(cli) {
+  const flags = cli.flags;
+  const { notionIdsIn } = await import('../lib/notion-pages.js');
+  const parentPageId = flags.parent && flags.parent !== true ? notionIdsIn(flags.parent)[0] : null;
+  let databaseId = flags.database && flags.database !== true ? notionIdsIn(flags.database)[0] : null;
+  if (!parentPageId === !databaseId) {
+    logger.error('bootstrap requires --parent=PAGE_ID (create a database) or --database=ID (patch one), not both');
+    process.exit(1);
+  }
+  if (!process.env.NOTION_TOKEN) {
+    logger.error('bootstrap requires NOTION_TOKEN (the integration must have access to the page or database)');
+    process.exit(1);
+  }
+  const channels = flags.channel && flags.channel !== true
+    ? String(flags.channel).split(',').map(s => s.trim()).filter(Boolean).map(channelId => ({ channelId }))
+    : [];
+
+  // The bot config is not loaded: bootstrap runs before the mappings file (or Slack tokens) exist
+  const { existsSync } = await import('fs');
+  const { writeFile } = await import('fs/promises');
+  const { DEFAULT_FIELDS, normalizeFieldDefinitions } = await import('../lib/field-schema.js');
+  const { normalizeDeletePolicy } = await import('../lib/message-deleted.js');
+  const { createDatabaseParams, planDatabasePatch, appendMapping } = await import('../lib/notion-bootstrap.js');
+  const { createNotionClient, NotionRateLimiter } = await import('../lib/notion-client.js');
+  const { Client } = await import('@notionhq/client');
+  const mappingsPath = process.env.CHANNEL_DB_MAPPINGS_FILE || path.join(process.cwd(), 'channel-mappings.json');
+  const mappings = existsSync(mappingsPath) ? JSON.parse((await readFile(mappingsPath)).toString()) : {};
+
+  // Patching a mapped database keeps its own fields and deletion policy
+  const normalizeId = id => String(id).replace(/-/g, '').toLowerCase();
+  const mapped = databaseId ? (mappings.databases || []).find(db => normalizeId(db.databaseId) === normalizeId(databaseId)) : null;
+  const fields = mapped?.fields ? normalizeFieldDefinitions(mapped.fields, `Database "${mapped.databaseId}" fields`) : DEFAULT_FIELDS;
+  const onMessageDeleted = normalizeDeletePolicy(mapped?.onMessageDeleted, `Database "${databaseId}" onMessageDeleted`);
+
+  const notion = createNotionClient({
+    notion: new Client({ auth: process.env.NOTION_TOKEN }),
+    limiter: new NotionRateLimiter({ ratePerSecond: 3 }),
+    timeoutMs: parseInt(process.env.API_TIMEOUT || '10000', 10)
+  });
+
+  let result;
+  if (parentPageId) {
+    const title = flags.title && flags.title !== true ? String(flags.title) : 'On-call Issues';
+    const params = createDatabaseParams({ parentPageId, title, fields, onMessageDeleted });
+    cli.section(`Create "${title}" in page ${parentPageId}${cli.dryRun ? ' (dry run)' : ''}`);
+    if (cli.dryRun) {
+      result = { action: 'create', params };
+    } else {
+      const db = await notion.databases.create(params);
+      databaseId = db.id;
+      result = { action: 'create', databaseId, url: db.url, properties: Object.keys(params.properties) };
+      logger.success(`[OK] Created ${db.url}`);
+    }
+  } else {
+    const db = await notion.databases.retrieve({ database_id: databaseId });
+    const plan = planDatabasePatch(db, fields, onMessageDeleted);
+    cli.section(`Patch ${databaseId}${cli.dryRun ? ' (dry run)' : ''}`);
+    if (plan.renamed) { logger.info(`[T] Rename title "${plan.renamed.from}" -> "${plan.renamed.to}"`); }
+    for (const name of plan.added) { logger.info(`[T] Add "${name}"`); }
+    for (const { property, options } of plan.optionsAdded) { logger.info(`[T] Add options to "${property}": ${options.join(', ')}`); }
+    for (const c of plan.conflicts) { logger.warn(`[WARN] "${c.property}" is ${c.actual}, expected ${c.expected.join(' or ')} (left unchanged)`); }
+    if (!Object.keys(plan.properties).length) {
+      logger.success('[OK] Database already has every property');
+    } else if (!cli.dryRun) {
+      await notion.databases.update({ database_id: databaseId, properties: plan.properties });
+      logger.success(`[OK] Updated ${db.url}`);
+    }
+    result = { action: 'patch', databaseId, ...plan };
+  }
+
+  if (channels.length && databaseId) {
+    const description = flags.description && flags.description !== true ? String(flags.description) : mapped?.description;
+    const updated = appendMapping(mappings, { databaseId, description, channels });
+    if (!cli.dryRun) {
+      await writeFile(mappingsPath, `${JSON.stringify(updated, null, 2)}\n`);
+      logger.success(`[OK] Mapped ${channels.map(c => c.channelId).join(', ')} in ${mappingsPath} (restart the bot to pick it up)`);
+    }
+    result.mappingsFile = mappingsPath;
+  }
+  if (flags.json) {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  }
+  if (result.conflicts?.length) { process.exit(1); }
+}
+
+async function cmdOncall(cli) {
+  const flags = cli.flags;
+  const when = flags.at && flags.at !== true ? new Date(String(flags.at)) : new Date();
+  if (Number.isNaN(when.getTime())) {
+    logger.error('oncall --at must be an ISO time, e.g. --at=2025-11-03T09:00:00-05:00');
+    process.exit(1);
+  }
+  const { getConfig, getRotationFileForChannel } = await import('../lib/config.js');
+  const { loadRotation, onCallSchedule } = await import('../lib/rotation.js');
+  const { formatZoned } = await import('../lib/time-zone.js');
+  const { createSlackApiClient } = await import('../lib/backfill.js');
+  const config = getConfig();
+  const channels = flags.channel && flags.channel !== true
+    ? String(flags.channel).split(',').map(s => s.trim()).filter(Boolean)
+    : (config.notion.channelMappings || []).map(m => m.channelId);
+  if (!channels.length) {
+    logger.error('oncall needs mapped channels with a rotationFile in channel-mappings.json (or --channel=C0123)');
+    process.exit(1);
+  }
+
+  // Names are a convenience: without users:read the Slack user ID is shown
+  const slack = createSlackApiClient({ token: config.slack.botToken });
+  const names = new Map();
+  const nameOf = async (user) => {
+    if (user.includes('@')) { return user; }
+    if (!names.has(user)) {
+      names.set(user, await slack.users.info({ user }).then(r => `${r.user?.real_name || r.user?.name || user} (${user})`, () => user));
+    }
+    return names.get(user);
+  };
+  const iso = shift => shift && { ...shift, start: new Date(shift.start).toISOString(), end: new Date(shift.end).toISOString() };
+
+  const results = [];
+  for (const channel of channels) {
+    const rotationFile = getRotationFileForChannel(channel);
+    if (!rotationFile) {
+      results.push({ channel, rotationFile: null });
+      continue;
+    }
+    try {
+      const rotation = loadRotation(rotationFile);
+      const { current, next } = onCallSchedule(rotation, when);
+      results.push({ channel, rotationFile, timeZone: rotation.timeZone, current: iso(current), next: iso(next) });
+    } catch (err) {
+      results.push({ channel, rotationFile, error: err.message });
+    }
+  }
+
+  if (flags.json) {
+    process.stdout.write(`${JSON.stringify({ at: when.toISOString(), channels: results }, null, 2)}\n`);
+  } else {
+    cli.section(`On call at ${when.toISOString()}`);
+    for (const { channel, rotationFile, timeZone, current, next, error } of results) {
+      const zone = timeZone || 'UTC';
+      if (!rotationFile) {
+        logger.info(`${channel}: no rotationFile`);
+      } else if (error) {
+        logger.error(`[ERR] ${channel}: ${error}`);
+      } else {
+        logger.info(`${channel} (${rotationFile})`);
+        logger.info(current
+          ? `  Now:  ${await nameOf(current.user)} until ${formatZoned(new Date(current.end), zone)}`
+          : '  Now:  nobody scheduled');
+        logger.info(next
+          ? `  Next: ${await nameOf(next.user)} from ${formatZoned(new Date(next.start), zone)} until ${formatZoned(new Date(next.end), zone)}`
+          : '  Next: nobody scheduled');
+      }
+    }
+  }
+  if (results.some(r => r.error)) { process.exit(1); }
+}
+
+// Commands that only talk to Slack and Notion (no GCP project needed)
+const WORKSPACE_COMMANDS = new Set(['backfill', 'reconcile', 'bootstrap', 'oncall']);
+
 async function main() {
   const prelim = parseFlags(process.argv);
   const cmd = (prelim._raw[0] || '').toLowerCase();
   const target = prelim.target;
-  const cli = await CliContext.bootstrap({ argv: process.argv, requireProject: target === 'gcp', requireRegion: target === 'gcp' });
+  const cli = WORKSPACE_COMMANDS.has(cmd)
+    ? new CliContext({ argv: process.argv, requireProject: false, requireRegion: false })
+    : await CliContext.bootstrap({ argv: process.argv, requireProject: target === 'gcp', requireRegion: target === 'gcp' });
   // Preserve original raw command word removal from flags list
   switch (cmd) {
     case 'preflight': return cmdPreflight(cli);
@@ -279,6 +590,10 @@ async function main() {
     case 'build': return cmdBuild(cli);
     case 'deploy': return cmdDeploy(cli);
     case 'status': return cmdStatus(cli);
+    case 'backfill': return cmdBackfill(cli);
+    case 'reconcile': return cmdReconcile(cli);
+    case 'bootstrap': return cmdBootstrap(cli);
+    case 'oncall': return cmdOncall(cli);
     case 'test': {
       let failed = 0;
       const expect = (cond, msg) => { if (!cond) { failed++; logger.error(`[ERR] ${msg}`); } else { logger.success(`[OK] ${msg}`); } };
@@ -360,7 +675,11 @@ async function main() {
     }
     default: {
       logger.info('Usage: node scripts/ops.mjs <command> [--target=local|gcp] [--json] [--follow] [--url=...] [--project=...] [--region=...] [--dry-run]');
-      logger.info('Commands: health, logs, start, stop, build, deploy, status, preflight, test');
+      logger.info('       node scripts/ops.mjs backfill --channel=C0123 --since=2025-01-01 [--until=...] [--threads] [--skip-existing] [--dry-run] [--json]');
+      logger.info('       node scripts/ops.mjs reconcile [--database=ID | --channel=C0123] [--since=2025-01-01] [--fix[=slack|notion|both]] [--threads] [--dry-run] [--json]');
+      logger.info('       node scripts/ops.mjs bootstrap (--parent=PAGE_ID [--title=...] | --database=ID) [--channel=C0123[,C0456]] [--description=...] [--dry-run] [--json]');
+      logger.info('       node scripts/ops.mjs oncall [--channel=C0123[,C0456]] [--at=ISO_TIME] [--json]');
+      logger.info('Commands: health, logs, start, stop, build, deploy, status, preflight, backfill, reconcile, bootstrap, oncall, test');
       process.exit(cmd ? 1 : 0);
     }
   }